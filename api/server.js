@@ -1,6 +1,10 @@
 /**
  * PDev API - Product Development Suite Database Operations
  * Port: 3022
+ *
+ * SUPERSEDED: the streaming server (server/server.js) serves these routes under
+ * /api/v1/pdev/* from the live schema, and /api/v1/* for new callers. Kept only
+ * until existing deployments are repointed; do not add routes here.
  */
 
 const express = require('express');
@@ -25,6 +25,24 @@
     return div.innerHTML;
   }
 
+  // Signed-in admins are authorized by their session; anyone else needs the admin key
+  var sessionRole = null;
+  fetch(API_BASE + '/auth/check')
+    .then(function(res) { return res.json(); })
+    .then(function(data) { sessionRole = data.user ? data.user.role : null; })
+    .catch(function() {});
+
+  function adminHeaders() {
+    if (sessionRole === 'admin') return {};
+    var adminKey = sessionStorage.getItem('pdev_admin_key');
+    if (!adminKey) {
+      adminKey = prompt('Enter admin key:');
+      if (!adminKey) return null;
+      sessionStorage.setItem('pdev_admin_key', adminKey);
+    }
+    return { 'X-Admin-Key': adminKey };
+  }
+
   // End session (no admin key needed - just marks complete)
   window.endItem = function(id) {
     if (!confirm('End this session?')) return;
@@ -40,21 +58,17 @@
     .catch(function() { toast('Network error', true); });
   };
 
-  // Delete session - requires admin auth (prompt for key)
+  // Delete session - requires admin auth (session role or key)
   window.delItem = function(id) {
-    if (!confirm('Delete this session permanently?')) return;
-    var adminKey = sessionStorage.getItem('pdev_admin_key');
-    if (!adminKey) {
-      adminKey = prompt('Enter admin key:');
-      if (!adminKey) return;
-      sessionStorage.setItem('pdev_admin_key', adminKey);
-    }
+    if (!confirm('Move this session to the trash?')) return;
+    var headers = adminHeaders();
+    if (!headers) return;
     fetch(API_BASE + SESSIONS_PATH + '/' + encodeURIComponent(id), {
       method: 'DELETE',
-      headers: { 'X-Admin-Key': adminKey }
+      headers: headers
     })
     .then(function(res) {
-      if (res.ok) { toast('Deleted'); loadItems(); }
+      if (res.ok) { toast('Moved to trash'); loadItems(); }
       else if (res.status === 401) {
         sessionStorage.removeItem('pdev_admin_key');
         toast('Invalid admin key', true);
@@ -85,19 +99,15 @@
   // Batch delete sessions - requires admin auth
   window.delItems = function(ids) {
     if (!ids || !ids.length) return;
-    if (!confirm('Delete ' + ids.length + ' session(s) permanently?')) return;
-    var adminKey = sessionStorage.getItem('pdev_admin_key');
-    if (!adminKey) {
-      adminKey = prompt('Enter admin key:');
-      if (!adminKey) return;
-      sessionStorage.setItem('pdev_admin_key', adminKey);
-    }
+    if (!confirm('Move ' + ids.length + ' session(s) to the trash?')) return;
+    var headers = adminHeaders();
+    if (!headers) return;
     var completed = 0;
     var failed = 0;
     ids.forEach(function(id) {
       fetch(API_BASE + SESSIONS_PATH + '/' + encodeURIComponent(id), {
         method: 'DELETE',
-        headers: { 'X-Admin-Key': adminKey }
+        headers: headers
       })
       .then(function(res) {
         if (res.ok) completed++;
@@ -117,17 +127,13 @@
 
   // Clear all - requires admin auth with double confirmation
   window.clearAll = function() {
-    if (!confirm('Delete ALL sessions? This cannot be undone.')) return;
+    if (!confirm('Move ALL sessions to the trash?')) return;
     if (!confirm('Are you absolutely sure?')) return;
-    var adminKey = sessionStorage.getItem('pdev_admin_key');
-    if (!adminKey) {
-      adminKey = prompt('Enter admin key:');
-      if (!adminKey) return;
-      sessionStorage.setItem('pdev_admin_key', adminKey);
-    }
+    var headers = adminHeaders();
+    if (!headers) return;
     fetch(API_BASE + SESSIONS_PATH, {
       method: 'DELETE',
-      headers: { 'X-Admin-Key': adminKey }
+      headers: headers
     })
     .then(function(res) {
       if (res.ok) { toast('All sessions cleared'); loadItems(); }
@@ -234,6 +240,149 @@
     });
   }
 
+  // Trash - deleted sessions can be restored or deleted for good (admin auth)
+  var trashItems = [];
+
+  function trashRequest(path, body) {
+    var headers = adminHeaders();
+    if (!headers) return Promise.reject(null);
+    var options = { headers: headers };
+    if (body) {
+      options.method = 'POST';
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+    return fetch(API_BASE + '/admin/trash' + path, options).then(function(res) {
+      if (res.status === 401) {
+        sessionStorage.removeItem('pdev_admin_key');
+        toast('Invalid admin key', true);
+        return Promise.reject(null);
+      }
+      return res.json().then(function(data) {
+        if (!res.ok) {
+          toast(data.error || ('Failed: ' + res.status), true);
+          return Promise.reject(null);
+        }
+        return data;
+      });
+    });
+  }
+
+  function reportFailure(err) {
+    if (err) toast('Network error', true);
+  }
+
+  window.loadTrash = function() {
+    trashRequest('?limit=200')
+    .then(function(data) { renderTrash(data.sessions); })
+    .catch(reportFailure);
+  };
+
+  window.selectedTrash = function() {
+    var boxes = document.querySelectorAll('#trashList input[type=checkbox]:checked');
+    return Array.prototype.map.call(boxes, function(box) { return box.value; });
+  };
+
+  window.toggleTrashAll = function(checked) {
+    var boxes = document.querySelectorAll('#trashList input[type=checkbox]');
+    Array.prototype.forEach.call(boxes, function(box) { box.checked = checked; });
+    updateTrashButtons();
+  };
+
+  function updateTrashButtons() {
+    var count = selectedTrash().length;
+    var all = document.getElementById('trashAll');
+    if (all) all.checked = count > 0 && count === trashItems.length;
+    ['trashRestore', 'trashPurge'].forEach(function(id) {
+      var btn = document.getElementById(id);
+      if (btn) btn.disabled = count === 0;
+    });
+    var label = document.getElementById('trashCount');
+    if (label) label.textContent = count ? count + ' of ' + trashItems.length + ' selected' : trashItems.length + ' deleted';
+  }
+
+  window.restoreItems = function(ids) {
+    if (!ids || !ids.length) return;
+    trashRequest('/restore', { ids: ids })
+    .then(function(data) {
+      toast('Restored ' + data.restored + ' session(s)');
+      loadTrash();
+      loadItems();
+    })
+    .catch(reportFailure);
+  };
+
+  window.purgeItems = function(ids) {
+    if (!ids || !ids.length) return;
+    if (!confirm('Delete ' + ids.length + ' session(s) permanently? This cannot be undone.')) return;
+    trashRequest('/purge', { ids: ids })
+    .then(function(data) {
+      toast('Deleted ' + data.purged + ' session(s) permanently');
+      loadTrash();
+    })
+    .catch(reportFailure);
+  };
+
+  window.showTrash = function(show) {
+    var views = { activeHeader: !show, cardGrid: !show, trashHeader: show, trashList: show };
+    Object.keys(views).forEach(function(id) {
+      var el = document.getElementById(id);
+      if (el) el.style.display = views[id] ? '' : 'none';
+    });
+    if (show) loadTrash();
+  };
+
+  // Render deleted sessions as a selectable list (DOM methods, XSS safe)
+  function renderTrash(items) {
+    var list = document.getElementById('trashList');
+    if (!list) return;
+    trashItems = items || [];
+    list.innerHTML = '';
+
+    if (!trashItems.length) {
+      list.innerHTML = '<div class="empty-state"><div class="icon">🗑️</div><p>Trash is empty</p></div>';
+      updateTrashButtons();
+      return;
+    }
+
+    trashItems.forEach(function(item) {
+      var row = document.createElement('label');
+      row.className = 'trow';
+
+      var box = document.createElement('input');
+      box.type = 'checkbox';
+      box.value = item.id;
+      box.onchange = updateTrashButtons;
+
+      var info = document.createElement('div');
+      info.className = 'tinfo';
+
+      var head = document.createElement('div');
+      head.className = 'shead';
+      var projName = document.createElement('span');
+      projName.className = 'sproj';
+      projName.textContent = item.project || 'unknown';
+      var cmdSpan = document.createElement('span');
+      cmdSpan.className = 'scmd';
+      cmdSpan.textContent = '/' + (item.commandType || '?');
+      head.appendChild(projName);
+      head.appendChild(cmdSpan);
+
+      var meta = document.createElement('div');
+      meta.className = 'smeta';
+      meta.textContent = (item.server || '') + ' - ' + item.steps + ' steps - started ' +
+        new Date(item.startedAt).toLocaleString() + ' - deleted ' + new Date(item.deletedAt).toLocaleString() +
+        (item.deletedBy ? ' by ' + item.deletedBy : '');
+
+      info.appendChild(head);
+      info.appendChild(meta);
+      row.appendChild(box);
+      row.appendChild(info);
+      list.appendChild(row);
+    });
+    updateTrashButtons();
+  }
+
   // Inject styles
   var styles = document.createElement('style');
   styles.textContent = [
@@ -252,6 +401,19 @@
     '.sd{background:var(--error,#ef4444);color:#fff}',
     '.clrBtn{background:#dc2626;color:white;padding:.5rem 1rem;border:none;border-radius:4px;cursor:pointer;margin-left:auto}',
     '.clrBtn:focus-visible{outline:2px solid var(--accent);outline-offset:2px}',
+    '.trashBtn{background:transparent;color:inherit;padding:.5rem 1rem;border:1px solid var(--border);border-radius:4px;cursor:pointer;margin-left:auto}',
+    '.trashBtn+.clrBtn{margin-left:.5rem}',
+    '.trashBtn:focus-visible{outline:2px solid var(--accent);outline-offset:2px}',
+    '.tbtns{display:flex;gap:.5rem;align-items:center}',
+    '.tall{display:flex;gap:.5rem;align-items:center;cursor:pointer}',
+    '#trashCount{color:var(--muted);font-size:.85rem}',
+    '#trashList{display:flex;flex-direction:column;gap:.5rem;padding:1rem}',
+    '.trow{display:flex;gap:.75rem;align-items:flex-start;background:var(--card);border:1px solid var(--border);border-radius:8px;padding:.75rem 1rem;cursor:pointer}',
+    '.trow:hover{border-color:var(--accent)}',
+    '.trow input{margin-top:.25rem;min-width:18px;min-height:18px}',
+    '.tinfo{flex:1;min-width:0}',
+    '.tinfo .smeta{margin-bottom:0}',
+    '.sbtn:disabled{opacity:.5;cursor:default}',
     '#cardGrid{display:grid;grid-template-columns:repeat(auto-fill,minmax(280px,1fr));gap:1rem;padding:1rem}',
     '.toast{position:fixed;bottom:20px;right:20px;padding:12px 24px;border-radius:6px;z-index:9999;color:white;animation:fadeIn 0.2s}',
     '.toast-success{background:var(--success,#22c55e)}',
@@ -264,6 +426,12 @@
   document.addEventListener('DOMContentLoaded', function() {
     var header = document.querySelector('header');
     if (header) {
+      var trashBtn = document.createElement('button');
+      trashBtn.className = 'trashBtn';
+      trashBtn.textContent = 'Trash';
+      trashBtn.onclick = function() { showTrash(true); };
+      header.appendChild(trashBtn);
+
       var clearBtn = document.createElement('button');
       clearBtn.className = 'clrBtn';
       clearBtn.textContent = 'Clear All';
@@ -273,7 +441,17 @@
 
     var outputPanel = document.querySelector('.output-panel');
     if (outputPanel) {
-      outputPanel.innerHTML = '<div class="output-header"><span>Active Sessions</span><button class="btn btn-outline" onclick="loadItems()">Refresh</button></div><div id="cardGrid"></div>';
+      outputPanel.innerHTML = '<div class="output-header" id="activeHeader"><span>Active Sessions</span><button class="btn btn-outline" id="activeRefresh">Refresh</button></div><div id="cardGrid"></div>' +
+        '<div class="output-header" id="trashHeader" style="display:none"><label class="tall"><input type="checkbox" id="trashAll"><span>Trash</span><span id="trashCount"></span></label>' +
+        '<span class="tbtns"><button class="sbtn sw" id="trashRestore" disabled>Restore</button>' +
+        '<button class="sbtn sd" id="trashPurge" disabled>Delete forever</button>' +
+        '<button class="btn btn-outline" id="trashBack">Back</button></span></div><div id="trashList" style="display:none"></div>';
+      // Handlers are bound here: the CSP blocks inline on* attributes
+      document.getElementById('activeRefresh').onclick = loadItems;
+      document.getElementById('trashAll').onchange = function() { toggleTrashAll(this.checked); };
+      document.getElementById('trashRestore').onclick = function() { restoreItems(selectedTrash()); };
+      document.getElementById('trashPurge').onclick = function() { purgeItems(selectedTrash()); };
+      document.getElementById('trashBack').onclick = function() { showTrash(false); };
     }
 
     loadItems();
@@ -0,0 +1,69 @@
+-- PDev Live Database Schema
+-- Migration: 008_add_full_text_search
+-- Version: 1.0.0
+-- Purpose: Full-text search over step content, documents, command text and project names
+
+BEGIN;
+
+-- Check if migration already applied
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pdev_migrations WHERE migration_name = '008_add_full_text_search') THEN
+        RAISE NOTICE 'Migration 008_add_full_text_search already applied, skipping';
+        RETURN;
+    END IF;
+END $$;
+
+-- Project-scoped documents (dual-written by server.js addStep, survives session deletion)
+-- Older installs created this table by hand, so only create it when missing
+CREATE TABLE IF NOT EXISTS pdev_project_documents (
+    id SERIAL PRIMARY KEY,
+    server_origin VARCHAR(100) NOT NULL,
+    project_name VARCHAR(255) NOT NULL,
+    document_name VARCHAR(255) NOT NULL,
+    content TEXT,
+    content_html TEXT,
+    version VARCHAR(50),
+    file_created_at TIMESTAMPTZ,
+    file_modified_at TIMESTAMPTZ,
+    phase_number INTEGER,
+    phase_name VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+    CONSTRAINT unique_project_document UNIQUE (server_origin, project_name, document_name)
+);
+
+-- Search vectors are generated columns so every insert path stays indexed.
+-- Markdown is truncated to stay well under the 1MB tsvector limit.
+ALTER TABLE pdev_session_steps
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(document_name, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(command_text, '')), 'B') ||
+    setweight(to_tsvector('english', LEFT(COALESCE(content_markdown, content, ''), 100000)), 'C')
+) STORED;
+
+ALTER TABLE pdev_project_documents
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(document_name, '')), 'A') ||
+    setweight(to_tsvector('english', LEFT(COALESCE(content, ''), 100000)), 'B')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_pdev_session_steps_search
+    ON pdev_session_steps USING GIN (search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_pdev_project_documents_search
+    ON pdev_project_documents USING GIN (search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_pdev_sessions_project_name_search
+    ON pdev_sessions USING GIN (to_tsvector('simple', project_name));
+
+-- Grant permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE pdev_project_documents TO pdev_app;
+GRANT USAGE, SELECT ON SEQUENCE pdev_project_documents_id_seq TO pdev_app;
+
+-- Record migration
+INSERT INTO pdev_migrations (migration_name) VALUES ('008_add_full_text_search')
+ON CONFLICT (migration_name) DO NOTHING;
+
+COMMIT;
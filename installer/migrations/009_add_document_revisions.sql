@@ -0,0 +1,124 @@
+-- PDev Live Database Schema
+-- Migration: 009_add_document_revisions
+-- Version: 1.0.0
+-- Purpose: Keep every document push as an immutable revision
+--          (pdev_project_documents only holds the latest version)
+
+BEGIN;
+
+-- Check if migration already applied
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pdev_migrations WHERE migration_name = '009_add_document_revisions') THEN
+        RAISE NOTICE 'Migration 009_add_document_revisions already applied, skipping';
+        RETURN;
+    END IF;
+END $$;
+
+-- Document revisions (append-only)
+CREATE TABLE IF NOT EXISTS pdev_document_revisions (
+    id SERIAL PRIMARY KEY,
+    server_origin VARCHAR(100) NOT NULL,
+    project_name VARCHAR(255) NOT NULL,
+    doc_type VARCHAR(255) NOT NULL,
+    document_name VARCHAR(255) NOT NULL,
+    content TEXT NOT NULL,
+    content_html TEXT,
+    version VARCHAR(50),
+    file_created_at TIMESTAMPTZ,
+    file_modified_at TIMESTAMPTZ,
+    phase_number INTEGER,
+    phase_name VARCHAR(255),
+    session_id UUID REFERENCES pdev_sessions(id) ON DELETE SET NULL,
+    step_id INTEGER REFERENCES pdev_session_steps(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pdev_document_revisions_lookup
+    ON pdev_document_revisions(server_origin, LOWER(project_name), doc_type, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_pdev_document_revisions_session
+    ON pdev_document_revisions(session_id);
+
+-- Revisions are immutable: only the session/step links may be cleared
+-- (ON DELETE SET NULL when the originating session is hard-deleted)
+CREATE OR REPLACE FUNCTION pdev_document_revisions_immutable()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (to_jsonb(NEW) - 'session_id' - 'step_id') IS DISTINCT FROM (to_jsonb(OLD) - 'session_id' - 'step_id')
+       OR (NEW.session_id IS NOT NULL AND NEW.session_id IS DISTINCT FROM OLD.session_id)
+       OR (NEW.step_id IS NOT NULL AND NEW.step_id IS DISTINCT FROM OLD.step_id) THEN
+        RAISE EXCEPTION 'pdev_document_revisions rows are immutable';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_pdev_document_revisions_immutable ON pdev_document_revisions;
+CREATE TRIGGER trg_pdev_document_revisions_immutable
+    BEFORE UPDATE ON pdev_document_revisions
+    FOR EACH ROW EXECUTE FUNCTION pdev_document_revisions_immutable();
+
+-- Backfill from document steps still on disk (each push was stored as a step)
+INSERT INTO pdev_document_revisions
+    (server_origin, project_name, doc_type, document_name, content, content_html, version,
+     file_created_at, file_modified_at, phase_number, phase_name, session_id, step_id, created_at)
+SELECT
+    s.server_origin,
+    s.project_name,
+    UPPER(REGEXP_REPLACE(TRIM(BOTH E'\n\r\t ' FROM st.document_name), '\.md$', '', 'i')),
+    st.document_name,
+    st.content_markdown,
+    st.content_html,
+    SUBSTRING(st.content_markdown FROM 'pdev_version:\s*([0-9.]+)'),
+    st.file_created_at,
+    st.file_modified_at,
+    st.phase_number,
+    st.phase_name,
+    s.id,
+    st.id,
+    st.created_at
+FROM pdev_session_steps st
+JOIN pdev_sessions s ON s.id = st.session_id
+WHERE st.step_type = 'document'
+  AND st.document_name IS NOT NULL
+  AND st.content_markdown IS NOT NULL
+  AND s.server_origin IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM pdev_document_revisions r WHERE r.step_id = st.id);
+
+-- Backfill latest documents whose sessions are gone
+INSERT INTO pdev_document_revisions
+    (server_origin, project_name, doc_type, document_name, content, content_html, version,
+     file_created_at, file_modified_at, phase_number, phase_name, created_at)
+SELECT
+    d.server_origin,
+    d.project_name,
+    UPPER(REGEXP_REPLACE(TRIM(BOTH E'\n\r\t ' FROM d.document_name), '\.md$', '', 'i')),
+    d.document_name,
+    d.content,
+    d.content_html,
+    d.version,
+    d.file_created_at,
+    d.file_modified_at,
+    d.phase_number,
+    d.phase_name,
+    d.updated_at
+FROM pdev_project_documents d
+WHERE d.content IS NOT NULL
+  AND NOT EXISTS (
+      SELECT 1 FROM pdev_document_revisions r
+      WHERE r.server_origin = d.server_origin
+        AND LOWER(r.project_name) = LOWER(d.project_name)
+        AND r.document_name = d.document_name
+        AND r.content = d.content
+  );
+
+-- Grant permissions (no UPDATE: revisions are append-only)
+GRANT SELECT, INSERT, DELETE ON TABLE pdev_document_revisions TO pdev_app;
+GRANT USAGE, SELECT ON SEQUENCE pdev_document_revisions_id_seq TO pdev_app;
+
+-- Record migration
+INSERT INTO pdev_migrations (migration_name) VALUES ('009_add_document_revisions')
+ON CONFLICT (migration_name) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,43 @@
+-- PDev Live Database Schema
+-- Migration: 010_add_broadcast_events
+-- Version: 1.0.0
+-- Purpose: Event log for cross-instance SSE fan-out (LISTEN/NOTIFY on pdev_live_events)
+--          NOTIFY payloads are capped at 8000 bytes, so large events are read back by id
+
+BEGIN;
+
+-- Check if migration already applied
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pdev_migrations WHERE migration_name = '010_add_broadcast_events') THEN
+        RAISE NOTICE 'Migration 010_add_broadcast_events already applied, skipping';
+        RETURN;
+    END IF;
+END $$;
+
+-- Broadcast events (short-lived, pruned by server.js)
+CREATE TABLE IF NOT EXISTS pdev_broadcast_events (
+    id BIGSERIAL PRIMARY KEY,
+    channel VARCHAR(20) NOT NULL CHECK (channel IN ('session', 'global')),
+    session_id UUID,
+    event JSONB NOT NULL,
+    origin VARCHAR(255),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pdev_broadcast_events_created
+    ON pdev_broadcast_events(created_at);
+
+CREATE INDEX IF NOT EXISTS idx_pdev_broadcast_events_global
+    ON pdev_broadcast_events(id)
+    WHERE channel = 'global';
+
+-- Grant permissions
+GRANT SELECT, INSERT, DELETE ON TABLE pdev_broadcast_events TO pdev_app;
+GRANT USAGE, SELECT ON SEQUENCE pdev_broadcast_events_id_seq TO pdev_app;
+
+-- Record migration
+INSERT INTO pdev_migrations (migration_name) VALUES ('010_add_broadcast_events')
+ON CONFLICT (migration_name) DO NOTHING;
+
+COMMIT;
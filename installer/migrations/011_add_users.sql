@@ -0,0 +1,52 @@
+-- PDev Live Database Schema
+-- Migration: 011_add_users
+-- Version: 1.0.0
+-- Purpose: Multi-user accounts with roles (admin, editor, viewer)
+--          Replaces the single PDEV_USERNAME/PDEV_PASSWORD login; server.js seeds
+--          the first admin from those variables when the table is empty
+
+BEGIN;
+
+-- Check if migration already applied
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pdev_migrations WHERE migration_name = '011_add_users') THEN
+        RAISE NOTICE 'Migration 011_add_users already applied, skipping';
+        RETURN;
+    END IF;
+END $$;
+
+-- Users (password_hash is NULL until an invite is accepted)
+CREATE TABLE IF NOT EXISTS pdev_users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL,
+    email VARCHAR(255),
+    password_hash VARCHAR(255),
+    role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('admin', 'editor', 'viewer')),
+    invite_token_hash VARCHAR(64),
+    invite_expires_at TIMESTAMPTZ,
+    invited_by VARCHAR(50),
+    session_version INTEGER NOT NULL DEFAULT 1,
+    disabled_at TIMESTAMPTZ,
+    last_login_at TIMESTAMPTZ,
+    last_login_ip VARCHAR(45),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pdev_users_username
+    ON pdev_users(LOWER(username));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pdev_users_invite_token
+    ON pdev_users(invite_token_hash)
+    WHERE invite_token_hash IS NOT NULL;
+
+-- Grant permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE pdev_users TO pdev_app;
+GRANT USAGE, SELECT ON SEQUENCE pdev_users_id_seq TO pdev_app;
+
+-- Record migration
+INSERT INTO pdev_migrations (migration_name) VALUES ('011_add_users')
+ON CONFLICT (migration_name) DO NOTHING;
+
+COMMIT;
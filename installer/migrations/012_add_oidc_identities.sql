@@ -0,0 +1,30 @@
+-- PDev Live Database Schema
+-- Migration: 012_add_oidc_identities
+-- Version: 1.0.0
+-- Purpose: Link pdev_users to OpenID Connect identities (issuer + subject)
+--          SSO users are provisioned on first login and have no local password
+
+BEGIN;
+
+-- Check if migration already applied
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pdev_migrations WHERE migration_name = '012_add_oidc_identities') THEN
+        RAISE NOTICE 'Migration 012_add_oidc_identities already applied, skipping';
+        RETURN;
+    END IF;
+END $$;
+
+ALTER TABLE pdev_users
+ADD COLUMN IF NOT EXISTS oidc_issuer VARCHAR(255),
+ADD COLUMN IF NOT EXISTS oidc_subject VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pdev_users_oidc_identity
+    ON pdev_users(oidc_issuer, oidc_subject)
+    WHERE oidc_subject IS NOT NULL;
+
+-- Record migration
+INSERT INTO pdev_migrations (migration_name) VALUES ('012_add_oidc_identities')
+ON CONFLICT (migration_name) DO NOTHING;
+
+COMMIT;
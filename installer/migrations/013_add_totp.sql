@@ -0,0 +1,45 @@
+-- PDev Live Database Schema
+-- Migration: 013_add_totp
+-- Version: 1.0.0
+-- Purpose: Optional TOTP second factor (RFC 6238) with one-time recovery codes
+
+BEGIN;
+
+-- Check if migration already applied
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pdev_migrations WHERE migration_name = '013_add_totp') THEN
+        RAISE NOTICE 'Migration 013_add_totp already applied, skipping';
+        RETURN;
+    END IF;
+END $$;
+
+-- totp_pending_secret holds a secret during enrollment until the first code is confirmed
+-- totp_last_step is the last accepted 30s time step (a code can only be used once)
+ALTER TABLE pdev_users
+ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64),
+ADD COLUMN IF NOT EXISTS totp_pending_secret VARCHAR(64),
+ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+-- Recovery codes (SHA-256 hashes, single use)
+CREATE TABLE IF NOT EXISTS pdev_user_recovery_codes (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES pdev_users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pdev_user_recovery_codes_user
+    ON pdev_user_recovery_codes(user_id);
+
+-- Grant permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE pdev_user_recovery_codes TO pdev_app;
+GRANT USAGE, SELECT ON SEQUENCE pdev_user_recovery_codes_id_seq TO pdev_app;
+
+-- Record migration
+INSERT INTO pdev_migrations (migration_name) VALUES ('013_add_totp')
+ON CONFLICT (migration_name) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,51 @@
+-- PDev Live Database Schema
+-- Migration: 014_add_audit_events
+-- Version: 1.0.0
+-- Purpose: Persistent audit log of administrative and security-sensitive actions
+--          (logins, credential changes, deletes, guest links, server registration)
+
+BEGIN;
+
+-- Check if migration already applied
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pdev_migrations WHERE migration_name = '014_add_audit_events') THEN
+        RAISE NOTICE 'Migration 014_add_audit_events already applied, skipping';
+        RETURN;
+    END IF;
+END $$;
+
+-- auth_method: session, admin_key, server_token, share_token, guest, registration, basic_auth, none
+-- actor is the username, server name or key label at the time (kept if the user is renamed)
+CREATE TABLE IF NOT EXISTS audit_events (
+    id BIGSERIAL PRIMARY KEY,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    actor VARCHAR(100) NOT NULL,
+    actor_user_id INTEGER REFERENCES pdev_users(id) ON DELETE SET NULL,
+    auth_method VARCHAR(20) NOT NULL,
+    ip VARCHAR(45),
+    action VARCHAR(64) NOT NULL,
+    target_type VARCHAR(50),
+    target VARCHAR(255),
+    outcome VARCHAR(10) NOT NULL CHECK (outcome IN ('success', 'failure', 'denied')),
+    details JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_created
+    ON audit_events(created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_action
+    ON audit_events(action, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor
+    ON audit_events(LOWER(actor), created_at DESC);
+
+-- Grant permissions (append-only for the app: no UPDATE)
+GRANT SELECT, INSERT, DELETE ON TABLE audit_events TO pdev_app;
+GRANT USAGE, SELECT ON SEQUENCE audit_events_id_seq TO pdev_app;
+
+-- Record migration
+INSERT INTO pdev_migrations (migration_name) VALUES ('014_add_audit_events')
+ON CONFLICT (migration_name) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,33 @@
+-- PDev Live Database Schema
+-- Migration: 015_server_token_lifecycle
+-- Version: 1.0.0
+-- Purpose: Server token expiry, last-used IP and rotation with a grace period
+--          (the previous token keeps working until previous_expires_at)
+
+BEGIN;
+
+-- Check if migration already applied
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pdev_migrations WHERE migration_name = '015_server_token_lifecycle') THEN
+        RAISE NOTICE 'Migration 015_server_token_lifecycle already applied, skipping';
+        RETURN;
+    END IF;
+END $$;
+
+ALTER TABLE server_tokens
+ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS last_used_ip VARCHAR(45),
+ADD COLUMN IF NOT EXISTS previous_token VARCHAR(64),
+ADD COLUMN IF NOT EXISTS previous_expires_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_server_tokens_previous
+    ON server_tokens(previous_token)
+    WHERE previous_token IS NOT NULL;
+
+-- Record migration
+INSERT INTO pdev_migrations (migration_name) VALUES ('015_server_token_lifecycle')
+ON CONFLICT (migration_name) DO NOTHING;
+
+COMMIT;
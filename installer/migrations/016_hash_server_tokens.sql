@@ -0,0 +1,67 @@
+-- PDev Live Database Schema
+-- Migration: 016_hash_server_tokens
+-- Version: 1.0.0
+-- Purpose: Store server tokens as salted SHA-256 hashes with a short lookup prefix,
+--          and give each token explicit scopes (sessions:write, docs:write, read)
+
+BEGIN;
+
+-- Check if migration already applied
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pdev_migrations WHERE migration_name = '016_hash_server_tokens') THEN
+        RAISE NOTICE 'Migration 016_hash_server_tokens already applied, skipping';
+        RETURN;
+    END IF;
+END $$;
+
+-- token_prefix is the first 8 characters of the token (lookup only, not secret enough to authenticate)
+-- token_hash is '<salt hex>:<sha256 hex of salt || token>'
+ALTER TABLE server_tokens
+ADD COLUMN IF NOT EXISTS token_prefix VARCHAR(8),
+ADD COLUMN IF NOT EXISTS token_hash VARCHAR(100),
+ADD COLUMN IF NOT EXISTS previous_token_prefix VARCHAR(8),
+ADD COLUMN IF NOT EXISTS previous_token_hash VARCHAR(100),
+ADD COLUMN IF NOT EXISTS scopes TEXT[] NOT NULL DEFAULT ARRAY['sessions:write', 'docs:write', 'read'];
+
+-- The plaintext column stays (nullable) so older installers can still insert a token;
+-- the server hashes any plaintext token it finds on load and clears the column.
+ALTER TABLE server_tokens ALTER COLUMN token DROP NOT NULL;
+
+-- Hash existing plaintext tokens
+UPDATE server_tokens
+SET token_prefix = LEFT(token, 8),
+    token_hash = salted.salt || ':' || encode(sha256(convert_to(salted.salt || token, 'UTF8')), 'hex'),
+    token = NULL
+FROM (SELECT id, md5(random()::text || clock_timestamp()::text) AS salt FROM server_tokens) salted
+WHERE server_tokens.id = salted.id AND server_tokens.token IS NOT NULL;
+
+-- Hash tokens still in their rotation grace period, then drop the plaintext column (server-written only)
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM information_schema.columns
+               WHERE table_name = 'server_tokens' AND column_name = 'previous_token') THEN
+        UPDATE server_tokens
+        SET previous_token_prefix = LEFT(previous_token, 8),
+            previous_token_hash = salted.salt || ':' || encode(sha256(convert_to(salted.salt || previous_token, 'UTF8')), 'hex')
+        FROM (SELECT id, md5(random()::text || clock_timestamp()::text) AS salt FROM server_tokens) salted
+        WHERE server_tokens.id = salted.id AND server_tokens.previous_token IS NOT NULL;
+
+        DROP INDEX IF EXISTS idx_server_tokens_previous;
+        ALTER TABLE server_tokens DROP COLUMN previous_token;
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_server_tokens_prefix
+    ON server_tokens(token_prefix)
+    WHERE revoked_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_server_tokens_previous_prefix
+    ON server_tokens(previous_token_prefix)
+    WHERE previous_token_prefix IS NOT NULL;
+
+-- Record migration
+INSERT INTO pdev_migrations (migration_name) VALUES ('016_hash_server_tokens')
+ON CONFLICT (migration_name) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,67 @@
+-- PDev Live Database Schema
+-- Migration: 017_add_webhooks
+-- Version: 1.0.0
+-- Purpose: Outbound webhooks on session lifecycle events, HMAC-signed, with a
+--          delivery log that doubles as the retry queue
+
+BEGIN;
+
+-- Check if migration already applied
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pdev_migrations WHERE migration_name = '017_add_webhooks') THEN
+        RAISE NOTICE 'Migration 017_add_webhooks already applied, skipping';
+        RETURN;
+    END IF;
+END $$;
+
+-- events: session_created, session_completed, session_error, document_pushed
+-- secret signs each delivery (X-Pdev-Signature); it has to be readable, so it is not hashed
+CREATE TABLE IF NOT EXISTS webhooks (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    url TEXT NOT NULL,
+    secret VARCHAR(64) NOT NULL,
+    events TEXT[] NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by VARCHAR(100),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One row per event per webhook; pending rows are retried at next_attempt_at
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    event VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'success', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    response_status INTEGER,
+    response_body VARCHAR(1000),
+    error TEXT,
+    duration_ms INTEGER,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_attempt_at TIMESTAMPTZ,
+    delivered_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook
+    ON webhook_deliveries(webhook_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+    ON webhook_deliveries(next_attempt_at)
+    WHERE status = 'pending';
+
+-- Grant permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE webhooks TO pdev_app;
+GRANT USAGE, SELECT ON SEQUENCE webhooks_id_seq TO pdev_app;
+GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE webhook_deliveries TO pdev_app;
+GRANT USAGE, SELECT ON SEQUENCE webhook_deliveries_id_seq TO pdev_app;
+
+-- Record migration
+INSERT INTO pdev_migrations (migration_name) VALUES ('017_add_webhooks')
+ON CONFLICT (migration_name) DO NOTHING;
+
+COMMIT;
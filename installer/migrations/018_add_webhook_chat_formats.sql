@@ -0,0 +1,29 @@
+-- PDev Live Database Schema
+-- Migration: 018_add_webhook_chat_formats
+-- Version: 1.0.0
+-- Purpose: Let a webhook post chat messages (Slack, Microsoft Teams, Discord incoming
+--          webhooks) instead of the signed JSON event, and limit it to chosen projects
+
+BEGIN;
+
+-- Check if migration already applied
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pdev_migrations WHERE migration_name = '018_add_webhook_chat_formats') THEN
+        RAISE NOTICE 'Migration 018_add_webhook_chat_formats already applied, skipping';
+        RETURN;
+    END IF;
+END $$;
+
+-- format: json (signed event payload), slack (blocks), teams (Adaptive Card), discord (embeds)
+-- projects: project names this webhook fires for; NULL means every project
+ALTER TABLE webhooks
+ADD COLUMN IF NOT EXISTS format VARCHAR(10) NOT NULL DEFAULT 'json'
+    CHECK (format IN ('json', 'slack', 'teams', 'discord')),
+ADD COLUMN IF NOT EXISTS projects TEXT[];
+
+-- Record migration
+INSERT INTO pdev_migrations (migration_name) VALUES ('018_add_webhook_chat_formats')
+ON CONFLICT (migration_name) DO NOTHING;
+
+COMMIT;
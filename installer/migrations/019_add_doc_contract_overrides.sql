@@ -0,0 +1,42 @@
+-- PDev Live Database Schema
+-- Migration: 019_add_doc_contract_overrides
+-- Version: 1.0.0
+-- Purpose: Per-server and per-project document contracts that replace doc-contract.json
+--          for the matching projects (validated by the server before they are stored)
+
+BEGIN;
+
+-- Check if migration already applied
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pdev_migrations WHERE migration_name = '019_add_doc_contract_overrides') THEN
+        RAISE NOTICE 'Migration 019_add_doc_contract_overrides already applied, skipping';
+        RETURN;
+    END IF;
+END $$;
+
+-- project_name NULL: the contract applies to every project on server_origin
+-- contract: same shape as doc-contract.json ({ "PIPELINE_DOCS": [...] })
+CREATE TABLE IF NOT EXISTS doc_contract_overrides (
+    id SERIAL PRIMARY KEY,
+    server_origin VARCHAR(50) NOT NULL,
+    project_name VARCHAR(100),
+    contract JSONB NOT NULL,
+    updated_by VARCHAR(100),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One override per server and per project (project names match case-insensitively)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_doc_contract_overrides_scope
+    ON doc_contract_overrides(server_origin, (COALESCE(LOWER(project_name), '')));
+
+-- Grant permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE doc_contract_overrides TO pdev_app;
+GRANT USAGE, SELECT ON SEQUENCE doc_contract_overrides_id_seq TO pdev_app;
+
+-- Record migration
+INSERT INTO pdev_migrations (migration_name) VALUES ('019_add_doc_contract_overrides')
+ON CONFLICT (migration_name) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,33 @@
+-- PDev Live Database Schema
+-- Migration: 020_add_document_metadata
+-- Version: 1.0.0
+-- Purpose: Store each document's YAML frontmatter (health_score, gaps_*, remediation_status, ...)
+--          as JSONB so projects can be filtered by it
+
+BEGIN;
+
+-- Check if migration already applied
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pdev_migrations WHERE migration_name = '020_add_document_metadata') THEN
+        RAISE NOTICE 'Migration 020_add_document_metadata already applied, skipping';
+        RETURN;
+    END IF;
+END $$;
+
+-- NULL: no frontmatter; {} : a frontmatter block that could not be parsed
+-- Rows pushed before this migration are filled in by the server at startup
+ALTER TABLE pdev_project_documents
+ADD COLUMN IF NOT EXISTS metadata JSONB;
+
+ALTER TABLE pdev_document_revisions
+ADD COLUMN IF NOT EXISTS metadata JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_project_documents_metadata
+    ON pdev_project_documents USING GIN (metadata);
+
+-- Record migration
+INSERT INTO pdev_migrations (migration_name) VALUES ('020_add_document_metadata')
+ON CONFLICT (migration_name) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,41 @@
+-- PDev Live Database Schema
+-- Migration: 021_allow_revision_metadata_backfill
+-- Version: 1.0.0
+-- Purpose: Let the server fill in frontmatter metadata once on revisions pushed before
+--          migration 020, so health trends cover the whole revision history
+
+BEGIN;
+
+-- Check if migration already applied
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pdev_migrations WHERE migration_name = '021_allow_revision_metadata_backfill') THEN
+        RAISE NOTICE 'Migration 021_allow_revision_metadata_backfill already applied, skipping';
+        RETURN;
+    END IF;
+END $$;
+
+-- Revisions stay immutable: only the session/step links may be cleared
+-- (ON DELETE SET NULL when the originating session is hard-deleted),
+-- and metadata may be set once while it is still NULL
+CREATE OR REPLACE FUNCTION pdev_document_revisions_immutable()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (to_jsonb(NEW) - 'session_id' - 'step_id' - 'metadata') IS DISTINCT FROM (to_jsonb(OLD) - 'session_id' - 'step_id' - 'metadata')
+       OR (NEW.session_id IS NOT NULL AND NEW.session_id IS DISTINCT FROM OLD.session_id)
+       OR (NEW.step_id IS NOT NULL AND NEW.step_id IS DISTINCT FROM OLD.step_id)
+       OR (OLD.metadata IS NOT NULL AND NEW.metadata IS DISTINCT FROM OLD.metadata) THEN
+        RAISE EXCEPTION 'pdev_document_revisions rows are immutable';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Grant permissions (metadata is the only column the app may update)
+GRANT UPDATE (metadata) ON TABLE pdev_document_revisions TO pdev_app;
+
+-- Record migration
+INSERT INTO pdev_migrations (migration_name) VALUES ('021_allow_revision_metadata_backfill')
+ON CONFLICT (migration_name) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,57 @@
+-- PDev Live Database Schema
+-- Migration: 022_add_conflicts
+-- Version: 1.0.0
+-- Purpose: Cross-document consistency findings (same model as the PDev API's pdev_conflicts,
+--          keyed by server/project instead of a project id), kept up to date by the analyzer
+--          that runs on every document push
+
+BEGIN;
+
+-- Check if migration already applied
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pdev_migrations WHERE migration_name = '022_add_conflicts') THEN
+        RAISE NOTICE 'Migration 022_add_conflicts already applied, skipping';
+        RETURN;
+    END IF;
+END $$;
+
+-- conflict_type: capability_not_in_spec, gap_not_addressed, version_mismatch
+-- fingerprint: hash of the type and subject, so a finding maps to one row across pushes
+-- status: open, resolved (fixed, or no longer detected), dismissed (not a real conflict; stays closed)
+CREATE TABLE IF NOT EXISTS pdev_conflicts (
+    id SERIAL PRIMARY KEY,
+    server_origin VARCHAR(100) NOT NULL,
+    project_name VARCHAR(255) NOT NULL,
+    doc_a_id INTEGER REFERENCES pdev_project_documents(id) ON DELETE SET NULL,
+    doc_a_type VARCHAR(100),
+    doc_b_id INTEGER REFERENCES pdev_project_documents(id) ON DELETE SET NULL,
+    doc_b_type VARCHAR(100),
+    conflict_type VARCHAR(50) NOT NULL,
+    fingerprint VARCHAR(64) NOT NULL,
+    description TEXT NOT NULL,
+    details JSONB,
+    status VARCHAR(10) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+    resolution TEXT,
+    resolved_by VARCHAR(100),
+    resolved_at TIMESTAMPTZ,
+    detected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pdev_conflicts_fingerprint
+    ON pdev_conflicts(server_origin, LOWER(project_name), fingerprint);
+
+CREATE INDEX IF NOT EXISTS idx_pdev_conflicts_open
+    ON pdev_conflicts(server_origin, LOWER(project_name))
+    WHERE status = 'open';
+
+-- Grant permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE pdev_conflicts TO pdev_app;
+GRANT USAGE, SELECT ON SEQUENCE pdev_conflicts_id_seq TO pdev_app;
+
+-- Record migration
+INSERT INTO pdev_migrations (migration_name) VALUES ('022_add_conflicts')
+ON CONFLICT (migration_name) DO NOTHING;
+
+COMMIT;
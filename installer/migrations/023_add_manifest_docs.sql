@@ -0,0 +1,29 @@
+-- PDev Live Database Schema
+-- Migration: 023_add_manifest_docs
+-- Version: 1.0.0
+-- Purpose: Add the docs_path/docs columns that PUT and PATCH /manifests write
+--          (the upserts failed with "column docs_path does not exist" since 002)
+
+BEGIN;
+
+-- Check if migration already applied
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pdev_migrations WHERE migration_name = '023_add_manifest_docs') THEN
+        RAISE NOTICE 'Migration 023_add_manifest_docs already applied, skipping';
+        RETURN;
+    END IF;
+END $$;
+
+-- docs: { "<DOC_TYPE>": "<file name>" } for the files the client syncs
+ALTER TABLE project_manifests
+ADD COLUMN IF NOT EXISTS docs_path TEXT;
+
+ALTER TABLE project_manifests
+ADD COLUMN IF NOT EXISTS docs JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Record migration
+INSERT INTO pdev_migrations (migration_name) VALUES ('023_add_manifest_docs')
+ON CONFLICT (migration_name) DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,53 @@
+-- PDev Live Database Schema
+-- Migration: 024_add_retention_rules
+-- Version: 1.0.0
+-- Purpose: Retention rules run by the server on a schedule (soft delete old sessions,
+--          purge the steps of finished sessions, hard-delete soft-deleted sessions)
+
+BEGIN;
+
+-- Check if migration already applied
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pdev_migrations WHERE migration_name = '024_add_retention_rules') THEN
+        RAISE NOTICE 'Migration 024_add_retention_rules already applied, skipping';
+        RETURN;
+    END IF;
+END $$;
+
+-- server_origin NULL: every server; project_name NULL: every project of server_origin
+-- archive: write a session archive (.tar.gz, importable with POST /import) before removing anything
+-- last_result: counts of the last scheduled or manual run
+CREATE TABLE IF NOT EXISTS retention_rules (
+    id SERIAL PRIMARY KEY,
+    server_origin VARCHAR(50),
+    project_name VARCHAR(100),
+    action VARCHAR(20) NOT NULL CHECK (action IN ('soft_delete', 'purge_steps', 'hard_delete')),
+    older_than_days INTEGER NOT NULL CHECK (older_than_days BETWEEN 1 AND 3650),
+    archive BOOLEAN NOT NULL DEFAULT FALSE,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    last_run_at TIMESTAMPTZ,
+    last_result JSONB,
+    created_by VARCHAR(100),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    CHECK (project_name IS NULL OR server_origin IS NOT NULL)
+);
+
+-- One rule per action and scope; the most specific scope wins (project > server > all)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_retention_rules_scope
+    ON retention_rules(action, (COALESCE(server_origin, '')), (COALESCE(LOWER(project_name), '')));
+
+-- Set when purge_steps removed the session's steps (documents and revisions are kept)
+ALTER TABLE pdev_sessions
+ADD COLUMN IF NOT EXISTS steps_purged_at TIMESTAMPTZ;
+
+-- Grant permissions
+GRANT SELECT, INSERT, UPDATE, DELETE ON TABLE retention_rules TO pdev_app;
+GRANT USAGE, SELECT ON SEQUENCE retention_rules_id_seq TO pdev_app;
+
+-- Record migration
+INSERT INTO pdev_migrations (migration_name) VALUES ('024_add_retention_rules')
+ON CONFLICT (migration_name) DO NOTHING;
+
+COMMIT;
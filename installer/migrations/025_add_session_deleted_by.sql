@@ -0,0 +1,29 @@
+-- PDev Live Database Schema
+-- Migration: 025_add_session_deleted_by
+-- Version: 1.0.0
+-- Purpose: Record who soft-deleted a session, for the trash view (list, restore, purge)
+
+BEGIN;
+
+-- Check if migration already applied
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pdev_migrations WHERE migration_name = '025_add_session_deleted_by') THEN
+        RAISE NOTICE 'Migration 025_add_session_deleted_by already applied, skipping';
+        RETURN;
+    END IF;
+END $$;
+
+-- Audit actor of the delete (username, admin-key, retention); NULL for sessions deleted before this migration
+ALTER TABLE pdev_sessions
+ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(100);
+
+-- The trash lists deleted sessions newest first
+CREATE INDEX IF NOT EXISTS idx_pdev_sessions_deleted_at
+    ON pdev_sessions(deleted_at DESC) WHERE deleted_at IS NOT NULL;
+
+-- Record migration
+INSERT INTO pdev_migrations (migration_name) VALUES ('025_add_session_deleted_by')
+ON CONFLICT (migration_name) DO NOTHING;
+
+COMMIT;
@@ -972,9 +972,13 @@ setup_server_token() {
         local existing_token
         existing_token=$(cat "$token_file" 2>/dev/null | tr -d '\n')
         if [[ -n "$existing_token" ]] && [[ ${#existing_token} -eq 64 ]]; then
+            # Match the plaintext column or, after migration 016, the salted hash (salt:sha256(salt || token))
             local token_valid
             token_valid=$(sudo -u postgres psql -d "$DB_NAME" -t -c \
-                "SELECT COUNT(*) FROM server_tokens WHERE token = '$existing_token' AND revoked_at IS NULL;" 2>/dev/null | tr -d ' ')
+                "SELECT COUNT(*) FROM server_tokens t WHERE revoked_at IS NULL AND (
+                   to_jsonb(t)->>'token' = '$existing_token' OR
+                   split_part(to_jsonb(t)->>'token_hash', ':', 2) = encode(sha256(convert_to(
+                     split_part(to_jsonb(t)->>'token_hash', ':', 1) || '$existing_token', 'UTF8')), 'hex'));" 2>/dev/null | tr -d ' ')
             if [[ "$token_valid" -gt 0 ]]; then
                 success "Existing valid token found - skipping generation"
                 return 0
@@ -988,6 +992,7 @@ setup_server_token() {
     log "Generated server token (32 bytes hex, 256 bits entropy)"
 
     # Insert into database (SQL injection safe via character sanitization)
+    # The server hashes the plaintext token and clears the column when it next loads tokens
     local SAFE_SERVER_NAME
     SAFE_SERVER_NAME=$(echo "$SERVER_NAME" | sed "s/'/''/g")
     sudo -u postgres psql -d "$DB_NAME" -v ON_ERROR_STOP=1 -c \
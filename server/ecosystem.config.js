@@ -6,6 +6,8 @@ module.exports = {
     name: 'pdev-live',
     script: 'server.js',
     cwd: baseDir,
+    // SSE fan-out works across workers (PDEV_PUBSUB=postgres), so cluster mode
+    // is possible; see README "Running Multiple Instances" before raising this
     exec_mode: 'fork',
     instances: 1,
 
@@ -17,15 +17,24 @@ const helmet = require('helmet');
 const path = require('path');
 const http = require('http');
 const crypto = require('crypto');
+const zlib = require('zlib');
 const { marked } = require('marked');
 const hljs = require('highlight.js');
-const { Pool } = require('pg');
+const { Pool, Client: PgClient } = require('pg');
 const WebSocket = require('ws');
 const { Client } = require('ssh2');
 const validator = require('validator');
 const createDOMPurify = require('dompurify');
 const { JSDOM } = require('jsdom');
+const Diff = require('diff');
+const docx = require('docx');
+const JSZip = require('jszip');
 const session = require('express-session');
+const bcrypt = require('bcryptjs');
+const { Issuer, generators } = require('openid-client');
+const QRCode = require('qrcode');
+const Ajv = require('ajv');
+const yaml = require('js-yaml');
 const config = require('../config');
 
 // DOMPurify setup for server-side sanitization
@@ -68,8 +77,8 @@ if (process.env.NODE_ENV === 'production') {
   }
 }
 
-// PostgreSQL connection pool
-const pool = new Pool({
+// PostgreSQL connection settings (shared by the pool and the pub/sub listener)
+const DB_CONNECTION = {
   host: process.env.PDEV_DB_HOST || 'localhost',
   port: parseInt(process.env.PDEV_DB_PORT || '5432', 10),
   database: process.env.PDEV_DB_NAME || 'pdev_live',
@@ -86,7 +95,12 @@ const pool = new Pool({
       process.exit(1);
     }
     return dbPassword;
-  })(),
+  })()
+};
+
+// PostgreSQL connection pool
+const pool = new Pool({
+  ...DB_CONNECTION,
   max: 20,
   idleTimeoutMillis: 30000,
   connectionTimeoutMillis: 10000,  // Increased from 2000ms to 10000ms (10 seconds)
@@ -149,30 +163,218 @@ marked.setOptions({
 const sessionClients = new Map();
 
 // SINGLE SOURCE OF TRUTH: Load doc contract from JSON file
-// Both backend (normalization) and frontend (PIPELINE_DOCS) use this
+// Both backend (normalization) and frontend (PIPELINE_DOCS) use this.
+// A server or a single project can replace it with its own contract (doc_contract_overrides);
+// resolveDocContract() picks project override > server override > doc-contract.json.
 const fs = require('fs');
 const DOC_CONTRACT_PATH = path.join(__dirname, 'doc-contract.json');
-let DOC_CONTRACT = { PIPELINE_DOCS: [] };
-try {
-  DOC_CONTRACT = JSON.parse(fs.readFileSync(DOC_CONTRACT_PATH, 'utf8'));
-  console.log(`[PDev Live v2] Loaded doc contract: ${DOC_CONTRACT.PIPELINE_DOCS.length} document types`);
-} catch (e) {
-  console.error('[PDev Live v2] Failed to load doc-contract.json, using defaults');
+
+// JSON Schema for doc-contract.json and for overrides (served at /contract/schema)
+const DOC_CONTRACT_TYPE_PATTERN = '^[A-Z][A-Z0-9_]{0,49}$';
+const DOC_CONTRACT_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'PDev Live document contract',
+  type: 'object',
+  required: ['PIPELINE_DOCS'],
+  properties: {
+    PIPELINE_DOCS: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 50,
+      items: {
+        type: 'object',
+        required: ['type', 'name', 'icon', 'phase', 'cmd'],
+        properties: {
+          type: { type: 'string', pattern: DOC_CONTRACT_TYPE_PATTERN },
+          name: { type: 'string', pattern: '^[a-zA-Z0-9_\\-\\.]{1,100}$' },
+          icon: { type: 'string', minLength: 1, maxLength: 16 },
+          phase: { type: 'integer', minimum: 1, maximum: 99 },
+          cmd: { type: 'string', maxLength: 100 },
+          aliases: {
+            type: 'array',
+            maxItems: 20,
+            uniqueItems: true,
+            items: { type: 'string', pattern: DOC_CONTRACT_TYPE_PATTERN }
+          },
+          dependsOn: {
+            type: 'array',
+            uniqueItems: true,
+            items: { type: 'string', pattern: DOC_CONTRACT_TYPE_PATTERN }
+          }
+        }
+      }
+    }
+  }
+};
+const validateDocContractSchema = new Ajv({ allErrors: true }).compile(DOC_CONTRACT_SCHEMA);
+
+// Schema check plus the rules a schema can't express; returns a list of error messages
+function validateDocContract(contract) {
+  if (!validateDocContractSchema(contract)) {
+    return validateDocContractSchema.errors.map(err => `${err.instancePath || '/'} ${err.message}`);
+  }
+
+  const errors = [];
+  const phases = new Map();
+  contract.PIPELINE_DOCS.forEach(doc => {
+    if (phases.has(doc.type)) errors.push(`Duplicate document type ${doc.type}`);
+    phases.set(doc.type, doc.phase);
+  });
+
+  const aliasOwners = new Map();
+  contract.PIPELINE_DOCS.forEach(doc => {
+    (doc.aliases || []).forEach(alias => {
+      if (phases.has(alias)) {
+        errors.push(`Alias ${alias} of ${doc.type} is also a document type`);
+      } else if (aliasOwners.has(alias)) {
+        errors.push(`Alias ${alias} is used by both ${aliasOwners.get(alias)} and ${doc.type}`);
+      }
+      aliasOwners.set(alias, doc.type);
+    });
+    // Depending only on earlier phases keeps the graph acyclic
+    (doc.dependsOn || []).forEach(dep => {
+      if (!phases.has(dep)) {
+        errors.push(`${doc.type} depends on unknown type ${dep}`);
+      } else if (phases.get(dep) >= doc.phase) {
+        errors.push(`${doc.type} (phase ${doc.phase}) can only depend on earlier phases, not ${dep} (phase ${phases.get(dep)})`);
+      }
+    });
+  });
+  return errors;
 }
 
-// Build normalization map from contract (aliases -> canonical type)
-const DOC_TYPE_NORMALIZATION = {};
-DOC_CONTRACT.PIPELINE_DOCS.forEach(doc => {
-  (doc.aliases || []).forEach(alias => {
-    DOC_TYPE_NORMALIZATION[alias] = doc.type;
+// Contract plus its alias map (aliases -> canonical type); source: default, server or project
+function compileDocContract(contract, source) {
+  const normalization = {};
+  contract.PIPELINE_DOCS.forEach(doc => {
+    (doc.aliases || []).forEach(alias => {
+      normalization[alias] = doc.type;
+    });
   });
+  return { PIPELINE_DOCS: contract.PIPELINE_DOCS, normalization, source };
+}
+
+let DOC_CONTRACT = compileDocContract({ PIPELINE_DOCS: [] }, 'default');
+
+// (Re)load doc-contract.json; an invalid file keeps the contract already loaded
+function loadDefaultDocContract() {
+  try {
+    const contract = JSON.parse(fs.readFileSync(DOC_CONTRACT_PATH, 'utf8'));
+    const errors = validateDocContract(contract);
+    if (errors.length > 0) {
+      console.error(`[Contract] doc-contract.json is invalid, keeping the current contract: ${errors.join('; ')}`);
+      return false;
+    }
+    DOC_CONTRACT = compileDocContract(contract, 'default');
+    console.log(`[Contract] Loaded doc contract: ${DOC_CONTRACT.PIPELINE_DOCS.length} document types`);
+    return true;
+  } catch (e) {
+    console.error('[Contract] Failed to load doc-contract.json:', e.message);
+    return false;
+  }
+}
+loadDefaultDocContract();
+
+// Hot reload: edits to doc-contract.json apply without a restart
+fs.watchFile(DOC_CONTRACT_PATH, { interval: 2000 }, (curr, prev) => {
+  if (curr.mtimeMs !== prev.mtimeMs) loadDefaultDocContract();
 });
 
+// Overrides cache: "server" or "server/project" (project lowercased) -> compiled contract
+let docContractOverrides = new Map();
+
+function docContractKey(server, project) {
+  return project ? `${server}/${project.toLowerCase()}` : server;
+}
+
+async function loadDocContractOverrides() {
+  try {
+    const result = await pool.query('SELECT server_origin, project_name, contract FROM doc_contract_overrides');
+    const overrides = new Map();
+    for (const row of result.rows) {
+      const key = docContractKey(row.server_origin, row.project_name);
+      const errors = validateDocContract(row.contract);
+      if (errors.length > 0) {
+        console.error(`[Contract] Ignoring invalid override for ${key}: ${errors.join('; ')}`);
+        continue;
+      }
+      overrides.set(key, compileDocContract(row.contract, row.project_name ? 'project' : 'server'));
+    }
+    docContractOverrides = overrides;
+  } catch (err) {
+    if (err.code === '42P01') {
+      console.warn('[Contract] doc_contract_overrides table missing - run migration 019');
+    } else {
+      console.error('[Contract] Failed to load contract overrides:', err.message);
+    }
+  }
+}
+
+// Admin changes reload immediately (refreshDocContractsEverywhere); this catches direct DB edits
+const docContractRefreshInterval = setInterval(loadDocContractOverrides, 5 * 60 * 1000);
+function stopDocContractRefresh() {
+  clearInterval(docContractRefreshInterval);
+  fs.unwatchFile(DOC_CONTRACT_PATH);
+}
+process.on('SIGTERM', stopDocContractRefresh);
+process.on('SIGINT', stopDocContractRefresh);
+
+// Contract that applies to a project: project override > server override > default
+function resolveDocContract(server, project) {
+  if (server) {
+    if (project) {
+      const projectContract = docContractOverrides.get(docContractKey(server, project));
+      if (projectContract) return projectContract;
+    }
+    const serverContract = docContractOverrides.get(server);
+    if (serverContract) return serverContract;
+  }
+  return DOC_CONTRACT;
+}
+
 // Normalize document type to canonical form
-function normalizeDocType(docType) {
+function normalizeDocType(docType, contract = DOC_CONTRACT) {
   const upper = docType.toUpperCase().replace(/\.MD$/i, '').trim();
-  return DOC_TYPE_NORMALIZATION[upper] || upper;
+  return contract.normalization[upper] || upper;
+}
+
+// All stored names that normalize to the same canonical type (canonical + aliases)
+function docTypeVariants(docType, contract = DOC_CONTRACT) {
+  const canonical = normalizeDocType(docType, contract);
+  const variants = Object.keys(contract.normalization).filter(alias => contract.normalization[alias] === canonical);
+  return [canonical, ...variants];
+}
+
+// Contract entry (icon, phase, cmd) for a pipeline document name, or null
+function findPipelineDoc(documentName, contract = DOC_CONTRACT) {
+  const type = normalizeDocType(documentName, contract);
+  return contract.PIPELINE_DOCS.find(doc => doc.type === type) || null;
+}
+
+// YAML frontmatter block at the top of a document, as a plain object.
+// null when there is no block; {} when the block isn't a YAML mapping.
+// JSON_SCHEMA keeps values JSON-safe (dates stay strings) for the metadata column.
+const FRONTMATTER_MAX_LENGTH = 64 * 1024;
+
+function parseDocFrontmatter(markdown) {
+  if (!markdown || typeof markdown !== 'string') return null;
+  const match = markdown.replace(/\r\n/g, '\n').match(/^---\n([\s\S]*?)\n---(\n|$)/);
+  if (!match) return null;
+  if (match[1].length > FRONTMATTER_MAX_LENGTH) return {};
+
+  try {
+    const meta = yaml.load(match[1], { schema: yaml.JSON_SCHEMA });
+    return meta && typeof meta === 'object' && !Array.isArray(meta) ? meta : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+// The markdown after the frontmatter block (unchanged when there is none)
+function stripDocFrontmatter(markdown) {
+  return (markdown || '').replace(/\r\n/g, '\n').replace(/^---\n[\s\S]*?\n---(\n|$)/, '');
 }
+
 // Global clients (watching all sessions)
 const globalClients = new Set();
 
@@ -215,6 +417,10 @@ if (!ADMIN_KEY || ADMIN_KEY.length < 32) {
   process.exit(1);
 }
 
+function adminKeyMatches(key) {
+  return typeof key === 'string' && timingSafeStringEqual(key, ADMIN_KEY);
+}
+
 // Guest link tokens (in-memory with cleanup)
 // Guest tokens now persisted in database (guest_tokens table)
 const MAX_GUEST_TOKENS = 1000;
@@ -224,21 +430,95 @@ const shareTokens = new Map(); // token -> { expiresAt, used }
 const MAX_SHARE_TOKENS = 100;
 
 // Server tokens cache (loaded from DB, refreshed periodically)
-// Maps token -> { server, createdAt }
+// Tokens are stored as salted SHA-256 hashes (migration 016); the first 8 characters
+// are kept in the clear as a lookup prefix. Maps prefix -> [{ id, server, hash, scopes,
+// createdAt, expiresAt, previous }] (prefixes can collide, so each maps to a list).
+// A rotated-out token stays in the cache (previous: true) until its grace period ends.
+// Columns from migrations 015/016 read as undefined when they haven't been applied.
+const SERVER_TOKEN_TOUCH_INTERVAL_MS = 60 * 1000; // last_used_at/ip write throttle
+const SERVER_TOKEN_PREFIX_LENGTH = 8;
+const SERVER_TOKEN_SCOPES = ['sessions:write', 'docs:write', 'read'];
 let serverTokensCache = new Map();
+const serverTokenLastTouch = new Map(); // id -> timestamp of the last usage write
+
+// Tokens are 256-bit random values, so a salted fast hash is enough (no need for bcrypt)
+function hashServerToken(token, salt = crypto.randomBytes(16).toString('hex')) {
+  return salt + ':' + crypto.createHash('sha256').update(salt + token).digest('hex');
+}
+
+function serverTokenMatches(token, storedHash) {
+  const [salt, hash] = (storedHash || '').split(':');
+  if (!salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.createHash('sha256').update(salt + token).digest();
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+// New token: the plaintext is returned to the caller once, only prefix + hash are stored
+function issueServerToken() {
+  const token = crypto.randomBytes(32).toString('hex'); // 64 chars
+  return { token, prefix: token.substring(0, SERVER_TOKEN_PREFIX_LENGTH), hash: hashServerToken(token) };
+}
+
+// Hash a plaintext token left by an older installer (or a database without migration 016)
+async function hashLegacyServerToken(row) {
+  const prefix = row.token.substring(0, SERVER_TOKEN_PREFIX_LENGTH);
+  const hash = hashServerToken(row.token);
+  if ('token_hash' in row) {
+    try {
+      await pool.query(
+        'UPDATE server_tokens SET token_prefix = $2, token_hash = $3, token = NULL WHERE id = $1 AND token = $4',
+        [row.id, prefix, hash, row.token]
+      );
+      console.log(`[Auth] Hashed plaintext server token for ${row.server_name}`);
+    } catch (err) {
+      console.error(`[Auth] Failed to hash server token for ${row.server_name}:`, err.message);
+    }
+  }
+  return { prefix, hash };
+}
+
 async function loadServerTokens() {
   try {
-    const result = await pool.query(
-      'SELECT token, server_name, created_at FROM server_tokens WHERE revoked_at IS NULL'
-    );
-    serverTokensCache = new Map();
-    result.rows.forEach(row => {
-      serverTokensCache.set(row.token, {
-        server: row.server_name,
-        createdAt: row.created_at
-      });
-    });
-    console.log(`[Auth] Loaded ${serverTokensCache.size} server tokens`);
+    const result = await pool.query('SELECT * FROM server_tokens WHERE revoked_at IS NULL');
+    const now = Date.now();
+    const cache = new Map();
+    const addToCache = (prefix, entry) => {
+      if (!cache.has(prefix)) cache.set(prefix, []);
+      cache.get(prefix).push(entry);
+    };
+    for (const row of result.rows) {
+      const current = row.token
+        ? await hashLegacyServerToken(row)
+        : { prefix: row.token_prefix, hash: row.token_hash };
+      const scopes = Array.isArray(row.scopes) ? row.scopes : SERVER_TOKEN_SCOPES;
+      const expiresAt = row.expires_at ? new Date(row.expires_at).getTime() : null;
+      if (current.hash && (!expiresAt || expiresAt > now)) {
+        addToCache(current.prefix, {
+          id: row.id,
+          server: row.server_name,
+          hash: current.hash,
+          scopes,
+          createdAt: row.created_at,
+          expiresAt,
+          previous: false
+        });
+      }
+      const previousExpiresAt = row.previous_expires_at ? new Date(row.previous_expires_at).getTime() : null;
+      if (row.previous_token_hash && previousExpiresAt > now) {
+        addToCache(row.previous_token_prefix, {
+          id: row.id,
+          server: row.server_name,
+          hash: row.previous_token_hash,
+          scopes,
+          createdAt: row.created_at,
+          expiresAt: expiresAt ? Math.min(expiresAt, previousExpiresAt) : previousExpiresAt,
+          previous: true
+        });
+      }
+    }
+    serverTokensCache = cache;
+    console.log(`[Auth] Loaded ${result.rows.length} server tokens`);
   } catch (err) {
     // Table may not exist yet - that's OK
     if (err.code !== '42P01') { // relation does not exist
@@ -246,6 +526,32 @@ async function loadServerTokens() {
     }
   }
 }
+
+// Look up a presented X-Pdev-Token; null if unknown, revoked or expired
+function getServerToken(token) {
+  if (!token || typeof token !== 'string' || token.length > 128) return null;
+  const candidates = serverTokensCache.get(token.substring(0, SERVER_TOKEN_PREFIX_LENGTH)) || [];
+  const info = candidates.find(entry => serverTokenMatches(token, entry.hash));
+  if (!info || (info.expiresAt && info.expiresAt <= Date.now())) return null;
+  return info;
+}
+
+// Record last use (at most once a minute per token)
+function touchServerToken(info, req) {
+  const now = Date.now();
+  if (now - (serverTokenLastTouch.get(info.id) || 0) < SERVER_TOKEN_TOUCH_INTERVAL_MS) return;
+  serverTokenLastTouch.set(info.id, now);
+  pool.query(
+    'UPDATE server_tokens SET last_used_at = NOW(), last_used_ip = $2 WHERE id = $1',
+    [info.id, (getClientIP(req) || '').substring(0, 45) || null]
+  ).catch(err => {
+    if (err.code === '42703') { // last_used_ip missing (migration 015 not applied)
+      return pool.query('UPDATE server_tokens SET last_used_at = NOW() WHERE id = $1', [info.id]);
+    }
+    throw err;
+  }).catch(err => console.error('[Auth] Failed to record server token use:', err.message));
+}
+
 // Refresh tokens every 5 minutes
 setInterval(loadServerTokens, 5 * 60 * 1000);
 
@@ -341,11 +647,72 @@ app.use(helmet({
   noSniff: true
 }));
 
+// ============================================================================
+// API VERSIONING
+// ============================================================================
+// /api/v1/<route> is the versioned name of every unversioned route (/api/v1/projects ->
+// /projects): the URL is rewritten here, before rate limiting and auth, so both names share
+// one handler and one set of checks. /api/v1/pdev/* is not rewritten - it is the
+// compatibility layer for callers of the retired PDev API service (see LEGACY PDEV API below).
+const API_V1_PREFIX = '/api/v1';
+const LEGACY_API_PREFIX = '/api/v1/pdev';
+
+app.use((req, res, next) => {
+  if (req.path.startsWith(API_V1_PREFIX + '/') && !req.path.startsWith(LEGACY_API_PREFIX + '/')) {
+    req.url = req.url.slice(API_V1_PREFIX.length);
+    req.apiVersion = 'v1';
+    res.setHeader('X-Pdev-Api-Version', 'v1');
+  }
+  next();
+});
+
+// Error envelope. Handlers answer errors with { error: 'message', code?, details? }; under
+// /api/v1 that becomes { error: { code, message, details } }. Unversioned routes keep the
+// string (existing clients read it) and gain the same code. Anything else a handler put next
+// to the message (path, retryAfter, ...) becomes the details when there are none.
+const ERROR_CODES_BY_STATUS = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHENTICATED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  410: 'GONE',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  503: 'UNAVAILABLE'
+};
+
+function errorCodeForStatus(status) {
+  return ERROR_CODES_BY_STATUS[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+app.use((req, res, next) => {
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 400 || !body || typeof body.error !== 'string') {
+      return sendJson(body);
+    }
+    const { error: message, code, details, ...extra } = body;
+    const errorCode = typeof code === 'string' ? code : errorCodeForStatus(res.statusCode);
+    if (!req.apiVersion) {
+      return sendJson({ ...body, code: errorCode });
+    }
+    const errorDetails = details !== undefined ? details : (Object.keys(extra).length > 0 ? extra : undefined);
+    return sendJson({
+      error: { code: errorCode, message, ...(errorDetails !== undefined ? { details: errorDetails } : {}) }
+    });
+  };
+  next();
+});
+
 // Rate limiting
 const rateLimit = require('express-rate-limit');
+// Requests per minute per IP (PDEV_RATE_LIMIT, default 100 - also when it isn't a positive number)
+const API_RATE_LIMIT = parseInt(process.env.PDEV_RATE_LIMIT, 10);
 const apiLimiter = rateLimit({
   windowMs: 60 * 1000,
-  max: 100,
+  max: API_RATE_LIMIT > 0 ? API_RATE_LIMIT : 100,
   message: { error: 'Rate limit exceeded' },
   standardHeaders: true,
   legacyHeaders: false
@@ -364,7 +731,12 @@ app.use(express.json({ limit: '10mb' }));
 // ============================================================================
 // Backward compatibility: Accept both old (server_origin/project_name) and new (server/project) parameters
 // Normalize to new standard while logging deprecation warnings
+// /api/v1 only takes the new names (see openapi.yaml)
 app.use((req, res, next) => {
+  if (req.apiVersion) {
+    return next();
+  }
+
   // Query parameters
   if (req.query.server_origin && !req.query.server) {
     // Sanitize before normalization (alphanumeric, hyphens, underscores only)
@@ -404,6 +776,182 @@ app.use((req, res, next) => {
   next();
 });
 
+// ============================================================================
+// OPENAPI SPECIFICATION & REQUEST VALIDATION
+// ============================================================================
+// openapi.yaml describes every route. Path and query parameters and JSON bodies are checked
+// against it here, before auth, for both the /api/v1 and the unversioned names; requests it
+// does not describe pass through untouched. Failures are 400 VALIDATION_FAILED with one
+// { location, field, message } per problem in details. Handlers keep their own checks (the
+// spec only declares what they already reject) and still read the original strings - values
+// are coerced on a copy.
+const OPENAPI_SPEC_PATH = path.join(__dirname, 'openapi.yaml');
+const OPENAPI_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const OPENAPI_SCHEMA_ID = 'pdev-openapi';
+
+// OpenAPI 3.0 schema -> JSON Schema: nullable becomes a null type and component refs point at
+// the spec registered under OPENAPI_SCHEMA_ID
+function toJsonSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const converted = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (key === '$ref' && typeof value === 'string' && value.startsWith('#/')) {
+      converted.$ref = OPENAPI_SCHEMA_ID + value;
+    } else if (key !== 'nullable' && key !== 'example' && key !== 'deprecated' && !key.startsWith('x-')) {
+      converted[key] = toJsonSchema(value);
+    }
+  });
+  if (schema.nullable === true && typeof schema.type === 'string') {
+    converted.type = [schema.type, 'null'];
+    if (Array.isArray(converted.enum)) converted.enum = [...converted.enum, null];
+  }
+  return converted;
+}
+
+// Component $refs (parameters, request bodies) resolved against the spec
+function resolveSpecRef(spec, item) {
+  if (!item || !item.$ref) return item;
+  return item.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], spec);
+}
+
+function loadOpenApiSpec() {
+  const spec = yaml.load(fs.readFileSync(OPENAPI_SPEC_PATH, 'utf8'));
+  // Parameters are strings on the wire: coerce them (on a copy); bodies are taken as sent
+  const paramAjv = new Ajv({ strict: false, allErrors: true, validateFormats: false, coerceTypes: 'array' });
+  const bodyAjv = new Ajv({ strict: false, allErrors: true, validateFormats: false });
+  const components = toJsonSchema({ components: spec.components });
+  paramAjv.addSchema({ $id: OPENAPI_SCHEMA_ID, ...components });
+  bodyAjv.addSchema({ $id: OPENAPI_SCHEMA_ID, ...components });
+
+  const routes = [];
+  Object.entries(spec.paths).forEach(([specPath, pathItem]) => {
+    const prefixes = (pathItem.servers || spec.servers).map(server => server.url.replace(/\/$/, ''));
+    OPENAPI_METHODS.filter(method => pathItem[method]).forEach(method => {
+      const operation = pathItem[method];
+      const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])]
+        .map(param => resolveSpecRef(spec, param));
+      const wildcards = new Set(parameters.filter(param => param['x-express-wildcard']).map(param => param.name));
+      const keys = [];
+      const pattern = specPath.split(/(\{[^}]+\})/).map(part => {
+        const name = part.match(/^\{([^}]+)\}$/);
+        if (!name) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        keys.push(name[1]);
+        return wildcards.has(name[1]) ? '(.+)' : '([^/]+)';
+      }).join('');
+
+      const validators = {};
+      ['path', 'query'].forEach(location => {
+        const params = parameters.filter(param => param.in === location);
+        if (params.length === 0) return;
+        validators[location] = paramAjv.compile({
+          type: 'object',
+          properties: Object.fromEntries(params.map(param => [param.name, toJsonSchema(param.schema || {})])),
+          required: params.filter(param => param.required).map(param => param.name)
+        });
+      });
+      const body = resolveSpecRef(spec, operation.requestBody);
+      const bodySchema = body && body.content && body.content['application/json'] && body.content['application/json'].schema;
+      if (bodySchema) {
+        validators.body = bodyAjv.compile(toJsonSchema(bodySchema));
+      }
+
+      routes.push({
+        method: method.toUpperCase(),
+        regex: new RegExp(`^(?:${prefixes.map(prefix => prefix.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})${pattern}$`),
+        keys,
+        validators,
+        // security: [] - callable without signing in
+        public: Array.isArray(operation.security) && operation.security.length === 0
+      });
+    });
+  });
+  // Literal segments win over parameters (/sessions/active before /sessions/{sessionId})
+  routes.sort((a, b) => a.keys.length - b.keys.length);
+  return { spec, routes };
+}
+
+let openApi = { spec: null, routes: [] };
+try {
+  openApi = loadOpenApiSpec();
+  console.log(`[OpenAPI] Loaded ${openApi.routes.length} operations from openapi.yaml`);
+} catch (err) {
+  console.error('[OpenAPI] openapi.yaml is invalid or unreadable - requests are not validated:', err.message);
+}
+
+function validationDetails(location, errors) {
+  return errors.map(error => {
+    const pointer = error.instancePath || '';
+    const missing = error.keyword === 'required' ? error.params.missingProperty : null;
+    let field;
+    if (location === 'body') {
+      field = missing ? `${pointer}/${missing}` : (pointer || '/');
+    } else {
+      field = missing || pointer.split('/')[1] || '';
+    }
+    const allowed = error.keyword === 'enum' ? `: ${error.params.allowedValues.join(', ')}` : '';
+    return { location, field, message: `${missing ? 'is required' : error.message}${allowed}` };
+  });
+}
+
+function describeValidationProblem(problem) {
+  if (problem.location === 'body') {
+    return `Request body ${problem.field === '/' ? '' : problem.field + ' '}${problem.message}`;
+  }
+  return `${problem.location === 'path' ? 'Path' : 'Query'} parameter ${problem.field} ${problem.message}`;
+}
+
+function validateApiRoute(route, fullPath, req, res, next) {
+  const match = route.regex.exec(fullPath);
+  const pathParams = {};
+  try {
+    route.keys.forEach((key, index) => { pathParams[key] = decodeURIComponent(match[index + 1]); });
+  } catch (err) {
+    return res.status(400).json({ error: 'Malformed URL encoding', code: 'VALIDATION_FAILED' });
+  }
+
+  const problems = [];
+  const inputs = { path: pathParams, query: JSON.parse(JSON.stringify(req.query)), body: req.body };
+  ['path', 'query', 'body'].forEach(location => {
+    const validate = route.validators[location];
+    if (validate && !validate(inputs[location])) {
+      problems.push(...validationDetails(location, validate.errors));
+    }
+  });
+  if (problems.length > 0) {
+    return res.status(400).json({
+      error: describeValidationProblem(problems[0]),
+      code: 'VALIDATION_FAILED',
+      details: problems
+    });
+  }
+  next();
+}
+
+// Public operations are validated here; the others only once the caller is authenticated
+// (after requireSession / requireAccount), so signed-out callers get 401 rather than schema errors
+function apiRequestValidator({ publicOperations }) {
+  return (req, res, next) => {
+    const fullPath = req.apiVersion ? API_V1_PREFIX + req.path : req.path;
+    const route = openApi.routes.find(candidate => candidate.method === req.method && candidate.regex.test(fullPath));
+    if (!route || route.public !== publicOperations) {
+      return next();
+    }
+    validateApiRoute(route, fullPath, req, res, next);
+  };
+}
+
+const validateApiRequest = apiRequestValidator({ publicOperations: false });
+app.use(apiRequestValidator({ publicOperations: true }));
+
+// The spec itself (public, like /contract/schema)
+app.get('/openapi.json', (req, res) => {
+  if (!openApi.spec) {
+    return res.status(503).json({ error: 'OpenAPI specification unavailable' });
+  }
+  res.json(openApi.spec);
+});
+
 // ============================================================================
 // SESSION-BASED AUTHENTICATION
 // ============================================================================
@@ -432,87 +980,373 @@ app.use(session({
   }
 }));
 
-// Rate limiter for login endpoint (5 attempts per 15 minutes)
-const loginLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 5,
-  message: { error: 'Too many login attempts, try again later' },
-  standardHeaders: true,
-  legacyHeaders: false
-});
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+// Administrative and security-sensitive actions go to audit_events (migration 014)
+// as well as the console. Writes are fire-and-forget: a failed insert is logged
+// but never fails the request being audited.
 
-// Login endpoint
-app.post('/auth/login', loginLimiter, (req, res) => {
-  const { username, password } = req.body;
+const AUDIT_OUTCOMES = ['success', 'failure', 'denied'];
+let auditTableMissingWarned = false;
 
-  // Input validation
-  if (typeof username !== 'string' || typeof password !== 'string') {
-    return res.status(400).json({ error: 'Invalid request format' });
+// Who is acting and how they authenticated (a valid X-Admin-Key wins, as in requireAdmin;
+// a wrong one is attributed to whoever else the request authenticates as)
+function auditActor(req) {
+  const session = req.session || {};
+  if (adminKeyMatches(req.headers['x-admin-key'])) {
+    return { actor: 'admin-key', userId: null, authMethod: 'admin_key' };
   }
-  if (username.length > 100 || password.length > 200) {
-    return res.status(400).json({ error: 'Invalid credentials' });
+  if (req.headers['x-share-token']) {
+    return { actor: session.username || 'share-token', userId: session.userId || null, authMethod: 'share_token' };
+  }
+  if (req.user || session.authenticated) {
+    const user = req.user || { id: session.userId, username: session.username };
+    return { actor: user.username || 'unknown', userId: user.id || null, authMethod: 'session' };
+  }
+  if (req.headers['x-pdev-token']) {
+    const serverInfo = getServerToken(req.headers['x-pdev-token']);
+    return { actor: serverInfo ? serverInfo.server : 'unknown-token', userId: null, authMethod: 'server_token' };
   }
+  return { actor: 'anonymous', userId: null, authMethod: 'none' };
+}
 
-  const validUser = process.env.PDEV_USERNAME;
-  const validPass = process.env.PDEV_PASSWORD;
+// Record an audit event
+// options: targetType, target, outcome (success|failure|denied), details (JSON),
+//          actor (overrides { actor, userId, authMethod } from the request)
+function recordAudit(req, action, options = {}) {
+  const who = { ...auditActor(req), ...options.actor };
+  const outcome = AUDIT_OUTCOMES.includes(options.outcome) ? options.outcome : 'success';
+  const target = options.target === undefined || options.target === null ? null : String(options.target);
+
+  pool.query(
+    `INSERT INTO audit_events (actor, actor_user_id, auth_method, ip, action, target_type, target, outcome, details)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      String(who.actor).substring(0, 100),
+      who.userId || null,
+      who.authMethod,
+      (getClientIP(req) || '').substring(0, 45) || null,
+      action,
+      options.targetType || null,
+      target ? target.substring(0, 255) : null,
+      outcome,
+      options.details ? JSON.stringify(options.details) : null
+    ]
+  ).catch(err => {
+    if (err.code === '42P01') {
+      if (!auditTableMissingWarned) {
+        auditTableMissingWarned = true;
+        console.warn('[Audit] audit_events table missing - run migration 014_add_audit_events');
+      }
+      return;
+    }
+    console.error(`[Audit] Failed to record ${action}:`, err.message);
+  });
+}
 
-  if (!validUser || !validPass) {
-    console.error('[AUTH] PDEV_USERNAME or PDEV_PASSWORD not configured');
-    return res.status(500).json({ error: 'Auth not configured' });
+// ============================================================================
+// USER ACCOUNTS
+// ============================================================================
+// Users live in pdev_users (migration 011) with roles admin/editor/viewer.
+// The first admin is seeded from PDEV_USERNAME/PDEV_PASSWORD when the table is empty.
+// Sessions carry userId + sessionVersion; bumping session_version (disable, password
+// change) signs the user out everywhere. Other instances pick up changes on the next
+// cache refresh (1 minute).
+
+const USER_ROLES = ['admin', 'editor', 'viewer'];
+const BCRYPT_ROUNDS = 12;
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const USERNAME_PATTERN = /^[a-zA-Z0-9_]{3,50}$/;
+const READ_ONLY_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+
+// Compared against when the username is unknown, so failed logins take the same time
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+
+// Users cache (loaded from DB, refreshed periodically)
+// Maps id -> { id, username, role, sessionVersion, disabled }
+let usersCache = new Map();
+let usersTableReady = false;
+
+function cacheUser(row) {
+  const user = {
+    id: row.id,
+    username: row.username,
+    role: row.role,
+    sessionVersion: row.session_version,
+    disabled: !!row.disabled_at
+  };
+  usersCache.set(row.id, user);
+  return user;
+}
+
+async function loadUsers() {
+  try {
+    const result = await pool.query(
+      'SELECT id, username, role, session_version, disabled_at FROM pdev_users'
+    );
+    usersCache = new Map();
+    result.rows.forEach(cacheUser);
+    usersTableReady = true;
+    console.log(`[Auth] Loaded ${usersCache.size} users`);
+  } catch (err) {
+    if (err.code === '42P01') { // relation does not exist
+      usersTableReady = false;
+      console.warn('[Auth] pdev_users missing - falling back to PDEV_USERNAME/PDEV_PASSWORD login (apply migration 011_add_users)');
+    } else {
+      console.error('[Auth] Failed to load users:', err.message);
+    }
   }
+}
+// Refresh users every minute (picks up changes made on other instances)
+setInterval(loadUsers, 60 * 1000);
 
-  // Timing-safe comparison for BOTH username and password
-  const usernameBuffer = Buffer.from(String(username));
-  const validUserBuffer = Buffer.from(String(validUser));
-  const passwordBuffer = Buffer.from(String(password));
-  const validPassBuffer = Buffer.from(String(validPass));
+// Seed the first admin from the legacy env credentials
+async function ensureBootstrapAdmin() {
+  try {
+    const countResult = await pool.query('SELECT COUNT(*) FROM pdev_users');
+    if (parseInt(countResult.rows[0].count, 10) > 0) return;
 
-  const maxUserLen = Math.max(usernameBuffer.length, validUserBuffer.length);
-  const maxPassLen = Math.max(passwordBuffer.length, validPassBuffer.length);
+    const username = (process.env.PDEV_USERNAME || '').trim();
+    const password = process.env.PDEV_PASSWORD;
+    if (!username || !password) {
+      console.warn('[Auth] No users exist - set PDEV_USERNAME and PDEV_PASSWORD to create the first admin');
+      return;
+    }
 
-  const paddedUsername = Buffer.alloc(maxUserLen);
-  const paddedValidUser = Buffer.alloc(maxUserLen);
-  const paddedPassword = Buffer.alloc(maxPassLen);
-  const paddedValidPass = Buffer.alloc(maxPassLen);
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    await pool.query(
+      `INSERT INTO pdev_users (username, password_hash, role, invited_by)
+       VALUES ($1, $2, 'admin', 'bootstrap')
+       ON CONFLICT DO NOTHING`,
+      [username.slice(0, 50), passwordHash]
+    );
+    console.log('[Auth] Created admin user from PDEV_USERNAME:', username);
+  } catch (err) {
+    if (err.code !== '42P01') {
+      console.error('[Auth] Failed to seed admin user:', err.message);
+    }
+  }
+}
 
-  usernameBuffer.copy(paddedUsername);
-  validUserBuffer.copy(paddedValidUser);
-  passwordBuffer.copy(paddedPassword);
-  validPassBuffer.copy(paddedValidPass);
+async function getCachedUser(userId) {
+  if (usersCache.has(userId)) {
+    return usersCache.get(userId);
+  }
+  // Created on another instance since the last refresh
+  const result = await pool.query(
+    'SELECT id, username, role, session_version, disabled_at FROM pdev_users WHERE id = $1',
+    [userId]
+  );
+  return result.rows.length > 0 ? cacheUser(result.rows[0]) : null;
+}
 
-  const userMatch = crypto.timingSafeEqual(paddedUsername, paddedValidUser);
-  const passMatch = crypto.timingSafeEqual(paddedPassword, paddedValidPass);
-  const lengthMatch = usernameBuffer.length === validUserBuffer.length &&
-                      passwordBuffer.length === validPassBuffer.length;
+// Resolve the signed-in user for a session; returns null if the session is no longer valid
+async function resolveSessionUser(req) {
+  if (!req.session || !req.session.authenticated) {
+    return null;
+  }
 
-  if (userMatch && passMatch && lengthMatch) {
-    req.session.regenerate((err) => {
-      if (err) {
-        console.error('[AUTH] Session regenerate error:', err);
-        return res.status(500).json({ error: 'Session error' });
-      }
-      req.session.authenticated = true;
-      req.session.loginTime = Date.now();
-      req.session.save((err) => {
-        if (err) {
-          console.error('[AUTH] Session save error:', err);
-          return res.status(500).json({ error: 'Session error' });
-        }
-        console.log('[AUTH] Login successful for user:', username);
-        res.json({ success: true });
-      });
-    });
-  } else {
-    console.log('[AUTH] Login failed for user:', username);
-    res.status(401).json({ error: 'Invalid credentials' });
+  // Legacy env login and nginx Basic Auth sessions have no user row
+  if (!req.session.userId) {
+    return {
+      id: null,
+      username: req.session.username || 'pdev',
+      role: req.session.role || 'editor'
+    };
   }
-});
 
-// Logout endpoint
-app.post('/auth/logout', (req, res) => {
-  const sessionId = req.session.id;
-  req.session.destroy((err) => {
-    if (err) {
+  const user = await getCachedUser(req.session.userId);
+  if (!user || user.disabled || user.sessionVersion !== req.session.sessionVersion) {
+    clearSessionAuth(req);
+    return null;
+  }
+  return { id: user.id, username: user.username, role: user.role };
+}
+
+function clearSessionAuth(req) {
+  delete req.session.authenticated;
+  delete req.session.loginTime;
+  delete req.session.userId;
+  delete req.session.username;
+  delete req.session.role;
+  delete req.session.sessionVersion;
+}
+
+function formatUser(row) {
+  let status = 'active';
+  if (row.disabled_at) {
+    status = 'disabled';
+  } else if (!row.password_hash && !row.oidc_subject) {
+    status = 'invited';
+  }
+  return {
+    id: row.id,
+    username: row.username,
+    email: row.email,
+    role: row.role,
+    sso: !!row.oidc_subject,
+    twoFactor: !!row.totp_enabled_at,
+    status: status,
+    invitedBy: row.invited_by,
+    inviteExpiresAt: row.invite_token_hash ? row.invite_expires_at : null,
+    lastLoginAt: row.last_login_at,
+    createdAt: row.created_at
+  };
+}
+
+function hashInviteToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Timing-safe string comparison (pads to equal length first)
+function timingSafeStringEqual(a, b) {
+  const aBuffer = Buffer.from(String(a));
+  const bBuffer = Buffer.from(String(b));
+  const maxLen = Math.max(aBuffer.length, bBuffer.length);
+  const paddedA = Buffer.alloc(maxLen);
+  const paddedB = Buffer.alloc(maxLen);
+  aBuffer.copy(paddedA);
+  bBuffer.copy(paddedB);
+  return crypto.timingSafeEqual(paddedA, paddedB) && aBuffer.length === bBuffer.length;
+}
+
+// Check username/password; returns the user row (or a legacy env user) or null
+async function authenticateUser(username, password) {
+  if (!usersTableReady) {
+    const validUser = process.env.PDEV_USERNAME;
+    const validPass = process.env.PDEV_PASSWORD;
+    if (!validUser || !validPass) {
+      throw new Error('PDEV_USERNAME or PDEV_PASSWORD not configured');
+    }
+    // Evaluate both comparisons so timing doesn't reveal which one failed
+    const userMatch = timingSafeStringEqual(username, validUser);
+    const passMatch = timingSafeStringEqual(password, validPass);
+    return userMatch && passMatch ? { id: null, username: validUser, role: 'editor' } : null;
+  }
+
+  const result = await pool.query(
+    'SELECT * FROM pdev_users WHERE LOWER(username) = LOWER($1)',
+    [username]
+  );
+  const row = result.rows[0];
+  const passwordMatch = await bcrypt.compare(password, (row && row.password_hash) || DUMMY_PASSWORD_HASH);
+  if (!row || !row.password_hash || row.disabled_at || !passwordMatch) {
+    return null;
+  }
+  return row;
+}
+
+// Regenerate the session (prevents fixation) and bind it to a user
+function startUserSession(req, user, loginMethod, callback) {
+  req.session.regenerate((err) => {
+    if (err) {
+      return callback(err);
+    }
+    req.session.authenticated = true;
+    req.session.loginTime = Date.now();
+    req.session.loginMethod = loginMethod;
+    req.session.userId = user.id;
+    req.session.username = user.username;
+    req.session.role = user.role;
+    req.session.sessionVersion = user.session_version;
+    req.session.save((err) => {
+      if (err) {
+        return callback(err);
+      }
+      if (user.id) {
+        cacheUser(user);
+        pool.query(
+          'UPDATE pdev_users SET last_login_at = NOW(), last_login_ip = $2 WHERE id = $1',
+          [user.id, getClientIP(req)]
+        ).catch(updateErr => console.error('[AUTH] Failed to record login:', updateErr.message));
+      }
+      callback(null);
+    });
+  });
+}
+
+// Rate limiter for login endpoint (5 attempts per 15 minutes)
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: { error: 'Too many login attempts, try again later' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Login endpoint
+app.post('/auth/login', loginLimiter, async (req, res) => {
+  const { username, password } = req.body;
+
+  // Input validation
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Invalid request format' });
+  }
+  if (username.length > 100 || password.length > 200) {
+    return res.status(400).json({ error: 'Invalid credentials' });
+  }
+
+  let user;
+  try {
+    user = await authenticateUser(username, password);
+  } catch (err) {
+    console.error('[AUTH] Login error:', err.message);
+    return res.status(500).json({ error: 'Auth not configured' });
+  }
+
+  if (!user) {
+    console.log('[AUTH] Login failed for user:', username);
+    recordAudit(req, 'auth.login', {
+      targetType: 'user', target: username, outcome: 'failure',
+      actor: { actor: username || 'anonymous', userId: null, authMethod: 'none' }
+    });
+    return res.status(401).json({ error: 'Invalid credentials' });
+  }
+
+  // Password accepted - enrolled users finish at /auth/login/totp
+  if (user.totp_enabled_at) {
+    return req.session.regenerate((err) => {
+      if (err) {
+        console.error('[AUTH] Session regenerate error:', err);
+        return res.status(500).json({ error: 'Session error' });
+      }
+      req.session.pendingTotp = {
+        userId: user.id,
+        sessionVersion: user.session_version,
+        createdAt: Date.now(),
+        attempts: 0
+      };
+      req.session.save((err) => {
+        if (err) {
+          console.error('[AUTH] Session save error:', err);
+          return res.status(500).json({ error: 'Session error' });
+        }
+        console.log('[AUTH] Password accepted, awaiting TOTP for user:', user.username);
+        res.json({ success: false, totpRequired: true });
+      });
+    });
+  }
+
+  startUserSession(req, user, 'password', (err) => {
+    if (err) {
+      console.error('[AUTH] Session error:', err);
+      return res.status(500).json({ error: 'Session error' });
+    }
+    console.log('[AUTH] Login successful for user:', user.username);
+    recordAudit(req, 'auth.login', { targetType: 'user', target: user.username, details: { method: 'password' } });
+    res.json({ success: true, user: { id: user.id, username: user.username, role: user.role } });
+  });
+});
+
+// Logout endpoint
+app.post('/auth/logout', (req, res) => {
+  const sessionId = req.session.id;
+  if (req.session.authenticated) {
+    recordAudit(req, 'auth.logout', { targetType: 'user', target: req.session.username });
+  }
+  req.session.destroy((err) => {
+    if (err) {
       console.error('[AUTH] Session destroy error:', err);
     }
     res.clearCookie('pdev.sid', {
@@ -526,11 +1360,66 @@ app.post('/auth/logout', (req, res) => {
 });
 
 // Auth check endpoint
-app.get('/auth/check', (req, res) => {
-  res.json({
-    authenticated: !!req.session.authenticated,
-    loginTime: req.session.loginTime || null
-  });
+app.get('/auth/check', async (req, res) => {
+  try {
+    const user = await resolveSessionUser(req);
+    res.json({
+      authenticated: !!user,
+      loginTime: user ? req.session.loginTime : null,
+      user: user
+    });
+  } catch (err) {
+    console.error('[AUTH] Auth check error:', err.message);
+    res.status(500).json({ error: 'Failed to check session' });
+  }
+});
+
+// Accept an invite: set the password for an invited (or reset) account
+app.post('/auth/accept-invite', loginLimiter, async (req, res) => {
+  const { token, password } = req.body;
+
+  if (typeof token !== 'string' || token.length > 100 || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Invalid request format' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT id, username FROM pdev_users
+       WHERE invite_token_hash = $1 AND invite_expires_at > NOW() AND disabled_at IS NULL`,
+      [hashInviteToken(token)]
+    );
+    if (result.rows.length === 0) {
+      recordAudit(req, 'auth.accept_invite', { outcome: 'failure', details: { reason: 'invalid_or_expired' } });
+      return res.status(400).json({ error: 'This invite link is invalid or has expired' });
+    }
+    const user = result.rows[0];
+
+    const passwordErrors = validatePasswordStrength(password, user.username);
+    if (passwordErrors.length > 0) {
+      return res.status(400).json({ error: passwordErrors.join('. ') });
+    }
+
+    const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    const updated = await pool.query(
+      `UPDATE pdev_users
+       SET password_hash = $2, invite_token_hash = NULL, invite_expires_at = NULL,
+           session_version = session_version + 1, updated_at = NOW()
+       WHERE id = $1
+       RETURNING id, username, role, session_version, disabled_at`,
+      [user.id, passwordHash]
+    );
+    cacheUser(updated.rows[0]);
+
+    console.log('[AUTH] Invite accepted for user:', user.username);
+    recordAudit(req, 'auth.accept_invite', {
+      targetType: 'user', target: user.username,
+      actor: { actor: user.username, userId: user.id, authMethod: 'none' }
+    });
+    res.json({ success: true, username: user.username });
+  } catch (err) {
+    console.error('[AUTH] Accept invite error:', err.message);
+    res.status(500).json({ error: 'Failed to accept invite' });
+  }
 });
 
 // Rate limiter for credential updates (3 attempts per hour)
@@ -542,9 +1431,6 @@ const credentialUpdateLimiter = rateLimit({
   legacyHeaders: false
 });
 
-// File lock to prevent concurrent credential updates
-let credentialUpdateLock = false;
-
 // Validate password strength
 function validatePasswordStrength(password, username) {
   const errors = [];
@@ -563,34 +1449,16 @@ function validatePasswordStrength(password, username) {
   return errors;
 }
 
-// Update credentials endpoint
-app.post('/auth/update-credentials', credentialUpdateLimiter, async (req, res) => {
+// Update credentials endpoint (signed-in user's own account)
+app.post('/auth/update-credentials', credentialUpdateLimiter, requireAccount, validateApiRequest, async (req, res) => {
   const clientIP = req.ip || req.connection.remoteAddress;
 
-  // 1. Check authentication
-  if (!req.session || !req.session.authenticated) {
-    console.log(`[AUTH] Credential update rejected - not authenticated (IP: ${clientIP})`);
-    return res.status(401).json({ error: 'Not authenticated' });
-  }
-
-  // 2. Re-authentication timeout (5 minutes) - require recent login for sensitive operation
-  const REAUTH_TIMEOUT = 5 * 60 * 1000;
-  if (Date.now() - req.session.loginTime > REAUTH_TIMEOUT) {
-    console.log(`[AUTH] Credential update rejected - session too old (IP: ${clientIP})`);
-    return res.status(401).json({
-      error: 'For security, please log out and log back in before changing credentials',
-      code: 'REAUTH_REQUIRED'
-    });
-  }
-
-  // 3. Prevent concurrent updates
-  if (credentialUpdateLock) {
-    return res.status(429).json({ error: 'Another credential update in progress. Please wait.' });
-  }
+  // 1. Signed in with a user account (requireAccount answers 401/409 otherwise)
+  const sessionUser = req.user;
 
-  const { currentPassword, newUsername, newPassword } = req.body;
+  const { currentPassword, newUsername, newPassword, totpCode } = req.body;
 
-  // 4. Validate input types
+  // 2. Validate input types
   if (typeof currentPassword !== 'string') {
     return res.status(400).json({ error: 'Current password is required' });
   }
@@ -603,106 +1471,72 @@ app.post('/auth/update-credentials', credentialUpdateLimiter, async (req, res) =
     return res.status(400).json({ error: 'Please provide a new username or password' });
   }
 
-  // 5. Validate new username if provided
-  if (hasNewUsername) {
-    const trimmedUsername = newUsername.trim();
-    if (!/^[a-zA-Z0-9_]{3,50}$/.test(trimmedUsername)) {
-      return res.status(400).json({
-        error: 'Username must be 3-50 characters (letters, numbers, underscore only)'
-      });
-    }
+  // 3. Validate new username if provided
+  if (hasNewUsername && !USERNAME_PATTERN.test(newUsername.trim())) {
+    return res.status(400).json({
+      error: 'Username must be 3-50 characters (letters, numbers, underscore only)'
+    });
   }
 
-  // 6. Validate new password if provided
+  // 4. Validate new password if provided
   if (hasNewPassword) {
-    const usernameToCheck = hasNewUsername ? newUsername.trim() : process.env.PDEV_USERNAME;
+    const usernameToCheck = hasNewUsername ? newUsername.trim() : sessionUser.username;
     const passwordErrors = validatePasswordStrength(newPassword, usernameToCheck);
     if (passwordErrors.length > 0) {
       return res.status(400).json({ error: passwordErrors.join('. ') });
     }
   }
 
-  // 7. Verify current password exists in environment
-  const validPass = process.env.PDEV_PASSWORD;
-  if (!validPass) {
-    console.error('[AUTH] PDEV_PASSWORD not configured');
-    return res.status(500).json({ error: 'Server configuration error' });
-  }
-
-  // 8. Verify current password (timing-safe comparison)
-  const currentPassBuffer = Buffer.from(String(currentPassword));
-  const validPassBuffer = Buffer.from(String(validPass));
-  const maxLen = Math.max(currentPassBuffer.length, validPassBuffer.length);
-  const paddedCurrent = Buffer.alloc(maxLen);
-  const paddedValid = Buffer.alloc(maxLen);
-  currentPassBuffer.copy(paddedCurrent);
-  validPassBuffer.copy(paddedValid);
-
-  const passwordMatch = crypto.timingSafeEqual(paddedCurrent, paddedValid) &&
-                        currentPassBuffer.length === validPassBuffer.length;
-
-  if (!passwordMatch) {
-    console.log(`[AUTH] Credential update failed - wrong current password (IP: ${clientIP})`);
-    return res.status(401).json({ error: 'Current password is incorrect' });
-  }
-
-  // 9. Acquire lock
-  credentialUpdateLock = true;
-  let tempPath = null;
-  const fs = require('fs').promises;
-
   try {
-    const envPath = path.join(__dirname, '.env');
-
-    // 10. Read current .env
-    let envContent;
-    try {
-      envContent = await fs.readFile(envPath, 'utf8');
-    } catch (readErr) {
-      if (readErr.code === 'ENOENT') {
-        throw new Error('.env file not found');
-      }
-      throw readErr;
-    }
-
-    // 11. Verify required lines exist
-    if (!/^PDEV_USERNAME=/m.test(envContent)) {
-      throw new Error('PDEV_USERNAME not found in .env');
-    }
-    if (!/^PDEV_PASSWORD=/m.test(envContent)) {
-      throw new Error('PDEV_PASSWORD not found in .env');
-    }
-
-    // 12. Update credentials in content
-    let updatedContent = envContent;
-    const finalUsername = hasNewUsername ? newUsername.trim() : process.env.PDEV_USERNAME;
-    const finalPassword = hasNewPassword ? newPassword : process.env.PDEV_PASSWORD;
-
-    if (hasNewUsername) {
-      updatedContent = updatedContent.replace(/^PDEV_USERNAME=.*$/m, `PDEV_USERNAME=${finalUsername}`);
+    // 5. Verify current password
+    const result = await pool.query('SELECT * FROM pdev_users WHERE id = $1', [sessionUser.id]);
+    const row = result.rows[0];
+    if (row && row.oidc_subject) {
+      return res.status(409).json({ error: 'Single sign-on accounts are managed by your identity provider' });
     }
-    if (hasNewPassword) {
-      updatedContent = updatedContent.replace(/^PDEV_PASSWORD=.*$/m, `PDEV_PASSWORD=${finalPassword}`);
+    if (!row || !row.password_hash || !(await bcrypt.compare(currentPassword, row.password_hash))) {
+      console.log(`[AUTH] Credential update failed - wrong current password (IP: ${clientIP})`);
+      recordAudit(req, 'auth.update_credentials', {
+        targetType: 'user', target: sessionUser.username, outcome: 'failure', details: { reason: 'wrong_password' }
+      });
+      return res.status(401).json({ error: 'Current password is incorrect' });
     }
 
-    // 13. Atomic write: temp file + rename
-    tempPath = `${envPath}.tmp.${Date.now()}`;
-    await fs.writeFile(tempPath, updatedContent, { mode: 0o600 });
-    await fs.rename(tempPath, envPath);
-    tempPath = null; // Rename succeeded, no cleanup needed
-
-    // 14. Update in-memory env vars
-    if (hasNewUsername) {
-      process.env.PDEV_USERNAME = finalUsername;
-    }
-    if (hasNewPassword) {
-      process.env.PDEV_PASSWORD = finalPassword;
+    // 6. Re-verify the second factor when enrolled
+    if (row.totp_enabled_at) {
+      if (typeof totpCode !== 'string' || totpCode.trim().length === 0) {
+        return res.status(401).json({ error: 'Enter the code from your authenticator app', code: 'TOTP_REQUIRED' });
+      }
+      if (!(await verifySecondFactor(row, totpCode))) {
+        console.log(`[AUTH] Credential update failed - invalid TOTP code (IP: ${clientIP})`);
+        recordAudit(req, 'auth.update_credentials', {
+          targetType: 'user', target: sessionUser.username, outcome: 'failure', details: { reason: 'invalid_totp' }
+        });
+        return res.status(401).json({ error: 'Invalid authentication code', code: 'TOTP_INVALID' });
+      }
     }
 
-    // 15. Log success
-    console.log(`[AUTH] Credentials updated (IP: ${clientIP}, username_changed: ${hasNewUsername}, password_changed: ${hasNewPassword})`);
+    // 7. Update the user row; bumping session_version signs out every other session
+    const finalUsername = hasNewUsername ? newUsername.trim() : row.username;
+    const finalHash = hasNewPassword ? await bcrypt.hash(newPassword, BCRYPT_ROUNDS) : row.password_hash;
+    const updated = await pool.query(
+      `UPDATE pdev_users
+       SET username = $2, password_hash = $3, session_version = session_version + 1, updated_at = NOW()
+       WHERE id = $1
+       RETURNING id, username, role, session_version, disabled_at`,
+      [row.id, finalUsername, finalHash]
+    );
+    cacheUser(updated.rows[0]);
+
+    // 8. Log success
+    console.log(`[AUTH] Credentials updated for ${row.username} (IP: ${clientIP}, username_changed: ${hasNewUsername}, password_changed: ${hasNewPassword})`);
+    recordAudit(req, 'auth.update_credentials', {
+      targetType: 'user',
+      target: finalUsername,
+      details: { previousUsername: row.username, usernameChanged: hasNewUsername, passwordChanged: hasNewPassword }
+    });
 
-    // 16. Destroy session to force re-login with new credentials
+    // 9. Destroy session to force re-login with new credentials
     req.session.destroy((destroyErr) => {
       if (destroyErr) {
         console.error('[AUTH] Session destroy error after credential update:', destroyErr.message);
@@ -719,2876 +1553,9449 @@ app.post('/auth/update-credentials', credentialUpdateLimiter, async (req, res) =
     });
 
   } catch (err) {
-    console.error(`[AUTH] Credential update failed (IP: ${clientIP}):`, err.message);
-
-    // Clean up temp file if it exists
-    if (tempPath) {
-      try {
-        await fs.unlink(tempPath);
-      } catch (unlinkErr) {
-        console.error('[AUTH] Failed to clean up temp file:', unlinkErr.message);
-      }
+    if (err.code === '23505') { // unique_violation on LOWER(username)
+      return res.status(409).json({ error: 'That username is already taken' });
     }
-
+    console.error(`[AUTH] Credential update failed (IP: ${clientIP}):`, err.message);
     res.status(500).json({ error: 'Failed to update credentials. Please try again.' });
-  } finally {
-    // 17. Release lock
-    credentialUpdateLock = false;
   }
 });
 
-// Auto-authenticate session for HTTP Basic Auth users (nginx layer)
-// This allows users who pass nginx Basic Auth to access API endpoints
-// SECURITY: Only trusts requests with X-Pdev-Nginx-Auth header (set by nginx AFTER Basic Auth passes)
-app.use((req, res, next) => {
-  // Skip if already authenticated (avoid re-processing)
-  if (req.session.authenticated) {
-    return next();
+// ============================================================================
+// TWO-FACTOR AUTHENTICATION (TOTP)
+// ============================================================================
+// Optional RFC 6238 codes (SHA-1, 6 digits, 30s) for password logins, plus ten
+// single-use recovery codes. SSO users rely on their identity provider's MFA.
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_DRIFT_STEPS = 1; // accept the previous/next code for clock drift
+const TOTP_LOGIN_TTL_MS = 5 * 60 * 1000;
+const TOTP_MAX_ATTEMPTS = 5;
+const TOTP_ISSUER = process.env.PDEV_TOTP_ISSUER || 'PDev Live';
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
   }
-
-  // Skip for public paths that don't need auth
-  const publicPaths = [
-    '/auth/login', '/auth/logout', '/auth/check',
-    '/health', '/guest/', '/contract', '/version',
-    '/pdev/installer', '/webssh', 
-  ];
-  if (typeof req.path === 'string' && publicPaths.some(p => req.path.startsWith(p))) {
-    return next();
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
   }
+  return output;
+}
 
-  // Skip for static assets
-  if (req.path.match(/\.(css|js|png|jpg|jpeg|gif|ico|svg|woff|woff2|ttf|eot)$/)) {
-    return next();
+function base32Decode(str) {
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+  for (const char of str.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) continue;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
   }
+  return Buffer.from(bytes);
+}
 
-  // SECURE: Auto-authenticate ONLY if nginx set secret header (not client-forgeable)
-  // This header is ONLY set by nginx AFTER auth_basic validates credentials
-  const nginxAuthHeader = req.headers['x-pdev-nginx-auth'];
-  if (nginxAuthHeader === 'validated') {
-    // Regenerate session to avoid session fixation attacks
-    req.session.regenerate((err) => {
-      if (err) {
-        console.error('[Auth] Session regenerate error:', err);
-        return res.status(500).json({ error: 'Session initialization failed' });
-      }
-      req.session.authenticated = true;
-      req.session.loginTime = Date.now();
-      req.session.loginMethod = 'nginx-basic-auth';
-      req.session.username = 'pdev'; // From nginx Basic Auth
-      req.session.save((err) => {
-        if (err) {
-          console.error('[Auth] Auto-auth session save error:', err);
-          return res.status(500).json({ error: 'Session save failed' });
-        }
-        console.log('[Auth] Auto-authenticated session via nginx Basic Auth');
-        next();
-      });
-    });
-  } else {
-    // No nginx auth header - continue to requireSession middleware
-    next();
-  }
-});
+function generateTotp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
 
-// Session middleware - protects browser/web UI access only
-// Bypasses: X-Admin-Key, X-Pdev-Token, public paths, guest tokens
-function requireSession(req, res, next) {
-  // BYPASS: Requests with X-Admin-Key (admin API operations)
-  if (req.headers['x-admin-key']) {
-    return next();
+// Returns the matching time step, or null
+function matchTotpStep(secret, code) {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(normalized)) return null;
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+  for (let drift = -TOTP_DRIFT_STEPS; drift <= TOTP_DRIFT_STEPS; drift++) {
+    if (timingSafeStringEqual(generateTotp(secret, currentStep + drift), normalized)) {
+      return currentStep + drift;
+    }
   }
+  return null;
+}
 
-  // BYPASS: Requests with X-Pdev-Token (CLI/server automation)
-  if (req.headers['x-pdev-token']) {
-    return next();
-  }
+function buildOtpauthUri(username, secret) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
 
-  // BYPASS: Public API paths
-  const publicPaths = [
-    '/auth/login', '/auth/logout', '/auth/check',
-    '/health', '/guest/', '/contract', '/version',
-    '/pdev/installer', '/webssh', 
-  ];
-  if (publicPaths.some(p => req.path.startsWith(p))) {
-    return next();
-  }
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(String(code).toLowerCase().replace(/[^a-z0-9]/g, '')).digest('hex');
+}
 
-  // BYPASS: Static assets (CSS, JS, images, fonts)
-  if (req.path.match(/\.(css|js|png|jpg|jpeg|gif|ico|svg|woff|woff2|ttf|eot)$/)) {
-    return next();
-  }
+// Replace a user's recovery codes; returns the plaintext codes (shown once)
+async function replaceRecoveryCodes(client, userId) {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  await client.query('DELETE FROM pdev_user_recovery_codes WHERE user_id = $1', [userId]);
+  await client.query(
+    `INSERT INTO pdev_user_recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::varchar[])`,
+    [userId, codes.map(hashRecoveryCode)]
+  );
+  return codes;
+}
 
-  // BYPASS: Login page
-  if (req.path === '/live/login.html' || req.path === '/login.html' || req.path === '/login' || req.path === '/live/login.html') {
-    return next();
+// Check a TOTP code (single use per time step) or a recovery code for an enrolled user
+// Returns 'totp', 'recovery' or null
+async function verifySecondFactor(user, code) {
+  if (typeof code !== 'string' || code.length > 20) return null;
+
+  const step = matchTotpStep(user.totp_secret, code);
+  if (step !== null) {
+    const result = await pool.query(
+      `UPDATE pdev_users SET totp_last_step = $2
+       WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)`,
+      [user.id, step]
+    );
+    return result.rowCount === 1 ? 'totp' : null;
   }
 
-  // REQUIRE SESSION: Browser requests without special auth headers
-  if (!req.session.authenticated) {
-    // API requests get 401 JSON response
-    if (req.headers.accept?.includes('application/json') ||
-        req.xhr ||
-        req.path.startsWith('/sessions') ||
-        req.path.startsWith('/api') ||
-        req.path.startsWith('/projects') ||
-        req.path.startsWith('/servers')) {
-      return res.status(401).json({ error: 'Authentication required' });
-    }
-    // HTML page requests redirect to login (use /pdev/ prefix for nginx proxy)
-    return res.redirect('/pdev/live/login.html');
+  const result = await pool.query(
+    `UPDATE pdev_user_recovery_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+    [user.id, hashRecoveryCode(code)]
+  );
+  if (result.rowCount === 1) {
+    console.log('[AUTH] Recovery code used by user:', user.username);
+    return 'recovery';
   }
+  return null;
+}
 
-  next();
+// Signed-in user with a pdev_users row (auth routes run before requireSession)
+async function requireAccount(req, res, next) {
+  try {
+    const user = await resolveSessionUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Not authenticated' });
+    }
+    if (!user.id) {
+      return res.status(409).json({ error: 'This sign-in has no user account' });
+    }
+    req.user = user;
+    next();
+  } catch (err) {
+    console.error('[AUTH] Account lookup failed:', err.message);
+    res.status(500).json({ error: 'Authentication check failed' });
+  }
 }
 
-app.use(requireSession);
+async function getAccountRow(userId) {
+  const result = await pool.query('SELECT * FROM pdev_users WHERE id = $1', [userId]);
+  return result.rows[0] || null;
+}
 
-console.log('[Auth] Session-based authentication enabled (30-day cookie)');
+// Rate limiter for second-factor endpoints (10 attempts per 15 minutes)
+const totpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { error: 'Too many attempts, try again later' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
 
-// ============================================================================
-// STATIC FILE SERVING (Partner Self-Hosted Mode)
-// ============================================================================
-// For partner deployments, serve frontend HTML/CSS/JS files
-// NOTE: Static serving comes AFTER session auth middleware - HTML pages require auth
-// Static assets (CSS, JS, images) bypass auth via requireSession path matching
-if (process.env.PDEV_SERVE_STATIC === 'true') {
-  const path = require('path');
-  const FRONTEND_DIR = process.env.PDEV_FRONTEND_DIR || path.join(__dirname, '..', 'frontend');
+// Second login step for TOTP-enrolled users
+app.post('/auth/login/totp', loginLimiter, async (req, res) => {
+  const pending = req.session.pendingTotp;
+  const { code } = req.body;
 
-  console.log('[Static] Serving frontend files from:', FRONTEND_DIR);
+  if (!pending || Date.now() - pending.createdAt > TOTP_LOGIN_TTL_MS || pending.attempts >= TOTP_MAX_ATTEMPTS) {
+    delete req.session.pendingTotp;
+    return res.status(401).json({ error: 'Sign-in expired. Enter your password again.', code: 'LOGIN_EXPIRED' });
+  }
+  if (typeof code !== 'string') {
+    return res.status(400).json({ error: 'Invalid request format' });
+  }
 
-  const staticOptions = {
-    dotfiles: 'ignore', // Don't serve .env, .git, etc.
-    index: 'index.html',
-    redirect: false,
-    setHeaders: (res, filePath) => {
-      // Prevent caching of HTML (always get latest)
-      if (filePath.endsWith('.html')) {
-        res.setHeader('Cache-Control', 'no-cache, must-revalidate');
-        res.setHeader('X-Content-Type-Options', 'nosniff');
-        res.setHeader('X-Frame-Options', 'DENY');
-      } else {
-        // Cache assets for 1 year
-        res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
-      }
+  try {
+    pending.attempts++;
+    const user = await getAccountRow(pending.userId);
+    if (!user || user.disabled_at || user.session_version !== pending.sessionVersion || !user.totp_enabled_at) {
+      delete req.session.pendingTotp;
+      return res.status(401).json({ error: 'Sign-in expired. Enter your password again.', code: 'LOGIN_EXPIRED' });
     }
-  };
-
-  // Serve static files at root (for nginx proxy with prefix stripping)
-  app.use(express.static(FRONTEND_DIR, staticOptions));
-
-  // Serve static files at /live/ (when nginx strips /pdev/ prefix)
-  app.use('/live', express.static(FRONTEND_DIR, staticOptions));
 
-  // Serve static files at /pdev/live/ (for guest links via regex location)
-  app.use('/pdev/live', express.static(FRONTEND_DIR, staticOptions));
-}
+    const method = await verifySecondFactor(user, code);
+    if (!method) {
+      console.log('[AUTH] TOTP failed for user:', user.username);
+      recordAudit(req, 'auth.login', {
+        targetType: 'user', target: user.username, outcome: 'failure',
+        details: { method: 'password+totp', reason: 'invalid_code' },
+        actor: { actor: user.username, userId: user.id, authMethod: 'none' }
+      });
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
 
-// Favicon route - serve from frontend directory
-app.get('/favicon.ico', (req, res) => {
-  res.sendFile(path.join(FRONTEND_DIR, 'favicon.svg'), {
-    headers: { 'Content-Type': 'image/svg+xml' }
-  });
+    startUserSession(req, user, `password+${method}`, (err) => {
+      if (err) {
+        console.error('[AUTH] Session error:', err);
+        return res.status(500).json({ error: 'Session error' });
+      }
+      console.log(`[AUTH] Login successful for user: ${user.username} (${method})`);
+      recordAudit(req, 'auth.login', { targetType: 'user', target: user.username, details: { method: `password+${method}` } });
+      res.json({ success: true, user: { id: user.id, username: user.username, role: user.role } });
+    });
+  } catch (err) {
+    console.error('[AUTH] TOTP login error:', err.message);
+    res.status(500).json({ error: 'Failed to verify code' });
+  }
 });
 
-// API: Expose document contract (SINGLE SOURCE OF TRUTH for frontend)
-app.get('/contract', (req, res) => {
-  res.json(DOC_CONTRACT);
+// Two-factor status for the signed-in user
+app.get('/auth/totp', requireAccount, validateApiRequest, async (req, res) => {
+  try {
+    const user = await getAccountRow(req.user.id);
+    const codes = await pool.query(
+      'SELECT COUNT(*) FROM pdev_user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [req.user.id]
+    );
+    res.json({
+      enabled: !!user.totp_enabled_at,
+      enabledAt: user.totp_enabled_at,
+      recoveryCodesRemaining: parseInt(codes.rows[0].count, 10),
+      available: !user.oidc_subject
+    });
+  } catch (err) {
+    console.error('[AUTH] TOTP status error:', err.message);
+    res.status(500).json({ error: 'Failed to load two-factor status' });
+  }
 });
 
-// Generate short-lived share token (same-origin only, no secrets exposed)
-app.post('/share-token', (req, res) => {
-  // Rate limit: max 100 active tokens
-  if (shareTokens.size >= MAX_SHARE_TOKENS) {
-    return res.status(429).json({ error: 'Too many active share tokens' });
+// Start enrollment: new secret + provisioning URI/QR (not active until confirmed)
+app.post('/auth/totp/setup', totpLimiter, requireAccount, validateApiRequest, async (req, res) => {
+  try {
+    const user = await getAccountRow(req.user.id);
+    if (user.oidc_subject) {
+      return res.status(409).json({ error: 'Single sign-on accounts use your identity provider\'s two-factor settings' });
+    }
+    if (user.totp_enabled_at) {
+      return res.status(409).json({ error: 'Two-factor authentication is already on. Turn it off first to re-enroll.' });
+    }
+
+    const secret = base32Encode(crypto.randomBytes(20));
+    await pool.query(
+      'UPDATE pdev_users SET totp_pending_secret = $2, updated_at = NOW() WHERE id = $1',
+      [user.id, secret]
+    );
+
+    const otpauthUri = buildOtpauthUri(user.username, secret);
+    res.json({
+      secret,
+      otpauthUri,
+      qrCode: await QRCode.toDataURL(otpauthUri, { margin: 1, width: 200 })
+    });
+  } catch (err) {
+    console.error('[AUTH] TOTP setup error:', err.message);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
   }
+});
 
-  var crypto = require('crypto');
-  var token = crypto.randomBytes(32).toString('base64url');
-  var expiresAt = Date.now() + 5 * 60 * 1000; // 5 minutes
+// Confirm enrollment with a first code; returns recovery codes (shown once)
+app.post('/auth/totp/enable', totpLimiter, requireAccount, validateApiRequest, async (req, res) => {
+  try {
+    const user = await getAccountRow(req.user.id);
+    if (!user.totp_pending_secret) {
+      return res.status(409).json({ error: 'Start two-factor setup first' });
+    }
+    const step = matchTotpStep(user.totp_pending_secret, req.body.code || '');
+    if (step === null) {
+      return res.status(400).json({ error: 'That code didn\'t match. Check the time on your device and try again.' });
+    }
 
-  shareTokens.set(token, { expiresAt: expiresAt, used: false });
-  console.log('[SHARE] Token issued, expires: ' + new Date(expiresAt).toISOString());
+    // Bumping session_version signs out sessions that never passed the second factor
+    const { updated, recoveryCodes } = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE pdev_users
+         SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_enabled_at = NOW(),
+             totp_last_step = $2, session_version = session_version + 1, updated_at = NOW()
+         WHERE id = $1
+         RETURNING id, username, role, session_version, disabled_at`,
+        [user.id, step]
+      );
+      return { updated: result.rows[0], recoveryCodes: await replaceRecoveryCodes(client, user.id) };
+    });
+    cacheUser(updated);
+    req.session.sessionVersion = updated.session_version;
 
-  res.json({ token: token, expiresIn: 300 });
+    console.log('[AUTH] TOTP enabled for user:', user.username);
+    recordAudit(req, 'auth.totp_enable', { targetType: 'user', target: user.username });
+    res.json({ success: true, recoveryCodes });
+  } catch (err) {
+    console.error('[AUTH] TOTP enable error:', err.message);
+    res.status(500).json({ error: 'Failed to turn on two-factor authentication' });
+  }
 });
 
-// Validate share token (one-time use)
-function validateShareToken(token) {
-  if (!token || typeof token !== 'string') return false;
-  var data = shareTokens.get(token);
-  if (!data) return false;
-  if (Date.now() > data.expiresAt || data.used) {
-    shareTokens.delete(token);
-    return false;
-  }
-  // Mark as used (one-time)
-  data.used = true;
-  return true;
-}
+// Turn off TOTP (requires a current code or recovery code)
+app.post('/auth/totp/disable', totpLimiter, requireAccount, validateApiRequest, async (req, res) => {
+  try {
+    const user = await getAccountRow(req.user.id);
+    if (!user.totp_enabled_at) {
+      return res.status(409).json({ error: 'Two-factor authentication is not on' });
+    }
+    if (!(await verifySecondFactor(user, req.body.code))) {
+      recordAudit(req, 'auth.totp_disable', { targetType: 'user', target: user.username, outcome: 'failure' });
+      return res.status(401).json({ error: 'Invalid authentication code', code: 'TOTP_INVALID' });
+    }
 
-// Secure admin authentication middleware
-function requireAdmin(req, res, next) {
-  var authKey = req.headers['x-admin-key'];
-  if (!authKey) {
-    return res.status(401).json({ error: 'Missing X-Admin-Key header' });
+    await withTransaction(async (client) => {
+      await client.query(
+        `UPDATE pdev_users
+         SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL,
+             updated_at = NOW()
+         WHERE id = $1`,
+        [user.id]
+      );
+      await client.query('DELETE FROM pdev_user_recovery_codes WHERE user_id = $1', [user.id]);
+    });
+
+    console.log('[AUTH] TOTP disabled for user:', user.username);
+    recordAudit(req, 'auth.totp_disable', { targetType: 'user', target: user.username });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('[AUTH] TOTP disable error:', err.message);
+    res.status(500).json({ error: 'Failed to turn off two-factor authentication' });
   }
+});
+
+// Regenerate recovery codes (invalidates the old set)
+app.post('/auth/totp/recovery-codes', totpLimiter, requireAccount, validateApiRequest, async (req, res) => {
   try {
-    var crypto = require('crypto');
-    var keyBuffer = Buffer.from(authKey);
-    var adminBuffer = Buffer.from(ADMIN_KEY);
-    if (keyBuffer.length !== adminBuffer.length ||
-        !crypto.timingSafeEqual(keyBuffer, adminBuffer)) {
-      return res.status(401).json({ error: 'Unauthorized' });
+    const user = await getAccountRow(req.user.id);
+    if (!user.totp_enabled_at) {
+      return res.status(409).json({ error: 'Two-factor authentication is not on' });
     }
+    if (!(await verifySecondFactor(user, req.body.code))) {
+      recordAudit(req, 'auth.recovery_codes', { targetType: 'user', target: user.username, outcome: 'failure' });
+      return res.status(401).json({ error: 'Invalid authentication code', code: 'TOTP_INVALID' });
+    }
+
+    const recoveryCodes = await withTransaction(client => replaceRecoveryCodes(client, user.id));
+    console.log('[AUTH] Recovery codes regenerated for user:', user.username);
+    recordAudit(req, 'auth.recovery_codes', { targetType: 'user', target: user.username });
+    res.json({ success: true, recoveryCodes });
   } catch (err) {
-    return res.status(401).json({ error: 'Unauthorized' });
+    console.error('[AUTH] Recovery code error:', err.message);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
   }
-  next();
+});
+
+// ============================================================================
+// OPENID CONNECT SINGLE SIGN-ON
+// ============================================================================
+// Authorization code flow with PKCE against any OIDC provider (PDEV_OIDC_ISSUER).
+// Users are provisioned into pdev_users on first sign-in and their role is re-mapped
+// from PDEV_OIDC_ROLE_CLAIM on every sign-in, so the IdP stays the source of truth.
+// state/nonce/verifier travel in a short-lived signed SameSite=Lax cookie: pdev.sid is
+// SameSite=Strict and is not sent when the IdP redirects back.
+
+function splitEnvList(value) {
+  return value ? value.split(',').map(v => v.trim()).filter(Boolean) : [];
 }
 
-// Server token authentication middleware (for CLI clients)
-// Validates X-Pdev-Token header against database
-function requireServerToken(req, res, next) {
-  var token = req.headers['x-pdev-token'];
-  if (!token) {
-    return res.status(401).json({ error: 'Missing X-Pdev-Token header' });
+const OIDC_CONFIG = {
+  issuer: process.env.PDEV_OIDC_ISSUER || null,
+  clientId: process.env.PDEV_OIDC_CLIENT_ID || null,
+  clientSecret: process.env.PDEV_OIDC_CLIENT_SECRET || null,
+  redirectUri: process.env.PDEV_OIDC_REDIRECT_URI || `${PDEV_BASE_URL}/auth/oidc/callback`,
+  scopes: process.env.PDEV_OIDC_SCOPES || 'openid profile email',
+  usernameClaim: process.env.PDEV_OIDC_USERNAME_CLAIM || 'preferred_username',
+  roleClaim: process.env.PDEV_OIDC_ROLE_CLAIM || 'groups',
+  roleValues: {
+    admin: splitEnvList(process.env.PDEV_OIDC_ADMIN_VALUES),
+    editor: splitEnvList(process.env.PDEV_OIDC_EDITOR_VALUES),
+    viewer: splitEnvList(process.env.PDEV_OIDC_VIEWER_VALUES)
+  },
+  defaultRole: process.env.PDEV_OIDC_DEFAULT_ROLE || null, // unset: unmapped users are refused
+  label: process.env.PDEV_OIDC_LABEL || 'Single Sign-On'
+};
+
+if (OIDC_CONFIG.issuer) {
+  if (!OIDC_CONFIG.clientId) {
+    console.error('FATAL: PDEV_OIDC_CLIENT_ID must be set when PDEV_OIDC_ISSUER is configured');
+    process.exit(1);
+  }
+  if (OIDC_CONFIG.defaultRole && !USER_ROLES.includes(OIDC_CONFIG.defaultRole)) {
+    console.error(`FATAL: PDEV_OIDC_DEFAULT_ROLE must be one of: ${USER_ROLES.join(', ')}`);
+    process.exit(1);
   }
+  console.log('[OIDC] Single sign-on enabled for issuer:', OIDC_CONFIG.issuer);
+}
 
-  var serverInfo = serverTokensCache.get(token);
-  if (!serverInfo) {
-    return res.status(401).json({ error: 'Invalid server token' });
+const OIDC_COOKIE = 'pdev.oidc';
+const OIDC_TRANSACTION_TTL_MS = 10 * 60 * 1000; // 10 minutes to complete the IdP login
+const OIDC_LOGIN_PAGE = '/pdev/live/login.html';
+const OIDC_DEFAULT_REDIRECT = '/pdev/live/';
+
+// Discovery is lazy and cached; a failed discovery is retried on the next login
+let oidcClientPromise = null;
+function getOidcClient() {
+  if (!oidcClientPromise) {
+    oidcClientPromise = Issuer.discover(OIDC_CONFIG.issuer)
+      .then(issuer => {
+        console.log('[OIDC] Discovered issuer:', issuer.issuer);
+        return new issuer.Client({
+          client_id: OIDC_CONFIG.clientId,
+          client_secret: OIDC_CONFIG.clientSecret || undefined,
+          redirect_uris: [OIDC_CONFIG.redirectUri],
+          response_types: ['code'],
+          token_endpoint_auth_method: OIDC_CONFIG.clientSecret ? 'client_secret_basic' : 'none'
+        });
+      })
+      .catch(err => {
+        oidcClientPromise = null;
+        throw err;
+      });
   }
+  return oidcClientPromise;
+}
 
-  // Attach server info to request for logging/validation
-  req.serverOrigin = serverInfo.server;
-  next();
+// Read a claim by dotted path (e.g. "realm_access.roles" for Keycloak)
+function getClaim(claims, claimPath) {
+  return claimPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), claims);
 }
 
-// Optional server token - allows request but attaches server info if valid
-function optionalServerToken(req, res, next) {
-  var token = req.headers['x-pdev-token'];
-  if (token) {
-    var serverInfo = serverTokensCache.get(token);
-    if (serverInfo) {
-      req.serverOrigin = serverInfo.server;
+// Highest mapped role wins; falls back to PDEV_OIDC_DEFAULT_ROLE (or null = refuse)
+function mapOidcRole(claims) {
+  const raw = getClaim(claims, OIDC_CONFIG.roleClaim);
+  let values = [];
+  if (Array.isArray(raw)) {
+    values = raw.map(String);
+  } else if (raw != null) {
+    values = String(raw).split(/[\s,]+/).filter(Boolean);
+  }
+  for (const role of USER_ROLES) {
+    if (OIDC_CONFIG.roleValues[role].some(v => values.includes(v))) {
+      return role;
     }
   }
-  next();
+  return OIDC_CONFIG.defaultRole;
 }
 
-// Secure token validation
-async function validateGuestToken(token) {
-  if (!token || typeof token !== 'string' || token.length > 64) return null;
+// Derive a valid PDev username from the IdP claims
+function oidcUsername(claims) {
+  const raw = String(getClaim(claims, OIDC_CONFIG.usernameClaim) || claims.email || claims.sub);
+  let username = raw.split('@')[0].replace(/[^a-zA-Z0-9_]/g, '_').slice(0, 50);
+  if (username.length < 3) {
+    username = `sso_${username}`;
+  }
+  return username;
+}
 
-  try {
-    const result = await pool.query(
-      `SELECT token, token_type, session_id, server_name, project_name,
-              expires_at, created_at, created_by
-       FROM guest_tokens
-       WHERE token = $1 AND expires_at > NOW()`,
-      [token]
+// Find or create the pdev_users row for an OIDC identity and sync its role/email
+async function provisionOidcUser(claims, role) {
+  const email = typeof claims.email === 'string' ? claims.email.slice(0, 255) : null;
+  const baseUsername = oidcUsername(claims);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const existing = await pool.query(
+      'SELECT * FROM pdev_users WHERE oidc_issuer = $1 AND oidc_subject = $2',
+      [claims.iss, claims.sub]
     );
+    if (existing.rows.length > 0) {
+      const row = existing.rows[0];
+      if (row.disabled_at || (row.role === role && row.email === email)) {
+        return row;
+      }
+      const updated = await pool.query(
+        `UPDATE pdev_users SET role = $2, email = COALESCE($3, email), updated_at = NOW()
+         WHERE id = $1 RETURNING *`,
+        [row.id, role, email]
+      );
+      return updated.rows[0];
+    }
 
-    if (result.rows.length === 0) return null;
+    // Local accounts are never linked by name - a taken username gets a suffix
+    const username = attempt === 0
+      ? baseUsername
+      : `${baseUsername.slice(0, 45)}_${crypto.randomBytes(2).toString('hex')}`;
+    try {
+      const inserted = await pool.query(
+        `INSERT INTO pdev_users (username, email, role, invited_by, oidc_issuer, oidc_subject)
+         VALUES ($1, $2, $3, 'oidc', $4, $5)
+         RETURNING *`,
+        [username, email, role, claims.iss, claims.sub]
+      );
+      console.log(`[OIDC] Provisioned user ${username} as ${role}`);
+      return inserted.rows[0];
+    } catch (err) {
+      if (err.code !== '23505') throw err; // username or identity taken - retry
+    }
+  }
+  throw new Error('Could not allocate a username for OIDC user');
+}
 
-    const row = result.rows[0];
+function signOidcTransaction(data) {
+  const payload = Buffer.from(JSON.stringify(data)).toString('base64url');
+  const signature = crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+  return `${payload}.${signature}`;
+}
 
-    // Return format matching old in-memory structure
-    if (row.token_type === 'session') {
-      return {
-        sessionId: row.session_id,
-        expiresAt: new Date(row.expires_at).getTime(),
-        createdAt: new Date(row.created_at).getTime(),
-        createdBy: row.created_by
-      };
-    } else { // project type
-      return {
-        type: 'project',
-        server: row.server_name,
-        project: row.project_name,
-        expiresAt: new Date(row.expires_at).getTime(),
-        createdAt: new Date(row.created_at).getTime(),
-        createdBy: row.created_by
-      };
-    }
+function readOidcTransaction(req) {
+  const cookie = (req.headers.cookie || '').split(';')
+    .map(c => c.trim())
+    .find(c => c.startsWith(`${OIDC_COOKIE}=`));
+  if (!cookie) return null;
+
+  const [payload, signature] = decodeURIComponent(cookie.slice(OIDC_COOKIE.length + 1)).split('.');
+  if (!payload || !signature) return null;
+  const expected = crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+  if (!timingSafeStringEqual(signature, expected)) return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return Date.now() - data.createdAt < OIDC_TRANSACTION_TTL_MS ? data : null;
   } catch (err) {
-    console.error('[Token] Validation error:', err);
     return null;
   }
 }
 
-// Cryptographically secure token generation
-function generateToken(length) {
-  length = length || 32;
-  var crypto = require('crypto');
-  var bytes = crypto.randomBytes(length);
-  var chars = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
-  var token = '';
-  for (var i = 0; i < length; i++) {
-    token += chars.charAt(bytes[i] % chars.length);
+const OIDC_COOKIE_OPTIONS = {
+  secure: process.env.NODE_ENV === 'production',
+  httpOnly: true,
+  sameSite: 'lax',
+  path: '/'
+};
+
+// Only same-origin paths (blocks //evil.example and /\evil.example)
+function safeRedirectPath(value) {
+  if (typeof value === 'string' && /^\/(?![\/\\])/.test(value) && value.length <= 500) {
+    return value;
   }
-  return token;
+  return OIDC_DEFAULT_REDIRECT;
 }
 
-// =============================================================================
-// SSE ENDPOINTS
-// =============================================================================
+function redirectToLoginError(res, code) {
+  res.redirect(`${OIDC_LOGIN_PAGE}?error=${encodeURIComponent(code)}`);
+}
 
-// SSE endpoint for specific session
-app.get('/events/:sessionId', async (req, res) => {
-  const { sessionId } = req.params;
+// Login options for login.html
+app.get('/auth/providers', (req, res) => {
+  res.json({
+    password: true,
+    oidc: OIDC_CONFIG.issuer ? { enabled: true, label: OIDC_CONFIG.label } : { enabled: false }
+  });
+});
 
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('X-Accel-Buffering', 'no');
+// Start OIDC login: redirect to the IdP authorization endpoint
+app.get('/auth/oidc/login', async (req, res) => {
+  if (!OIDC_CONFIG.issuer) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
+  }
 
-  // Get session with steps from DB
   try {
-    const session = await getSessionWithSteps(sessionId);
-    if (session) {
-      res.write(`data: ${JSON.stringify({ type: 'init', session })}\n\n`);
-    } else {
-      res.write(`data: ${JSON.stringify({ type: 'error', message: 'Session not found' })}\n\n`);
-    }
+    const client = await getOidcClient();
+    const codeVerifier = generators.codeVerifier();
+    const state = generators.state();
+    const nonce = generators.nonce();
+
+    res.cookie(OIDC_COOKIE, signOidcTransaction({
+      state,
+      nonce,
+      codeVerifier,
+      redirect: safeRedirectPath(req.query.redirect),
+      createdAt: Date.now()
+    }), { ...OIDC_COOKIE_OPTIONS, maxAge: OIDC_TRANSACTION_TTL_MS });
+
+    res.redirect(client.authorizationUrl({
+      scope: OIDC_CONFIG.scopes,
+      state,
+      nonce,
+      code_challenge: generators.codeChallenge(codeVerifier),
+      code_challenge_method: 'S256'
+    }));
   } catch (err) {
-    res.write(`data: ${JSON.stringify({ type: 'error', message: err.message })}\n\n`);
+    console.error('[OIDC] Login start failed:', err.message);
+    redirectToLoginError(res, 'sso_unavailable');
   }
+});
 
-  // Add to session-specific clients
-  if (!sessionClients.has(sessionId)) {
-    sessionClients.set(sessionId, new Set());
+// OIDC callback: exchange the code, verify the ID token, sign the user in
+app.get('/auth/oidc/callback', async (req, res) => {
+  if (!OIDC_CONFIG.issuer) {
+    return res.status(404).json({ error: 'Single sign-on is not configured' });
   }
-  sessionClients.get(sessionId).add(res);
-  console.log(`[SSE] Client connected to session ${sessionId}. Total: ${sessionClients.get(sessionId).size}`);
 
-  req.on('close', () => {
-    sessionClients.get(sessionId)?.delete(res);
-    console.log(`[SSE] Client disconnected from session ${sessionId}`);
-  });
-});
-
-// SSE endpoint for all sessions (dashboard)
-app.get('/events', async (req, res) => {
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
-  res.setHeader('X-Accel-Buffering', 'no');
+  const transaction = readOidcTransaction(req);
+  res.clearCookie(OIDC_COOKIE, OIDC_COOKIE_OPTIONS);
+  if (!transaction) {
+    console.log('[OIDC] Callback without a valid login transaction');
+    return redirectToLoginError(res, 'sso_expired');
+  }
 
-  // Send active sessions on connect
   try {
-    const sessions = await getActiveSessions();
-    res.write(`data: ${JSON.stringify({ type: 'init', sessions })}\n\n`);
-  } catch (err) {
-    res.write(`data: ${JSON.stringify({ type: 'error', message: err.message })}\n\n`);
-  }
+    const client = await getOidcClient();
+    const tokenSet = await client.callback(OIDC_CONFIG.redirectUri, client.callbackParams(req), {
+      state: transaction.state,
+      nonce: transaction.nonce,
+      code_verifier: transaction.codeVerifier
+    });
 
-  globalClients.add(res);
-  console.log(`[SSE] Global client connected. Total: ${globalClients.size}`);
+    // Some IdPs only put groups/roles in userinfo
+    let claims = tokenSet.claims();
+    if (getClaim(claims, OIDC_CONFIG.roleClaim) === undefined &&
+        client.issuer.userinfo_endpoint && tokenSet.access_token) {
+      claims = { ...(await client.userinfo(tokenSet)), ...claims };
+    }
 
-  req.on('close', () => {
-    globalClients.delete(res);
-    console.log(`[SSE] Global client disconnected. Total: ${globalClients.size}`);
-  });
-});
+    const role = mapOidcRole(claims);
+    if (!role) {
+      console.log(`[OIDC] Sign-in refused for ${claims.sub}: no role mapped from claim "${OIDC_CONFIG.roleClaim}"`);
+      recordAudit(req, 'auth.login', {
+        targetType: 'oidc_subject', target: claims.sub, outcome: 'denied',
+        details: { method: 'oidc', reason: 'no_role' },
+        actor: { actor: oidcUsername(claims), userId: null, authMethod: 'none' }
+      });
+      return redirectToLoginError(res, 'sso_denied');
+    }
 
-// =============================================================================
-// BROADCAST FUNCTIONS
-// =============================================================================
+    const user = await provisionOidcUser(claims, role);
+    if (user.disabled_at) {
+      console.log('[OIDC] Sign-in refused for disabled user:', user.username);
+      recordAudit(req, 'auth.login', {
+        targetType: 'user', target: user.username, outcome: 'denied',
+        details: { method: 'oidc', reason: 'disabled' },
+        actor: { actor: user.username, userId: user.id, authMethod: 'none' }
+      });
+      return redirectToLoginError(res, 'sso_disabled');
+    }
 
-function broadcastToSession(sessionId, event) {
-  const data = JSON.stringify(event);
-  const clients = sessionClients.get(sessionId);
-  if (clients) {
-    clients.forEach(client => {
-      client.write(`data: ${data}\n\n`);
+    startUserSession(req, user, 'oidc', (err) => {
+      if (err) {
+        console.error('[OIDC] Session error:', err);
+        return redirectToLoginError(res, 'sso_failed');
+      }
+      console.log(`[OIDC] Login successful for user: ${user.username} (${user.role})`);
+      recordAudit(req, 'auth.login', { targetType: 'user', target: user.username, details: { method: 'oidc', role: user.role } });
+
+      // Same-origin hop: a redirect chain started by the IdP would not carry the Strict cookie
+      const target = transaction.redirect.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+      res.set('Cache-Control', 'no-store');
+      res.send(`<!DOCTYPE html><html><head><meta http-equiv="refresh" content="0;url=${target}"><title>Signing in...</title></head>` +
+               `<body><a href="${target}">Continue to PDev Live</a></body></html>`);
     });
+  } catch (err) {
+    console.error('[OIDC] Callback failed:', err.message);
+    redirectToLoginError(res, 'sso_failed');
   }
-}
+});
 
-function broadcastGlobal(event) {
-  const data = JSON.stringify(event);
-  globalClients.forEach(client => {
-    client.write(`data: ${data}\n\n`);
-  });
-}
+// Auto-authenticate session for HTTP Basic Auth users (nginx layer)
+// This allows users who pass nginx Basic Auth to access API endpoints
+// SECURITY: Only trusts requests with X-Pdev-Nginx-Auth header (set by nginx AFTER Basic Auth passes)
+app.use((req, res, next) => {
+  // Skip if already authenticated (avoid re-processing)
+  if (req.session.authenticated) {
+    return next();
+  }
 
-// =============================================================================
-// DATABASE FUNCTIONS
-// =============================================================================
+  // Skip for public paths that don't need auth
+  const publicPaths = [
+    '/auth/login', '/auth/logout', '/auth/check',
+    '/health', '/guest/', '/contract', '/version',
+    '/pdev/installer', '/webssh', `${LEGACY_API_PREFIX}/health`,
+  ];
+  if (typeof req.path === 'string' && publicPaths.some(p => req.path.startsWith(p))) {
+    return next();
+  }
 
-async function createSession({ server, hostname, project, projectPath, cwd, commandType, commandArgs, user, gitBranch, gitCommit }) {
-  const result = await pool.query(`
-    INSERT INTO pdev_sessions (
-      server_origin, server_hostname, project_name, project_path,
-      working_directory, command_type, command_args, user_identifier,
-      git_branch, git_commit_sha
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-    RETURNING id, started_at
-  `, [server, hostname, project, projectPath, cwd, commandType, commandArgs, user, gitBranch, gitCommit]);
+  // Skip for static assets
+  if (req.path.match(/\.(css|js|png|jpg|jpeg|gif|ico|svg|woff|woff2|ttf|eot)$/)) {
+    return next();
+  }
 
-  return result.rows[0];
-}
+  // SECURE: Auto-authenticate ONLY if nginx set secret header (not client-forgeable)
+  // This header is ONLY set by nginx AFTER auth_basic validates credentials
+  const nginxAuthHeader = req.headers['x-pdev-nginx-auth'];
+  if (nginxAuthHeader === 'validated') {
+    // Regenerate session to avoid session fixation attacks
+    req.session.regenerate((err) => {
+      if (err) {
+        console.error('[Auth] Session regenerate error:', err);
+        return res.status(500).json({ error: 'Session initialization failed' });
+      }
+      req.session.authenticated = true;
+      req.session.loginTime = Date.now();
+      req.session.loginMethod = 'nginx-basic-auth';
+      req.session.username = 'pdev'; // From nginx Basic Auth
+      req.session.role = 'editor'; // No user row - admin operations still need an admin account
+      req.session.save((err) => {
+        if (err) {
+          console.error('[Auth] Auto-auth session save error:', err);
+          return res.status(500).json({ error: 'Session save failed' });
+        }
+        console.log('[Auth] Auto-authenticated session via nginx Basic Auth');
+        next();
+      });
+    });
+  } else {
+    // No nginx auth header - continue to requireSession middleware
+    next();
+  }
+});
 
-async function addStep({ sessionId, stepNumber, stepType, phaseName, phaseNumber, subPhase, contentMarkdown, commandText, exitCode, documentName, fileCreatedAt, fileModifiedAt }) {
-  // SECURITY: Sanitize markdown to prevent XSS attacks
-  const contentHtml = contentMarkdown ? DOMPurify.sanitize(marked.parse(contentMarkdown), {
-    ALLOWED_TAGS: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'ul', 'ol', 'li', 'code', 'pre', 'a', 'strong', 'em', 'blockquote', 'table', 'tr', 'td', 'th', 'thead', 'tbody', 'br', 'hr', 'span', 'div'],
-    ALLOWED_ATTR: ['href', 'class', 'id']
-  }) : null;
-  const contentPlain = contentMarkdown ? contentMarkdown.replace(/[#*_`]/g, '').substring(0, 500) : null;
+// Write routes a server token may call (each applies requireTokenScope)
+const SERVER_TOKEN_WRITE_ROUTES = [
+  /^\/sessions$/,
+  /^\/sessions\/resume$/,
+  /^\/sessions\/[^/]+\/(steps|complete|reopen)$/,
+  /^\/projects\/init$/,
+  /^\/update$/,
+  /^\/manifests\/[^/]+\/[^/]+(\/doc)?$/,
+  /^\/api\/v1\/pdev\/conflicts(\/[^/]+)?$/
+];
 
-  const result = await pool.query(`
-    INSERT INTO pdev_session_steps (
-      session_id, step_number, step_type, phase_name, phase_number,
-      sub_phase, content_markdown, content_html, content_plain,
-      command_text, exit_code, output_byte_size, document_name,
-      file_created_at, file_modified_at
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
-    RETURNING id, created_at
-  `, [
-    sessionId, stepNumber, stepType, phaseName, phaseNumber,
-    subPhase, contentMarkdown, contentHtml, contentPlain,
-    commandText, exitCode, contentMarkdown?.length || 0, documentName || null,
-    fileCreatedAt || null, fileModifiedAt || null
-  ]);
+// Session middleware - protects browser/web UI access only
+// Bypasses: X-Admin-Key, X-Pdev-Token, public paths, guest tokens
+function requireSession(req, res, next) {
+  // BYPASS: Requests with the admin key (admin API operations); a wrong key is rejected
+  // rather than falling back to the session, like an unknown server token
+  if (req.headers['x-admin-key']) {
+    if (!adminKeyMatches(req.headers['x-admin-key'])) {
+      recordAudit(req, 'admin.access', { targetType: 'route', target: `${req.method} ${req.path}`, outcome: 'denied' });
+      return res.status(401).json({ error: 'Invalid admin key', code: 'INVALID_ADMIN_KEY' });
+    }
+    return next();
+  }
 
-  // DUAL-WRITE: Also save documents to project-scoped table (survives session deletion)
-  try {
-    if (stepType === 'document' && documentName && contentMarkdown) {
-      // Get session details to populate server_origin and project_name
-      const sessionResult = await pool.query(
-        'SELECT server_origin, project_name FROM pdev_sessions WHERE id = $1',
-        [sessionId]
-      );
+  // BYPASS: Requests with a valid X-Pdev-Token (CLI/server automation)
+  // Unknown, revoked and expired tokens are rejected rather than falling back to the session
+  // Reads need the 'read' scope; writes only bypass for the pipeline routes (which check their
+  // own scope) - any other write still needs a session or admin key.
+  let tokenMissingRead = false;
+  const isTokenWrite = !READ_ONLY_METHODS.has(req.method);
+  if (req.headers['x-pdev-token'] && (!isTokenWrite || SERVER_TOKEN_WRITE_ROUTES.some(route => route.test(req.path)))) {
+    const serverInfo = getServerToken(req.headers['x-pdev-token']);
+    if (!serverInfo) {
+      return res.status(401).json({ error: 'Invalid or expired server token', code: 'INVALID_SERVER_TOKEN' });
+    }
+    if (isTokenWrite || serverInfo.scopes.includes('read')) {
+      req.serverOrigin = serverInfo.server;
+      req.serverToken = serverInfo;
+      touchServerToken(serverInfo, req);
+      return next();
+    }
+    tokenMissingRead = true; // public paths still pass below
+  }
 
-      if (sessionResult.rows.length > 0) {
-        const { server_origin, project_name } = sessionResult.rows[0];
+  // BYPASS: Public API paths
+  const publicPaths = [
+    '/auth/login', '/auth/logout', '/auth/check',
+    '/health', '/guest/', '/contract', '/version',
+    '/pdev/installer', '/webssh', `${LEGACY_API_PREFIX}/health`,
+  ];
+  if (publicPaths.some(p => req.path.startsWith(p))) {
+    return next();
+  }
 
-        // Extract version from content
-        const versionMatch = contentMarkdown.match(/pdev_version:\s*([0-9.]+)/);
-        const version = versionMatch ? versionMatch[1] : null;
+  // BYPASS: Static assets (CSS, JS, images, fonts)
+  if (req.path.match(/\.(css|js|png|jpg|jpeg|gif|ico|svg|woff|woff2|ttf|eot)$/)) {
+    return next();
+  }
 
-        // Upsert into pdev_project_documents (latest version wins)
-        await pool.query(`
-          INSERT INTO pdev_project_documents
-            (server_origin, project_name, document_name, content, content_html, version,
-             file_created_at, file_modified_at, phase_number, phase_name, updated_at)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
-          ON CONFLICT (server_origin, project_name, document_name)
-          DO UPDATE SET
-            content = EXCLUDED.content,
-            content_html = EXCLUDED.content_html,
-            version = EXCLUDED.version,
-            file_created_at = EXCLUDED.file_created_at,
-            file_modified_at = EXCLUDED.file_modified_at,
-            phase_number = EXCLUDED.phase_number,
-            phase_name = EXCLUDED.phase_name,
-            updated_at = NOW()
-        `, [
-          server_origin, project_name, documentName, contentMarkdown, contentHtml, version,
-          fileCreatedAt || null, fileModifiedAt || null, phaseNumber || null, phaseName || null
-        ]);
+  // BYPASS: Login page
+  if (req.path === '/live/login.html' || req.path === '/login.html' || req.path === '/login' || req.path === '/live/login.html') {
+    return next();
+  }
 
-        console.log(`[Document] Saved to project_documents: ${project_name}/${documentName}`);
-      } else {
-        console.warn(`[Document] Session ${sessionId} not found - skipping dual-write for ${documentName}`);
-      }
+  // REQUIRE SESSION: Browser requests without special auth headers
+  function rejectUnauthenticated() {
+    if (tokenMissingRead) {
+      return res.status(403).json({ error: 'Server token is missing the read scope', code: 'TOKEN_SCOPE' });
     }
-  } catch (dualWriteError) {
-    // Non-fatal: Main insert already succeeded
-    console.error('[Document] Dual-write failed (non-fatal):', {
-      sessionId,
-      documentName,
-      error: dualWriteError.message
-    });
+    // API requests get 401 JSON response
+    if (req.headers.accept?.includes('application/json') ||
+        req.xhr ||
+        req.apiVersion ||
+        req.path.startsWith('/sessions') ||
+        req.path.startsWith('/api') ||
+        req.path.startsWith('/projects') ||
+        req.path.startsWith('/servers') ||
+        req.path.startsWith('/search') ||
+        req.path.startsWith('/admin')) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    // HTML page requests redirect to login (use /pdev/ prefix for nginx proxy)
+    return res.redirect('/pdev/live/login.html');
   }
 
-  return result.rows[0];
-}
+  if (!req.session.authenticated) {
+    return rejectUnauthenticated();
+  }
 
-async function completeSession(sessionId, status = 'completed', summaryMarkdown = null) {
-  // SECURITY: Sanitize markdown to prevent XSS attacks
-  const summaryHtml = summaryMarkdown ? DOMPurify.sanitize(marked.parse(summaryMarkdown), {
-    ALLOWED_TAGS: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'ul', 'ol', 'li', 'code', 'pre', 'a', 'strong', 'em', 'blockquote', 'table', 'tr', 'td', 'th', 'thead', 'tbody', 'br', 'hr', 'span', 'div'],
-    ALLOWED_ATTR: ['href', 'class', 'id']
-  }) : null;
+  // Disabled users and signed-out sessions (session_version bumped) are rejected here
+  resolveSessionUser(req).then(user => {
+    if (!user) {
+      return rejectUnauthenticated();
+    }
+    req.user = user;
 
-  await pool.query(`
-    UPDATE pdev_sessions
-    SET session_status = $2, completed_at = NOW(), summary_markdown = $3, summary_html = $4
-    WHERE id = $1
-  `, [sessionId, status, summaryMarkdown, summaryHtml]);
+    // ROLE: viewers are read-only
+    if (user.role === 'viewer' && !READ_ONLY_METHODS.has(req.method)) {
+      return res.status(403).json({ error: 'Your account is read-only', code: 'FORBIDDEN_ROLE' });
+    }
+    next();
+  }).catch(err => {
+    console.error('[Auth] Session user lookup failed:', err.message);
+    res.status(500).json({ error: 'Authentication check failed' });
+  });
 }
 
-async function getSessionWithSteps(sessionId) {
-  const sessionResult = await pool.query(`
-    SELECT * FROM pdev_sessions WHERE id = $1 AND deleted_at IS NULL
-  `, [sessionId]);
+app.use(requireSession);
+app.use(validateApiRequest);
 
-  if (sessionResult.rows.length === 0) return null;
+console.log('[Auth] Session-based authentication enabled (30-day cookie)');
 
-  const stepsResult = await pool.query(`
-    SELECT * FROM pdev_session_steps WHERE session_id = $1 ORDER BY step_number
-  `, [sessionId]);
+// ============================================================================
+// STATIC FILE SERVING (Partner Self-Hosted Mode)
+// ============================================================================
+// For partner deployments, serve frontend HTML/CSS/JS files
+// NOTE: Static serving comes AFTER session auth middleware - HTML pages require auth
+// Static assets (CSS, JS, images) bypass auth via requireSession path matching
+if (process.env.PDEV_SERVE_STATIC === 'true') {
+  const path = require('path');
+  const FRONTEND_DIR = process.env.PDEV_FRONTEND_DIR || path.join(__dirname, '..', 'frontend');
 
-  return {
-    ...sessionResult.rows[0],
-    steps: stepsResult.rows
+  console.log('[Static] Serving frontend files from:', FRONTEND_DIR);
+
+  const staticOptions = {
+    dotfiles: 'ignore', // Don't serve .env, .git, etc.
+    index: 'index.html',
+    redirect: false,
+    setHeaders: (res, filePath) => {
+      // Prevent caching of HTML (always get latest)
+      if (filePath.endsWith('.html')) {
+        res.setHeader('Cache-Control', 'no-cache, must-revalidate');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('X-Frame-Options', 'DENY');
+      } else {
+        // Cache assets for 1 year
+        res.setHeader('Cache-Control', 'public, max-age=31536000, immutable');
+      }
+    }
   };
-}
 
-async function getActiveSessions() {
-  const result = await pool.query(`
-    SELECT * FROM v_active_sessions
-  `);
-  return result.rows;
-}
+  // Serve static files at root (for nginx proxy with prefix stripping)
+  app.use(express.static(FRONTEND_DIR, staticOptions));
 
-async function getSessionHistory(limit = 50, offset = 0) {
-  const result = await pool.query(`
-    SELECT * FROM v_session_history LIMIT $1 OFFSET $2
-  `, [limit, offset]);
-  return result.rows;
-}
+  // Serve static files at /live/ (when nginx strips /pdev/ prefix)
+  app.use('/live', express.static(FRONTEND_DIR, staticOptions));
 
-async function getSessionsByServer(server) {
-  const result = await pool.query(`
-    SELECT * FROM pdev_sessions
-    WHERE server_origin = $1 AND deleted_at IS NULL
-    ORDER BY started_at DESC LIMIT 20
-  `, [server]);
-  return result.rows;
+  // Serve static files at /pdev/live/ (for guest links via regex location)
+  app.use('/pdev/live', express.static(FRONTEND_DIR, staticOptions));
 }
 
-async function getNextStepNumber(sessionId) {
-  const result = await pool.query(`
-    SELECT COALESCE(MAX(step_number), 0) + 1 as next FROM pdev_session_steps WHERE session_id = $1
-  `, [sessionId]);
-  return result.rows[0].next;
+// Favicon route - serve from frontend directory
+app.get('/favicon.ico', (req, res) => {
+  res.sendFile(path.join(FRONTEND_DIR, 'favicon.svg'), {
+    headers: { 'Content-Type': 'image/svg+xml' }
+  });
+});
+
+// API: Expose document contract (SINGLE SOURCE OF TRUTH for frontend)
+// ?server=&project= returns the contract that applies to that project (source says which one)
+app.get('/contract', (req, res) => {
+  const { server, project } = req.query;
+  if ((server !== undefined && (typeof server !== 'string' || server.length > 50)) ||
+      (project !== undefined && (typeof project !== 'string' || project.length > 100))) {
+    return res.status(400).json({ error: 'Invalid server or project' });
+  }
+  const contract = resolveDocContract(server, project);
+  res.json({ PIPELINE_DOCS: contract.PIPELINE_DOCS, source: contract.source });
+});
+
+// API: JSON Schema that doc-contract.json and contract overrides must satisfy
+app.get('/contract/schema', (req, res) => {
+  res.json(DOC_CONTRACT_SCHEMA);
+});
+
+// Generate short-lived share token (same-origin only, no secrets exposed)
+app.post('/share-token', (req, res) => {
+  // Rate limit: max 100 active tokens
+  if (shareTokens.size >= MAX_SHARE_TOKENS) {
+    return res.status(429).json({ error: 'Too many active share tokens' });
+  }
+
+  var crypto = require('crypto');
+  var token = crypto.randomBytes(32).toString('base64url');
+  var expiresAt = Date.now() + 5 * 60 * 1000; // 5 minutes
+
+  shareTokens.set(token, { expiresAt: expiresAt, used: false });
+  console.log('[SHARE] Token issued, expires: ' + new Date(expiresAt).toISOString());
+
+  res.json({ token: token, expiresIn: 300 });
+});
+
+// Validate share token (one-time use)
+function validateShareToken(token) {
+  if (!token || typeof token !== 'string') return false;
+  var data = shareTokens.get(token);
+  if (!data) return false;
+  if (Date.now() > data.expiresAt || data.used) {
+    shareTokens.delete(token);
+    return false;
+  }
+  // Mark as used (one-time)
+  data.used = true;
+  return true;
 }
 
-/**
- * Execute database operations in a transaction
- * Prevents partial updates on failure
- */
-async function withTransaction(callback) {
-  const client = await pool.connect();
+// Secure admin authentication middleware
+// Accepts X-Admin-Key (scripts) or a signed-in user with the admin role
+function requireAdmin(req, res, next) {
+  var authKey = req.headers['x-admin-key'];
+  if (!authKey) {
+    if (req.user) {
+      if (req.user.role !== 'admin') {
+        recordAudit(req, 'admin.access', { targetType: 'route', target: `${req.method} ${req.path}`, outcome: 'denied' });
+        return res.status(403).json({ error: 'Admin role required', code: 'FORBIDDEN_ROLE' });
+      }
+      return next();
+    }
+    return res.status(401).json({ error: 'Missing X-Admin-Key header' });
+  }
   try {
-    await client.query('BEGIN');
-    const result = await callback(client);
-    await client.query('COMMIT');
-    return result;
+    var crypto = require('crypto');
+    var keyBuffer = Buffer.from(authKey);
+    var adminBuffer = Buffer.from(ADMIN_KEY);
+    if (keyBuffer.length !== adminBuffer.length ||
+        !crypto.timingSafeEqual(keyBuffer, adminBuffer)) {
+      recordAudit(req, 'admin.access', { targetType: 'route', target: `${req.method} ${req.path}`, outcome: 'denied' });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
   } catch (err) {
-    await client.query('ROLLBACK');
-    throw err;
-  } finally {
-    client.release();
+    return res.status(401).json({ error: 'Unauthorized' });
   }
+  next();
 }
 
-// =============================================================================
-// WEBHOOK API (for remote servers)
-// =============================================================================
+// Server token authentication middleware (for CLI clients)
+// Validates X-Pdev-Token header against database
+function requireServerToken(req, res, next) {
+  var token = req.headers['x-pdev-token'];
+  if (!token) {
+    return res.status(401).json({ error: 'Missing X-Pdev-Token header' });
+  }
 
-// Create new session
-app.post('/sessions', async (req, res) => {
-  try {
-    const { server, hostname, project, projectPath, cwd, commandType, commandArgs, user, gitBranch, gitCommit } = req.body;
+  var serverInfo = getServerToken(token);
+  if (!serverInfo) {
+    return res.status(401).json({ error: 'Invalid server token' });
+  }
 
-    // Validate server
-    if (!VALID_SERVERS.includes(server)) {
-      return res.status(400).json({ error: `Invalid server: ${server}. Must be one of: ${VALID_SERVERS.join(', ')}` });
-    }
+  // Attach server info to request for logging/validation
+  req.serverOrigin = serverInfo.server;
+  next();
+}
 
-    if (!project || !commandType) {
-      return res.status(400).json({ error: 'Missing required fields: project, commandType' });
+// Server token scope and server binding for the pipeline write routes
+// A token only writes for its own server_name: resolveServer(req) returns the server the
+// request writes to (null when the target doesn't exist: 404 with notFound). No-op for
+// session/admin-key callers.
+function requireTokenScope(scope, resolveServer, notFound = 'Session not found') {
+  return async (req, res, next) => {
+    const tokenInfo = req.serverToken;
+    if (!tokenInfo) return next();
+
+    const required = typeof scope === 'function' ? scope(req) : scope;
+    if (!tokenInfo.scopes.includes(required)) {
+      console.warn(`[Auth] Token for ${tokenInfo.server} lacks ${required} scope: ${req.method} ${req.path}`);
+      return res.status(403).json({ error: `Server token is missing the ${required} scope`, code: 'TOKEN_SCOPE' });
     }
 
-    // Idempotency check - prevent duplicate submissions within 5 second window
-    const idempotencyKey = `${server}:${project}:${commandType}:${user || 'anonymous'}:${gitBranch || 'default'}`;
-    const now = Date.now();
-
-    const existing = recentSessionRequests.get(idempotencyKey);
-    if (existing) {
-      if (now - existing.timestamp < IDEMPOTENCY_WINDOW_MS) {
-        if (existing.sessionId) {
-          // Session already created, return it
-          console.log(`[Session] Dedup: returning existing session ${existing.sessionId}`);
-          return res.json({ success: true, sessionId: existing.sessionId, deduplicated: true });
-        }
-        // Another request is in-flight - wait briefly
-        await new Promise(resolve => setTimeout(resolve, 100));
-        const updated = recentSessionRequests.get(idempotencyKey);
-        if (updated && updated.sessionId) {
-          console.log(`[Session] Dedup (after wait): returning session ${updated.sessionId}`);
-          return res.json({ success: true, sessionId: updated.sessionId, deduplicated: true });
-        }
+    try {
+      const target = await resolveServer(req);
+      if (target === null) {
+        return res.status(404).json({ error: notFound });
+      }
+      if (target !== tokenInfo.server) {
+        console.warn(`[Auth] Token for ${tokenInfo.server} refused for ${target}: ${req.method} ${req.path}`);
+        return res.status(403).json({
+          error: `Server token for ${tokenInfo.server} cannot write to ${target || 'an unspecified server'}`,
+          code: 'TOKEN_SERVER_MISMATCH'
+        });
       }
+      next();
+    } catch (err) {
+      console.error('[Auth] Token scope check failed:', err.message);
+      res.status(500).json({ error: 'Authorization check failed' });
     }
+  };
+}
 
-    // Reserve slot BEFORE creating session (prevents race condition)
-    // Enforce max size to prevent memory exhaustion attacks
-    if (recentSessionRequests.size >= MAX_IDEMPOTENCY_KEYS) {
-      const oldestKey = recentSessionRequests.keys().next().value;
-      recentSessionRequests.delete(oldestKey);
+// Server the session belongs to (null if it doesn't exist)
+async function sessionServerOrigin(req) {
+  if (!/^[0-9a-f-]{36}$/i.test(req.params.sessionId)) return null;
+  const result = await pool.query(
+    'SELECT server_origin FROM pdev_sessions WHERE id = $1 AND deleted_at IS NULL',
+    [req.params.sessionId]
+  );
+  return result.rows.length > 0 ? result.rows[0].server_origin : null;
+}
+
+// Document steps need docs:write, everything else sessions:write
+function stepTokenScope(req) {
+  return req.body.documentName || req.body.type === 'document' ? 'docs:write' : 'sessions:write';
+}
+
+// Optional server token - allows request but attaches server info if valid
+function optionalServerToken(req, res, next) {
+  var token = req.headers['x-pdev-token'];
+  if (token) {
+    var serverInfo = getServerToken(token);
+    if (serverInfo) {
+      req.serverOrigin = serverInfo.server;
     }
-    recentSessionRequests.set(idempotencyKey, { timestamp: now, sessionId: null });
+  }
+  next();
+}
 
-    const session = await createSession({
-      server,
-      hostname: hostname || server,
-      project,
-      projectPath,
-      cwd,
-      commandType,
-      commandArgs: commandArgs ? JSON.stringify(commandArgs) : null,
-      user,
-      gitBranch,
-      gitCommit
-    });
+// Secure token validation
+async function validateGuestToken(token) {
+  if (!token || typeof token !== 'string' || token.length > 64) return null;
 
-    // Update cache with actual session ID
-    recentSessionRequests.set(idempotencyKey, { timestamp: now, sessionId: session.id });
+  try {
+    const result = await pool.query(
+      `SELECT token, token_type, session_id, server_name, project_name,
+              expires_at, created_at, created_by
+       FROM guest_tokens
+       WHERE token = $1 AND expires_at > NOW()`,
+      [token]
+    );
 
-    console.log(`[Session] Created ${session.id} from ${server} - ${commandType}`);
+    if (result.rows.length === 0) return null;
 
-    // Broadcast to global dashboard
-    broadcastGlobal({
-      type: 'session_created',
-      session: {
-        id: session.id,
-        server_origin: server,
-        project_name: project,
-        command_type: commandType,
-        started_at: session.started_at
-      }
-    });
+    const row = result.rows[0];
 
-    res.json({ success: true, sessionId: session.id });
+    // Return format matching old in-memory structure
+    if (row.token_type === 'session') {
+      return {
+        sessionId: row.session_id,
+        expiresAt: new Date(row.expires_at).getTime(),
+        createdAt: new Date(row.created_at).getTime(),
+        createdBy: row.created_by
+      };
+    } else { // project type
+      return {
+        type: 'project',
+        server: row.server_name,
+        project: row.project_name,
+        expiresAt: new Date(row.expires_at).getTime(),
+        createdAt: new Date(row.created_at).getTime(),
+        createdBy: row.created_by
+      };
+    }
   } catch (err) {
-    console.error('[Session] Create error:', err);
-    res.status(500).json({ error: err.message });
+    console.error('[Token] Validation error:', err);
+    return null;
   }
-});
+}
 
-// Add step to session
-app.post('/sessions/:sessionId/steps', async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const { type, phaseName, phaseNumber, subPhase, content, command, exitCode, documentName, fileCreatedAt, fileModifiedAt } = req.body;
+// Cryptographically secure token generation
+function generateToken(length) {
+  length = length || 32;
+  var crypto = require('crypto');
+  var bytes = crypto.randomBytes(length);
+  var chars = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz23456789';
+  var token = '';
+  for (var i = 0; i < length; i++) {
+    token += chars.charAt(bytes[i] % chars.length);
+  }
+  return token;
+}
 
-    if (!type) {
-      return res.status(400).json({ error: 'Missing required field: type' });
-    }
+// =============================================================================
+// SSE ENDPOINTS
+// =============================================================================
 
-    const stepNumber = await getNextStepNumber(sessionId);
+// SSE endpoint for specific session
+app.get('/events/:sessionId', async (req, res) => {
+  const { sessionId } = req.params;
 
-    const step = await addStep({
-      sessionId,
-      stepNumber,
-      stepType: type,
-      phaseName,
-      phaseNumber,
-      subPhase,
-      contentMarkdown: content,
-      commandText: command,
-      exitCode,
-      documentName,
-      fileCreatedAt,
-      fileModifiedAt
-    });
-
-    console.log(`[Step] Added #${stepNumber} to ${sessionId} - ${type}`);
-
-    // Broadcast to session viewers
-    const fullStep = {
-      id: step.id,
-      step_number: stepNumber,
-      step_type: type,
-      phase_name: phaseName,
-      phase_number: phaseNumber,
-      document_name: documentName,
-      content_markdown: content,
-      content_html: content ? DOMPurify.sanitize(marked.parse(content), {
-        ALLOWED_TAGS: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'ul', 'ol', 'li', 'code', 'pre', 'a', 'strong', 'em', 'blockquote', 'table', 'tr', 'td', 'th', 'thead', 'tbody', 'br', 'hr', 'span', 'div'],
-        ALLOWED_ATTR: ['href', 'class', 'id']
-      }) : null,
-      command_text: command,
-      created_at: step.created_at,
-      file_created_at: fileCreatedAt || null,
-      file_modified_at: fileModifiedAt || null
-    };
-
-    broadcastToSession(sessionId, {
-      type: 'step',
-      step: fullStep
-    });
-
-    // Also update global dashboard
-    broadcastGlobal({
-      type: 'session_updated',
-      sessionId,
-      lastStep: fullStep
-    });
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
 
-    res.json({ success: true, stepId: step.id, stepNumber });
-  } catch (err) {
-    console.error('[Step] Add error:', err);
-    res.status(500).json({ error: err.message });
+  // Register before reading the DB so no step falls between replay and live
+  // delivery (clients dedupe by step id)
+  if (!sessionClients.has(sessionId)) {
+    sessionClients.set(sessionId, new Set());
   }
-});
+  sessionClients.get(sessionId).add(res);
+  console.log(`[SSE] Client connected to session ${sessionId}. Total: ${sessionClients.get(sessionId).size}`);
 
-// Complete session
-app.post('/sessions/:sessionId/complete', async (req, res) => {
+  const lastEventId = getLastEventId(req);
   try {
-    const { sessionId } = req.params;
-    const { status, summary } = req.body;
-
-    await completeSession(sessionId, status || 'completed', summary);
+    if (lastEventId) {
+      // Reconnect: replay only the steps the client missed
+      const sessionResult = await pool.query(
+        'SELECT session_status FROM pdev_sessions WHERE id = $1 AND deleted_at IS NULL',
+        [sessionId]
+      );
+      if (sessionResult.rows.length === 0) {
+        writeSSE(res, { type: 'error', message: 'Session not found' });
+      } else {
+        const missed = await pool.query(
+          'SELECT * FROM pdev_session_steps WHERE session_id = $1 AND id > $2 ORDER BY id',
+          [sessionId, lastEventId]
+        );
+        missed.rows.forEach(step => writeSSE(res, { type: 'step', step, replayed: true }, step.id));
+        if (sessionResult.rows[0].session_status !== 'active') {
+          writeSSE(res, { type: 'session_completed', status: sessionResult.rows[0].session_status });
+        }
+        console.log(`[SSE] Replayed ${missed.rows.length} step(s) to session ${sessionId} after event ${lastEventId}`);
+      }
+    } else {
+      // Get session with steps from DB
+      const session = await getSessionWithSteps(sessionId);
+      if (session) {
+        const lastStepId = session.steps.reduce((max, step) => Math.max(max, step.id), 0);
+        writeSSE(res, { type: 'init', session }, lastStepId);
+      } else {
+        writeSSE(res, { type: 'error', message: 'Session not found' });
+      }
+    }
+  } catch (err) {
+    writeSSE(res, { type: 'error', message: err.message });
+  }
 
-    console.log(`[Session] Completed ${sessionId} - ${status || 'completed'}`);
+  req.on('close', () => {
+    sessionClients.get(sessionId)?.delete(res);
+    console.log(`[SSE] Client disconnected from session ${sessionId}`);
+  });
+});
 
-    // Broadcast completion
-    broadcastToSession(sessionId, {
-      type: 'session_completed',
-      status: status || 'completed'
-    });
+// SSE endpoint for all sessions (dashboard)
+app.get('/events', async (req, res) => {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
 
-    broadcastGlobal({
-      type: 'session_completed',
-      sessionId,
-      status: status || 'completed'
-    });
+  // Register before replaying so nothing published meanwhile is lost
+  globalClients.add(res);
+  console.log(`[SSE] Global client connected. Total: ${globalClients.size}`);
 
-    res.json({ success: true });
+  // Reconnect within the event log window: replay missed events; otherwise resync with a snapshot
+  try {
+    const missed = await getMissedGlobalEvents(getLastEventId(req));
+    if (missed) {
+      missed.forEach(row => writeSSE(res, row.event, row.id));
+      console.log(`[SSE] Replayed ${missed.length} global event(s)`);
+    } else {
+      // Send active sessions on connect
+      const sessions = await getActiveSessions();
+      writeSSE(res, { type: 'init', sessions }, lastDeliveredEventId);
+    }
   } catch (err) {
-    console.error('[Session] Complete error:', err);
-    res.status(500).json({ error: err.message });
+    writeSSE(res, { type: 'error', message: err.message });
   }
+
+  req.on('close', () => {
+    globalClients.delete(res);
+    console.log(`[SSE] Global client disconnected. Total: ${globalClients.size}`);
+  });
 });
 
 // =============================================================================
-// READ API (for frontend)
+// BROADCAST FUNCTIONS
 // =============================================================================
 
-// Get all active sessions
-app.get('/sessions/active', async (req, res) => {
-  try {
-    const sessions = await getActiveSessions();
-    res.json(sessions);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// Event IDs let reconnecting EventSource clients resume via Last-Event-ID:
+// - Session streams use the step's pdev_session_steps.id (monotonic), so missed
+//   steps can be replayed straight from the database. Non-step events carry no
+//   id and leave the client's last ID untouched.
+// - The global stream uses pdev_broadcast_events.id, which every instance
+//   shares, so a client can resume against any instance.
+//
+// Fan-out across instances (PM2 cluster, several hosts behind nginx):
+// broadcasts are appended to pdev_broadcast_events and announced with
+// NOTIFY pdev_live_events. Each instance LISTENs on a dedicated connection and
+// writes to its own SSE clients - including the instance that published.
+// Set PDEV_PUBSUB=local for in-process delivery only (single instance).
+const SSE_HEARTBEAT_MS = 25000;
+const SSE_RETRY_MS = 3000;
+const PUBSUB_CHANNEL = 'pdev_live_events';
+const PUBSUB_CONTROL_CHANNEL = 'pdev_live_control'; // cache invalidation between instances
+const PUBSUB_INSTANCE = `${require('os').hostname()}:${process.pid}`;
+const NOTIFY_PAYLOAD_LIMIT = 7500; // PostgreSQL rejects NOTIFY payloads of 8000+ bytes
+const BROADCAST_EVENT_RETENTION = '1 hour';
+const DELIVERED_EVENT_CACHE_SIZE = 1000;
+
+let pubsubMode = process.env.PDEV_PUBSUB === 'local' ? 'local' : 'postgres';
+let pubsubClient = null;
+let pubsubReady = false;
+let pubsubReconnectTimer = null;
+let pubsubReconnectAttempts = 0;
+let lastDeliveredEventId = 0;
+const deliveredEventIds = new Set(); // dedupes NOTIFY vs. catch-up/direct delivery
+
+function writeSSE(res, event, id) {
+  const idLine = id ? `id: ${id}\n` : '';
+  res.write(`${idLine}data: ${JSON.stringify(event)}\n\n`);
+}
+
+// Last-Event-ID header (browser auto-reconnect) or lastEventId query (manual reconnect)
+function getLastEventId(req) {
+  const raw = req.headers['last-event-id'] || req.query.lastEventId;
+  const id = parseInt(raw, 10);
+  return Number.isSafeInteger(id) && id > 0 ? id : null;
+}
+
+// Write an event to the SSE clients connected to this instance
+function deliverLocal(channel, sessionId, event, eventId) {
+  if (channel === 'session') {
+    const clients = sessionClients.get(sessionId);
+    if (!clients) return;
+    const id = event.type === 'step' && event.step ? event.step.id : null;
+    clients.forEach(client => writeSSE(client, event, id));
+  } else {
+    globalClients.forEach(client => writeSSE(client, event, eventId));
   }
-});
+}
 
-// Get session history
-app.get('/sessions/history', async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 50;
-    const offset = parseInt(req.query.offset) || 0;
-    const sessions = await getSessionHistory(limit, offset);
-    res.json(sessions);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// Returns false when this event id was already delivered on this instance
+function markDelivered(eventId) {
+  if (deliveredEventIds.has(eventId)) return false;
+  deliveredEventIds.add(eventId);
+  if (deliveredEventIds.size > DELIVERED_EVENT_CACHE_SIZE) {
+    deliveredEventIds.delete(deliveredEventIds.values().next().value);
   }
-});
+  lastDeliveredEventId = Math.max(lastDeliveredEventId, eventId);
+  return true;
+}
 
+async function publishEvent(channel, sessionId, event) {
+  if (pubsubMode === 'local') {
+    deliverLocal(channel, sessionId, event, null);
+    return;
+  }
 
-// Find active session by server + project (for resume functionality)
-// MUST be before /sessions/:sessionId to avoid route conflict
-app.get('/sessions/find-active', async (req, res) => {
   try {
-    const { server, project } = req.query;
-
-    if (!server || !project) {
-      return res.status(400).json({ error: 'Missing required params: server, project' });
-    }
-
     const result = await pool.query(`
-      SELECT id, command_type, started_at,
-        (SELECT COUNT(*) FROM pdev_session_steps WHERE session_id = pdev_sessions.id) as step_count
-      FROM pdev_sessions
-      WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)
-        AND session_status = 'active' AND deleted_at IS NULL
-      ORDER BY started_at DESC LIMIT 1
-    `, [server, project]);
+      INSERT INTO pdev_broadcast_events (channel, session_id, event, origin)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id
+    `, [channel, sessionId, JSON.stringify(event), PUBSUB_INSTANCE]);
+    const eventId = Number(result.rows[0].id);
+
+    // Large events (steps with full markdown/html) are read back from the log by id
+    let payload = JSON.stringify({ id: eventId, channel, sessionId, event });
+    if (Buffer.byteLength(payload) >= NOTIFY_PAYLOAD_LIMIT) {
+      payload = JSON.stringify({ id: eventId, channel, sessionId });
+    }
+    await pool.query('SELECT pg_notify($1, $2)', [PUBSUB_CHANNEL, payload]);
 
-    if (result.rows.length > 0) {
-      res.json({ found: true, session: result.rows[0] });
-    } else {
-      res.json({ found: false });
+    // Listener is down: this instance won't hear its own NOTIFY
+    if (!pubsubReady && markDelivered(eventId)) {
+      deliverLocal(channel, sessionId, event, eventId);
     }
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error('[PubSub] Publish failed, delivering locally only:', err.message);
+    deliverLocal(channel, sessionId, event, null);
   }
-});
-// Add after line 512 (after find-active endpoint)
+}
 
-// Find ANY session (active OR completed) for project - simplified client
-app.get('/sessions/find-session', async (req, res) => {
+async function handlePubSubNotification(payload) {
   try {
-    const { server, project } = req.query;
-    if (!server || !project) {
-      return res.status(400).json({ error: 'Missing required params: server, project' });
-    }
-    const result = await pool.query(`
-      SELECT id, command_type, session_status, started_at,
-        (SELECT COUNT(*) FROM pdev_session_steps WHERE session_id = pdev_sessions.id) as step_count
-      FROM pdev_sessions
-      WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2) AND deleted_at IS NULL
-      ORDER BY started_at DESC LIMIT 1
-    `, [server, project]);
-    if (result.rows.length > 0) {
-      res.json({ found: true, session: result.rows[0] });
-    } else {
-      res.json({ found: false });
+    const message = JSON.parse(payload);
+    if (!markDelivered(message.id)) return;
+
+    let event = message.event;
+    if (!event) {
+      const result = await pool.query('SELECT event FROM pdev_broadcast_events WHERE id = $1', [message.id]);
+      if (result.rows.length === 0) return;
+      event = result.rows[0].event;
     }
+    deliverLocal(message.channel, message.sessionId, event, message.id);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error('[PubSub] Notification error:', err.message);
   }
-});
+}
 
-// Reopen a completed/interrupted session  
-app.post('/sessions/:sessionId/reopen', async (req, res) => {
+// Cache invalidation from another instance (no event log: a missed message is
+// covered by the periodic cache refresh)
+function handleControlNotification(payload) {
   try {
-    const { sessionId } = req.params;
-    await pool.query(`
-      UPDATE pdev_sessions
-      SET session_status = 'active', updated_at = NOW()
-      WHERE id = $1 AND deleted_at IS NULL
-    `, [sessionId]);
-    broadcastGlobal({ type: 'session_reopened', sessionId });
-    res.json({ success: true, sessionId });
+    const message = JSON.parse(payload);
+    if (message.origin === PUBSUB_INSTANCE) return;
+    if (message.type === 'server_tokens') {
+      loadServerTokens();
+    } else if (message.type === 'doc_contracts') {
+      loadDocContractOverrides();
+    }
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error('[PubSub] Control notification error:', err.message);
   }
-});
+}
 
-// Get single session with steps
-app.get('/sessions/:sessionId', async (req, res) => {
+// Ask every other instance to reload a cache (see handleControlNotification)
+async function notifyControl(type) {
+  if (pubsubMode === 'local') return;
   try {
-    const session = await getSessionWithSteps(req.params.sessionId);
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
-    }
-    res.json(session);
+    await pool.query('SELECT pg_notify($1, $2)', [
+      PUBSUB_CONTROL_CHANNEL,
+      JSON.stringify({ type, origin: PUBSUB_INSTANCE })
+    ]);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error(`[PubSub] ${type} cache notify failed:`, err.message);
   }
-});
+}
 
-// Get steps for a session (convenience endpoint)
-app.get("/sessions/:sessionId/steps", async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const result = await pool.query(`
-      SELECT * FROM pdev_session_steps WHERE session_id = $1 ORDER BY step_number
-    `, [sessionId]);
-    res.json({ steps: result.rows, count: result.rows.length });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+// Reload the server token cache here and on every other instance, so new,
+// rotated and revoked tokens apply immediately instead of on the 5-minute refresh
+async function refreshServerTokensEverywhere() {
+  await loadServerTokens();
+  await notifyControl('server_tokens');
+}
+
+// Same for contract overrides after an admin change
+async function refreshDocContractsEverywhere() {
+  await loadDocContractOverrides();
+  await notifyControl('doc_contracts');
+}
+
+function schedulePubSubReconnect() {
+  pubsubReady = false;
+  if (pubsubReconnectTimer || pubsubMode === 'local') return;
+  const delay = Math.min(1000 * Math.pow(2, pubsubReconnectAttempts), 30000);
+  pubsubReconnectAttempts++;
+  console.warn(`[PubSub] Listener disconnected, reconnecting in ${delay}ms`);
+  pubsubReconnectTimer = setTimeout(() => {
+    pubsubReconnectTimer = null;
+    startPubSubListener();
+  }, delay);
+}
+
+// Dedicated LISTEN connection (pooled clients can't hold a LISTEN)
+async function startPubSubListener() {
+  if (pubsubMode === 'local') {
+    console.log('[PubSub] PDEV_PUBSUB=local - broadcasting to this instance only');
+    return;
   }
-});
 
-// Get sessions by server
-app.get('/servers/:server/sessions', async (req, res) => {
   try {
-    const { server } = req.params;
-    if (!VALID_SERVERS.includes(server)) {
-      return res.status(400).json({ error: `Invalid server: ${server}` });
+    const tableCheck = await pool.query("SELECT to_regclass('pdev_broadcast_events') AS name");
+    if (!tableCheck.rows[0].name) {
+      pubsubMode = 'local';
+      console.warn('[PubSub] pdev_broadcast_events missing (run migration 010) - broadcasting to this instance only');
+      return;
     }
-    const sessions = await getSessionsByServer(server);
-    res.json(sessions);
+
+    if (!lastDeliveredEventId) {
+      const maxResult = await pool.query('SELECT COALESCE(MAX(id), 0) AS id FROM pdev_broadcast_events');
+      lastDeliveredEventId = Number(maxResult.rows[0].id);
+    }
+
+    const client = new PgClient(DB_CONNECTION);
+    client.on('notification', msg => {
+      if (msg.channel === PUBSUB_CONTROL_CHANNEL) {
+        handleControlNotification(msg.payload);
+      } else {
+        handlePubSubNotification(msg.payload);
+      }
+    });
+    client.on('error', err => {
+      console.error('[PubSub] Listener error:', err.message);
+      client.end().catch(() => {});
+      schedulePubSubReconnect();
+    });
+    client.on('end', schedulePubSubReconnect);
+
+    await client.connect();
+    await client.query(`LISTEN ${PUBSUB_CHANNEL}`);
+    await client.query(`LISTEN ${PUBSUB_CONTROL_CHANNEL}`);
+    pubsubClient = client;
+    pubsubReady = true;
+    pubsubReconnectAttempts = 0;
+    console.log(`[PubSub] Listening on ${PUBSUB_CHANNEL} as ${PUBSUB_INSTANCE}`);
+
+    // Catch up on events published by other instances while we weren't listening
+    // (small look-back covers ids that committed out of order)
+    const missed = await pool.query(
+      'SELECT id, channel, session_id, event FROM pdev_broadcast_events WHERE id > $1 ORDER BY id',
+      [Math.max(lastDeliveredEventId - 100, 0)]
+    );
+    missed.rows.forEach(row => {
+      const eventId = Number(row.id);
+      if (markDelivered(eventId)) deliverLocal(row.channel, row.session_id, row.event, eventId);
+    });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error('[PubSub] Listener start failed:', err.message);
+    schedulePubSubReconnect();
   }
-});
+}
 
-// =============================================================================
-// PROJECT MANAGEMENT API (Button-based UI support)
-// =============================================================================
+// Global events after lastEventId, or null when a snapshot is needed instead
+async function getMissedGlobalEvents(lastEventId) {
+  if (!lastEventId || pubsubMode === 'local') return null;
+  const bounds = await pool.query('SELECT MIN(id) AS oldest, MAX(id) AS newest FROM pdev_broadcast_events');
+  const oldest = Number(bounds.rows[0].oldest || 0);
+  const newest = Number(bounds.rows[0].newest || 0);
+  if (lastEventId < oldest - 1 || lastEventId > newest) return null;
+
+  const result = await pool.query(
+    "SELECT id, event FROM pdev_broadcast_events WHERE channel = 'global' AND id > $1 ORDER BY id",
+    [lastEventId]
+  );
+  return result.rows.map(row => ({ id: Number(row.id), event: row.event }));
+}
 
-// Initialize/register a new project
-app.post('/projects/init', mutationLimiter, async (req, res) => {
-  try {
-    const { server_origin, project_name } = req.body;
+function broadcastToSession(sessionId, event) {
+  publishEvent('session', sessionId, event);
+}
 
-    if (!server_origin || !project_name) {
-      return res.status(400).json({ error: 'Missing required fields: server_origin, project_name' });
-    }
+function broadcastGlobal(event) {
+  publishEvent('global', null, event);
+}
 
-    if (!VALID_SERVERS.includes(server_origin)) {
-      return res.status(400).json({ error: `Invalid server_origin: ${server_origin}. Must be one of: ${VALID_SERVERS.join(', ')}` });
-    }
-
-    const sanitizedName = project_name.replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 64);
-    if (!sanitizedName) {
-      return res.status(400).json({ error: 'Invalid project_name: must contain alphanumeric characters' });
-    }
-
-    const result = await pool.query(
-      `INSERT INTO pdev_sessions (server_origin, project_name, command_type, session_status, started_at)
-       VALUES ($1, $2, 'init', 'completed', NOW())
-       ON CONFLICT (server_origin, project_name) WHERE command_type = 'init'
-       DO UPDATE SET started_at = NOW(), updated_at = NOW()
-       RETURNING id`,
-      [server_origin, sanitizedName]
-    );
-
-    broadcastGlobal({ type: 'project_init', server: server_origin, project: sanitizedName });
-    res.status(201).json({ success: true, project_id: result.rows[0]?.id, project_name: sanitizedName });
+// Prune the event log; it only needs to cover reconnect windows
+const broadcastEventCleanupInterval = setInterval(async () => {
+  if (pubsubMode === 'local') return;
+  try {
+    await pool.query(`DELETE FROM pdev_broadcast_events WHERE created_at < NOW() - INTERVAL '${BROADCAST_EVENT_RETENTION}'`);
   } catch (err) {
-    console.error('Project init error:', err);
-    res.status(500).json({ error: 'Failed to initialize project' });
+    console.error('[PubSub] Event log cleanup error:', err.message);
   }
-});
+}, 10 * 60 * 1000);
 
-// Resume a project session (find most recent active/paused session)
-app.post('/sessions/resume', mutationLimiter, async (req, res) => {
-  try {
-    const { server_origin, project_name } = req.body;
+function stopPubSub() {
+  clearInterval(broadcastEventCleanupInterval);
+  clearTimeout(pubsubReconnectTimer);
+  pubsubMode = 'local'; // no reconnects while shutting down
+  if (pubsubClient) pubsubClient.end().catch(() => {});
+}
+process.on('SIGTERM', stopPubSub);
+process.on('SIGINT', stopPubSub);
 
-    if (!server_origin || !project_name) {
-      return res.status(400).json({ error: 'Missing required fields: server_origin, project_name' });
-    }
+// Comment frames keep idle connections open through proxies and let clients detect dead links
+const sseHeartbeatInterval = setInterval(() => {
+  sessionClients.forEach(clients => {
+    clients.forEach(client => client.write(': heartbeat\n\n'));
+  });
+  globalClients.forEach(client => client.write(': heartbeat\n\n'));
+}, SSE_HEARTBEAT_MS);
+process.on('SIGTERM', () => clearInterval(sseHeartbeatInterval));
+process.on('SIGINT', () => clearInterval(sseHeartbeatInterval));
 
-    if (!VALID_SERVERS.includes(server_origin)) {
-      return res.status(400).json({ error: `Invalid server_origin: ${server_origin}` });
-    }
+// =============================================================================
+// OUTBOUND WEBHOOKS
+// =============================================================================
+// Admins register URLs for lifecycle events (webhooks table, migration 017).
+// notifyWebhooks() sits next to the broadcastGlobal() calls and queues one
+// webhook_deliveries row per subscribed webhook; the queue worker POSTs them and
+// retries failures with backoff. Rows are claimed with FOR UPDATE SKIP LOCKED, so
+// every instance can run the worker without delivering twice.
+//
+// Each delivery is signed with the webhook's secret:
+//   X-Pdev-Signature: sha256=<hex HMAC-SHA256(secret, `${X-Pdev-Timestamp}.${body}`)>
+//
+// A webhook's format (migration 018) picks the body: 'json' posts the event payload
+// as stored; 'slack', 'teams' and 'discord' render it as a chat message for that
+// service's incoming webhooks. The delivery log always keeps the event payload.
+const WEBHOOK_EVENTS = ['session_created', 'session_completed', 'session_error', 'document_pushed'];
+const WEBHOOK_FORMATS = ['json', 'slack', 'teams', 'discord'];
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_RETRY_DELAYS_S = [60, 300, 1800, 7200, 21600]; // after attempts 1-5; attempt 6 is the last
+const WEBHOOK_CLAIM_LEASE_S = 120; // a claim left by a crashed worker is retried after this
+const WEBHOOK_BATCH_SIZE = 20;
+const WEBHOOK_DELIVERY_RETENTION = '30 days';
+const WEBHOOK_GUEST_LINK_HOURS = 72; // guest links in chat messages; reused while a day is left
+
+let webhookTableWarned = false;
+let webhookQueueRunning = false;
+let webhookQueueRerun = false;
+
+function signWebhookPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
 
-    const sanitizedName = project_name.replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 64);
-    if (!sanitizedName) {
-      return res.status(400).json({ error: 'Invalid project_name' });
+function handleWebhookTableError(err, context) {
+  if (err.code === '42P01') { // relation does not exist
+    if (!webhookTableWarned) {
+      webhookTableWarned = true;
+      console.warn('[Webhooks] webhooks table missing (run migration 017) - notifications disabled');
     }
+    return;
+  }
+  console.error(`[Webhooks] ${context}:`, err.message);
+}
 
-    const result = await pool.query(
-      `UPDATE pdev_sessions
-       SET session_status = 'active', updated_at = NOW()
-       WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)
-         AND session_status IN ('active', 'paused')
-         AND deleted_at IS NULL
-         AND id = (
-           SELECT id FROM pdev_sessions
-           WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)
-             AND session_status IN ('active', 'paused')
-             AND deleted_at IS NULL
-           ORDER BY started_at DESC
-           LIMIT 1
-           FOR UPDATE SKIP LOCKED
-         )
-       RETURNING id, command_type, session_status`,
-      [server_origin, sanitizedName]
-    );
+// Queue an event for every enabled webhook subscribed to it (fire-and-forget)
+function notifyWebhooks(event, data) {
+  queueWebhookEvent(event, data).catch(err => handleWebhookTableError(err, `Failed to queue ${event}`));
+}
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'No resumable session found for this project' });
-    }
+async function queueWebhookEvent(event, data) {
+  const subscribed = await pool.query('SELECT format, projects FROM webhooks WHERE enabled AND $1 = ANY(events)', [event]);
+  if (subscribed.rows.length === 0) return;
 
-    broadcastGlobal({ type: 'session_resumed', server: server_origin, project: sanitizedName, sessionId: result.rows[0].id });
-    res.json({ success: true, session: result.rows[0] });
-  } catch (err) {
-    console.error('Session resume error:', err);
-    res.status(500).json({ error: 'Failed to resume session' });
+  // Events that only carry a session id get the server/project from the session
+  if (data.sessionId && !data.server) {
+    const session = await pool.query(
+      'SELECT server_origin, project_name, command_type FROM pdev_sessions WHERE id = $1',
+      [data.sessionId]
+    );
+    if (session.rows.length > 0) {
+      const { server_origin, project_name, command_type } = session.rows[0];
+      data = { ...data, server: server_origin, project: project_name, commandType: command_type };
+    }
   }
-});
-
-// =============================================================================
 
-// =============================================================================
-// DELETE / CLEANUP API (Admin protected)
-// =============================================================================
+  // Webhooks limited to projects only fire for those projects
+  const targets = subscribed.rows.filter(webhook => !webhook.projects || webhook.projects.includes(data.project));
+  if (targets.length === 0) return;
 
-// Soft delete single session
-app.delete('/sessions/:sessionId', requireAdmin, async (req, res) => {
-  try {
-    var sessionId = req.params.sessionId;
-    await pool.query('UPDATE pdev_sessions SET deleted_at = NOW() WHERE id = $1', [sessionId]);
-    console.log('[Admin] Deleted session ' + sessionId);
-    broadcastGlobal({ type: 'session_deleted', sessionId: sessionId });
-    res.json({ success: true, message: 'Session ' + sessionId + ' deleted' });
-  } catch (err) {
-    console.error('[Admin] Delete error:', err);
-    res.status(500).json({ error: err.message });
+  if (data.documentName) {
+    const contract = resolveDocContract(data.server, data.project);
+    const doc = findPipelineDoc(data.documentName, contract);
+    if (doc) {
+      data = {
+        ...data, docType: doc.type, icon: doc.icon,
+        pipelinePhase: doc.phase, pipelineTotal: contract.PIPELINE_DOCS.length
+      };
+    }
+  }
+  // Chat messages link to the session for readers without an account
+  if (data.sessionId && targets.some(webhook => webhook.format !== 'json')) {
+    const guestUrl = await notificationGuestUrl(data.sessionId);
+    if (guestUrl) data = { ...data, guestUrl };
   }
-});
 
-// Soft delete all sessions
-app.delete('/sessions', requireAdmin, async (req, res) => {
+  const payload = { event, createdAt: new Date().toISOString(), data };
+  const result = await pool.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+     SELECT id, $1::text, $2 FROM webhooks
+     WHERE enabled AND $1::text = ANY(events) AND (projects IS NULL OR $3::text = ANY(projects))`,
+    [event, JSON.stringify(payload), data.project || null]
+  );
+  if (result.rowCount > 0) processWebhookQueue();
+}
+
+// Session guest link for chat notifications; every notification for a session shares one
+async function notificationGuestUrl(sessionId) {
   try {
-    const olderThanDays = req.query.olderThanDays ? parseInt(req.query.olderThanDays, 10) : null;
-    let result;
-    if (olderThanDays) {
-      // Validate to prevent SQL injection - must be positive integer 1-365
-      if (isNaN(olderThanDays) || olderThanDays < 1 || olderThanDays > 365) {
-        return res.status(400).json({ error: 'olderThanDays must be between 1 and 365' });
+    const existing = await pool.query(
+      `SELECT token FROM guest_tokens
+       WHERE token_type = 'session' AND session_id = $1 AND created_by = 'webhooks'
+         AND expires_at > NOW() + INTERVAL '1 day'
+       ORDER BY expires_at DESC
+       LIMIT 1`,
+      [sessionId]
+    );
+    let token = existing.rows.length > 0 ? existing.rows[0].token : null;
+    if (!token) {
+      const countResult = await pool.query('SELECT COUNT(*) FROM guest_tokens WHERE expires_at > NOW()');
+      if (parseInt(countResult.rows[0].count) >= MAX_GUEST_TOKENS) {
+        console.warn('[Webhooks] Guest token limit reached - chat message sent without a link');
+        return null;
       }
-      result = await pool.query(
-        "UPDATE pdev_sessions SET deleted_at = NOW() WHERE deleted_at IS NULL AND started_at < NOW() - ($1 || ' days')::interval RETURNING id",
-        [olderThanDays]
+      token = generateToken(32);
+      await pool.query(
+        `INSERT INTO guest_tokens (token, token_type, session_id, expires_at, created_by)
+         VALUES ($1, $2, $3, $4, $5)`,
+        [token, 'session', sessionId, new Date(Date.now() + WEBHOOK_GUEST_LINK_HOURS * 60 * 60 * 1000), 'webhooks']
       );
-    } else {
-      result = await pool.query('UPDATE pdev_sessions SET deleted_at = NOW() WHERE deleted_at IS NULL RETURNING id');
     }
-    console.log('[Admin] Deleted ' + result.rowCount + ' sessions');
-    broadcastGlobal({ type: 'sessions_cleared' });
-    res.json({ success: true, deleted: result.rowCount });
+
+    const guestUrl = new URL('/session.html', PDEV_BASE_URL);
+    guestUrl.searchParams.set('guest', token);
+    return guestUrl.toString();
   } catch (err) {
-    console.error('[Admin] Bulk delete error:', err);
-    res.status(500).json({ error: 'Failed to delete sessions' });
+    console.error('[Webhooks] Guest link error:', err.message);
+    return null;
   }
-});
+}
 
-// =============================================================================
-// GUEST TEMP LINK API
-// =============================================================================
+// Chat formats: describeWebhookEvent() turns an event payload into one neutral message
+// (title, text, fields, link, tone); each adapter only reshapes it for its service.
+// Health tones use the EVALUATION.md health_score thresholds from project.html.
+const CHAT_HEALTH_THRESHOLDS = { GOOD: 80, WARNING: 60 };
+const CHAT_LINK_LABEL = 'Open in PDev Live';
 
-// Create guest link for a session (Admin or Share Token)
-app.post('/guest-links', async (req, res) => {
-  // Accept either admin key OR share token
-  var shareToken = req.headers['x-share-token'];
-  var adminKey = req.headers['x-admin-key'];
+function truncateChatText(text, max) {
+  text = String(text);
+  return text.length > max ? text.substring(0, max - 1) + '…' : text;
+}
 
-  if (shareToken) {
-    if (!validateShareToken(shareToken)) {
-      return res.status(401).json({ error: 'Invalid or expired share token' });
+function describeWebhookEvent({ event, createdAt, data = {} }) {
+  const message = {
+    title: `🔔 PDev Live: ${event}`,
+    text: null,
+    fields: [],
+    url: data.guestUrl || null,
+    tone: 'info',
+    timestamp: createdAt
+  };
+  const addField = (name, value) => {
+    if (value !== null && value !== undefined && value !== '') {
+      message.fields.push({ name, value: truncateChatText(value, 200) });
     }
-  } else if (adminKey) {
-    var crypto = require('crypto');
-    try {
-      var keyBuffer = Buffer.from(adminKey);
-      var adminBuffer = Buffer.from(ADMIN_KEY);
-      if (keyBuffer.length !== adminBuffer.length ||
-          !crypto.timingSafeEqual(keyBuffer, adminBuffer)) {
-        return res.status(401).json({ error: 'Unauthorized' });
+  };
+  addField('Project', data.project);
+  addField('Server', data.server);
+
+  switch (event) {
+    case 'document_pushed': {
+      message.title = `${data.icon || '📄'} ${data.documentName} landed` + (data.project ? ` for ${data.project}` : '');
+      addField('Phase', data.pipelinePhase
+        ? `${data.pipelinePhase}/${data.pipelineTotal} ${data.docType}`
+        : data.phaseName);
+      const meta = data.frontmatter || {};
+      const healthScore = parseInt(meta.health_score, 10);
+      if (!isNaN(healthScore)) {
+        addField('Health score', `${healthScore}%`);
+        message.tone = healthScore >= CHAT_HEALTH_THRESHOLDS.GOOD ? 'good'
+          : healthScore >= CHAT_HEALTH_THRESHOLDS.WARNING ? 'warning' : 'critical';
       }
-    } catch (err) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-  } else {
-    return res.status(401).json({ error: 'Missing authentication' });
-  }
-  try {
-    var sessionId = req.body.sessionId;
-    var expiresInHours = req.body.expiresInHours || 24;
-    
-    if (!sessionId) {
-      return res.status(400).json({ error: 'sessionId required' });
+      if (typeof meta.remediation_status === 'string') addField('Remediation', meta.remediation_status);
+      break;
     }
-    
-    // Enforce MAX_GUEST_TOKENS
-    const countResult = await pool.query(
-      'SELECT COUNT(*) FROM guest_tokens WHERE expires_at > NOW()'
-    );
-    const activeTokens = parseInt(countResult.rows[0].count);
+    case 'session_created':
+      message.title = '▶️ Session started' + (data.project ? ` on ${data.project}` : '');
+      addField('Command', data.commandType);
+      addField('Branch', data.gitBranch);
+      addField('User', data.user);
+      break;
+    case 'session_completed':
+      message.title = '🏁 Session completed' + (data.project ? ` on ${data.project}` : '');
+      message.text = data.summary;
+      addField('Status', data.status);
+      if (data.status === 'completed') message.tone = 'good';
+      break;
+    case 'session_error':
+      message.title = '❌ Session ended with an error' + (data.project ? ` on ${data.project}` : '');
+      message.text = data.summary;
+      addField('Command', data.commandType);
+      message.tone = 'critical';
+      break;
+    case 'test':
+      message.title = '🔔 PDev Live test notification';
+      message.text = data.message;
+      addField('Triggered by', data.triggeredBy);
+      break;
+  }
+  if (message.text) message.text = truncateChatText(message.text, 1000);
+  return message;
+}
 
-    if (activeTokens >= MAX_GUEST_TOKENS) {
-      return res.status(503).json({ error: 'Token limit reached, try again later' });
-    }
-    
-    // Verify session exists
-    var session = await getSessionWithSteps(sessionId);
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
-    }
-    
-    var token = generateToken(32);
-    var expiresAt = Date.now() + (expiresInHours * 60 * 60 * 1000);
+function escapeSlackText(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
 
-    await pool.query(
-      `INSERT INTO guest_tokens (token, token_type, session_id, expires_at, created_by)
-       VALUES ($1, $2, $3, $4, $5)`,
-      [token, 'session', sessionId, new Date(expiresAt), req.headers['x-user'] || 'admin']
-    );
-    
-    console.log('[Guest] Created link for session ' + sessionId + ', expires in ' + expiresInHours + 'h');
+// Slack incoming webhook: Block Kit, with text as the notification fallback
+function toSlackMessage(message) {
+  const blocks = [{
+    type: 'section',
+    text: {
+      type: 'mrkdwn',
+      text: `*${escapeSlackText(message.title)}*` + (message.text ? `\n${escapeSlackText(message.text)}` : '')
+    }
+  }];
+  if (message.fields.length > 0) {
+    blocks.push({
+      type: 'section',
+      fields: message.fields.slice(0, 10).map(field => ({
+        type: 'mrkdwn',
+        text: `*${escapeSlackText(field.name)}*\n${escapeSlackText(field.value)}`
+      }))
+    });
+  }
+  if (message.url) {
+    blocks.push({
+      type: 'actions',
+      elements: [{ type: 'button', text: { type: 'plain_text', text: CHAT_LINK_LABEL }, url: message.url }]
+    });
+  }
+  return { text: message.title, blocks };
+}
 
-    // Construct guest URL safely using URL constructor
-    const guestUrl = new URL('/session.html', PDEV_BASE_URL);
-    guestUrl.searchParams.set('guest', token);
+// Microsoft Teams (Workflows / incoming webhook): one Adaptive Card attachment
+const TEAMS_TONE_COLORS = { info: 'Accent', good: 'Good', warning: 'Warning', critical: 'Attention' };
 
-    res.json({
-      success: true,
-      token: token,
-      url: guestUrl.toString(),
-      expiresAt: new Date(expiresAt).toISOString(),
-      expiresInHours: expiresInHours
-    });
-  } catch (err) {
-    console.error('[Guest] Create link error:', err);
-    res.status(500).json({ error: err.message });
+function toTeamsMessage(message) {
+  const body = [{ type: 'TextBlock', text: message.title, weight: 'Bolder', size: 'Medium', wrap: true, color: TEAMS_TONE_COLORS[message.tone] }];
+  if (message.text) {
+    body.push({ type: 'TextBlock', text: message.text, wrap: true });
   }
-});
+  if (message.fields.length > 0) {
+    body.push({ type: 'FactSet', facts: message.fields.map(field => ({ title: field.name, value: field.value })) });
+  }
+  const card = {
+    $schema: 'http://adaptivecards.io/schemas/adaptive-card.json',
+    type: 'AdaptiveCard',
+    version: '1.4',
+    body
+  };
+  if (message.url) {
+    card.actions = [{ type: 'Action.OpenUrl', title: CHAT_LINK_LABEL, url: message.url }];
+  }
+  return {
+    type: 'message',
+    attachments: [{ contentType: 'application/vnd.microsoft.card.adaptive', contentUrl: null, content: card }]
+  };
+}
 
-// Create share link for a project (Admin or Share Token)
-app.post('/project-share', async (req, res) => {
-  // Accept either admin key OR share token
-  var shareToken = req.headers['x-share-token'];
-  var adminKey = req.headers['x-admin-key'];
+// Discord webhook: one embed (title links to the session)
+const DISCORD_TONE_COLORS = { info: 0x3b82f6, good: 0x22c55e, warning: 0xf59e0b, critical: 0xef4444 };
 
-  if (shareToken) {
-    if (!validateShareToken(shareToken)) {
-      return res.status(401).json({ error: 'Invalid or expired share token' });
-    }
-  } else if (adminKey) {
-    var crypto = require('crypto');
+function toDiscordMessage(message) {
+  const embed = {
+    title: truncateChatText(message.title, 256),
+    color: DISCORD_TONE_COLORS[message.tone],
+    fields: message.fields.slice(0, 25).map(field => ({ name: field.name, value: field.value, inline: true })),
+    footer: { text: 'PDev Live' },
+    timestamp: message.timestamp
+  };
+  if (message.text) embed.description = message.text;
+  if (message.url) embed.url = message.url;
+  return { embeds: [embed] };
+}
+
+const CHAT_ADAPTERS = { slack: toSlackMessage, teams: toTeamsMessage, discord: toDiscordMessage };
+
+// Request body for a delivery in the webhook's format
+function renderWebhookBody(format, payload) {
+  const adapter = CHAT_ADAPTERS[format];
+  return JSON.stringify(adapter ? adapter(describeWebhookEvent(payload)) : payload);
+}
+
+// Claim due deliveries: bumps attempts and pushes next_attempt_at out by the lease
+async function claimWebhookDeliveries() {
+  const result = await pool.query(`
+    UPDATE webhook_deliveries d
+    SET attempts = d.attempts + 1, last_attempt_at = NOW(),
+        next_attempt_at = NOW() + $2 * INTERVAL '1 second'
+    FROM webhooks w
+    WHERE w.id = d.webhook_id AND d.id IN (
+      SELECT id FROM webhook_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= NOW()
+      ORDER BY next_attempt_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING d.id, d.event, d.payload, d.attempts, w.url, w.secret, w.format, w.enabled
+  `, [WEBHOOK_BATCH_SIZE, WEBHOOK_CLAIM_LEASE_S]);
+  return result.rows;
+}
+
+// POST one claimed delivery and record the outcome
+// retry: false marks a failed attempt as final (used by "send test")
+async function attemptWebhookDelivery(delivery, { retry = true } = {}) {
+  const body = renderWebhookBody(delivery.format, delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const started = Date.now();
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  if (!delivery.enabled) {
+    error = 'Webhook disabled';
+  } else {
     try {
-      var keyBuffer = Buffer.from(adminKey);
-      var adminBuffer = Buffer.from(ADMIN_KEY);
-      if (keyBuffer.length !== adminBuffer.length ||
-          !crypto.timingSafeEqual(keyBuffer, adminBuffer)) {
-        return res.status(401).json({ error: 'Unauthorized' });
-      }
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': `PDev-Live-Webhook/${PDEV_VERSION.version}`,
+          'X-Pdev-Event': delivery.event,
+          'X-Pdev-Delivery': String(delivery.id),
+          'X-Pdev-Timestamp': timestamp,
+          'X-Pdev-Signature': signWebhookPayload(delivery.secret, timestamp, body)
+        },
+        body,
+        redirect: 'manual', // a redirect counts as a failed delivery
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+      });
+      responseStatus = response.status;
+      responseBody = (await response.text()).substring(0, 1000);
+      if (!response.ok) error = `HTTP ${response.status}`;
     } catch (err) {
-      return res.status(401).json({ error: 'Unauthorized' });
+      error = err.name === 'TimeoutError'
+        ? `No response within ${WEBHOOK_TIMEOUT_MS / 1000}s`
+        : (err.cause && err.cause.message) || err.message;
     }
-  } else {
-    return res.status(401).json({ error: 'Missing authentication' });
   }
-  try {
-    var server = req.body.server;
-    var project = req.body.project;
-    var expiresInHours = req.body.expiresInHours || 72;
 
-    if (!server || !project) {
-      return res.status(400).json({ error: 'server and project required' });
-    }
+  const retryDelay = retry && delivery.enabled ? WEBHOOK_RETRY_DELAYS_S[delivery.attempts - 1] : undefined;
+  const status = !error ? 'success' : retryDelay === undefined ? 'failed' : 'pending';
+  const result = await pool.query(`
+    UPDATE webhook_deliveries
+    SET status = $2::text, response_status = $3, response_body = $4, error = $5, duration_ms = $6,
+        delivered_at = CASE WHEN $2::text = 'success' THEN NOW() ELSE NULL END,
+        next_attempt_at = CASE WHEN $2::text = 'pending' THEN NOW() + $7 * INTERVAL '1 second' ELSE next_attempt_at END
+    WHERE id = $1
+    RETURNING *
+  `, [delivery.id, status, responseStatus, responseBody, error, Date.now() - started, retryDelay || 0]);
 
-    // Enforce MAX_GUEST_TOKENS
-    const countResult = await pool.query(
-      'SELECT COUNT(*) FROM guest_tokens WHERE expires_at > NOW()'
-    );
-    const activeTokens = parseInt(countResult.rows[0].count);
+  if (error) {
+    console.warn(`[Webhooks] Delivery ${delivery.id} (${delivery.event}) attempt ${delivery.attempts} failed: ${error}` +
+      (status === 'pending' ? ` - retrying in ${retryDelay}s` : ''));
+  }
+  return result.rows[0];
+}
 
-    if (activeTokens >= MAX_GUEST_TOKENS) {
-      return res.status(503).json({ error: 'Token limit reached, try again later' });
-    }
-
-    var token = generateToken(32);
-    var expiresAt = Date.now() + (expiresInHours * 60 * 60 * 1000);
-
-    await pool.query(
-      `INSERT INTO guest_tokens (token, token_type, server_name, project_name, expires_at, created_by)
-       VALUES ($1, $2, $3, $4, $5, $6)`,
-      [token, 'project', server, project, new Date(expiresAt), req.headers['x-user'] || 'admin']
-    );
-
-    console.log('[Guest] Created project link for ' + server + '/' + project + ', expires in ' + expiresInHours + 'h');
-
-    // Construct project share URL safely using URL constructor
-    const shareUrl = new URL('/project.html', PDEV_BASE_URL);
-    shareUrl.searchParams.set('project', project);
-    shareUrl.searchParams.set('server', server);
-    shareUrl.searchParams.set('guest', token);
-
-    res.json({
-      success: true,
-      token: token,
-      shareUrl: shareUrl.toString(),
-      expiresAt: new Date(expiresAt).toISOString(),
-      expiresInHours: expiresInHours
-    });
-  } catch (err) {
-    console.error('[Guest] Create project link error:', err);
-    res.status(500).json({ error: err.message });
+// Drain due deliveries (one worker loop per instance)
+async function processWebhookQueue() {
+  if (webhookQueueRunning) {
+    webhookQueueRerun = true;
+    return;
   }
-});
-
-// List active guest links (Admin only)
-app.get('/guest-links', requireAdmin, async (req, res) => {
+  webhookQueueRunning = true;
   try {
-    var links = [];
-    var now = Date.now();
-    
-    guestTokens.forEach(function(data, token) {
-      if (data.expiresAt > now) {
-        links.push({
-          token: token.substring(0, 8) + '...',
-          sessionId: data.sessionId,
-          expiresAt: new Date(data.expiresAt).toISOString(),
-          createdBy: data.createdBy,
-          remainingHours: Math.round((data.expiresAt - now) / (60 * 60 * 1000))
-        });
-      }
-    });
-    
-    res.json({ links: links, count: links.length });
+    let claimed;
+    do {
+      webhookQueueRerun = false;
+      claimed = await claimWebhookDeliveries();
+      await Promise.all(claimed.map(delivery => attemptWebhookDelivery(delivery)));
+    } while (claimed.length === WEBHOOK_BATCH_SIZE || webhookQueueRerun);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleWebhookTableError(err, 'Queue processing failed');
+  } finally {
+    webhookQueueRunning = false;
   }
-});
-
-// Revoke guest link (Admin only)
-app.delete('/guest-links/:token', requireAdmin, async (req, res) => {
-  try {
-    var token = req.params.token;
-
-    const result = await pool.query(
-      'DELETE FROM guest_tokens WHERE token = $1 RETURNING token',
-      [token]
-    );
+}
 
-    if (result.rowCount > 0) {
-      console.log('[Guest] Revoked link ' + token.substring(0, 8) + '...');
-      res.json({ success: true, message: 'Link revoked' });
-    } else {
-      res.status(404).json({ error: 'Link not found' });
-    }
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+// Pick up retries (and deliveries queued by instances that went away)
+const webhookQueueInterval = setInterval(processWebhookQueue, 15 * 1000);
 
-// Validate guest token and get session (Public - for guests)
-app.get('/guest/:token', async (req, res) => {
+// Prune the delivery log (pending rows are kept until they finish)
+const webhookCleanupInterval = setInterval(async () => {
   try {
-    var token = req.params.token;
-    var guest = await validateGuestToken(token);
-    
-    if (!guest) {
-      return res.status(401).json({ error: 'Invalid or expired guest link' });
-    }
-    
-    var session = await getSessionWithSteps(guest.sessionId);
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
-    }
-    
-    res.json({
-      success: true,
-      sessionId: guest.sessionId,
-      session: session,
-      expiresAt: new Date(guest.expiresAt).toISOString()
-    });
+    await pool.query(`DELETE FROM webhook_deliveries WHERE status <> 'pending' AND created_at < NOW() - INTERVAL '${WEBHOOK_DELIVERY_RETENTION}'`);
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    handleWebhookTableError(err, 'Delivery log cleanup error');
   }
-});
-// LEGACY API (backward compatibility with v1)
-// =============================================================================
+}, 60 * 60 * 1000);
 
-// Legacy update endpoint - creates session if needed, adds step
-app.post('/update', async (req, res) => {
-  try {
-    const { type, command, content, project, server, documentName } = req.body;
+function stopWebhooks() {
+  clearInterval(webhookQueueInterval);
+  clearInterval(webhookCleanupInterval);
+}
+process.on('SIGTERM', stopWebhooks);
+process.on('SIGINT', stopWebhooks);
 
-    // Get or create a session
-    let sessionId;
-    const activeSessions = await pool.query(`
-      SELECT id FROM pdev_sessions
-      WHERE server_origin = $1 AND session_status = 'active' AND deleted_at IS NULL
-      ORDER BY started_at DESC LIMIT 1
-    `, [server || config.partner.serverName]);
+// =============================================================================
+// DATABASE FUNCTIONS
+// =============================================================================
 
-    if (activeSessions.rows.length > 0) {
-      sessionId = activeSessions.rows[0].id;
-    } else {
-      // Create new session
-      const session = await createSession({
-        server: server || config.partner.serverName,
-        hostname: server || config.partner.serverName,
-        project: project || 'Unknown',
-        commandType: command ? command.replace('/', '') : 'unknown'
-      });
-      sessionId = session.id;
-    }
+// SECURITY: Sanitize markdown to prevent XSS attacks
+function renderMarkdownHtml(markdown) {
+  return markdown ? DOMPurify.sanitize(marked.parse(markdown), {
+    ALLOWED_TAGS: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'ul', 'ol', 'li', 'code', 'pre', 'a', 'strong', 'em', 'blockquote', 'table', 'tr', 'td', 'th', 'thead', 'tbody', 'br', 'hr', 'span', 'div'],
+    ALLOWED_ATTR: ['href', 'class', 'id']
+  }) : null;
+}
 
-    const stepNumber = await getNextStepNumber(sessionId);
+async function createSession({ server, hostname, project, projectPath, cwd, commandType, commandArgs, user, gitBranch, gitCommit }) {
+  const result = await pool.query(`
+    INSERT INTO pdev_sessions (
+      server_origin, server_hostname, project_name, project_path,
+      working_directory, command_type, command_args, user_identifier,
+      git_branch, git_commit_sha
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    RETURNING id, started_at
+  `, [server, hostname, project, projectPath, cwd, commandType, commandArgs, user, gitBranch, gitCommit]);
 
-    await addStep({
-      sessionId,
-      stepNumber,
-      stepType: type || 'output',
-      contentMarkdown: content,
-      documentName,
-      commandText: command
-    });
+  return result.rows[0];
+}
 
-    // Broadcast
-    broadcastToSession(sessionId, {
-      type: 'step',
-      step: {
-        step_number: stepNumber,
-        step_type: type || 'output',
-        content_markdown: content,
-        content_html: content ? DOMPurify.sanitize(marked.parse(content), {
-          ALLOWED_TAGS: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'ul', 'ol', 'li', 'code', 'pre', 'a', 'strong', 'em', 'blockquote', 'table', 'tr', 'td', 'th', 'thead', 'tbody', 'br', 'hr', 'span', 'div'],
-          ALLOWED_ATTR: ['href', 'class', 'id']
-        }) : null,
-        command_text: command
-      }
-    });
+async function addStep({ sessionId, stepNumber, stepType, phaseName, phaseNumber, subPhase, contentMarkdown, commandText, exitCode, documentName, fileCreatedAt, fileModifiedAt }) {
+  const contentHtml = renderMarkdownHtml(contentMarkdown);
+  const contentPlain = contentMarkdown ? contentMarkdown.replace(/[#*_`]/g, '').substring(0, 500) : null;
 
-    res.json({ success: true, sessionId });
-  } catch (err) {
-    console.error('[Legacy Update] Error:', err);
-    res.status(500).json({ error: err.message });
-  }
-});
+  const result = await pool.query(`
+    INSERT INTO pdev_session_steps (
+      session_id, step_number, step_type, phase_name, phase_number,
+      sub_phase, content_markdown, content_html, content_plain,
+      command_text, exit_code, output_byte_size, document_name,
+      file_created_at, file_modified_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+    RETURNING id, created_at
+  `, [
+    sessionId, stepNumber, stepType, phaseName, phaseNumber,
+    subPhase, contentMarkdown, contentHtml, contentPlain,
+    commandText, exitCode, contentMarkdown?.length || 0, documentName || null,
+    fileCreatedAt || null, fileModifiedAt || null
+  ]);
 
-// Legacy session endpoint
-app.get('/session', async (req, res) => {
+  // DUAL-WRITE: Also save documents to project-scoped table (survives session deletion)
   try {
-    const sessions = await getActiveSessions();
-    if (sessions.length > 0) {
-      const session = await getSessionWithSteps(sessions[0].id);
-      res.json(session);
-    } else {
-      res.json({ id: null, steps: [] });
-    }
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+    if (stepType === 'document' && documentName && contentMarkdown) {
+      // Get session details to populate server_origin and project_name
+      const sessionResult = await pool.query(
+        'SELECT server_origin, project_name FROM pdev_sessions WHERE id = $1',
+        [sessionId]
+      );
 
-// Legacy reset endpoint - marks all active sessions as completed (Admin only)
-app.post('/reset', requireAdmin, async (req, res) => {
-  try {
-    const result = await pool.query(
-      `UPDATE pdev_sessions
-       SET session_status = $1, completed_at = NOW()
-       WHERE session_status = $2 AND deleted_at IS NULL
-       RETURNING id`,
-      ['completed', 'active']
-    );
+      if (sessionResult.rows.length > 0) {
+        const { server_origin, project_name } = sessionResult.rows[0];
 
-    const completed = result.rowCount || 0;
-    console.log('[Reset] Completed ' + completed + ' active sessions');
+        // Extract version from content
+        const versionMatch = contentMarkdown.match(/pdev_version:\s*([0-9.]+)/);
+        const version = versionMatch ? versionMatch[1] : null;
+        const metadata = parseDocFrontmatter(contentMarkdown);
 
-    if (typeof broadcastGlobal === 'function') {
-      try {
-        broadcastGlobal({ type: 'reset' });
-      } catch (broadcastErr) {
-        console.error('[Reset] Broadcast failed:', broadcastErr.message);
+        // Upsert into pdev_project_documents (latest version wins)
+        // and append an immutable revision so earlier pushes stay retrievable
+        await withTransaction(async (client) => {
+          await client.query(`
+            INSERT INTO pdev_project_documents
+              (server_origin, project_name, document_name, content, content_html, version,
+               file_created_at, file_modified_at, phase_number, phase_name, metadata, updated_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+            ON CONFLICT (server_origin, project_name, document_name)
+            DO UPDATE SET
+              content = EXCLUDED.content,
+              content_html = EXCLUDED.content_html,
+              version = EXCLUDED.version,
+              metadata = EXCLUDED.metadata,
+              file_created_at = EXCLUDED.file_created_at,
+              file_modified_at = EXCLUDED.file_modified_at,
+              phase_number = EXCLUDED.phase_number,
+              phase_name = EXCLUDED.phase_name,
+              updated_at = NOW()
+          `, [
+            server_origin, project_name, documentName, contentMarkdown, contentHtml, version,
+            fileCreatedAt || null, fileModifiedAt || null, phaseNumber || null, phaseName || null,
+            metadata && JSON.stringify(metadata)
+          ]);
+
+          await client.query(`
+            INSERT INTO pdev_document_revisions
+              (server_origin, project_name, doc_type, document_name, content, content_html, version,
+               file_created_at, file_modified_at, phase_number, phase_name, session_id, step_id, metadata)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+          `, [
+            server_origin, project_name, normalizeDocType(documentName.trim(), resolveDocContract(server_origin, project_name)), documentName, contentMarkdown, contentHtml, version,
+            fileCreatedAt || null, fileModifiedAt || null, phaseNumber || null, phaseName || null,
+            sessionId, result.rows[0].id, metadata && JSON.stringify(metadata)
+          ]);
+        });
+
+        console.log(`[Document] Saved to project_documents: ${project_name}/${documentName}`);
+
+        // Cross-document checks run in the background; a failure never affects the push
+        analyzeProjectConsistency(server_origin, project_name).catch(err => {
+          console.error(`[Consistency] Analysis failed for ${server_origin}/${project_name}:`, err.message);
+        });
+      } else {
+        console.warn(`[Document] Session ${sessionId} not found - skipping dual-write for ${documentName}`);
       }
     }
-
-    res.json({ success: true, completed: completed });
-  } catch (err) {
-    console.error('[Reset] Database error:', err.message);
-    res.status(500).json({ error: 'Failed to reset sessions' });
+  } catch (dualWriteError) {
+    // Non-fatal: Main insert already succeeded
+    console.error('[Document] Dual-write failed (non-fatal):', {
+      sessionId,
+      documentName,
+      error: dualWriteError.message
+    });
   }
-});
 
-// =============================================================================
-// VERSION & AUTO-UPDATE API
-// =============================================================================
+  return result.rows[0];
+}
 
-// Version info - used by remote servers to check for updates
-// INCREMENT version when making changes that should propagate to satellites
-const PDEV_VERSION = {
-  version: '2.2.0',
-  buildTime: new Date().toISOString(),
-  serverFiles: ['server.js', 'doc-contract.json'],
-  frontendFiles: ['project.html', 'session.html', 'index.html']
-};
+async function completeSession(sessionId, status = 'completed', summaryMarkdown = null) {
+  const summaryHtml = renderMarkdownHtml(summaryMarkdown);
 
-// Get current version (for update checks)
-app.get('/version', (req, res) => {
-  res.json({
-    version: PDEV_VERSION.version,
-    buildTime: PDEV_VERSION.buildTime,
-    serverFiles: PDEV_VERSION.serverFiles,
-    frontendFiles: PDEV_VERSION.frontendFiles
-  });
-});
+  await pool.query(`
+    UPDATE pdev_sessions
+    SET session_status = $2, completed_at = NOW(), summary_markdown = $3, summary_html = $4
+    WHERE id = $1
+  `, [sessionId, status, summaryMarkdown, summaryHtml]);
+}
 
-// Get file content for auto-update (admin only)
-app.get('/update-file/:filename', requireAdmin, (req, res) => {
-  const { filename } = req.params;
-  const allowedServerFiles = ['server.js', 'doc-contract.json'];
-  const allowedFrontendFiles = ['project.html', 'session.html', 'index.html'];
-  const allAllowed = [...allowedServerFiles, ...allowedFrontendFiles];
+async function getSessionWithSteps(sessionId) {
+  const sessionResult = await pool.query(`
+    SELECT * FROM pdev_sessions WHERE id = $1 AND deleted_at IS NULL
+  `, [sessionId]);
 
-  // Security: sanitize filename, prevent path traversal
-  const sanitizedFilename = path.basename(filename);
-  if (filename !== sanitizedFilename || filename.includes('..') || !allAllowed.includes(sanitizedFilename)) {
-    return res.status(400).json({ error: 'File not allowed: ' + filename });
-  }
+  if (sessionResult.rows.length === 0) return null;
 
-  // Determine file path based on type
-  let filePath;
-  if (allowedServerFiles.includes(sanitizedFilename)) {
-    filePath = path.join(__dirname, sanitizedFilename);
-  } else {
-    filePath = path.join(FRONTEND_DIR, sanitizedFilename);
-  }
+  const stepsResult = await pool.query(`
+    SELECT * FROM pdev_session_steps WHERE session_id = $1 ORDER BY step_number
+  `, [sessionId]);
 
-  try {
-    const content = fs.readFileSync(filePath, 'utf8');
-    const crypto = require('crypto');
-    const hash = crypto.createHash('sha256').update(content).digest('hex');
+  return {
+    ...sessionResult.rows[0],
+    steps: stepsResult.rows
+  };
+}
 
-    res.json({
-      filename: sanitizedFilename,
-      content: content,
-      hash: hash,
-      size: content.length,
-      version: PDEV_VERSION.version
-    });
-  } catch (err) {
-    res.status(500).json({ error: 'Failed to read file: ' + err.message });
-  }
-});
+async function getActiveSessions() {
+  const result = await pool.query(`
+    SELECT * FROM v_active_sessions
+  `);
+  return result.rows;
+}
 
-// =============================================================================
-// HEALTH & INFO
-// =============================================================================
+async function getSessionHistory(limit = 50, offset = 0) {
+  const result = await pool.query(`
+    SELECT * FROM v_session_history LIMIT $1 OFFSET $2
+  `, [limit, offset]);
+  return result.rows;
+}
 
-app.get('/health', async (req, res) => {
-  try {
-    // Test DB connection
-    await pool.query('SELECT 1');
+async function getSessionsByServer(server) {
+  const result = await pool.query(`
+    SELECT * FROM pdev_sessions
+    WHERE server_origin = $1 AND deleted_at IS NULL
+    ORDER BY started_at DESC LIMIT 20
+  `, [server]);
+  return result.rows;
+}
 
-    const sessions = await getActiveSessions();
+async function getNextStepNumber(sessionId) {
+  const result = await pool.query(`
+    SELECT COALESCE(MAX(step_number), 0) + 1 as next FROM pdev_session_steps WHERE session_id = $1
+  `, [sessionId]);
+  return result.rows[0].next;
+}
 
-    res.json({
-      status: 'ok',
-      version: '2.0.0',
-      baseUrl: PDEV_BASE_URL,
-      environment: process.env.NODE_ENV || 'development',
-      database: 'connected',
-      activeSessions: sessions.length,
-      globalClients: globalClients.size,
-      sessionClients: Array.from(sessionClients.entries()).map(([id, clients]) => ({
-        sessionId: id,
-        clients: clients.size
-      })),
-      uptime: process.uptime(),
-      timestamp: new Date().toISOString()
-    });
+/**
+ * Execute database operations in a transaction
+ * Prevents partial updates on failure
+ */
+async function withTransaction(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
   } catch (err) {
-    res.status(500).json({
-      status: 'error',
-      database: 'disconnected',
-      error: err.message
-    });
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
   }
-});
+}
 
 // =============================================================================
-// SERVER TOKEN REGISTRATION API (for project mode installers)
+// WEBHOOK API (for remote servers)
 // =============================================================================
 
-// Registration secret for auto-provisioning (from env or generate warning)
-const REGISTRATION_SECRET = process.env.PDEV_REGISTRATION_SECRET;
-if (!REGISTRATION_SECRET) {
-  console.warn('[Auth] PDEV_REGISTRATION_SECRET not set - token registration disabled');
-}
+// Create new session
+app.post('/sessions', requireTokenScope('sessions:write', req => req.body.server), async (req, res) => {
+  try {
+    const { server, hostname, project, projectPath, cwd, commandType, commandArgs, user, gitBranch, gitCommit } = req.body;
 
-// Rate limiting for registration attempts
-const registrationAttempts = new Map(); // IP -> { count, resetAt }
-const MAX_RATE_LIMIT_ENTRIES = 10000;
+    // Validate server
+    if (!VALID_SERVERS.includes(server)) {
+      return res.status(400).json({ error: `Invalid server: ${server}. Must be one of: ${VALID_SERVERS.join(', ')}` });
+    }
 
-function checkRegistrationRateLimit(ip) {
-  // Emergency protection against memory exhaustion
-  if (registrationAttempts.size >= MAX_RATE_LIMIT_ENTRIES) {
-    console.error('[Auth] Rate limit map at capacity - rejecting new IPs');
-    return false;
-  }
+    if (!project || !commandType) {
+      return res.status(400).json({ error: 'Missing required fields: project, commandType' });
+    }
 
-  const now = Date.now();
-  const window = 15 * 60 * 1000; // 15 minutes
-  const maxAttempts = 5;
+    // Idempotency check - prevent duplicate submissions within 5 second window
+    const idempotencyKey = `${server}:${project}:${commandType}:${user || 'anonymous'}:${gitBranch || 'default'}`;
+    const now = Date.now();
 
-  let record = registrationAttempts.get(ip);
-  if (!record || now > record.resetAt) {
-    record = { count: 0, resetAt: now + window };
-    registrationAttempts.set(ip, record);
-  }
+    const existing = recentSessionRequests.get(idempotencyKey);
+    if (existing) {
+      if (now - existing.timestamp < IDEMPOTENCY_WINDOW_MS) {
+        if (existing.sessionId) {
+          // Session already created, return it
+          console.log(`[Session] Dedup: returning existing session ${existing.sessionId}`);
+          return res.json({ success: true, sessionId: existing.sessionId, deduplicated: true });
+        }
+        // Another request is in-flight - wait briefly
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const updated = recentSessionRequests.get(idempotencyKey);
+        if (updated && updated.sessionId) {
+          console.log(`[Session] Dedup (after wait): returning session ${updated.sessionId}`);
+          return res.json({ success: true, sessionId: updated.sessionId, deduplicated: true });
+        }
+      }
+    }
 
-  if (record.count >= maxAttempts) {
-    return false;
-  }
+    // Reserve slot BEFORE creating session (prevents race condition)
+    // Enforce max size to prevent memory exhaustion attacks
+    if (recentSessionRequests.size >= MAX_IDEMPOTENCY_KEYS) {
+      const oldestKey = recentSessionRequests.keys().next().value;
+      recentSessionRequests.delete(oldestKey);
+    }
+    recentSessionRequests.set(idempotencyKey, { timestamp: now, sessionId: null });
 
-  record.count++;
-  return true;
-}
+    const session = await createSession({
+      server,
+      hostname: hostname || server,
+      project,
+      projectPath,
+      cwd,
+      commandType,
+      commandArgs: commandArgs ? JSON.stringify(commandArgs) : null,
+      user,
+      gitBranch,
+      gitCommit
+    });
 
-// Clean up old rate limit entries every hour
-setInterval(() => {
-  try {
-    const now = Date.now();
-    let cleaned = 0;
-    for (const [ip, record] of registrationAttempts.entries()) {
-      if (now > record.resetAt) {
-        registrationAttempts.delete(ip);
-        cleaned++;
+    // Update cache with actual session ID
+    recentSessionRequests.set(idempotencyKey, { timestamp: now, sessionId: session.id });
+
+    console.log(`[Session] Created ${session.id} from ${server} - ${commandType}`);
+
+    // Broadcast to global dashboard
+    broadcastGlobal({
+      type: 'session_created',
+      session: {
+        id: session.id,
+        server_origin: server,
+        project_name: project,
+        command_type: commandType,
+        started_at: session.started_at
       }
-    }
-    if (cleaned > 0) {
-      console.log(`[Auth] Cleaned ${cleaned} expired rate limit entries`);
-    }
+    });
+    notifyWebhooks('session_created', {
+      sessionId: session.id,
+      server,
+      project,
+      commandType,
+      user: user || null,
+      gitBranch: gitBranch || null,
+      startedAt: session.started_at
+    });
+
+    res.json({ success: true, sessionId: session.id });
   } catch (err) {
-    console.error('[Auth] Rate limit cleanup error:', err);
+    console.error('[Session] Create error:', err);
+    res.status(500).json({ error: err.message });
   }
-}, 60 * 60 * 1000);
+});
 
+// Add step to session
+app.post('/sessions/:sessionId/steps', requireTokenScope(stepTokenScope, sessionServerOrigin), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { type, phaseName, phaseNumber, subPhase, content, command, exitCode, documentName, fileCreatedAt, fileModifiedAt } = req.body;
 
-// ============================================================================
-// REGISTRATION CODE ENDPOINTS (Secure Time-Limited Provisioning)
-// ============================================================================
+    if (!type) {
+      return res.status(400).json({ error: 'Missing required field: type' });
+    }
 
-// Utility: Extract client IP with proxy support
-function getClientIP(req) {
-  const forwarded = req.headers['x-forwarded-for'];
-  if (forwarded) {
-    return forwarded.split(',')[0].trim();
-  }
-  if (req.headers['x-real-ip']) {
-    return req.headers['x-real-ip'];
-  }
-  return req.ip || req.socket.remoteAddress;
-}
-
-// Utility: Validate server name format
-function validateServerName(name) {
-  if (!name || typeof name !== 'string') {
-    throw new Error('Server name is required');
-  }
-  if (name.length < 2 || name.length > 50) {
-    throw new Error('Server name must be 2-50 characters');
-  }
-  if (!/^[a-zA-Z0-9._-]+$/.test(name)) {
-    throw new Error('Server name contains invalid characters (alphanumeric, dot, underscore, dash only)');
-  }
-  return name;
-}
-
-// POST /admin/registration-code - Generate time-limited registration code
-app.post('/admin/registration-code', async (req, res) => {
-  const authHeader = req.headers.authorization;
+    const stepNumber = await getNextStepNumber(sessionId);
 
-  // HTTP Basic Auth required (nginx enforces, but double-check)
-  if (!authHeader || !authHeader.startsWith('Basic ')) {
-    return res.status(401).json({
-      error: 'Admin authentication required',
-      code: 'UNAUTHORIZED',
-      message: 'This endpoint requires HTTP Basic Auth'
+    const step = await addStep({
+      sessionId,
+      stepNumber,
+      stepType: type,
+      phaseName,
+      phaseNumber,
+      subPhase,
+      contentMarkdown: content,
+      commandText: command,
+      exitCode,
+      documentName,
+      fileCreatedAt,
+      fileModifiedAt
     });
-  }
-
-  const clientIP = getClientIP(req);
-  const createdBy = req.headers['x-authenticated-user'] || 'admin';
-  const client = await pool.connect();
-
-  try {
-    await client.query('BEGIN');
-
-    // Generate cryptographically secure random code
-    const code = crypto.randomBytes(16).toString('hex'); // 32 chars
-    const expiresAt = new Date(Date.now() + 3600000); // 1 hour from now
-
-    await client.query(`
-      INSERT INTO registration_codes (code, expires_at, created_by, created_ip)
-      VALUES ($1, $2, $3, $4)
-    `, [code, expiresAt, createdBy, clientIP]);
 
-    await client.query('COMMIT');
+    console.log(`[Step] Added #${stepNumber} to ${sessionId} - ${type}`);
 
-    console.log(`[REGCODE] Created: ${code.substring(0, 4)}... by ${createdBy} from ${clientIP}`);
+    // Broadcast to session viewers
+    const fullStep = {
+      id: step.id,
+      step_number: stepNumber,
+      step_type: type,
+      phase_name: phaseName,
+      phase_number: phaseNumber,
+      document_name: documentName,
+      content_markdown: content,
+      content_html: renderMarkdownHtml(content),
+      command_text: command,
+      created_at: step.created_at,
+      file_created_at: fileCreatedAt || null,
+      file_modified_at: fileModifiedAt || null
+    };
 
-    res.status(201).json({
-      success: true,
-      code,
-      expiresAt: expiresAt.toISOString(),
-      expiresIn: 3600,
-      message: 'Use this code once within 1 hour for automated installation'
+    broadcastToSession(sessionId, {
+      type: 'step',
+      step: fullStep
     });
 
-  } catch (err) {
-    await client.query('ROLLBACK');
-    console.error('[REGCODE] Generation failed:', err.message);
-
-    if (err.code === '23505') { // Unique violation (extremely rare with crypto.randomBytes)
-      return res.status(500).json({
-        error: 'Code generation collision (retry)',
-        code: 'COLLISION'
+    // Also update global dashboard
+    broadcastGlobal({
+      type: 'session_updated',
+      sessionId,
+      lastStep: fullStep
+    });
+    if (type === 'document' && documentName) {
+      notifyWebhooks('document_pushed', {
+        sessionId, stepId: step.id, documentName, phaseName, phaseNumber,
+        frontmatter: parseDocFrontmatter(content)
       });
     }
 
-    res.status(500).json({
-      error: 'Failed to generate registration code',
-      code: 'INTERNAL_ERROR'
-    });
-
-  } finally {
-    client.release();
+    res.json({ success: true, stepId: step.id, stepNumber });
+  } catch (err) {
+    console.error('[Step] Add error:', err);
+    res.status(500).json({ error: err.message });
   }
 });
 
-// POST /tokens/register-with-code - Register server using time-limited code
-app.post('/tokens/register-with-code', async (req, res) => {
-  const { code, serverName, hostname } = req.body;
-  const clientIP = getClientIP(req);
+// Complete session
+app.post('/sessions/:sessionId/complete', requireTokenScope('sessions:write', sessionServerOrigin), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { status, summary } = req.body;
 
-  // Validate registration code format (32 hex chars)
-  if (!code || typeof code !== 'string') {
-    return res.status(400).json({
-      error: 'Registration code is required',
-      code: 'MISSING_CODE'
+    await completeSession(sessionId, status || 'completed', summary);
+
+    console.log(`[Session] Completed ${sessionId} - ${status || 'completed'}`);
+
+    // Broadcast completion
+    broadcastToSession(sessionId, {
+      type: 'session_completed',
+      status: status || 'completed'
     });
-  }
 
-  if (!/^[a-f0-9]{32}$/i.test(code)) {
-    return res.status(400).json({
-      error: 'Invalid registration code format (expected 32 hex characters)',
-      code: 'INVALID_CODE_FORMAT'
+    broadcastGlobal({
+      type: 'session_completed',
+      sessionId,
+      status: status || 'completed'
     });
-  }
+    notifyWebhooks('session_completed', { sessionId, status: status || 'completed', summary: summary || null });
+    if (status === 'error') {
+      notifyWebhooks('session_error', { sessionId, status, summary: summary || null });
+    }
 
-  // Validate and sanitize server name
-  let validatedName;
-  try {
-    validatedName = validateServerName(serverName);
+    res.json({ success: true });
   } catch (err) {
-    return res.status(400).json({
-      error: err.message,
-      code: 'INVALID_SERVER_NAME'
-    });
+    console.error('[Session] Complete error:', err);
+    res.status(500).json({ error: err.message });
   }
+});
 
-  const client = await pool.connect();
+// =============================================================================
+// READ API (for frontend)
+// =============================================================================
 
+// Get all active sessions
+app.get('/sessions/active', async (req, res) => {
   try {
-    await client.query('BEGIN');
-
-    // Atomically consume the registration code (prevents race conditions)
-    const codeResult = await client.query(`
-      UPDATE registration_codes
-      SET consumed_at = NOW(),
-          consumed_by = $1,
-          consumed_ip = $2
-      WHERE code = $3
-        AND consumed_at IS NULL
-        AND expires_at > NOW()
-      RETURNING id, created_by, created_at, expires_at
-    `, [validatedName, clientIP, code]);
+    const sessions = await getActiveSessions();
+    res.json(sessions);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    if (codeResult.rows.length === 0) {
-      // Code not found, already used, or expired - determine which
-      const codeCheck = await client.query(`
-        SELECT consumed_at, expires_at
-        FROM registration_codes
-        WHERE code = $1
-      `, [code]);
+// Get session history
+app.get('/sessions/history', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+    const sessions = await getSessionHistory(limit, offset);
+    res.json(sessions);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-      await client.query('ROLLBACK');
 
-      if (codeCheck.rows.length === 0) {
-        return res.status(404).json({
-          error: 'Registration code not found',
-          code: 'CODE_NOT_FOUND',
-          message: 'Invalid or non-existent registration code'
-        });
-      }
+// Find active session by server + project (for resume functionality)
+// MUST be before /sessions/:sessionId to avoid route conflict
+app.get('/sessions/find-active', async (req, res) => {
+  try {
+    const { server, project } = req.query;
 
-      const codeData = codeCheck.rows[0];
-      if (codeData.consumed_at) {
-        return res.status(409).json({
-          error: 'Registration code already used',
-          code: 'CODE_ALREADY_USED',
-          message: 'This code has already been consumed'
-        });
-      }
+    if (!server || !project) {
+      return res.status(400).json({ error: 'Missing required params: server, project' });
+    }
 
-      if (new Date(codeData.expires_at) <= new Date()) {
-        return res.status(410).json({
-          error: 'Registration code expired',
-          code: 'CODE_EXPIRED',
-          message: 'This code has expired - generate a new one'
-        });
-      }
+    const result = await pool.query(`
+      SELECT id, command_type, started_at,
+        (SELECT COUNT(*) FROM pdev_session_steps WHERE session_id = pdev_sessions.id) as step_count
+      FROM pdev_sessions
+      WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)
+        AND session_status = 'active' AND deleted_at IS NULL
+      ORDER BY started_at DESC LIMIT 1
+    `, [server, project]);
 
-      // Should not reach here, but handle gracefully
-      return res.status(500).json({
-        error: 'Code validation failed',
-        code: 'VALIDATION_ERROR'
-      });
+    if (result.rows.length > 0) {
+      res.json({ found: true, session: result.rows[0] });
+    } else {
+      res.json({ found: false });
     }
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// Add after line 512 (after find-active endpoint)
+
+// Find ANY session (active OR completed) for project - simplified client
+app.get('/sessions/find-session', async (req, res) => {
+  try {
+    const { server, project } = req.query;
+    if (!server || !project) {
+      return res.status(400).json({ error: 'Missing required params: server, project' });
+    }
+    const result = await pool.query(`
+      SELECT id, command_type, session_status, started_at,
+        (SELECT COUNT(*) FROM pdev_session_steps WHERE session_id = pdev_sessions.id) as step_count
+      FROM pdev_sessions
+      WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2) AND deleted_at IS NULL
+      ORDER BY started_at DESC LIMIT 1
+    `, [server, project]);
+    if (result.rows.length > 0) {
+      res.json({ found: true, session: result.rows[0] });
+    } else {
+      res.json({ found: false });
+    }
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Reopen a completed/interrupted session  
+app.post('/sessions/:sessionId/reopen', requireTokenScope('sessions:write', sessionServerOrigin), async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    await pool.query(`
+      UPDATE pdev_sessions
+      SET session_status = 'active', updated_at = NOW()
+      WHERE id = $1 AND deleted_at IS NULL
+    `, [sessionId]);
+    broadcastGlobal({ type: 'session_reopened', sessionId });
+    res.json({ success: true, sessionId });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get single session with steps
+app.get('/sessions/:sessionId', async (req, res) => {
+  try {
+    const session = await getSessionWithSteps(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(session);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get steps for a session (convenience endpoint)
+app.get("/sessions/:sessionId/steps", async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const result = await pool.query(`
+      SELECT * FROM pdev_session_steps WHERE session_id = $1 ORDER BY step_number
+    `, [sessionId]);
+    res.json({ steps: result.rows, count: result.rows.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get sessions by server
+app.get('/servers/:server/sessions', async (req, res) => {
+  try {
+    const { server } = req.params;
+    if (!VALID_SERVERS.includes(server)) {
+      return res.status(400).json({ error: `Invalid server: ${server}` });
+    }
+    const sessions = await getSessionsByServer(server);
+    res.json(sessions);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =============================================================================
+// PROJECT MANAGEMENT API (Button-based UI support)
+// =============================================================================
+
+// Initialize/register a new project
+app.post('/projects/init', mutationLimiter, requireTokenScope('sessions:write', req => req.body.server_origin), async (req, res) => {
+  try {
+    const { server_origin, project_name } = req.body;
+
+    if (!server_origin || !project_name) {
+      return res.status(400).json({ error: 'Missing required fields: server_origin, project_name' });
+    }
+
+    if (!VALID_SERVERS.includes(server_origin)) {
+      return res.status(400).json({ error: `Invalid server_origin: ${server_origin}. Must be one of: ${VALID_SERVERS.join(', ')}` });
+    }
+
+    const sanitizedName = project_name.replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 64);
+    if (!sanitizedName) {
+      return res.status(400).json({ error: 'Invalid project_name: must contain alphanumeric characters' });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO pdev_sessions (server_origin, project_name, command_type, session_status, started_at)
+       VALUES ($1, $2, 'init', 'completed', NOW())
+       ON CONFLICT (server_origin, project_name) WHERE command_type = 'init'
+       DO UPDATE SET started_at = NOW(), updated_at = NOW()
+       RETURNING id`,
+      [server_origin, sanitizedName]
+    );
+
+    broadcastGlobal({ type: 'project_init', server: server_origin, project: sanitizedName });
+    res.status(201).json({ success: true, project_id: result.rows[0]?.id, project_name: sanitizedName });
+  } catch (err) {
+    console.error('Project init error:', err);
+    res.status(500).json({ error: 'Failed to initialize project' });
+  }
+});
+
+// Resume a project session (find most recent active/paused session)
+app.post('/sessions/resume', mutationLimiter, requireTokenScope('sessions:write', req => req.body.server_origin), async (req, res) => {
+  try {
+    const { server_origin, project_name } = req.body;
+
+    if (!server_origin || !project_name) {
+      return res.status(400).json({ error: 'Missing required fields: server_origin, project_name' });
+    }
+
+    if (!VALID_SERVERS.includes(server_origin)) {
+      return res.status(400).json({ error: `Invalid server_origin: ${server_origin}` });
+    }
+
+    const sanitizedName = project_name.replace(/[^a-zA-Z0-9_-]/g, '').slice(0, 64);
+    if (!sanitizedName) {
+      return res.status(400).json({ error: 'Invalid project_name' });
+    }
+
+    const result = await pool.query(
+      `UPDATE pdev_sessions
+       SET session_status = 'active', updated_at = NOW()
+       WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)
+         AND session_status IN ('active', 'paused')
+         AND deleted_at IS NULL
+         AND id = (
+           SELECT id FROM pdev_sessions
+           WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)
+             AND session_status IN ('active', 'paused')
+             AND deleted_at IS NULL
+           ORDER BY started_at DESC
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED
+         )
+       RETURNING id, command_type, session_status`,
+      [server_origin, sanitizedName]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No resumable session found for this project' });
+    }
+
+    broadcastGlobal({ type: 'session_resumed', server: server_origin, project: sanitizedName, sessionId: result.rows[0].id });
+    res.json({ success: true, session: result.rows[0] });
+  } catch (err) {
+    console.error('Session resume error:', err);
+    res.status(500).json({ error: 'Failed to resume session' });
+  }
+});
+
+// =============================================================================
+
+// =============================================================================
+// DELETE / CLEANUP API (Admin protected)
+// =============================================================================
+
+// Soft delete the sessions matching where (on pdev_sessions s); deleted_by is shown in the trash
+async function softDeleteSessions(where, params, deletedBy) {
+  try {
+    return await pool.query(
+      `UPDATE pdev_sessions s SET deleted_at = NOW(), deleted_by = $${params.length + 1} WHERE ${where} RETURNING s.id`,
+      [...params, String(deletedBy).substring(0, 100)]
+    );
+  } catch (err) {
+    if (err.code !== '42703') throw err; // deleted_by missing (migration 025 not applied)
+    return pool.query(`UPDATE pdev_sessions s SET deleted_at = NOW() WHERE ${where} RETURNING s.id`, params);
+  }
+}
+
+// Soft delete single session
+app.delete('/sessions/:sessionId', requireAdmin, async (req, res) => {
+  try {
+    var sessionId = req.params.sessionId;
+    await softDeleteSessions('s.id = $1', [sessionId], auditActor(req).actor);
+    console.log('[Admin] Deleted session ' + sessionId);
+    recordAudit(req, 'session.delete', { targetType: 'session', target: sessionId });
+    broadcastGlobal({ type: 'session_deleted', sessionId: sessionId });
+    res.json({ success: true, message: 'Session ' + sessionId + ' deleted' });
+  } catch (err) {
+    console.error('[Admin] Delete error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Soft delete all sessions
+app.delete('/sessions', requireAdmin, async (req, res) => {
+  try {
+    const olderThanDays = req.query.olderThanDays ? parseInt(req.query.olderThanDays, 10) : null;
+    let result;
+    if (olderThanDays) {
+      // Validate to prevent SQL injection - must be positive integer 1-365
+      if (isNaN(olderThanDays) || olderThanDays < 1 || olderThanDays > 365) {
+        return res.status(400).json({ error: 'olderThanDays must be between 1 and 365' });
+      }
+      result = await softDeleteSessions(
+        "s.deleted_at IS NULL AND s.started_at < NOW() - ($1 || ' days')::interval",
+        [olderThanDays], auditActor(req).actor
+      );
+    } else {
+      result = await softDeleteSessions('s.deleted_at IS NULL', [], auditActor(req).actor);
+    }
+    console.log('[Admin] Deleted ' + result.rowCount + ' sessions');
+    recordAudit(req, 'session.delete_all', { details: { deleted: result.rowCount, olderThanDays: olderThanDays } });
+    broadcastGlobal({ type: 'sessions_cleared' });
+    res.json({ success: true, deleted: result.rowCount });
+  } catch (err) {
+    console.error('[Admin] Bulk delete error:', err);
+    res.status(500).json({ error: 'Failed to delete sessions' });
+  }
+});
+
+// =============================================================================
+// TRASH (Admin protected)
+// =============================================================================
+// Soft-deleted sessions stay in pdev_sessions until purged here or by a hard_delete
+// retention rule. Restoring clears deleted_at and announces the session again with
+// a session_restored event.
+
+const TRASH_MAX_IDS = 100;
+
+function formatTrashSession(row) {
+  return {
+    id: row.id,
+    server: row.server_origin,
+    project: row.project_name,
+    commandType: row.command_type,
+    status: row.session_status,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    deletedAt: row.deleted_at,
+    deletedBy: row.deleted_by,
+    steps: row.step_count
+  };
+}
+
+// Session ids of a restore/purge body; returns { ids } or { error }
+function validateTrashIds(body) {
+  const { ids } = body || {};
+  if (!Array.isArray(ids) || ids.length === 0 || ids.length > TRASH_MAX_IDS) {
+    return { error: `ids must list 1 to ${TRASH_MAX_IDS} session ids` };
+  }
+  if (!ids.every(id => typeof id === 'string' && validator.isUUID(id))) {
+    return { error: 'ids must be session ids (UUIDs)' };
+  }
+  return { ids: [...new Set(ids.map(id => id.toLowerCase()))] };
+}
+
+function sendTrashError(res, err, context, message) {
+  if (err.code === '42703') {
+    return res.status(503).json({ error: 'The trash is unavailable until migration 025 is applied' });
+  }
+  console.error(`[Trash] ${context}:`, err.message);
+  res.status(500).json({ error: message });
+}
+
+// Deleted sessions, most recently deleted first (server, project, limit max 200, offset)
+app.get('/admin/trash', requireAdmin, async (req, res) => {
+  const { server, project } = req.query;
+  if (project !== undefined) {
+    const validation = validateProjectParams(server, project);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+  } else if (server !== undefined && (typeof server !== 'string' || server.length > 50)) {
+    return res.status(400).json({ error: 'Invalid server parameter' });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    const result = await pool.query(
+      `SELECT s.id, s.server_origin, s.project_name, s.command_type, s.session_status,
+              s.started_at, s.completed_at, s.deleted_at, s.deleted_by,
+              (SELECT COUNT(*) FROM pdev_session_steps st WHERE st.session_id = s.id)::int AS step_count
+       FROM pdev_sessions s
+       WHERE s.deleted_at IS NOT NULL
+         AND ($1::text IS NULL OR s.server_origin = $1)
+         AND ($2::text IS NULL OR LOWER(s.project_name) = LOWER($2))
+       ORDER BY s.deleted_at DESC, s.id
+       LIMIT $3 OFFSET $4`,
+      [server || null, project || null, limit + 1, offset]
+    );
+    const rows = result.rows.slice(0, limit);
+    res.json({
+      sessions: rows.map(formatTrashSession),
+      count: rows.length,
+      hasMore: result.rows.length > limit,
+      limit,
+      offset
+    });
+  } catch (err) {
+    sendTrashError(res, err, 'List error', 'Failed to load deleted sessions');
+  }
+});
+
+// Restore deleted sessions ({ ids }); ids that aren't in the trash come back in notFound
+app.post('/admin/trash/restore', requireAdmin, async (req, res) => {
+  const { ids, error } = validateTrashIds(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE pdev_sessions SET deleted_at = NULL, deleted_by = NULL
+       WHERE id = ANY($1::uuid[]) AND deleted_at IS NOT NULL
+       RETURNING id, server_origin, project_name, command_type, session_status, started_at`,
+      [ids]
+    );
+    const restored = result.rows.map(row => row.id);
+
+    console.log(`[Trash] Restored ${restored.length} session(s)`);
+    for (const session of result.rows) {
+      recordAudit(req, 'session.restore', { targetType: 'session', target: session.id });
+      broadcastGlobal({ type: 'session_restored', sessionId: session.id, session });
+    }
+    res.json({
+      success: true,
+      restored: restored.length,
+      sessionIds: restored,
+      notFound: ids.filter(id => !restored.includes(id))
+    });
+  } catch (err) {
+    sendTrashError(res, err, 'Restore error', 'Failed to restore sessions');
+  }
+});
+
+// Permanently delete sessions from the trash ({ ids }) with their steps and guest links;
+// document revisions they pushed are kept
+app.post('/admin/trash/purge', requireAdmin, async (req, res) => {
+  const { ids, error } = validateTrashIds(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const { sessions, steps } = await withTransaction(async (client) => {
+      const stepCounts = await client.query(
+        `SELECT st.session_id, COUNT(*)::int AS count FROM pdev_session_steps st
+         JOIN pdev_sessions s ON s.id = st.session_id
+         WHERE s.id = ANY($1::uuid[]) AND s.deleted_at IS NOT NULL
+         GROUP BY st.session_id`,
+        [ids]
+      );
+      const deleted = await client.query(
+        'DELETE FROM pdev_sessions WHERE id = ANY($1::uuid[]) AND deleted_at IS NOT NULL RETURNING id',
+        [ids]
+      );
+      return {
+        sessions: deleted.rows.map(row => row.id),
+        steps: new Map(stepCounts.rows.map(row => [row.session_id, row.count]))
+      };
+    });
+
+    console.log(`[Trash] Purged ${sessions.length} session(s)`);
+    for (const sessionId of sessions) {
+      recordAudit(req, 'session.purge', { targetType: 'session', target: sessionId, details: { steps: steps.get(sessionId) || 0 } });
+    }
+    res.json({
+      success: true,
+      purged: sessions.length,
+      steps: sessions.reduce((total, sessionId) => total + (steps.get(sessionId) || 0), 0),
+      sessionIds: sessions,
+      notFound: ids.filter(id => !sessions.includes(id))
+    });
+  } catch (err) {
+    console.error('[Trash] Purge error:', err.message);
+    res.status(500).json({ error: 'Failed to purge sessions' });
+  }
+});
+
+// =============================================================================
+// DATA RETENTION
+// =============================================================================
+// Admin-defined rules (retention_rules, migration 024) run every PDEV_RETENTION_INTERVAL_HOURS
+// (default 24, first run 5 minutes after start-up, 0 disables the schedule):
+//   soft_delete  sessions started more than N days ago get deleted_at (like DELETE /sessions?olderThanDays)
+//   purge_steps  finished sessions (not active/paused) completed more than N days ago lose their steps;
+//                the session, project documents and revisions stay and steps_purged_at is set
+//   hard_delete  sessions soft-deleted more than N days ago are removed with their steps and guest
+//                links; the revisions they pushed stay (session_id becomes NULL)
+// A rule covers every server, one server or one project; per action a session belongs to the most
+// specific enabled rule only. With archive, every session is written to PDEV_RETENTION_ARCHIVE_DIR
+// as a session archive (POST /import restores it) before it is touched, and one that can't be
+// archived is skipped. A run handles up to RETENTION_BATCH_SIZE sessions per rule; an advisory
+// lock keeps two instances from running the rules at the same time.
+
+const RETENTION_ACTIONS = ['soft_delete', 'purge_steps', 'hard_delete'];
+const RETENTION_CONFIG = {
+  intervalHours: Math.min(parseFloat(process.env.PDEV_RETENTION_INTERVAL_HOURS || '24') || 0, 168),
+  archiveDir: process.env.PDEV_RETENTION_ARCHIVE_DIR || path.join(__dirname, 'retention-archives')
+};
+const RETENTION_BATCH_SIZE = 500;
+const RETENTION_PREVIEW_LIMIT = 50;
+const RETENTION_FIRST_RUN_DELAY_MS = 5 * 60 * 1000;
+const RETENTION_LOCK_KEY = 'pdev_retention';
+// Scheduled runs are audited as this actor
+const RETENTION_SYSTEM_REQUEST = { headers: {}, socket: {} };
+const RETENTION_SYSTEM_ACTOR = { actor: 'retention', userId: null, authMethod: 'system' };
+
+// Sessions an action may touch ($1 = older_than_days); checked again when the action runs
+const RETENTION_CONDITIONS = {
+  soft_delete: 's.deleted_at IS NULL AND s.started_at < NOW() - make_interval(days => $1)',
+  purge_steps: `s.deleted_at IS NULL AND s.steps_purged_at IS NULL
+    AND s.session_status NOT IN ('active', 'paused')
+    AND COALESCE(s.completed_at, s.started_at) < NOW() - make_interval(days => $1)
+    AND EXISTS (SELECT 1 FROM pdev_session_steps st WHERE st.session_id = s.id)`,
+  hard_delete: 's.deleted_at IS NOT NULL AND s.deleted_at < NOW() - make_interval(days => $1)'
+};
+
+let retentionRunning = false;
+let retentionTableWarned = false;
+
+function formatRetentionRule(row) {
+  return {
+    id: row.id,
+    server: row.server_origin,
+    project: row.project_name,
+    scope: row.project_name ? 'project' : (row.server_origin ? 'server' : 'all'),
+    action: row.action,
+    olderThanDays: row.older_than_days,
+    archive: row.archive,
+    enabled: row.enabled,
+    lastRunAt: row.last_run_at,
+    lastResult: row.last_result,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function retentionTarget(row) {
+  const scope = row.project_name ? `${row.server_origin}/${row.project_name}` : (row.server_origin || '*');
+  return `${row.action} ${scope}`;
+}
+
+// Validates server/project/action/olderThanDays/archive/enabled; with partial only the
+// settings can change (scope and action are fixed once created). Returns { values } or { error }
+function validateRetentionInput(body, { partial = false } = {}) {
+  const values = {};
+  const { server, project, action, olderThanDays, archive, enabled } = body;
+
+  if (partial) {
+    if (server !== undefined || project !== undefined || action !== undefined) {
+      return { error: 'server, project and action cannot be changed - create a new rule instead' };
+    }
+  } else {
+    if (!RETENTION_ACTIONS.includes(action)) {
+      return { error: `action must be one of: ${RETENTION_ACTIONS.join(', ')}` };
+    }
+    values.action = action;
+    values.server = null;
+    values.project = null;
+    if (server !== undefined && server !== null) {
+      if (typeof server !== 'string' || !/^[a-zA-Z0-9_\-]{1,50}$/.test(server)) {
+        return { error: 'Invalid server parameter' };
+      }
+      values.server = server;
+    }
+    if (project !== undefined && project !== null) {
+      if (!values.server) {
+        return { error: 'A project rule needs its server' };
+      }
+      const validation = validateProjectParams(values.server, project);
+      if (!validation.valid) {
+        return { error: validation.error };
+      }
+      values.project = project;
+    }
+  }
+  if (olderThanDays !== undefined || !partial) {
+    if (!Number.isInteger(olderThanDays) || olderThanDays < 1 || olderThanDays > 3650) {
+      return { error: 'olderThanDays must be a whole number of days between 1 and 3650' };
+    }
+    values.olderThanDays = olderThanDays;
+  }
+  for (const [name, value] of [['archive', archive], ['enabled', enabled]]) {
+    if (value !== undefined) {
+      if (typeof value !== 'boolean') {
+        return { error: `${name} must be a boolean` };
+      }
+      values[name] = value;
+    }
+  }
+  return { values };
+}
+
+function parseRetentionRuleId(value, res) {
+  const ruleId = parseInt(value, 10);
+  if (!Number.isInteger(ruleId) || ruleId < 1) {
+    res.status(400).json({ error: 'Invalid retention rule id' });
+    return null;
+  }
+  return ruleId;
+}
+
+// Sessions the rule would act on now, oldest first; totals cover every batch
+async function findRetentionCandidates(rule, limit) {
+  // Leave sessions to a more specific enabled rule for the same action
+  const moreSpecific = rule.project_name ? 'FALSE'
+    : rule.server_origin ? 'r.project_name IS NOT NULL AND LOWER(r.project_name) = LOWER(s.project_name)'
+    : '(r.project_name IS NULL OR LOWER(r.project_name) = LOWER(s.project_name))';
+  const result = await pool.query(`
+    SELECT c.*, COUNT(*) OVER ()::int AS total_sessions, (SUM(c.step_count) OVER ())::int AS total_steps
+    FROM (
+      SELECT s.id, s.server_origin, s.project_name, s.command_type, s.session_status,
+             s.started_at, s.completed_at, s.deleted_at,
+             (SELECT COUNT(*) FROM pdev_session_steps st WHERE st.session_id = s.id)::int AS step_count
+      FROM pdev_sessions s
+      WHERE ${RETENTION_CONDITIONS[rule.action]}
+        AND ($2::text IS NULL OR s.server_origin = $2)
+        AND ($3::text IS NULL OR LOWER(s.project_name) = LOWER($3))
+        AND NOT EXISTS (
+          SELECT 1 FROM retention_rules r
+          WHERE r.enabled AND r.action = $4 AND r.server_origin = s.server_origin AND ${moreSpecific}
+        )
+    ) c
+    ORDER BY c.started_at, c.id
+    LIMIT $5
+  `, [rule.older_than_days, rule.server_origin, rule.project_name, rule.action, limit]);
+  return {
+    sessions: result.rows,
+    totalSessions: result.rows.length > 0 ? result.rows[0].total_sessions : 0,
+    totalSteps: result.rows.length > 0 ? result.rows[0].total_steps : 0
+  };
+}
+
+// Same archive as GET /sessions/:id/export, written to the archive directory
+async function archiveSessionForRetention(sessionId) {
+  const sessionResult = await pool.query('SELECT * FROM pdev_sessions WHERE id = $1', [sessionId]);
+  const session = sessionResult.rows[0];
+  const revisions = await pool.query(
+    'SELECT * FROM pdev_document_revisions WHERE session_id = $1 ORDER BY created_at, id',
+    [sessionId]
+  );
+  const archive = await buildArchive({
+    scope: 'session',
+    server: session.server_origin,
+    project: session.project_name,
+    sessions: [session],
+    documents: [],
+    revisions: revisions.rows
+  });
+  await fs.promises.mkdir(RETENTION_CONFIG.archiveDir, { recursive: true, mode: 0o700 });
+  const file = path.join(RETENTION_CONFIG.archiveDir,
+    downloadFileName('tar.gz', 'session', session.server_origin, session.project_name, session.id));
+  await fs.promises.writeFile(file, archive, { mode: 0o600 });
+  return file;
+}
+
+// Apply one rule to its next batch; returns the counts stored in last_result
+async function applyRetentionRule(rule) {
+  const candidates = await findRetentionCandidates(rule, RETENTION_BATCH_SIZE);
+  const result = { sessions: 0, steps: 0, archived: 0, archiveFailures: 0, remaining: 0 };
+  let sessionIds = candidates.sessions.map(session => session.id);
+
+  if (rule.archive) {
+    sessionIds = [];
+    for (const session of candidates.sessions) {
+      try {
+        await archiveSessionForRetention(session.id);
+        sessionIds.push(session.id);
+        result.archived++;
+      } catch (err) {
+        console.error(`[Retention] Could not archive session ${session.id}, leaving it:`, err.message);
+        result.archiveFailures++;
+      }
+    }
+  }
+
+  if (sessionIds.length > 0) {
+    // The rule's conditions are checked again: a session may have been resumed or restored meanwhile
+    const matching = `SELECT s.id FROM pdev_sessions s WHERE s.id = ANY($2::uuid[]) AND ${RETENTION_CONDITIONS[rule.action]}`;
+    let counts;
+    if (rule.action === 'soft_delete') {
+      const sessions = await softDeleteSessions(`s.id = ANY($2::uuid[]) AND ${RETENTION_CONDITIONS.soft_delete}`,
+        [rule.older_than_days, sessionIds], RETENTION_SYSTEM_ACTOR.actor);
+      counts = { sessions: sessions.rowCount, steps: 0 };
+    } else {
+      counts = await withTransaction(async (client) => {
+        if (rule.action === 'purge_steps') {
+          const steps = await client.query(
+            `DELETE FROM pdev_session_steps WHERE session_id IN (${matching}) RETURNING session_id`,
+            [rule.older_than_days, sessionIds]
+          );
+          const sessions = await client.query(
+            'UPDATE pdev_sessions SET steps_purged_at = NOW() WHERE id = ANY($1::uuid[])',
+            [[...new Set(steps.rows.map(row => row.session_id))]]
+          );
+          return { sessions: sessions.rowCount, steps: steps.rowCount };
+        }
+        const stepCounts = await client.query(
+          `SELECT COUNT(*)::int AS count FROM pdev_session_steps WHERE session_id IN (${matching})`,
+          [rule.older_than_days, sessionIds]
+        );
+        const sessions = await client.query(`DELETE FROM pdev_sessions WHERE id IN (${matching})`, [rule.older_than_days, sessionIds]);
+        return { sessions: sessions.rowCount, steps: stepCounts.rows[0].count };
+      });
+    }
+    result.sessions = counts.sessions;
+    result.steps = counts.steps;
+  }
+  result.remaining = Math.max(candidates.totalSessions - candidates.sessions.length, 0) + result.archiveFailures;
+  return result;
+}
+
+// Run every enabled rule (or just ruleId, enabled or not); req is null for scheduled runs
+// Returns { results: [{ rule, result | error }] } or { skipped } when a run is already going
+async function runRetention({ ruleId = null, req = null } = {}) {
+  if (retentionRunning) return { skipped: 'A retention run is already in progress on this instance' };
+  retentionRunning = true;
+  let lockClient = null;
+  try {
+    lockClient = await pool.connect();
+    const lock = await lockClient.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [RETENTION_LOCK_KEY]);
+    if (!lock.rows[0].locked) return { skipped: 'Another instance is running the retention rules' };
+
+    try {
+      const rules = await pool.query(
+        `SELECT * FROM retention_rules WHERE ${ruleId ? 'id = $1' : 'enabled'} ORDER BY id`,
+        ruleId ? [ruleId] : []
+      );
+      const results = [];
+      for (const rule of rules.rows) {
+        let outcome;
+        try {
+          outcome = { ...(await applyRetentionRule(rule)), ranAt: new Date().toISOString() };
+        } catch (err) {
+          console.error(`[Retention] ${retentionTarget(rule)} failed:`, err.message);
+          outcome = { error: err.message, ranAt: new Date().toISOString() };
+        }
+        const updated = await pool.query(
+          'UPDATE retention_rules SET last_run_at = NOW(), last_result = $2 WHERE id = $1 RETURNING *',
+          [rule.id, JSON.stringify(outcome)]
+        );
+        results.push({ rule: formatRetentionRule(updated.rows[0] || rule), result: outcome });
+
+        if (outcome.error || outcome.sessions > 0 || outcome.archiveFailures > 0) {
+          console.log(`[Retention] ${retentionTarget(rule)}: ${outcome.error || `${outcome.sessions} sessions, ${outcome.steps} steps` +
+            (rule.archive ? `, ${outcome.archived} archived` : '') + (outcome.remaining ? `, ${outcome.remaining} left for the next run` : '')}`);
+          recordAudit(req || RETENTION_SYSTEM_REQUEST, 'retention.run', {
+            targetType: 'retention_rule',
+            target: retentionTarget(rule),
+            outcome: outcome.error ? 'failure' : 'success',
+            details: outcome,
+            ...(req ? {} : { actor: RETENTION_SYSTEM_ACTOR })
+          });
+        }
+        if (!outcome.error && outcome.sessions > 0 && rule.action !== 'purge_steps') {
+          broadcastGlobal({ type: 'sessions_cleared' });
+        }
+      }
+      return { results };
+    } finally {
+      await lockClient.query('SELECT pg_advisory_unlock(hashtext($1))', [RETENTION_LOCK_KEY]);
+    }
+  } finally {
+    if (lockClient) lockClient.release();
+    retentionRunning = false;
+  }
+}
+
+let retentionTimer = null;
+function scheduleRetention(delayMs) {
+  retentionTimer = setTimeout(async () => {
+    try {
+      await runRetention();
+    } catch (err) {
+      if (err.code === '42P01') {
+        if (!retentionTableWarned) {
+          retentionTableWarned = true;
+          console.warn('[Retention] retention_rules table missing - run migration 024');
+        }
+      } else {
+        console.error('[Retention] Scheduled run failed:', err.message);
+      }
+    }
+    scheduleRetention(RETENTION_CONFIG.intervalHours * 60 * 60 * 1000);
+  }, delayMs);
+}
+if (RETENTION_CONFIG.intervalHours > 0) {
+  scheduleRetention(RETENTION_FIRST_RUN_DELAY_MS);
+}
+process.on('SIGTERM', () => clearTimeout(retentionTimer));
+process.on('SIGINT', () => clearTimeout(retentionTimer));
+
+function sendRetentionError(res, err, context, message) {
+  if (err.code === '42P01') {
+    return res.status(503).json({ error: 'Retention rules are unavailable until migration 024 is applied' });
+  }
+  console.error(`[Retention] ${context}:`, err.message);
+  res.status(500).json({ error: message });
+}
+
+// Rules and the schedule they run on
+app.get('/admin/retention', requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM retention_rules ORDER BY action, server_origin NULLS FIRST, project_name NULLS FIRST'
+    );
+    res.json({
+      rules: result.rows.map(formatRetentionRule),
+      actions: RETENTION_ACTIONS,
+      intervalHours: RETENTION_CONFIG.intervalHours,
+      archiveDir: RETENTION_CONFIG.archiveDir
+    });
+  } catch (err) {
+    sendRetentionError(res, err, 'List error', 'Failed to load retention rules');
+  }
+});
+
+// Add a rule ({ action, olderThanDays, server?, project?, archive?, enabled? })
+app.post('/admin/retention', requireAdmin, async (req, res) => {
+  const { values, error } = validateRetentionInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO retention_rules (server_origin, project_name, action, older_than_days, archive, enabled, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [values.server, values.project, values.action, values.olderThanDays, values.archive === true,
+       values.enabled !== false, auditActor(req).actor]
+    );
+    const rule = result.rows[0];
+
+    console.log(`[Retention] Rule added: ${retentionTarget(rule)} after ${rule.older_than_days} days`);
+    recordAudit(req, 'retention.create', {
+      targetType: 'retention_rule',
+      target: retentionTarget(rule),
+      details: { olderThanDays: rule.older_than_days, archive: rule.archive, enabled: rule.enabled }
+    });
+    res.status(201).json({ success: true, rule: formatRetentionRule(rule) });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'A rule for this action and scope already exists - change that one instead' });
+    }
+    sendRetentionError(res, err, 'Create error', 'Failed to create retention rule');
+  }
+});
+
+// What the rules would remove right now, without changing anything (?ruleId= for one rule)
+app.get('/admin/retention/preview', requireAdmin, async (req, res) => {
+  const ruleId = req.query.ruleId !== undefined ? parseRetentionRuleId(req.query.ruleId, res) : null;
+  if (ruleId === null && req.query.ruleId !== undefined) return;
+
+  try {
+    const rules = await pool.query(
+      `SELECT * FROM retention_rules WHERE ${ruleId ? 'id = $1' : 'enabled'} ORDER BY id`,
+      ruleId ? [ruleId] : []
+    );
+    if (ruleId && rules.rows.length === 0) {
+      return res.status(404).json({ error: 'Retention rule not found' });
+    }
+
+    const previews = [];
+    for (const rule of rules.rows) {
+      const candidates = await findRetentionCandidates(rule, RETENTION_PREVIEW_LIMIT);
+      previews.push({
+        rule: formatRetentionRule(rule),
+        sessions: candidates.totalSessions,
+        steps: candidates.totalSteps,
+        // Sessions past RETENTION_BATCH_SIZE are handled by later runs
+        runs: Math.ceil(candidates.totalSessions / RETENTION_BATCH_SIZE),
+        sample: candidates.sessions.map(session => ({
+          id: session.id,
+          server: session.server_origin,
+          project: session.project_name,
+          commandType: session.command_type,
+          status: session.session_status,
+          startedAt: session.started_at,
+          completedAt: session.completed_at,
+          deletedAt: session.deleted_at,
+          steps: session.step_count
+        }))
+      });
+    }
+    res.json({ dryRun: true, rules: previews });
+  } catch (err) {
+    sendRetentionError(res, err, 'Preview error', 'Failed to preview retention rules');
+  }
+});
+
+// Run the enabled rules now (?ruleId= runs that rule even when disabled)
+app.post('/admin/retention/run', requireAdmin, async (req, res) => {
+  const ruleId = req.query.ruleId !== undefined ? parseRetentionRuleId(req.query.ruleId, res) : null;
+  if (ruleId === null && req.query.ruleId !== undefined) return;
+
+  try {
+    const run = await runRetention({ ruleId, req });
+    if (run.skipped) {
+      return res.status(409).json({ error: run.skipped });
+    }
+    if (ruleId && run.results.length === 0) {
+      return res.status(404).json({ error: 'Retention rule not found' });
+    }
+    res.json({ success: true, results: run.results });
+  } catch (err) {
+    sendRetentionError(res, err, 'Run error', 'Failed to run retention rules');
+  }
+});
+
+// Change olderThanDays, archive and/or enabled
+app.patch('/admin/retention/:id', requireAdmin, async (req, res) => {
+  const ruleId = parseRetentionRuleId(req.params.id, res);
+  if (!ruleId) return;
+
+  const { values, error } = validateRetentionInput(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (Object.keys(values).length === 0) {
+    return res.status(400).json({ error: 'Provide olderThanDays, archive or enabled' });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE retention_rules
+       SET older_than_days = COALESCE($2, older_than_days), archive = COALESCE($3, archive),
+           enabled = COALESCE($4, enabled), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [ruleId, values.olderThanDays || null,
+       values.archive === undefined ? null : values.archive, values.enabled === undefined ? null : values.enabled]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Retention rule not found' });
+    }
+    const rule = result.rows[0];
+
+    console.log(`[Retention] Rule updated: ${retentionTarget(rule)}`);
+    recordAudit(req, 'retention.update', { targetType: 'retention_rule', target: retentionTarget(rule), details: values });
+    res.json({ success: true, rule: formatRetentionRule(rule) });
+  } catch (err) {
+    sendRetentionError(res, err, 'Update error', 'Failed to update retention rule');
+  }
+});
+
+app.delete('/admin/retention/:id', requireAdmin, async (req, res) => {
+  const ruleId = parseRetentionRuleId(req.params.id, res);
+  if (!ruleId) return;
+
+  try {
+    const result = await pool.query('DELETE FROM retention_rules WHERE id = $1 RETURNING *', [ruleId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Retention rule not found' });
+    }
+
+    console.log(`[Retention] Rule removed: ${retentionTarget(result.rows[0])}`);
+    recordAudit(req, 'retention.delete', { targetType: 'retention_rule', target: retentionTarget(result.rows[0]) });
+    res.json({ success: true });
+  } catch (err) {
+    sendRetentionError(res, err, 'Delete error', 'Failed to delete retention rule');
+  }
+});
+
+// =============================================================================
+// USER MANAGEMENT API (Admin protected)
+// =============================================================================
+
+const USER_COLUMNS = `id, username, email, password_hash, role, invite_token_hash, invite_expires_at,
+  invited_by, session_version, disabled_at, last_login_at, created_at, oidc_subject, totp_enabled_at`;
+
+// Issue a fresh invite token for a user; only the hash is stored
+async function issueInvite(userId) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + INVITE_TTL_MS);
+  const result = await pool.query(
+    `UPDATE pdev_users SET invite_token_hash = $2, invite_expires_at = $3, updated_at = NOW()
+     WHERE id = $1
+     RETURNING ${USER_COLUMNS}`,
+    [userId, hashInviteToken(token), expiresAt]
+  );
+
+  const inviteUrl = new URL('/login.html', PDEV_BASE_URL);
+  inviteUrl.searchParams.set('invite', token);
+
+  return {
+    user: formatUser(result.rows[0]),
+    inviteToken: token,
+    inviteUrl: inviteUrl.toString(),
+    expiresAt: expiresAt.toISOString()
+  };
+}
+
+// Count enabled admins other than the given user
+async function countOtherAdmins(userId) {
+  const result = await pool.query(
+    `SELECT COUNT(*) FROM pdev_users WHERE role = 'admin' AND disabled_at IS NULL AND id <> $1`,
+    [userId]
+  );
+  return parseInt(result.rows[0].count, 10);
+}
+
+// List users
+app.get('/admin/users', requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT ${USER_COLUMNS} FROM pdev_users ORDER BY LOWER(username)`);
+    res.json({ users: result.rows.map(formatUser), count: result.rows.length });
+  } catch (err) {
+    if (err.code === '42P01') {
+      return res.status(503).json({ error: 'User accounts not available (apply migration 011_add_users)' });
+    }
+    console.error('[Users] List error:', err);
+    res.status(500).json({ error: 'Failed to list users' });
+  }
+});
+
+// Invite a user (returns a one-time invite link)
+app.post('/admin/users/invite', requireAdmin, async (req, res) => {
+  const { username, email, role } = req.body;
+
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username.trim())) {
+    return res.status(400).json({ error: 'Username must be 3-50 characters (letters, numbers, underscore only)' });
+  }
+  if (!USER_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${USER_ROLES.join(', ')}` });
+  }
+  if (email !== undefined && email !== null && email !== '' &&
+      (typeof email !== 'string' || !validator.isEmail(email))) {
+    return res.status(400).json({ error: 'Invalid email address' });
+  }
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO pdev_users (username, email, role, invited_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, username, role, session_version, disabled_at`,
+      [username.trim(), email || null, role, req.user ? req.user.username : 'admin-key']
+    );
+    cacheUser(result.rows[0]);
+    const invite = await issueInvite(result.rows[0].id);
+
+    console.log(`[Users] Invited ${invite.user.username} as ${role}`);
+    recordAudit(req, 'user.invite', { targetType: 'user', target: invite.user.username, details: { role } });
+    res.status(201).json({ success: true, ...invite });
+  } catch (err) {
+    if (err.code === '23505') {
+      return res.status(409).json({ error: 'That username is already taken' });
+    }
+    console.error('[Users] Invite error:', err);
+    res.status(500).json({ error: 'Failed to invite user' });
+  }
+});
+
+// Re-issue an invite (expired invite or password reset)
+app.post('/admin/users/:id/invite', requireAdmin, async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+  if (!Number.isInteger(userId) || userId < 1) {
+    return res.status(400).json({ error: 'Invalid user id' });
+  }
+
+  try {
+    const existing = await pool.query('SELECT id, disabled_at, oidc_subject FROM pdev_users WHERE id = $1', [userId]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (existing.rows[0].disabled_at) {
+      return res.status(409).json({ error: 'Enable the user before sending a new invite' });
+    }
+    if (existing.rows[0].oidc_subject) {
+      return res.status(409).json({ error: 'Single sign-on users sign in through the identity provider' });
+    }
+
+    const invite = await issueInvite(userId);
+    console.log(`[Users] Re-issued invite for ${invite.user.username}`);
+    recordAudit(req, 'user.reinvite', { targetType: 'user', target: invite.user.username });
+    res.json({ success: true, ...invite });
+  } catch (err) {
+    console.error('[Users] Re-invite error:', err);
+    res.status(500).json({ error: 'Failed to issue invite' });
+  }
+});
+
+// Update role / disable / enable a user
+app.patch('/admin/users/:id', requireAdmin, async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+  if (!Number.isInteger(userId) || userId < 1) {
+    return res.status(400).json({ error: 'Invalid user id' });
+  }
+
+  const { role, disabled } = req.body;
+  if (role !== undefined && !USER_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${USER_ROLES.join(', ')}` });
+  }
+  if (disabled !== undefined && typeof disabled !== 'boolean') {
+    return res.status(400).json({ error: 'disabled must be a boolean' });
+  }
+  if (role === undefined && disabled === undefined) {
+    return res.status(400).json({ error: 'Provide role or disabled' });
+  }
+
+  try {
+    const existing = await pool.query(`SELECT ${USER_COLUMNS} FROM pdev_users WHERE id = $1`, [userId]);
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const current = existing.rows[0];
+
+    // Never lock everyone out: the last enabled admin stays an enabled admin
+    const losesAdmin = current.role === 'admin' && !current.disabled_at &&
+                       ((role !== undefined && role !== 'admin') || disabled === true);
+    if (losesAdmin && await countOtherAdmins(userId) === 0) {
+      return res.status(409).json({ error: 'Cannot remove the last admin' });
+    }
+    if (req.user && req.user.id === userId && disabled === true) {
+      return res.status(409).json({ error: 'You cannot disable your own account' });
+    }
+
+    // Disabling signs the user out everywhere
+    const result = await pool.query(
+      `UPDATE pdev_users
+       SET role = COALESCE($2, role),
+           disabled_at = CASE WHEN $3::boolean IS NULL THEN disabled_at
+                              WHEN $3 THEN COALESCE(disabled_at, NOW())
+                              ELSE NULL END,
+           session_version = session_version + CASE WHEN $3 THEN 1 ELSE 0 END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING ${USER_COLUMNS}`,
+      [userId, role === undefined ? null : role, disabled === undefined ? null : disabled]
+    );
+    const updated = result.rows[0];
+    cacheUser(updated);
+
+    console.log(`[Users] Updated ${updated.username} (role: ${updated.role}, disabled: ${!!updated.disabled_at})`);
+    recordAudit(req, 'user.update', {
+      targetType: 'user',
+      target: updated.username,
+      details: {
+        role: role !== undefined && role !== current.role ? { from: current.role, to: role } : undefined,
+        disabled: disabled !== undefined && disabled !== !!current.disabled_at ? disabled : undefined
+      }
+    });
+    res.json({ success: true, user: formatUser(updated) });
+  } catch (err) {
+    console.error('[Users] Update error:', err);
+    res.status(500).json({ error: 'Failed to update user' });
+  }
+});
+
+// Reset two-factor authentication (lost device and recovery codes)
+app.delete('/admin/users/:id/totp', requireAdmin, async (req, res) => {
+  const userId = parseInt(req.params.id, 10);
+  if (!Number.isInteger(userId) || userId < 1) {
+    return res.status(400).json({ error: 'Invalid user id' });
+  }
+
+  try {
+    const updated = await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE pdev_users
+         SET totp_secret = NULL, totp_pending_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING ${USER_COLUMNS}`,
+        [userId]
+      );
+      await client.query('DELETE FROM pdev_user_recovery_codes WHERE user_id = $1', [userId]);
+      return result.rows[0];
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    console.log(`[Users] Reset two-factor authentication for ${updated.username}`);
+    recordAudit(req, 'user.totp_reset', { targetType: 'user', target: updated.username });
+    res.json({ success: true, user: formatUser(updated) });
+  } catch (err) {
+    console.error('[Users] Reset TOTP error:', err);
+    res.status(500).json({ error: 'Failed to reset two-factor authentication' });
+  }
+});
+
+// =============================================================================
+// AUDIT LOG API (Admin protected)
+// =============================================================================
+
+const AUDIT_CSV_MAX_ROWS = 10000;
+const AUDIT_CSV_COLUMNS = ['id', 'created_at', 'actor', 'auth_method', 'ip', 'action',
+                           'target_type', 'target', 'outcome', 'details'];
+
+function formatAuditEvent(row) {
+  return {
+    id: Number(row.id),
+    createdAt: row.created_at,
+    actor: row.actor,
+    actorUserId: row.actor_user_id,
+    authMethod: row.auth_method,
+    ip: row.ip,
+    action: row.action,
+    targetType: row.target_type,
+    target: row.target,
+    outcome: row.outcome,
+    details: row.details
+  };
+}
+
+// Quote a CSV field; a leading = + - @ is neutralised so spreadsheets don't run it as a formula
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = "'" + text;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Query audit events
+// Query: actor, action (exact, or a category such as "auth" for auth.*), authMethod,
+//        outcome, target (substring), from, to, limit, offset, format=csv
+app.get('/admin/audit', requireAdmin, async (req, res) => {
+  try {
+    const { actor, action, authMethod, outcome, target, from, to, format } = req.query;
+
+    if (actor && (typeof actor !== 'string' || actor.length > 100)) {
+      return res.status(400).json({ error: 'Invalid actor parameter' });
+    }
+    if (action && (typeof action !== 'string' || !/^[a-z_]+(\.[a-z_]+)?$/.test(action))) {
+      return res.status(400).json({ error: 'Invalid action parameter' });
+    }
+    if (authMethod && (typeof authMethod !== 'string' || !/^[a-z_]{1,20}$/.test(authMethod))) {
+      return res.status(400).json({ error: 'Invalid authMethod parameter' });
+    }
+    if (outcome && !AUDIT_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({ error: `outcome must be one of: ${AUDIT_OUTCOMES.join(', ')}` });
+    }
+    if (target && (typeof target !== 'string' || target.length > 255)) {
+      return res.status(400).json({ error: 'Invalid target parameter' });
+    }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && (typeof value !== 'string' || isNaN(Date.parse(value)))) {
+        return res.status(400).json({ error: `Invalid ${name} date` });
+      }
+    }
+    if (format && format !== 'csv' && format !== 'json') {
+      return res.status(400).json({ error: 'format must be json or csv' });
+    }
+
+    const params = [];
+    const addParam = (value) => { params.push(value); return '$' + params.length; };
+    const clauses = [];
+    if (actor) clauses.push(`LOWER(actor) = LOWER(${addParam(actor)})`);
+    if (action) {
+      clauses.push(action.includes('.')
+        ? `action = ${addParam(action)}`
+        : `action LIKE ${addParam(action + '.%')}`);
+    }
+    if (authMethod) clauses.push(`auth_method = ${addParam(authMethod)}`);
+    if (outcome) clauses.push(`outcome = ${addParam(outcome)}`);
+    if (target) clauses.push(`target ILIKE ${addParam('%' + escapeLikePattern(target) + '%')}`);
+    if (from) clauses.push(`created_at >= ${addParam(new Date(from).toISOString())}`);
+    if (to) clauses.push(`created_at <= ${addParam(new Date(to).toISOString())}`);
+    const where = clauses.length ? 'WHERE ' + clauses.join(' AND ') : '';
+
+    if (format === 'csv') {
+      const result = await pool.query(
+        `SELECT ${AUDIT_CSV_COLUMNS.join(', ')} FROM audit_events ${where}
+         ORDER BY created_at DESC, id DESC LIMIT ${addParam(AUDIT_CSV_MAX_ROWS)}`,
+        params
+      );
+      const lines = [AUDIT_CSV_COLUMNS.join(',')].concat(
+        result.rows.map(row => AUDIT_CSV_COLUMNS.map(col => csvField(row[col])).join(','))
+      );
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="pdev-audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+      return res.send(lines.join('\r\n') + '\r\n');
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const result = await pool.query(
+      `SELECT * FROM audit_events ${where}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ${addParam(limit + 1)} OFFSET ${addParam(offset)}`,
+      params
+    );
+
+    const hasMore = result.rows.length > limit;
+    const events = result.rows.slice(0, limit).map(formatAuditEvent);
+    res.json({ events, count: events.length, hasMore, limit, offset });
+  } catch (err) {
+    console.error('[Audit] Query error:', err.message);
+    res.status(500).json({ error: 'Failed to load audit log' });
+  }
+});
+
+// =============================================================================
+// GUEST TEMP LINK API
+// =============================================================================
+
+// Create guest link for a session (Admin or Share Token)
+app.post('/guest-links', async (req, res) => {
+  // Accept either admin key OR share token
+  var shareToken = req.headers['x-share-token'];
+  var adminKey = req.headers['x-admin-key'];
+
+  if (shareToken) {
+    if (!validateShareToken(shareToken)) {
+      recordAudit(req, 'guest_link.create', { outcome: 'denied', details: { reason: 'invalid_share_token' } });
+      return res.status(401).json({ error: 'Invalid or expired share token' });
+    }
+  } else if (adminKey) {
+    var crypto = require('crypto');
+    try {
+      var keyBuffer = Buffer.from(adminKey);
+      var adminBuffer = Buffer.from(ADMIN_KEY);
+      if (keyBuffer.length !== adminBuffer.length ||
+          !crypto.timingSafeEqual(keyBuffer, adminBuffer)) {
+        recordAudit(req, 'guest_link.create', { outcome: 'denied', details: { reason: 'invalid_admin_key' } });
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+    } catch (err) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  } else {
+    return res.status(401).json({ error: 'Missing authentication' });
+  }
+  try {
+    var sessionId = req.body.sessionId;
+    var expiresInHours = req.body.expiresInHours || 24;
+    
+    if (!sessionId) {
+      return res.status(400).json({ error: 'sessionId required' });
+    }
+    
+    // Enforce MAX_GUEST_TOKENS
+    const countResult = await pool.query(
+      'SELECT COUNT(*) FROM guest_tokens WHERE expires_at > NOW()'
+    );
+    const activeTokens = parseInt(countResult.rows[0].count);
+
+    if (activeTokens >= MAX_GUEST_TOKENS) {
+      return res.status(503).json({ error: 'Token limit reached, try again later' });
+    }
+    
+    // Verify session exists
+    var session = await getSessionWithSteps(sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    var token = generateToken(32);
+    var expiresAt = Date.now() + (expiresInHours * 60 * 60 * 1000);
+
+    await pool.query(
+      `INSERT INTO guest_tokens (token, token_type, session_id, expires_at, created_by)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [token, 'session', sessionId, new Date(expiresAt), req.headers['x-user'] || 'admin']
+    );
+    
+    console.log('[Guest] Created link for session ' + sessionId + ', expires in ' + expiresInHours + 'h');
+    recordAudit(req, 'guest_link.create', {
+      targetType: 'session', target: sessionId,
+      details: { token: token.substring(0, 8) + '...', expiresInHours: expiresInHours }
+    });
+
+    // Construct guest URL safely using URL constructor
+    const guestUrl = new URL('/session.html', PDEV_BASE_URL);
+    guestUrl.searchParams.set('guest', token);
+
+    res.json({
+      success: true,
+      token: token,
+      url: guestUrl.toString(),
+      expiresAt: new Date(expiresAt).toISOString(),
+      expiresInHours: expiresInHours
+    });
+  } catch (err) {
+    console.error('[Guest] Create link error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create share link for a project (Admin or Share Token)
+app.post('/project-share', async (req, res) => {
+  // Accept either admin key OR share token
+  var shareToken = req.headers['x-share-token'];
+  var adminKey = req.headers['x-admin-key'];
+
+  if (shareToken) {
+    if (!validateShareToken(shareToken)) {
+      recordAudit(req, 'guest_link.create', { outcome: 'denied', details: { reason: 'invalid_share_token' } });
+      return res.status(401).json({ error: 'Invalid or expired share token' });
+    }
+  } else if (adminKey) {
+    var crypto = require('crypto');
+    try {
+      var keyBuffer = Buffer.from(adminKey);
+      var adminBuffer = Buffer.from(ADMIN_KEY);
+      if (keyBuffer.length !== adminBuffer.length ||
+          !crypto.timingSafeEqual(keyBuffer, adminBuffer)) {
+        recordAudit(req, 'guest_link.create', { outcome: 'denied', details: { reason: 'invalid_admin_key' } });
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+    } catch (err) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  } else {
+    return res.status(401).json({ error: 'Missing authentication' });
+  }
+  try {
+    var server = req.body.server;
+    var project = req.body.project;
+    var expiresInHours = req.body.expiresInHours || 72;
+
+    if (!server || !project) {
+      return res.status(400).json({ error: 'server and project required' });
+    }
+
+    // Enforce MAX_GUEST_TOKENS
+    const countResult = await pool.query(
+      'SELECT COUNT(*) FROM guest_tokens WHERE expires_at > NOW()'
+    );
+    const activeTokens = parseInt(countResult.rows[0].count);
+
+    if (activeTokens >= MAX_GUEST_TOKENS) {
+      return res.status(503).json({ error: 'Token limit reached, try again later' });
+    }
+
+    var token = generateToken(32);
+    var expiresAt = Date.now() + (expiresInHours * 60 * 60 * 1000);
+
+    await pool.query(
+      `INSERT INTO guest_tokens (token, token_type, server_name, project_name, expires_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [token, 'project', server, project, new Date(expiresAt), req.headers['x-user'] || 'admin']
+    );
+
+    console.log('[Guest] Created project link for ' + server + '/' + project + ', expires in ' + expiresInHours + 'h');
+    recordAudit(req, 'guest_link.create', {
+      targetType: 'project', target: server + '/' + project,
+      details: { token: token.substring(0, 8) + '...', expiresInHours: expiresInHours }
+    });
+
+    // Construct project share URL safely using URL constructor
+    const shareUrl = new URL('/project.html', PDEV_BASE_URL);
+    shareUrl.searchParams.set('project', project);
+    shareUrl.searchParams.set('server', server);
+    shareUrl.searchParams.set('guest', token);
+
+    res.json({
+      success: true,
+      token: token,
+      shareUrl: shareUrl.toString(),
+      expiresAt: new Date(expiresAt).toISOString(),
+      expiresInHours: expiresInHours
+    });
+  } catch (err) {
+    console.error('[Guest] Create project link error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List active guest links (Admin only)
+app.get('/guest-links', requireAdmin, async (req, res) => {
+  try {
+    var now = Date.now();
+    const result = await pool.query(
+      `SELECT token, token_type, session_id, server_name, project_name, expires_at, created_by
+       FROM guest_tokens
+       WHERE expires_at > NOW()
+       ORDER BY expires_at`
+    );
+
+    var links = result.rows.map(function(row) {
+      var expiresAt = new Date(row.expires_at).getTime();
+      return {
+        token: row.token.substring(0, 8) + '...',
+        type: row.token_type,
+        sessionId: row.session_id,
+        server: row.server_name,
+        project: row.project_name,
+        expiresAt: new Date(expiresAt).toISOString(),
+        createdBy: row.created_by,
+        remainingHours: Math.round((expiresAt - now) / (60 * 60 * 1000))
+      };
+    });
+
+    res.json({ links: links, count: links.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Revoke guest link (Admin only)
+app.delete('/guest-links/:token', requireAdmin, async (req, res) => {
+  try {
+    var token = req.params.token;
+
+    const result = await pool.query(
+      'DELETE FROM guest_tokens WHERE token = $1 RETURNING token',
+      [token]
+    );
+
+    if (result.rowCount > 0) {
+      console.log('[Guest] Revoked link ' + token.substring(0, 8) + '...');
+      recordAudit(req, 'guest_link.revoke', { targetType: 'guest_link', target: token.substring(0, 8) + '...' });
+      res.json({ success: true, message: 'Link revoked' });
+    } else {
+      res.status(404).json({ error: 'Link not found' });
+    }
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Validate guest token and get session (Public - for guests)
+app.get('/guest/:token', async (req, res) => {
+  try {
+    var token = req.params.token;
+    var guest = await validateGuestToken(token);
+    var guestActor = { actor: 'guest:' + String(token).substring(0, 8) + '...', userId: null, authMethod: 'guest' };
+    
+    if (!guest) {
+      recordAudit(req, 'guest_link.access', { outcome: 'denied', actor: guestActor });
+      return res.status(401).json({ error: 'Invalid or expired guest link' });
+    }
+    recordAudit(req, 'guest_link.access', guest.type === 'project'
+      ? { targetType: 'project', target: guest.server + '/' + guest.project, actor: guestActor }
+      : { targetType: 'session', target: guest.sessionId, actor: guestActor });
+    
+    var session = await getSessionWithSteps(guest.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    res.json({
+      success: true,
+      sessionId: guest.sessionId,
+      session: session,
+      expiresAt: new Date(guest.expiresAt).toISOString()
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+// LEGACY API (backward compatibility with v1)
+// =============================================================================
+
+// Legacy update endpoint - creates session if needed, adds step
+app.post('/update', requireTokenScope(stepTokenScope, req => req.body.server || config.partner.serverName), async (req, res) => {
+  try {
+    const { type, command, content, project, server, documentName } = req.body;
+
+    // Get or create a session
+    let sessionId;
+    const activeSessions = await pool.query(`
+      SELECT id FROM pdev_sessions
+      WHERE server_origin = $1 AND session_status = 'active' AND deleted_at IS NULL
+      ORDER BY started_at DESC LIMIT 1
+    `, [server || config.partner.serverName]);
+
+    if (activeSessions.rows.length > 0) {
+      sessionId = activeSessions.rows[0].id;
+    } else {
+      // Create new session
+      const session = await createSession({
+        server: server || config.partner.serverName,
+        hostname: server || config.partner.serverName,
+        project: project || 'Unknown',
+        commandType: command ? command.replace('/', '') : 'unknown'
+      });
+      sessionId = session.id;
+    }
+
+    const stepNumber = await getNextStepNumber(sessionId);
+
+    const step = await addStep({
+      sessionId,
+      stepNumber,
+      stepType: type || 'output',
+      contentMarkdown: content,
+      documentName,
+      commandText: command
+    });
+
+    // Broadcast
+    broadcastToSession(sessionId, {
+      type: 'step',
+      step: {
+        id: step.id,
+        step_number: stepNumber,
+        step_type: type || 'output',
+        content_markdown: content,
+        content_html: renderMarkdownHtml(content),
+        command_text: command
+      }
+    });
+
+    res.json({ success: true, sessionId });
+  } catch (err) {
+    console.error('[Legacy Update] Error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Legacy session endpoint
+app.get('/session', async (req, res) => {
+  try {
+    const sessions = await getActiveSessions();
+    if (sessions.length > 0) {
+      const session = await getSessionWithSteps(sessions[0].id);
+      res.json(session);
+    } else {
+      res.json({ id: null, steps: [] });
+    }
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Legacy reset endpoint - marks all active sessions as completed (Admin only)
+app.post('/reset', requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `UPDATE pdev_sessions
+       SET session_status = $1, completed_at = NOW()
+       WHERE session_status = $2 AND deleted_at IS NULL
+       RETURNING id`,
+      ['completed', 'active']
+    );
+
+    const completed = result.rowCount || 0;
+    console.log('[Reset] Completed ' + completed + ' active sessions');
+    recordAudit(req, 'session.reset', { details: { completed: completed } });
+
+    if (typeof broadcastGlobal === 'function') {
+      try {
+        broadcastGlobal({ type: 'reset' });
+      } catch (broadcastErr) {
+        console.error('[Reset] Broadcast failed:', broadcastErr.message);
+      }
+    }
+
+    res.json({ success: true, completed: completed });
+  } catch (err) {
+    console.error('[Reset] Database error:', err.message);
+    res.status(500).json({ error: 'Failed to reset sessions' });
+  }
+});
+
+// =============================================================================
+// VERSION & AUTO-UPDATE API
+// =============================================================================
+
+// Version info - used by remote servers to check for updates
+// INCREMENT version when making changes that should propagate to satellites
+const PDEV_VERSION = {
+  version: '2.2.0',
+  buildTime: new Date().toISOString(),
+  serverFiles: ['server.js', 'doc-contract.json'],
+  frontendFiles: ['project.html', 'session.html', 'index.html']
+};
+
+// Get current version (for update checks)
+app.get('/version', (req, res) => {
+  res.json({
+    version: PDEV_VERSION.version,
+    buildTime: PDEV_VERSION.buildTime,
+    serverFiles: PDEV_VERSION.serverFiles,
+    frontendFiles: PDEV_VERSION.frontendFiles
+  });
+});
+
+// Get file content for auto-update (admin only)
+app.get('/update-file/:filename', requireAdmin, (req, res) => {
+  const { filename } = req.params;
+  const allowedServerFiles = ['server.js', 'doc-contract.json'];
+  const allowedFrontendFiles = ['project.html', 'session.html', 'index.html'];
+  const allAllowed = [...allowedServerFiles, ...allowedFrontendFiles];
+
+  // Security: sanitize filename, prevent path traversal
+  const sanitizedFilename = path.basename(filename);
+  if (filename !== sanitizedFilename || filename.includes('..') || !allAllowed.includes(sanitizedFilename)) {
+    return res.status(400).json({ error: 'File not allowed: ' + filename });
+  }
+
+  // Determine file path based on type
+  let filePath;
+  if (allowedServerFiles.includes(sanitizedFilename)) {
+    filePath = path.join(__dirname, sanitizedFilename);
+  } else {
+    filePath = path.join(FRONTEND_DIR, sanitizedFilename);
+  }
+
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    const crypto = require('crypto');
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+
+    res.json({
+      filename: sanitizedFilename,
+      content: content,
+      hash: hash,
+      size: content.length,
+      version: PDEV_VERSION.version
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to read file: ' + err.message });
+  }
+});
+
+// =============================================================================
+// HEALTH & INFO
+// =============================================================================
+
+app.get('/health', async (req, res) => {
+  try {
+    // Test DB connection
+    await pool.query('SELECT 1');
+
+    const sessions = await getActiveSessions();
+
+    res.json({
+      status: 'ok',
+      version: '2.0.0',
+      baseUrl: PDEV_BASE_URL,
+      environment: process.env.NODE_ENV || 'development',
+      database: 'connected',
+      activeSessions: sessions.length,
+      globalClients: globalClients.size,
+      sessionClients: Array.from(sessionClients.entries()).map(([id, clients]) => ({
+        sessionId: id,
+        clients: clients.size
+      })),
+      uptime: process.uptime(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    res.status(500).json({
+      status: 'error',
+      database: 'disconnected',
+      error: err.message
+    });
+  }
+});
+
+// =============================================================================
+// SERVER TOKEN REGISTRATION API (for project mode installers)
+// =============================================================================
+
+// Registration secret for auto-provisioning (from env or generate warning)
+const REGISTRATION_SECRET = process.env.PDEV_REGISTRATION_SECRET;
+if (!REGISTRATION_SECRET) {
+  console.warn('[Auth] PDEV_REGISTRATION_SECRET not set - token registration disabled');
+}
+
+// Rate limiting for registration attempts
+const registrationAttempts = new Map(); // IP -> { count, resetAt }
+const MAX_RATE_LIMIT_ENTRIES = 10000;
+
+function checkRegistrationRateLimit(ip) {
+  // Emergency protection against memory exhaustion
+  if (registrationAttempts.size >= MAX_RATE_LIMIT_ENTRIES) {
+    console.error('[Auth] Rate limit map at capacity - rejecting new IPs');
+    return false;
+  }
+
+  const now = Date.now();
+  const window = 15 * 60 * 1000; // 15 minutes
+  const maxAttempts = 5;
+
+  let record = registrationAttempts.get(ip);
+  if (!record || now > record.resetAt) {
+    record = { count: 0, resetAt: now + window };
+    registrationAttempts.set(ip, record);
+  }
+
+  if (record.count >= maxAttempts) {
+    return false;
+  }
+
+  record.count++;
+  return true;
+}
+
+// Clean up old rate limit entries every hour
+setInterval(() => {
+  try {
+    const now = Date.now();
+    let cleaned = 0;
+    for (const [ip, record] of registrationAttempts.entries()) {
+      if (now > record.resetAt) {
+        registrationAttempts.delete(ip);
+        cleaned++;
+      }
+    }
+    if (cleaned > 0) {
+      console.log(`[Auth] Cleaned ${cleaned} expired rate limit entries`);
+    }
+  } catch (err) {
+    console.error('[Auth] Rate limit cleanup error:', err);
+  }
+}, 60 * 60 * 1000);
+
+
+// ============================================================================
+// REGISTRATION CODE ENDPOINTS (Secure Time-Limited Provisioning)
+// ============================================================================
+
+// Utility: Extract client IP with proxy support
+function getClientIP(req) {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (forwarded) {
+    return forwarded.split(',')[0].trim();
+  }
+  if (req.headers['x-real-ip']) {
+    return req.headers['x-real-ip'];
+  }
+  return req.ip || req.socket.remoteAddress;
+}
+
+// Utility: Validate server name format
+function validateServerName(name) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('Server name is required');
+  }
+  if (name.length < 2 || name.length > 50) {
+    throw new Error('Server name must be 2-50 characters');
+  }
+  if (!/^[a-zA-Z0-9._-]+$/.test(name)) {
+    throw new Error('Server name contains invalid characters (alphanumeric, dot, underscore, dash only)');
+  }
+  return name;
+}
+
+// POST /admin/registration-code - Generate time-limited registration code
+app.post('/admin/registration-code', async (req, res) => {
+  const authHeader = req.headers.authorization;
+
+  // HTTP Basic Auth required (nginx enforces, but double-check)
+  if (!authHeader || !authHeader.startsWith('Basic ')) {
+    return res.status(401).json({
+      error: 'Admin authentication required',
+      code: 'UNAUTHORIZED',
+      message: 'This endpoint requires HTTP Basic Auth'
+    });
+  }
+
+  const clientIP = getClientIP(req);
+  const createdBy = req.headers['x-authenticated-user'] || 'admin';
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Generate cryptographically secure random code
+    const code = crypto.randomBytes(16).toString('hex'); // 32 chars
+    const expiresAt = new Date(Date.now() + 3600000); // 1 hour from now
+
+    await client.query(`
+      INSERT INTO registration_codes (code, expires_at, created_by, created_ip)
+      VALUES ($1, $2, $3, $4)
+    `, [code, expiresAt, createdBy, clientIP]);
+
+    await client.query('COMMIT');
+
+    console.log(`[REGCODE] Created: ${code.substring(0, 4)}... by ${createdBy} from ${clientIP}`);
+    recordAudit(req, 'registration_code.create', {
+      targetType: 'registration_code', target: code.substring(0, 4) + '...',
+      details: { expiresAt: expiresAt.toISOString() },
+      actor: { actor: createdBy, userId: null, authMethod: 'basic_auth' }
+    });
+
+    res.status(201).json({
+      success: true,
+      code,
+      expiresAt: expiresAt.toISOString(),
+      expiresIn: 3600,
+      message: 'Use this code once within 1 hour for automated installation'
+    });
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[REGCODE] Generation failed:', err.message);
+
+    if (err.code === '23505') { // Unique violation (extremely rare with crypto.randomBytes)
+      return res.status(500).json({
+        error: 'Code generation collision (retry)',
+        code: 'COLLISION'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to generate registration code',
+      code: 'INTERNAL_ERROR'
+    });
+
+  } finally {
+    client.release();
+  }
+});
+
+// POST /tokens/register-with-code - Register server using time-limited code
+app.post('/tokens/register-with-code', async (req, res) => {
+  const { code, serverName, hostname } = req.body;
+  const clientIP = getClientIP(req);
+
+  // Validate registration code format (32 hex chars)
+  if (!code || typeof code !== 'string') {
+    return res.status(400).json({
+      error: 'Registration code is required',
+      code: 'MISSING_CODE'
+    });
+  }
+
+  if (!/^[a-f0-9]{32}$/i.test(code)) {
+    return res.status(400).json({
+      error: 'Invalid registration code format (expected 32 hex characters)',
+      code: 'INVALID_CODE_FORMAT'
+    });
+  }
+
+  // Validate and sanitize server name
+  let validatedName;
+  try {
+    validatedName = validateServerName(serverName);
+  } catch (err) {
+    return res.status(400).json({
+      error: err.message,
+      code: 'INVALID_SERVER_NAME'
+    });
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Atomically consume the registration code (prevents race conditions)
+    const codeResult = await client.query(`
+      UPDATE registration_codes
+      SET consumed_at = NOW(),
+          consumed_by = $1,
+          consumed_ip = $2
+      WHERE code = $3
+        AND consumed_at IS NULL
+        AND expires_at > NOW()
+      RETURNING id, created_by, created_at, expires_at
+    `, [validatedName, clientIP, code]);
+
+    if (codeResult.rows.length === 0) {
+      // Code not found, already used, or expired - determine which
+      const codeCheck = await client.query(`
+        SELECT consumed_at, expires_at
+        FROM registration_codes
+        WHERE code = $1
+      `, [code]);
+
+      await client.query('ROLLBACK');
+
+      const codeData = codeCheck.rows[0];
+      recordAudit(req, 'token.register', {
+        targetType: 'server', target: validatedName, outcome: 'denied',
+        details: {
+          method: 'registration_code',
+          reason: !codeData ? 'code_not_found' : codeData.consumed_at ? 'code_used' : 'code_expired'
+        },
+        actor: { actor: validatedName, userId: null, authMethod: 'registration' }
+      });
+
+      if (!codeData) {
+        return res.status(404).json({
+          error: 'Registration code not found',
+          code: 'CODE_NOT_FOUND',
+          message: 'Invalid or non-existent registration code'
+        });
+      }
+
+      if (codeData.consumed_at) {
+        return res.status(409).json({
+          error: 'Registration code already used',
+          code: 'CODE_ALREADY_USED',
+          message: 'This code has already been consumed'
+        });
+      }
+
+      if (new Date(codeData.expires_at) <= new Date()) {
+        return res.status(410).json({
+          error: 'Registration code expired',
+          code: 'CODE_EXPIRED',
+          message: 'This code has expired - generate a new one'
+        });
+      }
+
+      // Should not reach here, but handle gracefully
+      return res.status(500).json({
+        error: 'Code validation failed',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    // Check if server already registered
+    const existingToken = await client.query(`
+      SELECT id FROM server_tokens WHERE server_name = $1
+    `, [validatedName]);
 
-    // Check if server already registered
-    const existingToken = await client.query(`
-      SELECT token FROM server_tokens WHERE server_name = $1
-    `, [validatedName]);
-
     if (existingToken.rows.length > 0) {
       await client.query('ROLLBACK');
       return res.status(409).json({
-        error: 'Server already registered',
-        code: 'SERVER_EXISTS',
-        message: `Server '${validatedName}' already has a token registered`
+        error: 'Server already registered',
+        code: 'SERVER_EXISTS',
+        message: `Server '${validatedName}' already has a token registered`
+      });
+    }
+
+    // Generate new secure token (stored hashed)
+    const { token, prefix, hash } = issueServerToken();
+
+    await client.query(`
+      INSERT INTO server_tokens (server_name, token_prefix, token_hash)
+      VALUES ($1, $2, $3)
+    `, [validatedName, prefix, hash]);
+
+    await client.query('COMMIT');
+
+    // Reload tokens into memory (all instances)
+    await refreshServerTokensEverywhere();
+
+    console.log(`[REGCODE] Consumed: ${code.substring(0, 4)}... by ${validatedName} from ${clientIP}`);
+    console.log(`[TOKEN] Registered: ${validatedName} with token ${token.substring(0, 8)}...`);
+    recordAudit(req, 'token.register', {
+      targetType: 'server', target: validatedName,
+      details: { method: 'registration_code', code: code.substring(0, 4) + '...' },
+      actor: { actor: validatedName, userId: null, authMethod: 'registration' }
+    });
+
+    res.status(201).json({
+      success: true,
+      token,
+      serverName: validatedName,
+      message: 'Server registered successfully - store this token securely (it cannot be retrieved again)'
+    });
+
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('[REGCODE] Registration failed:', err.message);
+
+    if (err.code === '23505') { // Unique violation on server_name or token
+      return res.status(409).json({
+        error: 'Server already registered',
+        code: 'SERVER_EXISTS'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to register server',
+      code: 'INTERNAL_ERROR'
+    });
+
+  } finally {
+    client.release();
+  }
+});
+// Register a new server token (for project mode installers)
+app.post('/tokens/register', async (req, res) => {
+  // Check if registration is enabled
+  if (!REGISTRATION_SECRET) {
+    return res.status(503).json({
+      error: 'Token registration not configured on this server',
+      code: 'REGISTRATION_DISABLED'
+    });
+  }
+
+  const clientIP = req.ip || req.socket.remoteAddress;
+
+  // Rate limit check
+  if (!checkRegistrationRateLimit(clientIP)) {
+    console.warn(`[Auth] Registration rate limit exceeded for ${clientIP}`);
+    recordAudit(req, 'token.register', {
+      outcome: 'denied', details: { method: 'registration_secret', reason: 'rate_limited' },
+      actor: { authMethod: 'registration' }
+    });
+    return res.status(429).json({
+      error: 'Too many registration attempts. Try again in 15 minutes.',
+      code: 'RATE_LIMITED',
+      retryAfter: 900
+    });
+  }
+
+  // Validate registration secret
+  const providedSecret = req.headers['x-registration-secret'];
+  if (!providedSecret) {
+    return res.status(401).json({
+      error: 'Registration secret required',
+      code: 'MISSING_SECRET'
+    });
+  }
+
+  // Timing-safe comparison using hash (prevents length oracle attack)
+  const crypto = require('crypto');
+  const secretHash = crypto.createHash('sha256').update(REGISTRATION_SECRET).digest();
+  const providedHash = crypto.createHash('sha256').update(providedSecret).digest();
+  if (!crypto.timingSafeEqual(secretHash, providedHash)) {
+    console.warn(`[Auth] Invalid registration secret from ${clientIP}`);
+    recordAudit(req, 'token.register', {
+      outcome: 'denied', details: { method: 'registration_secret', reason: 'invalid_secret' },
+      actor: { authMethod: 'registration' }
+    });
+    return res.status(401).json({
+      error: 'Invalid registration secret',
+      code: 'INVALID_SECRET'
+    });
+  }
+
+  // Validate request body
+  const { serverName, hostname } = req.body;
+  if (!serverName || typeof serverName !== 'string') {
+    return res.status(400).json({
+      error: 'serverName is required',
+      code: 'MISSING_SERVER_NAME'
+    });
+  }
+
+  // Sanitize serverName: only alphanumeric, dash, underscore
+  const sanitizedName = serverName.replace(/[^a-zA-Z0-9_-]/g, '').substring(0, 50);
+  if (sanitizedName.length < 2) {
+    return res.status(400).json({
+      error: 'serverName must be at least 2 alphanumeric characters',
+      code: 'INVALID_SERVER_NAME'
+    });
+  }
+
+  try {
+    // Check if server already registered
+    const existing = await pool.query(
+      'SELECT id, revoked_at FROM server_tokens WHERE server_name = $1',
+      [sanitizedName]
+    );
+
+    if (existing.rows.length > 0 && !existing.rows[0].revoked_at) {
+      return res.status(409).json({
+        error: 'Server name already registered',
+        code: 'ALREADY_REGISTERED',
+        serverName: sanitizedName
+      });
+    }
+
+    // Generate secure token (256 bits, stored hashed)
+    const { token, prefix, hash } = issueServerToken();
+
+    // Insert or update (if previously revoked)
+    if (existing.rows.length > 0) {
+      // Re-register revoked server (scopes reset to the default)
+      await pool.query(`
+        UPDATE server_tokens
+        SET token = NULL, token_prefix = $1, token_hash = $2, created_at = NOW(), revoked_at = NULL,
+            last_used_at = NULL, last_used_ip = NULL, expires_at = NULL, previous_token_prefix = NULL,
+            previous_token_hash = NULL, previous_expires_at = NULL, rotated_at = NULL, scopes = DEFAULT
+        WHERE server_name = $3
+      `, [prefix, hash, sanitizedName]);
+    } else {
+      // New registration
+      await pool.query(`
+        INSERT INTO server_tokens (server_name, token_prefix, token_hash)
+        VALUES ($1, $2, $3)
+      `, [sanitizedName, prefix, hash]);
+    }
+
+    // Refresh token cache (all instances)
+    await refreshServerTokensEverywhere();
+
+    console.log(`[Auth] Server registered: ${sanitizedName} from ${clientIP}`);
+    recordAudit(req, 'token.register', {
+      targetType: 'server', target: sanitizedName,
+      details: { method: 'registration_secret', reRegistered: existing.rows.length > 0 },
+      actor: { actor: sanitizedName, userId: null, authMethod: 'registration' }
+    });
+
+    // Return token (only time it's sent in plaintext)
+    res.status(201).json({
+      success: true,
+      token,
+      serverName: sanitizedName,
+      message: 'Store this token securely - it cannot be retrieved again'
+    });
+
+  } catch (err) {
+    console.error('[Auth] Registration error:', err);
+    if (err.code === '23505') {
+      // UNIQUE constraint violation - race condition
+      return res.status(409).json({
+        error: 'Server name already registered (concurrent request)',
+        code: 'ALREADY_REGISTERED',
+        serverName: sanitizedName
+      });
+    }
+    res.status(500).json({
+      error: 'Registration failed',
+      code: 'SERVER_ERROR'
+    });
+  }
+});
+
+// =============================================================================
+// SERVER TOKEN MANAGEMENT API (Admin protected)
+// =============================================================================
+// One token row per server (server_name is unique). Rotation keeps the old token
+// valid for a grace period so satellites can be updated without dropping events.
+// Only the token prefix and salted hash are stored; scopes limit what a token may write.
+
+const TOKEN_ROTATION_DEFAULT_GRACE_HOURS = 24;
+const TOKEN_ROTATION_MAX_GRACE_HOURS = 30 * 24;
+
+function serverTokenStatus(row) {
+  if (row.revoked_at) return 'revoked';
+  if (row.expires_at && new Date(row.expires_at) <= new Date()) return 'expired';
+  return 'active';
+}
+
+function formatServerToken(row) {
+  const inGrace = !row.revoked_at && row.previous_token_hash && row.previous_expires_at &&
+                  new Date(row.previous_expires_at) > new Date();
+  return {
+    id: row.id,
+    serverName: row.server_name,
+    tokenPreview: (row.token_prefix || (row.token || '').substring(0, SERVER_TOKEN_PREFIX_LENGTH)) + '...',
+    scopes: row.scopes || SERVER_TOKEN_SCOPES,
+    status: serverTokenStatus(row),
+    configured: VALID_SERVERS.includes(row.server_name),
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    expiresAt: row.expires_at,
+    rotatedAt: row.rotated_at,
+    previousTokenExpiresAt: inGrace ? row.previous_expires_at : null,
+    revokedAt: row.revoked_at
+  };
+}
+
+function parseTokenId(req, res) {
+  const tokenId = parseInt(req.params.id, 10);
+  if (!Number.isInteger(tokenId) || tokenId < 1) {
+    res.status(400).json({ error: 'Invalid token id' });
+    return null;
+  }
+  return tokenId;
+}
+
+// List server tokens (never returns the token itself)
+app.get('/admin/tokens', requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM server_tokens ORDER BY server_name');
+    res.json({
+      tokens: result.rows.map(formatServerToken),
+      servers: VALID_SERVERS
+    });
+  } catch (err) {
+    console.error('[Tokens] List error:', err.message);
+    res.status(500).json({ error: 'Failed to load server tokens' });
+  }
+});
+
+// Revoke a token immediately (including any token still in its rotation grace period)
+app.post('/admin/tokens/:id/revoke', requireAdmin, async (req, res) => {
+  const tokenId = parseTokenId(req, res);
+  if (!tokenId) return;
+
+  try {
+    const result = await pool.query(
+      `UPDATE server_tokens
+       SET revoked_at = COALESCE(revoked_at, NOW()), previous_token_prefix = NULL,
+           previous_token_hash = NULL, previous_expires_at = NULL
+       WHERE id = $1
+       RETURNING *`,
+      [tokenId]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    const row = result.rows[0];
+    await refreshServerTokensEverywhere();
+
+    console.log(`[Tokens] Revoked token for ${row.server_name}`);
+    recordAudit(req, 'token.revoke', { targetType: 'server', target: row.server_name });
+    res.json({ success: true, token: formatServerToken(row) });
+  } catch (err) {
+    console.error('[Tokens] Revoke error:', err.message);
+    res.status(500).json({ error: 'Failed to revoke token' });
+  }
+});
+
+// Rotate: issue a new token; the old one keeps working for graceHours (0 = revoke now)
+app.post('/admin/tokens/:id/rotate', requireAdmin, async (req, res) => {
+  const tokenId = parseTokenId(req, res);
+  if (!tokenId) return;
+
+  const graceHours = req.body.graceHours === undefined ? TOKEN_ROTATION_DEFAULT_GRACE_HOURS : req.body.graceHours;
+  if (typeof graceHours !== 'number' || !Number.isFinite(graceHours) ||
+      graceHours < 0 || graceHours > TOKEN_ROTATION_MAX_GRACE_HOURS) {
+    return res.status(400).json({ error: `graceHours must be between 0 and ${TOKEN_ROTATION_MAX_GRACE_HOURS}` });
+  }
+
+  try {
+    const { token, prefix, hash } = issueServerToken();
+    const result = await pool.query(
+      `UPDATE server_tokens
+       SET previous_token_prefix = CASE WHEN $4::numeric > 0 THEN token_prefix ELSE NULL END,
+           previous_token_hash = CASE WHEN $4::numeric > 0 THEN token_hash ELSE NULL END,
+           previous_expires_at = CASE WHEN $4::numeric > 0 THEN NOW() + $4::numeric * INTERVAL '1 hour' ELSE NULL END,
+           token = NULL, token_prefix = $2, token_hash = $3, rotated_at = NOW()
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING *`,
+      [tokenId, prefix, hash, graceHours]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Active token not found (re-register revoked servers)' });
+    }
+    const row = result.rows[0];
+    await refreshServerTokensEverywhere();
+
+    console.log(`[Tokens] Rotated token for ${row.server_name} (grace: ${graceHours}h)`);
+    recordAudit(req, 'token.rotate', { targetType: 'server', target: row.server_name, details: { graceHours } });
+    res.json({
+      success: true,
+      token,
+      serverName: row.server_name,
+      previousTokenExpiresAt: row.previous_expires_at,
+      message: 'Store this token securely - it cannot be retrieved again'
+    });
+  } catch (err) {
+    console.error('[Tokens] Rotate error:', err.message);
+    res.status(500).json({ error: 'Failed to rotate token' });
+  }
+});
+
+// Set or clear a token's expiry and/or change its scopes
+// ({ expiresAt?: ISO date | null, scopes?: ['sessions:write' | 'docs:write' | 'read'] })
+app.patch('/admin/tokens/:id', requireAdmin, async (req, res) => {
+  const tokenId = parseTokenId(req, res);
+  if (!tokenId) return;
+
+  const { expiresAt, scopes } = req.body;
+  if (expiresAt === undefined && scopes === undefined) {
+    return res.status(400).json({ error: 'Provide expiresAt or scopes' });
+  }
+  if (expiresAt !== undefined && expiresAt !== null &&
+      (typeof expiresAt !== 'string' || isNaN(Date.parse(expiresAt)))) {
+    return res.status(400).json({ error: 'expiresAt must be an ISO date or null' });
+  }
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    return res.status(400).json({ error: 'expiresAt must be in the future (revoke to stop a token now)' });
+  }
+  if (scopes !== undefined &&
+      (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => SERVER_TOKEN_SCOPES.includes(scope)))) {
+    return res.status(400).json({ error: `scopes must be a non-empty list of: ${SERVER_TOKEN_SCOPES.join(', ')}` });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE server_tokens
+       SET expires_at = CASE WHEN $2::boolean THEN $3::timestamptz ELSE expires_at END,
+           scopes = COALESCE($4::text[], scopes)
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING *`,
+      [
+        tokenId,
+        expiresAt !== undefined,
+        expiresAt ? new Date(expiresAt).toISOString() : null,
+        scopes === undefined ? null : [...new Set(scopes)]
+      ]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Active token not found' });
+    }
+    const row = result.rows[0];
+    await refreshServerTokensEverywhere();
+
+    console.log(`[Tokens] Updated ${row.server_name} (expires: ${row.expires_at ? row.expires_at.toISOString() : 'never'}, scopes: ${row.scopes.join(', ')})`);
+    recordAudit(req, 'token.update', {
+      targetType: 'server',
+      target: row.server_name,
+      details: {
+        expiresAt: expiresAt !== undefined ? row.expires_at : undefined,
+        scopes: scopes !== undefined ? row.scopes : undefined
+      }
+    });
+    res.json({ success: true, token: formatServerToken(row) });
+  } catch (err) {
+    console.error('[Tokens] Update error:', err.message);
+    res.status(500).json({ error: 'Failed to update token' });
+  }
+});
+
+// =============================================================================
+// WEBHOOK MANAGEMENT API (Admin protected)
+// =============================================================================
+// Outbound webhooks (see OUTBOUND WEBHOOKS). The signing secret is returned once,
+// when the webhook is created or its secret is regenerated.
+
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'success', 'failed'];
+
+function formatWebhook(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    events: row.events,
+    format: row.format,
+    projects: row.projects || [],
+    enabled: row.enabled,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lastDelivery: row.last_delivery_id ? {
+      id: Number(row.last_delivery_id),
+      event: row.last_delivery_event,
+      status: row.last_delivery_status,
+      responseStatus: row.last_delivery_response_status,
+      createdAt: row.last_delivery_created_at
+    } : null
+  };
+}
+
+function formatWebhookDelivery(row) {
+  return {
+    id: Number(row.id),
+    webhookId: row.webhook_id,
+    event: row.event,
+    status: row.status,
+    attempts: row.attempts,
+    nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+    responseStatus: row.response_status,
+    responseBody: row.response_body,
+    error: row.error,
+    durationMs: row.duration_ms,
+    createdAt: row.created_at,
+    lastAttemptAt: row.last_attempt_at,
+    deliveredAt: row.delivered_at,
+    payload: row.payload
+  };
+}
+
+// Validates name/url/events/format/projects/enabled; with partial, missing fields are left out
+// An empty projects list means every project (stored as NULL)
+// Returns { values } or { error }
+function validateWebhookInput(body, { partial = false } = {}) {
+  const values = {};
+  const { name, url, events, format, projects, enabled } = body;
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return { error: 'name is required (max 100 characters)' };
+    }
+    values.name = name.trim();
+  }
+  if (url !== undefined || !partial) {
+    let parsed;
+    try {
+      parsed = typeof url === 'string' && url.length <= 2000 ? new URL(url) : null;
+    } catch (err) {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return { error: 'url must be an http(s) URL' };
+    }
+    values.url = parsed.toString();
+  }
+  if (events !== undefined || !partial) {
+    if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+      return { error: `events must be a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    values.events = [...new Set(events)];
+  }
+  if (format !== undefined) {
+    if (!WEBHOOK_FORMATS.includes(format)) {
+      return { error: `format must be one of: ${WEBHOOK_FORMATS.join(', ')}` };
+    }
+    values.format = format;
+  }
+  if (projects !== undefined && projects !== null) {
+    if (!Array.isArray(projects) || projects.length > 50 ||
+        !projects.every(project => typeof project === 'string' && project.trim() && project.trim().length <= 255)) {
+      return { error: 'projects must be a list of up to 50 project names' };
+    }
+    const names = [...new Set(projects.map(project => project.trim()))];
+    values.projects = names.length > 0 ? names : null;
+  } else if (projects === null) {
+    values.projects = null;
+  }
+  if (enabled !== undefined) {
+    if (typeof enabled !== 'boolean') {
+      return { error: 'enabled must be a boolean' };
+    }
+    values.enabled = enabled;
+  }
+  return { values };
+}
+
+function parseWebhookId(req, res) {
+  const webhookId = parseInt(req.params.id, 10);
+  if (!Number.isInteger(webhookId) || webhookId < 1) {
+    res.status(400).json({ error: 'Invalid webhook id' });
+    return null;
+  }
+  return webhookId;
+}
+
+const WEBHOOK_SELECT = `
+  SELECT w.*, d.id AS last_delivery_id, d.event AS last_delivery_event, d.status AS last_delivery_status,
+         d.response_status AS last_delivery_response_status, d.created_at AS last_delivery_created_at
+  FROM webhooks w
+  LEFT JOIN LATERAL (
+    SELECT id, event, status, response_status, created_at FROM webhook_deliveries
+    WHERE webhook_id = w.id ORDER BY created_at DESC, id DESC LIMIT 1
+  ) d ON TRUE`;
+
+// List webhooks (secrets are never listed)
+app.get('/admin/webhooks', requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(`${WEBHOOK_SELECT} ORDER BY w.name, w.id`);
+    res.json({ webhooks: result.rows.map(formatWebhook), events: WEBHOOK_EVENTS, formats: WEBHOOK_FORMATS });
+  } catch (err) {
+    console.error('[Webhooks] List error:', err.message);
+    res.status(500).json({ error: 'Failed to load webhooks' });
+  }
+});
+
+// Register a webhook ({ name, url, events, format?, projects?, enabled? })
+app.post('/admin/webhooks', requireAdmin, async (req, res) => {
+  const { values, error } = validateWebhookInput(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  try {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const result = await pool.query(
+      `INSERT INTO webhooks (name, url, secret, events, format, projects, enabled, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [values.name, values.url, secret, values.events, values.format || 'json', values.projects || null,
+       values.enabled !== false, auditActor(req).actor]
+    );
+    const webhook = result.rows[0];
+
+    console.log(`[Webhooks] Created ${webhook.name} -> ${webhook.url} (${webhook.format}: ${webhook.events.join(', ')})`);
+    recordAudit(req, 'webhook.create', {
+      targetType: 'webhook',
+      target: webhook.name,
+      details: { url: webhook.url, events: webhook.events, format: webhook.format, projects: webhook.projects }
+    });
+    res.status(201).json({
+      success: true,
+      webhook: formatWebhook(webhook),
+      secret,
+      message: 'Store this secret to verify X-Pdev-Signature - it cannot be retrieved again'
+    });
+  } catch (err) {
+    console.error('[Webhooks] Create error:', err.message);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Update name, url, events, format, projects and/or enabled (projects: [] or null = every project)
+app.patch('/admin/webhooks/:id', requireAdmin, async (req, res) => {
+  const webhookId = parseWebhookId(req, res);
+  if (!webhookId) return;
+
+  const { values, error } = validateWebhookInput(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  if (Object.keys(values).length === 0) {
+    return res.status(400).json({ error: 'Provide name, url, events, format, projects or enabled' });
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE webhooks
+       SET name = COALESCE($2, name), url = COALESCE($3, url), events = COALESCE($4, events),
+           enabled = COALESCE($5, enabled), format = COALESCE($6, format),
+           projects = CASE WHEN $7::boolean THEN $8::text[] ELSE projects END, updated_at = NOW()
+       WHERE id = $1
+       RETURNING id`,
+      [webhookId, values.name || null, values.url || null, values.events || null,
+       values.enabled === undefined ? null : values.enabled, values.format || null,
+       'projects' in values, values.projects || null]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const updated = await pool.query(`${WEBHOOK_SELECT} WHERE w.id = $1`, [webhookId]);
+    const webhook = updated.rows[0];
+
+    console.log(`[Webhooks] Updated ${webhook.name}`);
+    recordAudit(req, 'webhook.update', { targetType: 'webhook', target: webhook.name, details: values });
+    res.json({ success: true, webhook: formatWebhook(webhook) });
+  } catch (err) {
+    console.error('[Webhooks] Update error:', err.message);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Issue a new signing secret (returned once; the old one stops being used immediately)
+app.post('/admin/webhooks/:id/secret', requireAdmin, async (req, res) => {
+  const webhookId = parseWebhookId(req, res);
+  if (!webhookId) return;
+
+  try {
+    const secret = crypto.randomBytes(32).toString('hex');
+    const result = await pool.query(
+      'UPDATE webhooks SET secret = $2, updated_at = NOW() WHERE id = $1 RETURNING name',
+      [webhookId, secret]
+    );
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    console.log(`[Webhooks] New secret for ${result.rows[0].name}`);
+    recordAudit(req, 'webhook.secret', { targetType: 'webhook', target: result.rows[0].name });
+    res.json({
+      success: true,
+      secret,
+      message: 'Store this secret to verify X-Pdev-Signature - it cannot be retrieved again'
+    });
+  } catch (err) {
+    console.error('[Webhooks] Secret error:', err.message);
+    res.status(500).json({ error: 'Failed to regenerate secret' });
+  }
+});
+
+// Delete a webhook and its delivery log
+app.delete('/admin/webhooks/:id', requireAdmin, async (req, res) => {
+  const webhookId = parseWebhookId(req, res);
+  if (!webhookId) return;
+
+  try {
+    const result = await pool.query('DELETE FROM webhooks WHERE id = $1 RETURNING name', [webhookId]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    console.log(`[Webhooks] Deleted ${result.rows[0].name}`);
+    recordAudit(req, 'webhook.delete', { targetType: 'webhook', target: result.rows[0].name });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('[Webhooks] Delete error:', err.message);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Send a "test" event now in the webhook's format (ignores the event/project filters and enabled flag; not retried)
+app.post('/admin/webhooks/:id/test', requireAdmin, async (req, res) => {
+  const webhookId = parseWebhookId(req, res);
+  if (!webhookId) return;
+
+  try {
+    const payload = {
+      event: 'test',
+      createdAt: new Date().toISOString(),
+      data: { message: 'Test delivery from PDev Live', triggeredBy: auditActor(req).actor }
+    };
+    // Inserted already claimed (attempt 1, lease pending) so the queue worker leaves it alone
+    const result = await pool.query(`
+      INSERT INTO webhook_deliveries (webhook_id, event, payload, attempts, last_attempt_at, next_attempt_at)
+      SELECT id, 'test', $2, 1, NOW(), NOW() + $3 * INTERVAL '1 second' FROM webhooks WHERE id = $1
+      RETURNING id, event, payload, attempts
+    `, [webhookId, JSON.stringify(payload), WEBHOOK_CLAIM_LEASE_S]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const webhook = await pool.query('SELECT name, url, secret, format FROM webhooks WHERE id = $1', [webhookId]);
+    const delivery = await attemptWebhookDelivery(
+      { ...result.rows[0], ...webhook.rows[0], enabled: true },
+      { retry: false }
+    );
+
+    recordAudit(req, 'webhook.test', {
+      targetType: 'webhook',
+      target: webhook.rows[0].name,
+      outcome: delivery.status === 'success' ? 'success' : 'failure',
+      details: { responseStatus: delivery.response_status, error: delivery.error || undefined }
+    });
+    res.json({ success: delivery.status === 'success', delivery: formatWebhookDelivery(delivery) });
+  } catch (err) {
+    console.error('[Webhooks] Test error:', err.message);
+    res.status(500).json({ error: 'Failed to send test delivery' });
+  }
+});
+
+// Delivery log for one webhook, newest first (?status=pending|success|failed&limit&offset)
+app.get('/admin/webhooks/:id/deliveries', requireAdmin, async (req, res) => {
+  const webhookId = parseWebhookId(req, res);
+  if (!webhookId) return;
+
+  const { status } = req.query;
+  if (status !== undefined && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${WEBHOOK_DELIVERY_STATUSES.join(', ')}` });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    const exists = await pool.query('SELECT 1 FROM webhooks WHERE id = $1', [webhookId]);
+    if (exists.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const result = await pool.query(
+      `SELECT * FROM webhook_deliveries
+       WHERE webhook_id = $1 AND ($2::text IS NULL OR status = $2)
+       ORDER BY created_at DESC, id DESC
+       LIMIT $3 OFFSET $4`,
+      [webhookId, status || null, limit + 1, offset]
+    );
+    const rows = result.rows.slice(0, limit);
+    res.json({
+      deliveries: rows.map(formatWebhookDelivery),
+      count: rows.length,
+      hasMore: result.rows.length > limit,
+      limit,
+      offset
+    });
+  } catch (err) {
+    console.error('[Webhooks] Delivery log error:', err.message);
+    res.status(500).json({ error: 'Failed to load deliveries' });
+  }
+});
+
+// =============================================================================
+// DOCUMENT CONTRACT API (Admin protected)
+// =============================================================================
+// Overrides replace doc-contract.json for one server (every project on it) or one
+// project. The request body has the same shape as doc-contract.json.
+
+function formatContractOverride(row) {
+  return {
+    id: row.id,
+    server: row.server_origin,
+    project: row.project_name,
+    scope: row.project_name ? 'project' : 'server',
+    documentTypes: row.contract.PIPELINE_DOCS ? row.contract.PIPELINE_DOCS.length : 0,
+    contract: row.contract,
+    updatedBy: row.updated_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Validates :server and the optional :project; sends 400 and returns null when invalid
+function parseContractScope(req, res) {
+  const { server, project } = req.params;
+  const validation = project !== undefined
+    ? validateProjectParams(server, project)
+    : (server && server.length <= 50 ? { valid: true } : { valid: false, error: 'Invalid server parameter' });
+  if (!validation.valid) {
+    res.status(400).json({ error: validation.error });
+    return null;
+  }
+  return { server, project: project || null };
+}
+
+// Default contract plus every override
+app.get('/admin/contracts', requireAdmin, async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM doc_contract_overrides ORDER BY server_origin, project_name NULLS FIRST'
+    );
+    res.json({
+      default: { PIPELINE_DOCS: DOC_CONTRACT.PIPELINE_DOCS },
+      overrides: result.rows.map(formatContractOverride),
+      count: result.rows.length
+    });
+  } catch (err) {
+    console.error('[Contract] List error:', err.message);
+    res.status(500).json({ error: 'Failed to load contracts' });
+  }
+});
+
+// Check a contract without storing it
+app.post('/admin/contracts/validate', requireAdmin, (req, res) => {
+  const errors = validateDocContract(req.body);
+  res.json({ valid: errors.length === 0, errors });
+});
+
+// Re-read doc-contract.json and the overrides on every instance
+app.post('/admin/contracts/reload', requireAdmin, async (req, res) => {
+  try {
+    const loaded = loadDefaultDocContract();
+    await refreshDocContractsEverywhere();
+    res.json({
+      success: loaded,
+      documentTypes: DOC_CONTRACT.PIPELINE_DOCS.length,
+      overrides: docContractOverrides.size,
+      ...(loaded ? {} : { error: 'doc-contract.json is invalid or unreadable; the previous contract is still in use' })
+    });
+  } catch (err) {
+    console.error('[Contract] Reload error:', err.message);
+    res.status(500).json({ error: 'Failed to reload contracts' });
+  }
+});
+
+// Create or replace the override for a server (/admin/contracts/:server) or a project
+app.put('/admin/contracts/:server/:project?', requireAdmin, async (req, res) => {
+  const scope = parseContractScope(req, res);
+  if (!scope) return;
+
+  const errors = validateDocContract(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid document contract', details: errors });
+  }
+
+  try {
+    const result = await pool.query(`
+      INSERT INTO doc_contract_overrides (server_origin, project_name, contract, updated_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (server_origin, (COALESCE(LOWER(project_name), '')))
+      DO UPDATE SET contract = EXCLUDED.contract, project_name = EXCLUDED.project_name,
+                    updated_by = EXCLUDED.updated_by, updated_at = NOW()
+      RETURNING *
+    `, [scope.server, scope.project, JSON.stringify({ PIPELINE_DOCS: req.body.PIPELINE_DOCS }), auditActor(req).actor]);
+
+    await refreshDocContractsEverywhere();
+    const target = scope.project ? `${scope.server}/${scope.project}` : scope.server;
+    console.log(`[Contract] Override saved for ${target} (${req.body.PIPELINE_DOCS.length} document types)`);
+    recordAudit(req, 'contract.update', {
+      targetType: 'contract',
+      target,
+      details: { documentTypes: req.body.PIPELINE_DOCS.map(doc => doc.type) }
+    });
+    res.json({ success: true, override: formatContractOverride(result.rows[0]) });
+  } catch (err) {
+    console.error('[Contract] Save error:', err.message);
+    res.status(500).json({ error: 'Failed to save contract' });
+  }
+});
+
+// Remove an override; the project falls back to the server override or the default
+app.delete('/admin/contracts/:server/:project?', requireAdmin, async (req, res) => {
+  const scope = parseContractScope(req, res);
+  if (!scope) return;
+
+  try {
+    const result = await pool.query(`
+      DELETE FROM doc_contract_overrides
+      WHERE server_origin = $1 AND COALESCE(LOWER(project_name), '') = LOWER(COALESCE($2::text, ''))
+      RETURNING id
+    `, [scope.server, scope.project]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Contract override not found' });
+    }
+
+    await refreshDocContractsEverywhere();
+    const target = scope.project ? `${scope.server}/${scope.project}` : scope.server;
+    console.log(`[Contract] Override removed for ${target}`);
+    recordAudit(req, 'contract.delete', { targetType: 'contract', target });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('[Contract] Delete error:', err.message);
+    res.status(500).json({ error: 'Failed to delete contract' });
+  }
+});
+
+// =============================================================================
+// SETTINGS API
+// =============================================================================
+
+// Get PDev git auto-commit settings
+app.get('/settings', requireAdmin, async (req, res) => {
+  try {
+    const fs = require('fs');
+    const os = require('os');
+    const configPath = path.join(os.homedir(), '.pdev-git-config');
+
+    // Default values
+    let pdevAutoGit = false;
+    let pdevGitRepos = [];
+    let pdevGitRemote = 'origin';
+
+    // Read config file if exists
+    if (fs.existsSync(configPath)) {
+      const configContent = fs.readFileSync(configPath, 'utf8');
+
+      // Parse environment variables from bash script
+      const autoGitMatch = configContent.match(/export PDEV_AUTO_GIT=(true|false)/);
+      const reposMatch = configContent.match(/export PDEV_GIT_REPOS="([^"]*)"/);
+      const remoteMatch = configContent.match(/export PDEV_GIT_REMOTE=(\w+)/);
+
+      if (autoGitMatch) pdevAutoGit = autoGitMatch[1] === 'true';
+      if (reposMatch) pdevGitRepos = reposMatch[1].split(':').filter(Boolean);
+      if (remoteMatch) pdevGitRemote = remoteMatch[1];
+    }
+
+    res.json({
+      pdevAutoGit,
+      pdevGitRepos,
+      pdevGitRemote
+    });
+  } catch (error) {
+    console.error('[Settings] Failed to read settings:', error);
+    res.status(500).json({ error: 'Failed to read settings' });
+  }
+});
+
+// Update PDev git auto-commit settings
+app.post('/settings', requireAdmin, async (req, res) => {
+  try {
+    const fs = require('fs');
+    const os = require('os');
+    const { pdevAutoGit, pdevGitRepos, pdevGitRemote } = req.body;
+
+    // Validate input
+    if (typeof pdevAutoGit !== 'boolean') {
+      return res.status(400).json({ error: 'pdevAutoGit must be boolean' });
+    }
+
+    if (!Array.isArray(pdevGitRepos)) {
+      return res.status(400).json({ error: 'pdevGitRepos must be array' });
+    }
+
+    if (typeof pdevGitRemote !== 'string' || !pdevGitRemote.match(/^[a-zA-Z0-9_-]+$/)) {
+      return res.status(400).json({ error: 'pdevGitRemote must be valid remote name' });
+    }
+
+    // Validate repository paths
+    for (const repo of pdevGitRepos) {
+      // Check absolute path
+      if (!path.isAbsolute(repo)) {
+        return res.status(400).json({ error: `Invalid path: ${repo} (must be absolute)` });
+      }
+
+      // Resolve path (prevents path traversal via symlinks)
+      let resolvedRepo;
+      try {
+        resolvedRepo = fs.realpathSync(repo);
+      } catch (err) {
+        return res.status(400).json({ error: `Repository not found: ${repo}` });
+      }
+
+      // Check is git repository
+      const gitDir = path.join(resolvedRepo, '.git');
+      if (!fs.existsSync(gitDir)) {
+        return res.status(400).json({ error: `Not a git repository: ${repo}` });
+      }
+    }
+
+    // Write to ~/.pdev-git-config
+    const configPath = path.join(os.homedir(), '.pdev-git-config');
+    const configContent = `# PDev Git Auto-Commit Configuration
+# Generated by PDev Live Settings UI
+# Last updated: ${new Date().toISOString()}
+
+export PDEV_AUTO_GIT=${pdevAutoGit}
+export PDEV_GIT_REPOS="${pdevGitRepos.join(':')}"
+export PDEV_GIT_REMOTE=${pdevGitRemote}
+`;
+
+    // Write with owner-only permissions (600)
+    fs.writeFileSync(configPath, configContent, { mode: 0o600 });
+
+    console.log('[Settings] Saved PDev git auto-commit settings:', { pdevAutoGit, repoCount: pdevGitRepos.length, pdevGitRemote });
+    recordAudit(req, 'settings.update', {
+      targetType: 'settings', target: 'git',
+      details: { pdevAutoGit, repoCount: pdevGitRepos.length, pdevGitRemote }
+    });
+
+    res.json({ success: true, message: 'Settings saved successfully' });
+  } catch (error) {
+    console.error('[Settings] Failed to save settings:', error);
+    res.status(500).json({ error: 'Failed to save settings' });
+  }
+});
+
+// =============================================================================
+// PROJECT MANIFESTS API
+// =============================================================================
+
+// Get manifest for a project
+app.get("/manifests/:server/:project", async (req, res) => {
+  try {
+    const { server, project } = req.params;
+    
+    // First try exact match
+    let result = await pool.query(
+      "SELECT * FROM project_manifests WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)",
+      [server, project]
+    );
+    
+    // Fallback to dolovdev (orchestrator) if not found and not already dolovdev
+    if (result.rows.length === 0 && server !== "dolovdev" && server !== "djm" && server !== "rmlve" && server !== "djm" && server !== "rmlve") {
+      result = await pool.query(
+        "SELECT * FROM project_manifests WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)",
+        ["dolovdev", project]
+      );
+      // Mark as fallback so client knows
+      if (result.rows.length > 0) {
+        result.rows[0].fallback_from = server;
+        result.rows[0].resolved_via = "dolovdev";
+      }
+    }
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Manifest not found" });
+    }
+    res.json(result.rows[0]);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+app.put("/manifests/:server/:project", requireTokenScope("docs:write", req => req.params.server), async (req, res) => {
+  try {
+    const { server, project } = req.params;
+    const { docsPath, docs } = req.body;
+
+    if (!VALID_SERVERS.includes(server)) {
+      return res.status(400).json({ error: "Invalid server: " + server });
+    }
+
+    const result = await pool.query(`
+      INSERT INTO project_manifests (server_origin, project_name, docs_path, docs)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (server_origin, project_name)
+      DO UPDATE SET docs_path = COALESCE($3, project_manifests.docs_path),
+                    docs = project_manifests.docs || COALESCE($4::jsonb, '{}'::jsonb)
+      RETURNING *
+    `, [server, project, docsPath, docs ? JSON.stringify(docs) : null]);
+
+    console.log("[Manifest] Updated " + server + "/" + project);
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("[Manifest] Error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update single doc in manifest
+app.patch("/manifests/:server/:project/doc", requireTokenScope("docs:write", req => req.params.server), async (req, res) => {
+  try {
+    const { server, project } = req.params;
+    const { docType, fileName } = req.body;
+
+    if (!docType || !fileName) {
+      return res.status(400).json({ error: "docType and fileName required" });
+    }
+
+    // Upsert: create manifest if not exists, update doc entry
+    const result = await pool.query(`
+      INSERT INTO project_manifests (server_origin, project_name, docs)
+      VALUES ($1, $2, $3::jsonb)
+      ON CONFLICT (server_origin, project_name)
+      DO UPDATE SET docs = project_manifests.docs || $3::jsonb
+      RETURNING *
+    `, [server, project, JSON.stringify({ [docType]: fileName })]);
+
+    console.log("[Manifest] Set " + server + "/" + project + " doc " + docType + " = " + fileName);
+    res.json(result.rows[0]);
+  } catch (err) {
+    console.error("[Manifest] Doc update error:", err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get all manifests (for dashboard)
+app.get("/manifests", async (req, res) => {
+  try {
+    const { server } = req.query;
+    let query = "SELECT * FROM project_manifests";
+    const params = [];
+    if (server) {
+      params.push(server);
+      query += " WHERE server_origin = $1";
+    }
+    query += " ORDER BY updated_at DESC";
+    const result = await pool.query(query, params);
+    res.json({ manifests: result.rows, count: result.rows.length });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Server info
+app.get('/servers', (req, res) => {
+  res.json({
+    servers: VALID_SERVERS,
+    commands: PDEV_COMMANDS
+  });
+});
+
+// =============================================================================
+// WEBSSH INSTALLER ENDPOINT
+// =============================================================================
+
+const wss = new WebSocket.Server({ noServer: true });
+const INSTALL_SCRIPT_URL = 'https://vyxenai.com/pdev/install.sh';
+const INSTALL_SCRIPT_SHA256 = process.env.PDEV_INSTALL_SCRIPT_SHA256 || '';
+
+// Session storage for WebSocket authentication
+const installerTokens = new Map(); // Map<token, { ip, createdAt, used }>
+const wsRateLimiter = new Map(); // Map<ip, { count, resetAt }>
+
+let activeWSConnections = 0;
+const MAX_CONCURRENT_WS = 10;
+
+// Cleanup rate limiter every 5 minutes
+setInterval(() => {
+  const now = Date.now();
+  for (const [ip, limit] of wsRateLimiter.entries()) {
+    if (now > limit.resetAt + 60000) {
+      wsRateLimiter.delete(ip);
+    }
+  }
+}, 5 * 60 * 1000);
+
+// Shell escaping for command parameters
+function escapeShellArg(arg) {
+  if (typeof arg !== 'string') return '';
+  return "'" + arg.replace(/'/g, "'\\''") + "'";
+}
+
+// Validate FQDN for domain input
+function isValidFQDN(domain) {
+  if (!domain || typeof domain !== 'string') return false;
+  return validator.isFQDN(domain, { require_tld: true, allow_underscores: false });
+}
+
+// Validate source URL (must be HTTPS)
+function isValidSourceURL(url) {
+  if (!url || typeof url !== 'string') return false;
+  if (!url.startsWith('https://')) return false;
+  try {
+    const parsed = new URL(url);
+    return isValidFQDN(parsed.hostname);
+  } catch (e) {
+    return false;
+  }
+}
+
+// Check WebSocket rate limit (5 connections per 60 seconds per IP)
+function checkWSRateLimit(ip) {
+  const now = Date.now();
+  const limit = wsRateLimiter.get(ip);
+
+  if (!limit || now > limit.resetAt) {
+    wsRateLimiter.set(ip, { count: 1, resetAt: now + 60000 });
+    return true;
+  }
+
+  if (limit.count >= 5) {
+    return false;
+  }
+
+  limit.count++;
+  return true;
+}
+
+// Generate auth token for WebSocket upgrade
+function generateWSAuthToken() {
+  return require('crypto').randomBytes(32).toString('hex');
+}
+
+// Validate auth message
+function validateAuthMessage(data) {
+  const errors = [];
+
+  if (!data.host || typeof data.host !== 'string' || data.host.length > 253) {
+    errors.push('Invalid host');
+  }
+
+  if (data.port && (typeof data.port !== 'number' || data.port < 1 || data.port > 65535)) {
+    errors.push('Invalid port');
+  }
+
+  if (!data.username || typeof data.username !== 'string' || data.username.length > 32) {
+    errors.push('Invalid username');
+  }
+
+  if (!['password', 'key', 'privateKey'].includes(data.authMethod)) {
+    errors.push('Invalid authMethod');
+  }
+
+  if (!['source', 'project'].includes(data.mode)) {
+    errors.push('Invalid mode');
+  }
+
+  if (data.mode === 'source' && (!data.domain || typeof data.domain !== 'string' || data.domain.length > 253)) {
+    errors.push('Invalid domain');
+  }
+
+  if (data.mode === 'project' && (!data.sourceUrl || typeof data.sourceUrl !== 'string' || data.sourceUrl.length > 2048)) {
+    errors.push('Invalid sourceUrl');
+  }
+
+  if (data.authMethod === 'password' && !data.password) {
+    errors.push('Password required');
+  }
+
+  if ((data.authMethod === 'key' || data.authMethod === 'privateKey') && !data.privateKey) {
+    errors.push('Private key required');
+  } else if (data.authMethod === 'key' || data.authMethod === 'privateKey') {
+    // Validate private key format
+    const keyPattern = /^-----BEGIN (RSA|OPENSSH|EC|DSA) PRIVATE KEY-----[\s\S]+-----END (RSA|OPENSSH|EC|DSA) PRIVATE KEY-----$/;
+    if (!keyPattern.test(data.privateKey.trim())) {
+      errors.push('Invalid private key format');
+    }
+    if (data.privateKey.length > 16384) {
+      errors.push('Private key exceeds maximum size (16KB)');
+    }
+  }
+
+  return errors;
+}
+
+// Create WebSocket session endpoint (REST API)
+app.post('/pdev/installer/token', (req, res) => {
+  const clientIP = req.ip; // Get real client IP from X-Forwarded-For (trust proxy enabled)
+
+  // Rate limit check
+  if (!checkWSRateLimit(clientIP)) {
+    return res.status(429).json({ error: 'Too many connection attempts. Try again in 1 minute.' });
+  }
+
+  // Generate session token
+  const token = generateWSAuthToken();
+  installerTokens.set(token, {
+    ip: clientIP,
+    createdAt: Date.now(),
+    used: false
+  });
+
+  // Expire token after 15 minutes
+  setTimeout(() => {
+    installerTokens.delete(token);
+  }, 15 * 60 * 1000);
+
+  res.json({ token });
+});
+
+// WebSocket upgrade handler
+server.on('upgrade', (request, socket, head) => {
+  const url = new URL(request.url, `http://${request.headers.host}`);
+
+  if (url.pathname === '/pdev/webssh') {
+    // Enforce WSS in production
+    if (process.env.NODE_ENV === 'production' && !request.headers['x-forwarded-proto']?.includes('https')) {
+      socket.write('HTTP/1.1 426 Upgrade Required\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    // Extract client IP from X-Forwarded-For (nginx sets this) or fallback to socket address
+    // nginx uses $proxy_add_x_forwarded_for which puts real client IP first
+    const xForwardedFor = request.headers['x-forwarded-for'];
+    let clientIP = xForwardedFor
+      ? xForwardedFor.split(',')[0].trim()
+      : request.socket.remoteAddress;
+    // Normalize IPv4-mapped IPv6 to match Express req.ip (::ffff:1.2.3.4 → 1.2.3.4)
+    if (clientIP && clientIP.startsWith('::ffff:')) {
+      clientIP = clientIP.substring(7);
+    }
+    const token = url.searchParams.get('token');
+
+    // Validate token
+    const session = installerTokens.get(token);
+    if (!session) {
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    // Validate IP matches
+    if (session.ip !== clientIP) {
+      socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+      socket.destroy();
+      installerTokens.delete(token);
+      return;
+    }
+
+    // Token can only be used once
+    if (session.used) {
+      socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+      socket.destroy();
+      return;
+    }
+
+    session.used = true;
+
+    wss.handleUpgrade(request, socket, head, (ws) => {
+      wss.emit('connection', ws, request, token);
+    });
+  } else {
+    socket.destroy();
+  }
+});
+
+// WebSocket connection handler
+wss.on('connection', (ws, request, token) => {
+  console.log('[WebSSH] Client connected');
+
+  // Check max concurrent connections
+  if (activeWSConnections >= MAX_CONCURRENT_WS) {
+    ws.send(JSON.stringify({ type: 'error', message: 'Server capacity reached. Try again later.' }));
+    ws.close(1008, 'Too many connections');
+    return;
+  }
+
+  activeWSConnections++;
+
+  let sshConn = null;
+  let sshStream = null;
+  let installTimeout = null;
+
+  // Message rate limiting per connection (10 messages per second)
+  const messageTimestamps = [];
+  const MESSAGE_RATE_LIMIT = 10;
+  const MESSAGE_RATE_WINDOW = 1000; // 1 second
+
+  ws.on('message', async (message) => {
+    // Rate limit check
+    const now = Date.now();
+    messageTimestamps.push(now);
+    // Remove timestamps older than 1 second
+    while (messageTimestamps.length > 0 && messageTimestamps[0] < now - MESSAGE_RATE_WINDOW) {
+      messageTimestamps.shift();
+    }
+    if (messageTimestamps.length > MESSAGE_RATE_LIMIT) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Message rate limit exceeded' }));
+      ws.close(1008, 'Rate limit');
+      return;
+    }
+
+    // Message size limit (64KB)
+    if (message.length > 65536) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Message too large' }));
+      ws.close(1009, 'Message too large');
+      return;
+    }
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch (e) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Invalid message format' }));
+      ws.close(1008, 'Invalid JSON');
+      return;
+    }
+
+    if (data.type === 'auth') {
+      // Validate all inputs
+      const validationErrors = validateAuthMessage(data);
+      if (validationErrors.length > 0) {
+        ws.send(JSON.stringify({ type: 'error', message: validationErrors.join(', ') }));
+        ws.close(1008, 'Validation failed');
+        return;
+      }
+
+      const { host, port, username, authMethod, password, privateKey, mode, domain, sourceUrl } = data;
+
+      // Validate mode-specific parameters
+      if (mode === 'source' && !isValidFQDN(domain)) {
+        ws.send(JSON.stringify({ type: 'error', message: 'Invalid domain format' }));
+        ws.close(1008, 'Invalid domain');
+        return;
+      }
+
+      if (mode === 'project' && !isValidSourceURL(sourceUrl)) {
+        ws.send(JSON.stringify({ type: 'error', message: 'Invalid source URL (must be HTTPS)' }));
+        ws.close(1008, 'Invalid source URL');
+        return;
+      }
+
+      // Build install command with --non-interactive and --force flags
+      // --non-interactive: No prompts (web wizard provides all input)
+      // --force: Overwrite existing installation if detected
+      let installCmd = `curl -fsSL ${INSTALL_SCRIPT_URL} | sudo bash -s -- --non-interactive --force`;
+      if (mode === 'source') {
+        installCmd += ` --domain ${escapeShellArg(domain)}`;
+      } else {
+        installCmd += ` --source-url ${escapeShellArg(sourceUrl)}`;
+      }
+
+      // Create SSH connection
+      sshConn = new Client();
+
+      sshConn.on('ready', () => {
+        ws.send(JSON.stringify({ type: 'output', data: '\r\n\x1b[32m✅ SSH connected\x1b[0m\r\n' }));
+        ws.send(JSON.stringify({ type: 'output', data: '\x1b[33mStarting installation...\x1b[0m\r\n\r\n' }));
+
+        // Execute install command
+        sshConn.exec(installCmd, { pty: true }, (err, stream) => {
+          if (err) {
+            ws.send(JSON.stringify({ type: 'error', message: `Failed to execute command: ${err.message}` }));
+            sshConn.end();
+            ws.close(1011, 'Exec error');
+            return;
+          }
+
+          sshStream = stream;
+
+          // Set installation timeout (2 minutes)
+          installTimeout = setTimeout(() => {
+            if (sshConn) {
+              sshConn.end();
+              ws.send(JSON.stringify({
+                type: 'error',
+                message: 'Installation timeout (2 minutes). Please check server logs.'
+              }));
+              ws.close(1011, 'Timeout');
+            }
+          }, 2 * 60 * 1000);
+
+          stream.on('data', (data) => {
+            ws.send(JSON.stringify({ type: 'output', data: data.toString() }));
+          });
+
+          stream.stderr.on('data', (data) => {
+            ws.send(JSON.stringify({ type: 'output', data: data.toString() }));
+          });
+
+          stream.on('close', (code) => {
+            if (installTimeout) clearTimeout(installTimeout);
+
+            if (code === 0) {
+              ws.send(JSON.stringify({ type: 'success', message: 'Installation completed successfully!' }));
+              console.log('[WebSSH] Installation succeeded:', { mode, domain, sourceUrl });
+            } else {
+              ws.send(JSON.stringify({ type: 'error', message: `Installation failed with exit code ${code}` }));
+              console.error('[WebSSH] Installation failed:', { code, mode, domain, sourceUrl });
+            }
+            sshConn.end();
+          });
+        });
+      });
+
+      sshConn.on('error', (err) => {
+        ws.send(JSON.stringify({ type: 'error', message: `SSH connection failed: ${err.message}` }));
+        ws.close(1011, 'SSH error');
+        console.error('[WebSSH] SSH error:', err.message);
+      });
+
+      sshConn.on('timeout', () => {
+        ws.send(JSON.stringify({ type: 'error', message: 'SSH connection timeout' }));
+        sshConn.end();
+        ws.close(1011, 'Timeout');
+        console.error('[WebSSH] SSH timeout');
       });
+
+      // Connect to SSH server
+      const connConfig = {
+        host,
+        port: port || 22,
+        username,
+        readyTimeout: 10000
+      };
+
+      if (authMethod === 'password') {
+        connConfig.password = password;
+      } else {
+        // Normalize key: remove leading/trailing whitespace from each line
+        // Users often paste keys with extra indentation from code blocks or emails
+        let normalizedKey = privateKey;
+        if (privateKey) {
+          normalizedKey = privateKey
+            .split('\n')
+            .map(line => line.trim())
+            .join('\n')
+            .trim();
+        }
+        // Debug: Log key format info (first 50 chars only, no sensitive data)
+        const keyPreview = normalizedKey ? normalizedKey.substring(0, 50) : 'EMPTY';
+        const keyLength = normalizedKey ? normalizedKey.length : 0;
+        console.log('[WebSSH] Key debug:', { keyLength, keyPreview: keyPreview + '...', hasNewlines: normalizedKey?.includes('\n') });
+        connConfig.privateKey = normalizedKey;
+      }
+
+      // CRITICAL: Wrap connect() in try-catch to handle synchronous errors
+      // ssh2 throws synchronous errors for invalid key formats BEFORE 'error' event fires
+      // Without this, malformed keys cause unhandled exceptions that crash the WebSocket
+      // handler without sending any error message to the client
+      try {
+        sshConn.connect(connConfig);
+      } catch (err) {
+        console.error('[WebSSH] SSH connect error:', err.message);
+        ws.send(JSON.stringify({ type: 'error', message: `SSH connection failed: ${err.message}` }));
+        sshConn.end();  // Cleanup SSH client object
+        ws.close(1011, 'SSH connect error');
+        return;
+      }
+    }
+  });
+
+  ws.on('close', () => {
+    console.log('[WebSSH] Client disconnected');
+    if (installTimeout) clearTimeout(installTimeout);
+    if (sshStream) sshStream.end();
+    if (sshConn) sshConn.end();
+    installerTokens.delete(token);
+    activeWSConnections--;
+  });
+
+  ws.on('error', (err) => {
+    console.error('[WebSSH] WebSocket error:', err);
+    if (installTimeout) clearTimeout(installTimeout);
+    if (sshStream) sshStream.end();
+    if (sshConn) sshConn.end();
+    activeWSConnections--;
+  });
+});
+
+// =============================================================================
+// SCHEMA VALIDATION
+// =============================================================================
+
+/**
+ * Validate database schema before starting server
+ * Prevents runtime failures from missing tables
+ */
+async function validateDatabaseSchema() {
+  const requiredTables = [
+    'pdev_sessions',
+    'pdev_session_steps',
+    'pdev_migrations',
+    'project_manifests'
+  ];
+
+  const requiredViews = [
+    'pdev_steps',           // View alias
+    'v_active_sessions',
+    'v_session_history'
+  ];
+
+  try {
+    // Check tables exist
+    for (const table of requiredTables) {
+      const result = await pool.query(
+        `SELECT to_regclass('public.${table}') as exists`
+      );
+      if (!result.rows[0].exists) {
+        throw new Error(`Missing required table: ${table}`);
+      }
+    }
+
+    // Check views exist
+    for (const view of requiredViews) {
+      const result = await pool.query(
+        `SELECT to_regclass('public.${view}') as exists`
+      );
+      if (!result.rows[0].exists) {
+        console.warn(`[Schema] Missing view: ${view} (may need migration)`);
+      }
+    }
+
+    // Check migrations applied
+    const migResult = await pool.query(
+      `SELECT migration_name FROM pdev_migrations ORDER BY applied_at`
+    );
+    const appliedMigrations = migResult.rows.map(r => r.migration_name);
+    console.log('[Schema] Applied migrations:', appliedMigrations.join(', '));
+
+    console.log('[Schema] ✅ Database schema validated');
+    return true;
+  } catch (err) {
+    console.error('[Schema] ❌ Database schema validation failed:', err.message);
+    console.error('[Schema] Run migrations: psql -U pdev_app -d pdev_live -f installer/migrations/*.sql');
+    return false;
+  }
+}
+
+// =============================================================================
+// START SERVER
+// =============================================================================
+
+// Validate schema before starting server
+(async () => {
+  const schemaValid = await validateDatabaseSchema();
+  if (!schemaValid) {
+    console.error('FATAL: Database schema validation failed. Server not started.');
+    process.exit(1);
+  }
+
+  // Load server tokens from database
+  await loadServerTokens();
+
+  // Per-server and per-project document contracts
+  await loadDocContractOverrides();
+
+  // Load user accounts (seeds the first admin on a fresh install)
+  await ensureBootstrapAdmin();
+  await loadUsers();
+
+  // Cross-instance SSE fan-out
+  await startPubSubListener();
+
+  // Metadata for documents pushed before migration 020 (in the background)
+  backfillDocumentMetadata();
+
+  server.listen(PORT, () => {
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('🚀 PDev Live Mirror Server v2');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+    console.log('Environment:', process.env.NODE_ENV || 'development');
+    console.log('Port:', PORT);
+    console.log('Base URL:', PDEV_BASE_URL);
+    console.log('CORS Origins:', ALLOWED_ORIGINS.length, 'configured');
+    console.log('Database: pdev_live @', process.env.PDEV_DB_HOST || 'localhost');
+    console.log('Valid servers:', VALID_SERVERS.join(', '));
+    console.log('WebSSH: /pdev/webssh (installer endpoint)');
+    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+  });
+})();
+
+// =============================================================================
+// PROJECT-CENTRIC ENDPOINTS
+// =============================================================================
+
+// Input validation helper
+function validateProjectParams(server, project) {
+  if (!server || typeof server !== 'string' || server.length > 50) {
+    return { valid: false, error: 'Invalid server parameter' };
+  }
+  const projectPattern = /^[a-zA-Z0-9_\-\.]{1,100}$/;
+  if (!project || !projectPattern.test(project)) {
+    return { valid: false, error: 'Invalid project name format' };
+  }
+  return { valid: true };
+}
+
+// SQL LIKE escape helper
+function escapeLikePattern(str) {
+  if (typeof str !== 'string') return '';
+  return str.replace(/[%_\\]/g, '\\$&');
+}
+
+// Get all projects (grouped by project name)
+app.get('/projects', async (req, res) => {
+  try {
+    const { server } = req.query;
+    const params = [];
+    let serverFilter = '';
+    
+    if (server) {
+      if (typeof server !== 'string' || server.length > 50) {
+        return res.status(400).json({ error: 'Invalid server parameter' });
+      }
+      params.push(server);
+      serverFilter = 'AND ps.server_origin = $1';
     }
+    
+    const query = `
+      SELECT 
+        ps.project_name,
+        ps.server_origin,
+        COUNT(DISTINCT ps.id) as session_count,
+        MAX(ps.started_at) as last_activity,
+        COALESCE(step_counts.total_steps, 0) as total_steps
+      FROM pdev_sessions ps
+      LEFT JOIN (
+        SELECT s.project_name, s.server_origin, COUNT(st.id) as total_steps
+        FROM pdev_sessions s
+        JOIN pdev_steps st ON st.session_id = s.id
+        WHERE s.deleted_at IS NULL
+        GROUP BY s.project_name, s.server_origin
+      ) step_counts ON step_counts.project_name = ps.project_name 
+        AND step_counts.server_origin = ps.server_origin
+      WHERE ps.deleted_at IS NULL ${serverFilter}
+      GROUP BY ps.project_name, ps.server_origin, step_counts.total_steps
+      ORDER BY last_activity DESC
+    `;
+    
+    const result = await pool.query(query, params);
+
+    // Compact pipeline progress for the project cards
+    const docs = await pool.query(`
+      SELECT server_origin, LOWER(project_name) AS project_key, document_name, version, updated_at, file_modified_at
+      FROM pdev_project_documents
+      ${server ? 'WHERE server_origin = $1' : ''}
+    `, params);
+    const docsByProject = new Map();
+    docs.rows.forEach(row => {
+      const key = row.server_origin + '/' + row.project_key;
+      if (!docsByProject.has(key)) docsByProject.set(key, []);
+      docsByProject.get(key).push(row);
+    });
+    const projects = result.rows.map(row => {
+      const pipeline = buildPipeline(
+        docsByProject.get(row.server_origin + '/' + row.project_name.toLowerCase()) || [],
+        resolveDocContract(row.server_origin, row.project_name)
+      );
+      return {
+        ...row,
+        pipeline: {
+          ...pipeline.summary,
+          phases: pipeline.phases.map(phase => ({ type: phase.type, status: phase.status, stale: phase.stale }))
+        }
+      };
+    });
 
-    // Generate new secure token
-    const token = crypto.randomBytes(32).toString('hex'); // 64 chars
+    res.json({ projects, count: projects.length });
+  } catch (err) {
+    console.error('[Projects] Error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch projects' });
+  }
+});
 
-    await client.query(`
-      INSERT INTO server_tokens (server_name, token)
-      VALUES ($1, $2)
-    `, [validatedName, token]);
+// Get project documents (latest from sessions)
+app.get('/projects/:server/:project/docs', async (req, res) => {
+  try {
+    const { server, project } = req.params;
+    const validation = validateProjectParams(server, project);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
 
-    await client.query('COMMIT');
+    // Prevent browser caching of API response
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+    res.setHeader('Pragma', 'no-cache');
+    res.setHeader('Expires', '0');
+
+    // Query project-scoped documents (survives session deletion)
+    const result = await pool.query(`
+      SELECT
+        id as step_id,
+        UPPER(REGEXP_REPLACE(TRIM(BOTH E'\\n\\r\\t ' FROM document_name), '\\.md$', '', 'i')) as document_name,
+        document_name as original_name,
+        content,
+        updated_at as modified,
+        file_created_at,
+        file_modified_at,
+        phase_number,
+        phase_name,
+        metadata
+      FROM pdev_project_documents
+      WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)
+      ORDER BY phase_number NULLS LAST, document_name
+    `, [server, project]);
+    
+    const docs = {};
+    let lastModified = null;
+    const contract = resolveDocContract(server, project);
+
+    result.rows.forEach(row => {
+      const rawDocType = row.document_name.replace(/[\r\n]/g, '').trim().replace(/\.md$/i, '').toUpperCase();
+      const docType = normalizeDocType(rawDocType, contract); // Normalize to canonical form
+      let version = null;
+
+      if (row.content) {
+        const versionMatch = row.content.match(/pdev_version:\s*([0-9.]+)/);
+        if (versionMatch) version = versionMatch[1];
+      }
+
+      // Use database created_at timestamp (when doc was pushed) - includes time
+      const docModified = row.modified; // This is created_at from SQL
+
+      // Only store if not already present (prefer first/latest occurrence)
+      if (!docs[docType]) {
+        docs[docType] = {
+          id: row.step_id,
+          name: row.document_name.replace(/[\r\n]/g, '').trim(),
+          version: version,
+          modified: docModified,
+          fileCreatedAt: row.file_created_at,
+          fileModifiedAt: row.file_modified_at,
+          phase: row.phase_number,
+          phaseName: row.phase_name ? row.phase_name.replace(/[\r\n]/g, '').trim() : null,
+          metadata: row.metadata,
+          hasContent: !!row.content
+        };
+      }
+
+      if (!lastModified || new Date(docModified) > new Date(lastModified)) {
+        lastModified = docModified;
+      }
+    });
+    
+    res.json({ ...docs, lastModified });
+  } catch (err) {
+    console.error('[Projects] Docs error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch project documents' });
+  }
+});
+
+// Get specific document content
+app.get('/projects/:server/:project/docs/:docType', async (req, res) => {
+  try {
+    const { server, project, docType } = req.params;
+    const validation = validateProjectParams(server, project);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    if (!docType || typeof docType !== 'string' || docType.length > 50) {
+      return res.status(400).json({ error: 'Invalid document type' });
+    }
+
+    // Prevent browser caching of API response
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+    res.setHeader('Pragma', 'no-cache');
+    res.setHeader('Expires', '0');
+
+    const safeDocType = escapeLikePattern(docType.toUpperCase());
+
+    // Query both explicit documents AND output steps with PDev doc headers
+    // Normalize document_name: UPPER, TRIM whitespace/newlines, remove .md suffix
+    const result = await pool.query(`
+      WITH doc_steps AS (
+        -- Explicit document steps
+        SELECT
+          id as step_id,
+          UPPER(REGEXP_REPLACE(TRIM(BOTH E'\\n\\r\\t ' FROM document_name), '\\.md$', '', 'i')) as normalized_name,
+          document_name as original_name,
+          content_markdown as content,
+          created_at as modified,
+          file_created_at,
+          file_modified_at,
+          phase_number,
+          phase_name
+        FROM pdev_session_steps
+        WHERE session_id IN (
+          SELECT id FROM pdev_sessions
+          WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2) AND deleted_at IS NULL
+        )
+        AND step_type = 'document'
+        AND document_name IS NOT NULL
+
+        UNION ALL
+
+        -- Output steps with matching PDev document header
+        SELECT
+          id as step_id,
+          UPPER(TRIM(SUBSTRING(content_markdown FROM 'document:\\s*([A-Z_]+)'))) as normalized_name,
+          UPPER(TRIM(SUBSTRING(content_markdown FROM 'document:\\s*([A-Z_]+)'))) as original_name,
+          content_markdown as content,
+          created_at as modified,
+          file_created_at,
+          file_modified_at,
+          phase_number,
+          phase_name
+        FROM pdev_session_steps
+        WHERE session_id IN (
+          SELECT id FROM pdev_sessions
+          WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2) AND deleted_at IS NULL
+        )
+        AND step_type = 'output'
+        AND content_markdown ~ '^---\\s*\\npdev_version:'
+        AND content_markdown ~ 'document:\\s*[A-Z_]+'
+      )
+      SELECT step_id, normalized_name as document_name, original_name, content, modified, file_created_at, file_modified_at, phase_number, phase_name
+      FROM doc_steps
+      WHERE normalized_name IS NOT NULL AND normalized_name LIKE $3
+      ORDER BY modified DESC
+      LIMIT 1
+    `, [server, project, '%' + safeDocType + '%']);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+    
+    const row = result.rows[0];
+    let version = null;
+
+    if (row.content) {
+      const versionMatch = row.content.match(/pdev_version:\s*([0-9.]+)/);
+      if (versionMatch) version = versionMatch[1];
+    }
+
+    // Use database created_at timestamp (when doc was pushed) - includes time
+    res.json({
+      id: row.step_id,
+      name: row.document_name.replace(/[\r\n]/g, '').trim(),
+      content: row.content,
+      version: version,
+      modified: row.modified,
+      fileCreatedAt: row.file_created_at,
+      fileModifiedAt: row.file_modified_at,
+      phase: row.phase_number,
+      phaseName: row.phase_name ? row.phase_name.replace(/[\r\n]/g, '').trim() : null,
+      metadata: parseDocFrontmatter(row.content)
+    });
+  } catch (err) {
+    console.error('[Projects] Doc content error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch document' });
+  }
+});
 
-    // Reload tokens into memory
-    await loadServerTokens();
+// Get project sessions
+app.get('/projects/:server/:project/sessions', async (req, res) => {
+  try {
+    const { server, project } = req.params;
+    const validation = validateProjectParams(server, project);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    
+    const result = await pool.query(`
+      SELECT
+        ps.id,
+        ps.command_type,
+        ps.session_status as status,
+        ps.started_at as created_at,
+        ps.completed_at as ended_at,
+        COUNT(st.id) as step_count
+      FROM pdev_sessions ps
+      LEFT JOIN pdev_steps st ON st.session_id = ps.id
+      WHERE ps.server_origin = $1 AND LOWER(ps.project_name) = LOWER($2) AND ps.deleted_at IS NULL
+      GROUP BY ps.id, ps.command_type, ps.session_status, ps.started_at, ps.completed_at
+      ORDER BY ps.started_at DESC
+      LIMIT 20
+    `, [server, project]);
+    
+    res.json({ sessions: result.rows, count: result.rows.length });
+  } catch (err) {
+    console.error('[Projects] Sessions error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
 
-    console.log(`[REGCODE] Consumed: ${code.substring(0, 4)}... by ${validatedName} from ${clientIP}`);
-    console.log(`[TOKEN] Registered: ${validatedName} with token ${token.substring(0, 8)}...`);
+// =============================================================================
+// PIPELINE PROGRESS
+// =============================================================================
+// Where a project stands against its doc contract. Each contract phase is present or
+// missing; a present doc is stale when one of its upstream docs changed after it.
+// Upstream is the contract entry's optional dependsOn list (doc types), otherwise
+// every earlier phase. Doc times are the file's modified time when the client sent
+// one, else the push time.
+
+function pipelineUpstream(doc, contractDocs) {
+  if (Array.isArray(doc.dependsOn)) return doc.dependsOn;
+  return contractDocs.filter(other => other.phase < doc.phase).map(other => other.type);
+}
 
-    res.status(201).json({
-      success: true,
-      token,
-      serverName: validatedName,
-      message: 'Server registered successfully - store this token securely (it cannot be retrieved again)'
-    });
+// Latest row per canonical doc type: aliases normalize to one type, the latest push wins
+function latestDocsByType(rows, contract = DOC_CONTRACT) {
+  const latest = {};
+  rows.forEach(row => {
+    const type = normalizeDocType(row.document_name.replace(/[\r\n]/g, '').trim(), contract);
+    if (!latest[type] || new Date(row.updated_at) > new Date(latest[type].updated_at)) {
+      latest[type] = row;
+    }
+  });
+  return latest;
+}
 
-  } catch (err) {
-    await client.query('ROLLBACK');
-    console.error('[REGCODE] Registration failed:', err.message);
+// rows: pdev_project_documents rows for one project (document_name, version, updated_at, file_modified_at)
+// contract: the project's resolved contract (resolveDocContract)
+function buildPipeline(rows, contract = DOC_CONTRACT) {
+  const contractDocs = contract.PIPELINE_DOCS;
+  const latest = latestDocsByType(rows, contract);
+  const docTime = row => new Date(row.file_modified_at || row.updated_at);
+
+  const phases = [...contractDocs].sort((a, b) => a.phase - b.phase).map(doc => {
+    const row = latest[doc.type];
+    const upstream = pipelineUpstream(doc, contractDocs);
+    const phase = {
+      phase: doc.phase,
+      type: doc.type,
+      name: doc.name,
+      icon: doc.icon,
+      cmd: doc.cmd,
+      upstream,
+      status: row ? 'present' : 'missing',
+      version: row ? row.version : null,
+      modified: row ? row.updated_at : null,
+      fileModifiedAt: row ? row.file_modified_at : null,
+      stale: false,
+      staleAgainst: []
+    };
+    if (row) {
+      phase.staleAgainst = upstream
+        .filter(type => latest[type] && docTime(latest[type]) > docTime(row))
+        .map(type => ({ type, modified: docTime(latest[type]).toISOString() }));
+      phase.stale = phase.staleAgainst.length > 0;
+    }
+    return phase;
+  });
 
-    if (err.code === '23505') { // Unique violation on server_name or token
-      return res.status(409).json({
-        error: 'Server already registered',
-        code: 'SERVER_EXISTS'
-      });
+  const present = phases.filter(phase => phase.status === 'present').length;
+  const next = phases.find(phase => phase.status === 'missing');
+  return {
+    phases,
+    summary: {
+      total: phases.length,
+      present,
+      missing: phases.length - present,
+      stale: phases.filter(phase => phase.stale).length,
+      percent: phases.length > 0 ? Math.round((present / phases.length) * 100) : 0,
+      nextPhase: next ? { type: next.type, cmd: next.cmd } : null
     }
+  };
+}
 
-    res.status(500).json({
-      error: 'Failed to register server',
-      code: 'INTERNAL_ERROR'
-    });
+// Per-phase progress for one project
+app.get('/projects/:server/:project/pipeline', async (req, res) => {
+  try {
+    const { server, project } = req.params;
+    const validation = validateProjectParams(server, project);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
 
-  } finally {
-    client.release();
-  }
-});
-// Register a new server token (for project mode installers)
-app.post('/tokens/register', async (req, res) => {
-  // Check if registration is enabled
-  if (!REGISTRATION_SECRET) {
-    return res.status(503).json({
-      error: 'Token registration not configured on this server',
-      code: 'REGISTRATION_DISABLED'
-    });
-  }
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
 
-  const clientIP = req.ip || req.socket.remoteAddress;
+    const result = await pool.query(`
+      SELECT document_name, version, updated_at, file_modified_at
+      FROM pdev_project_documents
+      WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)
+    `, [server, project]);
 
-  // Rate limit check
-  if (!checkRegistrationRateLimit(clientIP)) {
-    console.warn(`[Auth] Registration rate limit exceeded for ${clientIP}`);
-    return res.status(429).json({
-      error: 'Too many registration attempts. Try again in 15 minutes.',
-      code: 'RATE_LIMITED',
-      retryAfter: 900
-    });
+    const contract = resolveDocContract(server, project);
+    res.json({ server, project, contractSource: contract.source, ...buildPipeline(result.rows, contract) });
+  } catch (err) {
+    console.error('[Projects] Pipeline error:', err.message);
+    res.status(500).json({ error: 'Failed to compute pipeline progress' });
   }
+});
 
-  // Validate registration secret
-  const providedSecret = req.headers['x-registration-secret'];
-  if (!providedSecret) {
-    return res.status(401).json({
-      error: 'Registration secret required',
-      code: 'MISSING_SECRET'
-    });
-  }
+// =============================================================================
+// DOCUMENT METADATA
+// =============================================================================
+// Frontmatter is parsed at ingest and stored in pdev_project_documents.metadata.
+// GET /documents lists each project's latest document of a type, filtered by it:
+//   /documents?docType=EVALUATION&filter=health_score:lt:70
+// filter is key:op:value (eq, ne, lt, lte, gt, gte) or key:exists; repeat to AND them.
+// Numeric operators skip documents whose value isn't a number.
+
+const METADATA_FILTER_OPS = { eq: '=', ne: '<>', lt: '<', lte: '<=', gt: '>', gte: '>=' };
+const METADATA_KEY_PATTERN = /^[a-zA-Z0-9_\-]{1,64}$/;
+const METADATA_MAX_FILTERS = 10;
+
+// "key:op:value" or "key:exists" -> { key, op, value }, or null when malformed
+function parseMetadataFilter(filter) {
+  if (typeof filter !== 'string') return null;
+  const [key, op, ...rest] = filter.split(':');
+  if (!METADATA_KEY_PATTERN.test(key)) return null;
+  if (op === 'exists') return rest.length === 0 ? { key, op } : null;
+  if (!METADATA_FILTER_OPS[op] || rest.length === 0) return null;
+  const value = rest.join(':');
+  if (['lt', 'lte', 'gt', 'gte'].includes(op) && !/^-?\d+(\.\d+)?$/.test(value)) return null;
+  return { key, op, value };
+}
 
-  // Timing-safe comparison using hash (prevents length oracle attack)
-  const crypto = require('crypto');
-  const secretHash = crypto.createHash('sha256').update(REGISTRATION_SECRET).digest();
-  const providedHash = crypto.createHash('sha256').update(providedSecret).digest();
-  if (!crypto.timingSafeEqual(secretHash, providedHash)) {
-    console.warn(`[Auth] Invalid registration secret from ${clientIP}`);
-    return res.status(401).json({
-      error: 'Invalid registration secret',
-      code: 'INVALID_SECRET'
-    });
-  }
+// SQL condition for one filter; pushes its parameters onto params
+function metadataFilterSql(filter, params) {
+  params.push(filter.key);
+  const key = `$${params.length}`;
+  if (filter.op === 'exists') return `d.metadata ? ${key}`;
 
-  // Validate request body
-  const { serverName, hostname } = req.body;
-  if (!serverName || typeof serverName !== 'string') {
-    return res.status(400).json({
-      error: 'serverName is required',
-      code: 'MISSING_SERVER_NAME'
-    });
+  params.push(filter.value);
+  const value = `$${params.length}`;
+  if (filter.op === 'eq' || filter.op === 'ne') {
+    return `d.metadata->>${key} ${METADATA_FILTER_OPS[filter.op]} ${value}::text`;
   }
+  return `(CASE WHEN d.metadata->>${key} ~ '^-?[0-9]+(\\.[0-9]+)?$' THEN (d.metadata->>${key})::numeric END)
+    ${METADATA_FILTER_OPS[filter.op]} ${value}::numeric`;
+}
 
-  // Sanitize serverName: only alphanumeric, dash, underscore
-  const sanitizedName = serverName.replace(/[^a-zA-Z0-9_-]/g, '').substring(0, 50);
-  if (sanitizedName.length < 2) {
-    return res.status(400).json({
-      error: 'serverName must be at least 2 alphanumeric characters',
-      code: 'INVALID_SERVER_NAME'
-    });
-  }
+// Stored names that can mean docType under the default contract or any override
+function docTypeCandidates(docType) {
+  const names = new Set(docTypeVariants(docType));
+  docContractOverrides.forEach(contract => {
+    docTypeVariants(docType, contract).forEach(name => names.add(name));
+  });
+  return [...names];
+}
 
+app.get('/documents', async (req, res) => {
   try {
-    // Check if server already registered
-    const existing = await pool.query(
-      'SELECT id, revoked_at FROM server_tokens WHERE server_name = $1',
-      [sanitizedName]
-    );
+    const { docType, server, project } = req.query;
+    if (docType !== undefined && (typeof docType !== 'string' || !DOC_TYPE_PATTERN.test(docType))) {
+      return res.status(400).json({ error: 'Invalid document type' });
+    }
+    if (server !== undefined && (typeof server !== 'string' || server.length > 50)) {
+      return res.status(400).json({ error: 'Invalid server parameter' });
+    }
+    if (project !== undefined && (typeof project !== 'string' || !/^[a-zA-Z0-9_\-\.]{1,100}$/.test(project))) {
+      return res.status(400).json({ error: 'Invalid project name format' });
+    }
 
-    if (existing.rows.length > 0 && !existing.rows[0].revoked_at) {
-      return res.status(409).json({
-        error: 'Server name already registered',
-        code: 'ALREADY_REGISTERED',
-        serverName: sanitizedName
+    const rawFilters = req.query.filter === undefined ? [] : [].concat(req.query.filter);
+    if (rawFilters.length > METADATA_MAX_FILTERS) {
+      return res.status(400).json({ error: `At most ${METADATA_MAX_FILTERS} filters` });
+    }
+    const filters = rawFilters.map(parseMetadataFilter);
+    const badFilter = filters.findIndex(filter => !filter);
+    if (badFilter !== -1) {
+      return res.status(400).json({
+        error: `Invalid filter "${String(rawFilters[badFilter]).slice(0, 100)}" (expected key:op:value with op eq, ne, lt, lte, gt or gte, or key:exists)`
       });
     }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
 
-    // Generate secure token (256 bits)
-    const token = crypto.randomBytes(32).toString('hex');
-
-    // Insert or update (if previously revoked)
-    if (existing.rows.length > 0) {
-      // Re-register revoked server
-      await pool.query(`
-        UPDATE server_tokens
-        SET token = $1, created_at = NOW(), revoked_at = NULL, last_used_at = NULL
-        WHERE server_name = $2
-      `, [token, sanitizedName]);
-    } else {
-      // New registration
-      await pool.query(`
-        INSERT INTO server_tokens (server_name, token)
-        VALUES ($1, $2)
-      `, [sanitizedName, token]);
+    const params = [];
+    const conditions = ['d.metadata IS NOT NULL'];
+    if (server) {
+      params.push(server);
+      conditions.push(`d.server_origin = $${params.length}`);
     }
+    if (project) {
+      params.push(project);
+      conditions.push(`LOWER(d.project_name) = LOWER($${params.length})`);
+    }
+    if (docType) {
+      params.push(docTypeCandidates(docType));
+      conditions.push(`UPPER(REGEXP_REPLACE(TRIM(BOTH E'\\n\\r\\t ' FROM d.document_name), '\\.md$', '', 'i')) = ANY($${params.length})`);
+    }
+    filters.forEach(filter => conditions.push(metadataFilterSql(filter, params)));
 
-    // Refresh token cache
-    await loadServerTokens();
-
-    console.log(`[Auth] Server registered: ${sanitizedName} from ${clientIP}`);
+    const result = await pool.query(`
+      SELECT d.server_origin, d.project_name, d.document_name, d.version, d.metadata,
+             d.updated_at, d.file_modified_at
+      FROM pdev_project_documents d
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY d.updated_at DESC
+    `, params);
+
+    // Normalize per project (its contract decides the aliases); one document per type per project
+    const seen = new Set();
+    const documents = [];
+    result.rows.forEach(row => {
+      const contract = resolveDocContract(row.server_origin, row.project_name);
+      const type = normalizeDocType(row.document_name.replace(/[\r\n]/g, '').trim(), contract);
+      if (docType && type !== normalizeDocType(docType, contract)) return;
+      const key = `${row.server_origin}/${row.project_name.toLowerCase()}/${type}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      documents.push({
+        server: row.server_origin,
+        project: row.project_name,
+        docType: type,
+        documentName: row.document_name.replace(/[\r\n]/g, '').trim(),
+        version: row.version,
+        metadata: row.metadata,
+        modified: row.updated_at,
+        fileModifiedAt: row.file_modified_at
+      });
+    });
 
-    // Return token (only time it's sent in plaintext)
-    res.status(201).json({
-      success: true,
-      token,
-      serverName: sanitizedName,
-      message: 'Store this token securely - it cannot be retrieved again'
+    const page = documents.slice(offset, offset + limit);
+    res.json({
+      documents: page,
+      count: page.length,
+      total: documents.length,
+      hasMore: offset + limit < documents.length,
+      limit,
+      offset
     });
+  } catch (err) {
+    console.error('[Projects] Document metadata query error:', err.message);
+    res.status(500).json({ error: 'Failed to query documents' });
+  }
+});
 
+// Fill metadata for documents pushed before migration 020 (runs once per row;
+// revisions are immutable, migration 021 lets their metadata be set once)
+async function backfillDocumentMetadata() {
+  let updated = 0;
+  try {
+    for (const table of ['pdev_project_documents', 'pdev_document_revisions']) {
+      for (;;) {
+        const result = await pool.query(
+          `SELECT id, content FROM ${table} WHERE metadata IS NULL AND content LIKE '---%' ORDER BY id LIMIT 200`
+        );
+        if (result.rows.length === 0) break;
+        for (const row of result.rows) {
+          // Rows without a real block get {} so they aren't scanned again
+          const metadata = parseDocFrontmatter(row.content) || {};
+          await pool.query(`UPDATE ${table} SET metadata = $2 WHERE id = $1`, [row.id, JSON.stringify(metadata)]);
+          updated++;
+        }
+      }
+    }
+    if (updated > 0) console.log(`[Projects] Backfilled frontmatter metadata for ${updated} document(s)`);
   } catch (err) {
-    console.error('[Auth] Registration error:', err);
-    if (err.code === '23505') {
-      // UNIQUE constraint violation - race condition
-      return res.status(409).json({
-        error: 'Server name already registered (concurrent request)',
-        code: 'ALREADY_REGISTERED',
-        serverName: sanitizedName
-      });
+    if (err.code === '42703') {
+      console.warn('[Projects] Document metadata column missing - run migration 020');
+    } else if (err.code === '42501' || err.code === 'P0001') {
+      // No UPDATE grant on revision metadata, or the immutability trigger rejects it
+      console.warn('[Projects] Revision metadata is read-only - run migration 021 to backfill health trends');
+    } else {
+      console.error('[Projects] Metadata backfill failed:', err.message);
     }
-    res.status(500).json({
-      error: 'Registration failed',
-      code: 'SERVER_ERROR'
-    });
   }
-});
+}
 
 // =============================================================================
-// SETTINGS API
+// PROJECT HEALTH TRENDS
 // =============================================================================
+// health_score and gaps_<severity> from each revision's frontmatter (revision metadata),
+// oldest first, so a project can see whether remediation is moving the numbers.
+// Every doc type that has carried those fields gets a series (typically GAP_ANALYSIS
+// and EVALUATION). Values may be numbers or strings like "86" / "86%".
+
+const TREND_GAP_SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const TREND_METRIC_KEYS = ['health_score', ...TREND_GAP_SEVERITIES.map(severity => 'gaps_' + severity)];
+
+function trendNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*%?$/);
+  return match ? parseFloat(match[1]) : null;
+}
 
-// Get PDev git auto-commit settings
-app.get('/settings', requireAdmin, async (req, res) => {
+// First and latest value of a metric over a series, or null when it never appears
+function trendChange(points, pick) {
+  const values = points.map(pick).filter(value => value !== null);
+  if (values.length === 0) return null;
+  const first = values[0];
+  const latest = values[values.length - 1];
+  return { first, latest, change: latest - first };
+}
+
+app.get('/projects/:server/:project/trends', async (req, res) => {
   try {
-    const fs = require('fs');
-    const os = require('os');
-    const configPath = path.join(os.homedir(), '.pdev-git-config');
+    const { server, project } = req.params;
+    const validation = validateProjectParams(server, project);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    const { docType } = req.query;
+    if (docType !== undefined && (typeof docType !== 'string' || !DOC_TYPE_PATTERN.test(docType))) {
+      return res.status(400).json({ error: 'Invalid document type' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
 
-    // Default values
-    let pdevAutoGit = false;
-    let pdevGitRepos = [];
-    let pdevGitRemote = 'origin';
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
 
-    // Read config file if exists
-    if (fs.existsSync(configPath)) {
-      const configContent = fs.readFileSync(configPath, 'utf8');
+    const contract = resolveDocContract(server, project);
+    const params = [server, project, TREND_METRIC_KEYS, limit];
+    if (docType) params.push(docTypeVariants(docType, contract));
 
-      // Parse environment variables from bash script
-      const autoGitMatch = configContent.match(/export PDEV_AUTO_GIT=(true|false)/);
-      const reposMatch = configContent.match(/export PDEV_GIT_REPOS="([^"]*)"/);
-      const remoteMatch = configContent.match(/export PDEV_GIT_REMOTE=(\w+)/);
+    // Latest `limit` revisions per doc type that carry a metric
+    const result = await pool.query(`
+      SELECT * FROM (
+        SELECT id, doc_type, version, session_id, created_at, file_modified_at, metadata,
+               ROW_NUMBER() OVER (PARTITION BY doc_type ORDER BY created_at DESC, id DESC) AS recent
+        FROM pdev_document_revisions
+        WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)
+          AND metadata ?| $3::text[]
+          ${docType ? 'AND doc_type = ANY($5)' : ''}
+      ) revisions
+      WHERE recent <= $4
+      ORDER BY created_at, id
+    `, params);
+
+    // Revisions store the canonical type of their push; group by today's contract
+    const byType = new Map();
+    result.rows.forEach(row => {
+      const healthScore = trendNumber(row.metadata.health_score);
+      const gaps = {};
+      TREND_GAP_SEVERITIES.forEach(severity => {
+        gaps[severity] = trendNumber(row.metadata['gaps_' + severity]);
+      });
+      if (healthScore === null && Object.values(gaps).every(count => count === null)) return;
+
+      const type = normalizeDocType(row.doc_type, contract);
+      if (!byType.has(type)) byType.set(type, []);
+      byType.get(type).push({
+        revisionId: row.id,
+        createdAt: row.created_at,
+        fileModifiedAt: row.file_modified_at,
+        version: row.version,
+        sessionId: row.session_id,
+        healthScore,
+        gaps
+      });
+    });
 
-      if (autoGitMatch) pdevAutoGit = autoGitMatch[1] === 'true';
-      if (reposMatch) pdevGitRepos = reposMatch[1].split(':').filter(Boolean);
-      if (remoteMatch) pdevGitRemote = remoteMatch[1];
-    }
+    const gapTotal = point => {
+      const counts = Object.values(point.gaps).filter(count => count !== null);
+      return counts.length > 0 ? counts.reduce((sum, count) => sum + count, 0) : null;
+    };
+    const series = [...byType.entries()].map(([type, points]) => {
+      const doc = findPipelineDoc(type, contract);
+      return {
+        docType: type,
+        name: doc ? doc.name : type,
+        icon: doc ? doc.icon : null,
+        phase: doc ? doc.phase : null,
+        points,
+        summary: {
+          healthScore: trendChange(points, point => point.healthScore),
+          gaps: trendChange(points, gapTotal)
+        }
+      };
+    }).sort((a, b) => (a.phase || Infinity) - (b.phase || Infinity));
 
-    res.json({
-      pdevAutoGit,
-      pdevGitRepos,
-      pdevGitRemote
-    });
-  } catch (error) {
-    console.error('[Settings] Failed to read settings:', error);
-    res.status(500).json({ error: 'Failed to read settings' });
+    res.json({ server, project, series });
+  } catch (err) {
+    console.error('[Projects] Trends error:', err.message);
+    res.status(500).json({ error: 'Failed to load health trends' });
   }
 });
 
-// Update PDev git auto-commit settings
-app.post('/settings', requireAdmin, async (req, res) => {
-  try {
-    const fs = require('fs');
-    const os = require('os');
-    const { pdevAutoGit, pdevGitRepos, pdevGitRemote } = req.body;
+// =============================================================================
+// CONSISTENCY ANALYZER
+// =============================================================================
+// Compares a project's pipeline docs with each other after every document push and keeps
+// pdev_conflicts (the PDev API's conflicts model, keyed by server/project) in step:
+//   capability_not_in_spec - a CAPABILITIES item that PRODUCT_SPEC never mentions
+//   gap_not_addressed      - a GAP_ANALYSIS gap that INNOVATION never mentions
+//   version_mismatch       - a doc whose pdev_version differs from the rest of the pipeline
+// Items come from frontmatter lists (capabilities:, gaps:) when present, otherwise from the
+// headings (and GAP-nnn ids). A finding's fingerprint ties it to one row across pushes: new
+// findings open a conflict, open ones no longer found resolve themselves, resolved ones reopen
+// when found again, dismissed ones stay dismissed. Conflicts recorded by hand are left alone.
+
+const CONFLICT_STATUSES = ['open', 'resolved', 'dismissed'];
+const CONSISTENCY_CONFLICT_TYPES = ['capability_not_in_spec', 'gap_not_addressed', 'version_mismatch'];
+const CONSISTENCY_MAX_FINDINGS = 25; // per check
+const CONSISTENCY_GENERIC_HEADINGS = new Set([
+  'overview', 'summary', 'executive summary', 'introduction', 'contents', 'table of contents',
+  'conclusion', 'next steps', 'appendix', 'references', 'notes', 'metadata', 'recommendations'
+]);
+const CONSISTENCY_STOPWORDS = new Set(['with', 'from', 'that', 'this', 'into', 'over', 'their', 'your', 'based', 'using', 'through', 'about']);
+
+// Markdown body without frontmatter and fenced code
+function consistencyBody(markdown) {
+  return (markdown || '')
+    .replace(/\r\n/g, '\n')
+    .replace(/^---\n[\s\S]*?\n---(\n|$)/, '')
+    .replace(/```[\s\S]*?```/g, '');
+}
 
-    // Validate input
-    if (typeof pdevAutoGit !== 'boolean') {
-      return res.status(400).json({ error: 'pdevAutoGit must be boolean' });
-    }
+function normalizeForMatch(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
 
-    if (!Array.isArray(pdevGitRepos)) {
-      return res.status(400).json({ error: 'pdevGitRepos must be array' });
-    }
+// Heading text without markup, links or leading numbering ("2.1 ", "3) ")
+function cleanHeading(text) {
+  return text
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[`*_~]/g, '')
+    .replace(/^\s*\d+(\.\d+)*[.)]?\s+/, '')
+    .trim();
+}
 
-    if (typeof pdevGitRemote !== 'string' || !pdevGitRemote.match(/^[a-zA-Z0-9_-]+$/)) {
-      return res.status(400).json({ error: 'pdevGitRemote must be valid remote name' });
-    }
+// [{ level, text, section }] - section is the enclosing level-2 heading
+function markdownHeadings(body) {
+  const headings = [];
+  let section = '';
+  body.split('\n').forEach(line => {
+    const match = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (!match) return;
+    const heading = { level: match[1].length, text: cleanHeading(match[2]), section };
+    if (heading.level <= 2) section = heading.text;
+    headings.push(heading);
+  });
+  return headings;
+}
+
+// Frontmatter list of strings (or { name | title | id } entries), or null when absent
+function frontmatterList(metadata, key) {
+  const list = metadata && metadata[key];
+  if (!Array.isArray(list)) return null;
+  return list
+    .map(entry => (entry && typeof entry === 'object') ? (entry.name || entry.title || entry.id) : entry)
+    .filter(entry => typeof entry === 'string' || typeof entry === 'number')
+    .map(entry => String(entry).trim())
+    .filter(Boolean);
+}
+
+// Normalized text of a doc for docMentions()
+function consistencyHaystack(doc) {
+  const text = normalizeForMatch(consistencyBody(doc.content));
+  const words = new Set();
+  text.split(' ').forEach(word => {
+    words.add(word);
+    words.add(word.replace(/s$/, ''));
+  });
+  return { raw: doc.content || '', text: ` ${text} `, words };
+}
+
+// True when the phrase appears, or every significant word of it does
+function docMentions(haystack, phrase) {
+  const needle = normalizeForMatch(phrase);
+  if (!needle || haystack.text.includes(` ${needle} `)) return true;
+  const words = needle.split(' ').filter(word => word.length >= 4 && !CONSISTENCY_STOPWORDS.has(word));
+  return words.length > 0 && words.every(word => haystack.words.has(word.replace(/s$/, '')));
+}
+
+function uniqueBy(items, key) {
+  const seen = new Set();
+  return items.filter(item => {
+    const value = key(item);
+    if (seen.has(value)) return false;
+    seen.add(value);
+    return true;
+  });
+}
 
-    // Validate repository paths
-    for (const repo of pdevGitRepos) {
-      // Check absolute path
-      if (!path.isAbsolute(repo)) {
-        return res.status(400).json({ error: `Invalid path: ${repo} (must be absolute)` });
-      }
+function extractCapabilities(doc) {
+  const listed = frontmatterList(doc.metadata, 'capabilities');
+  if (listed) return uniqueBy(listed, normalizeForMatch);
 
-      // Resolve path (prevents path traversal via symlinks)
-      let resolvedRepo;
-      try {
-        resolvedRepo = fs.realpathSync(repo);
-      } catch (err) {
-        return res.status(400).json({ error: `Repository not found: ${repo}` });
-      }
+  const usable = heading => heading.text && !CONSISTENCY_GENERIC_HEADINGS.has(normalizeForMatch(heading.text));
+  const headings = markdownHeadings(consistencyBody(doc.content));
+  let items = headings.filter(heading => heading.level === 3 && usable(heading));
+  if (items.length === 0) items = headings.filter(heading => heading.level === 2 && usable(heading));
+  return uniqueBy(items.map(heading => heading.text), normalizeForMatch);
+}
 
-      // Check is git repository
-      const gitDir = path.join(resolvedRepo, '.git');
-      if (!fs.existsSync(gitDir)) {
-        return res.status(400).json({ error: `Not a git repository: ${repo}` });
-      }
-    }
+// [{ key, id, title }] - id is GAP-nnn when the doc numbers its gaps
+function extractGaps(doc) {
+  const listed = frontmatterList(doc.metadata, 'gaps');
+  if (listed) return uniqueBy(listed.map(title => ({ key: normalizeForMatch(title), id: null, title })), gap => gap.key);
+
+  const body = consistencyBody(doc.content);
+  const numbered = [];
+  body.split('\n').forEach(line => {
+    const match = line.match(/\bGAP[-_ ]?(\d{1,4})\b[\s:.)\]*_-]*(.*)$/i);
+    if (!match) return;
+    const number = parseInt(match[1], 10);
+    numbered.push({ key: `gap-${number}`, id: `GAP-${match[1]}`, number, title: cleanHeading(match[2]).slice(0, 120) });
+  });
+  if (numbered.length > 0) return uniqueBy(numbered, gap => gap.key);
 
-    // Write to ~/.pdev-git-config
-    const configPath = path.join(os.homedir(), '.pdev-git-config');
-    const configContent = `# PDev Git Auto-Commit Configuration
-# Generated by PDev Live Settings UI
-# Last updated: ${new Date().toISOString()}
+  const headings = markdownHeadings(body).filter(heading => heading.level === 3 && /gap/i.test(heading.section));
+  return uniqueBy(headings.map(heading => ({ key: normalizeForMatch(heading.text), id: null, title: heading.text })), gap => gap.key);
+}
 
-export PDEV_AUTO_GIT=${pdevAutoGit}
-export PDEV_GIT_REPOS="${pdevGitRepos.join(':')}"
-export PDEV_GIT_REMOTE=${pdevGitRemote}
-`;
+function gapAddressed(haystack, gap) {
+  if (gap.id && new RegExp(`\\bGAP[-_ ]?0*${gap.number}\\b`, 'i').test(haystack.raw)) return true;
+  return gap.title ? docMentions(haystack, gap.title) : false;
+}
 
-    // Write with owner-only permissions (600)
-    fs.writeFileSync(configPath, configContent, { mode: 0o600 });
+function conflictFingerprint(conflictType, subject) {
+  return crypto.createHash('sha256').update(`${conflictType}\n${subject}`).digest('hex');
+}
 
-    console.log('[Settings] Saved PDev git auto-commit settings:', { pdevAutoGit, repoCount: pdevGitRepos.length, pdevGitRemote });
+// Findings for one project's docs; docs maps canonical type -> latest row
+function findConsistencyConflicts(docs) {
+  const findings = [];
+  const add = (conflictType, subject, docA, docB, description, details) => {
+    findings.push({
+      conflictType,
+      fingerprint: conflictFingerprint(conflictType, subject),
+      docA, docB, description: description.slice(0, 500), details
+    });
+  };
 
-    res.json({ success: true, message: 'Settings saved successfully' });
-  } catch (error) {
-    console.error('[Settings] Failed to save settings:', error);
-    res.status(500).json({ error: 'Failed to save settings' });
+  const capabilities = docs.CAPABILITIES;
+  const spec = docs.PRODUCT_SPEC;
+  if (capabilities && spec) {
+    const haystack = consistencyHaystack(spec);
+    extractCapabilities(capabilities)
+      .filter(capability => !docMentions(haystack, capability))
+      .slice(0, CONSISTENCY_MAX_FINDINGS)
+      .forEach(capability => add('capability_not_in_spec', normalizeForMatch(capability), capabilities, spec,
+        `Capability "${capability}" from CAPABILITIES is not covered in PRODUCT_SPEC`, { capability }));
+  }
+
+  const gapAnalysis = docs.GAP_ANALYSIS;
+  const innovation = docs.INNOVATION;
+  if (gapAnalysis && innovation) {
+    const haystack = consistencyHaystack(innovation);
+    extractGaps(gapAnalysis)
+      .filter(gap => !gapAddressed(haystack, gap))
+      .slice(0, CONSISTENCY_MAX_FINDINGS)
+      .forEach(gap => {
+        const label = [gap.id, gap.title].filter(Boolean).join(': ');
+        add('gap_not_addressed', gap.key, gapAnalysis, innovation,
+          `Gap "${label}" from GAP_ANALYSIS is not addressed in INNOVATION`, { gap: gap.id || gap.title, title: gap.title });
+      });
   }
-});
 
-// =============================================================================
-// PROJECT MANIFESTS API
-// =============================================================================
+  // Most common pdev_version wins (ties go to the most recently pushed doc)
+  const versioned = Object.values(docs)
+    .filter(doc => doc.metadata && doc.metadata.pdev_version !== undefined && doc.metadata.pdev_version !== null)
+    .map(doc => ({ doc, version: String(doc.metadata.pdev_version) }))
+    .sort((a, b) => new Date(b.doc.updated_at) - new Date(a.doc.updated_at));
+  const counts = new Map();
+  versioned.forEach(entry => counts.set(entry.version, (counts.get(entry.version) || 0) + 1));
+  if (counts.size > 1) {
+    const expected = [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+    const reference = versioned.find(entry => entry.version === expected).doc;
+    const agreeing = versioned.filter(entry => entry.version === expected).map(entry => entry.doc.type);
+    versioned
+      .filter(entry => entry.version !== expected)
+      .forEach(entry => add('version_mismatch', entry.doc.type, entry.doc, reference,
+        `${entry.doc.type} has pdev_version ${entry.version} but ${agreeing.join(', ')} ${agreeing.length === 1 ? 'has' : 'have'} ${expected}`,
+        { version: entry.version, expected, matching: agreeing }));
+  }
+
+  return findings;
+}
 
-// Get manifest for a project
-app.get("/manifests/:server/:project", async (req, res) => {
+let conflictsTableWarned = false;
+
+// Re-run every check for a project and sync pdev_conflicts; returns counts of what changed
+async function analyzeProjectConsistency(server, project) {
   try {
-    const { server, project } = req.params;
-    
-    // First try exact match
-    let result = await pool.query(
-      "SELECT * FROM project_manifests WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)",
-      [server, project]
-    );
-    
-    // Fallback to dolovdev (orchestrator) if not found and not already dolovdev
-    if (result.rows.length === 0 && server !== "dolovdev" && server !== "djm" && server !== "rmlve" && server !== "djm" && server !== "rmlve") {
-      result = await pool.query(
-        "SELECT * FROM project_manifests WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)",
-        ["dolovdev", project]
-      );
-      // Mark as fallback so client knows
-      if (result.rows.length > 0) {
-        result.rows[0].fallback_from = server;
-        result.rows[0].resolved_via = "dolovdev";
+    const contract = resolveDocContract(server, project);
+    const result = await pool.query(`
+      SELECT id, document_name, content, metadata, updated_at
+      FROM pdev_project_documents
+      WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)
+    `, [server, project]);
+
+    const docs = {};
+    result.rows.forEach(row => {
+      const type = normalizeDocType(row.document_name.replace(/[\r\n]/g, '').trim(), contract);
+      if (!docs[type] || new Date(row.updated_at) > new Date(docs[type].updated_at)) {
+        docs[type] = { ...row, type };
       }
+    });
+    const findings = findConsistencyConflicts(docs);
+
+    const summary = await withTransaction(async (client) => {
+      const existing = await client.query(`
+        SELECT id, fingerprint, status FROM pdev_conflicts
+        WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2) AND conflict_type = ANY($3)
+        FOR UPDATE
+      `, [server, project, CONSISTENCY_CONFLICT_TYPES]);
+      const byFingerprint = new Map(existing.rows.map(row => [row.fingerprint, row]));
+      const counts = { found: findings.length, opened: 0, reopened: 0, autoResolved: 0 };
+
+      for (const finding of findings) {
+        const values = [
+          finding.docA.id, finding.docA.type, finding.docB.id, finding.docB.type,
+          finding.description, JSON.stringify(finding.details)
+        ];
+        const row = byFingerprint.get(finding.fingerprint);
+        byFingerprint.delete(finding.fingerprint);
+        if (!row) {
+          const inserted = await client.query(`
+            INSERT INTO pdev_conflicts
+              (server_origin, project_name, doc_a_id, doc_a_type, doc_b_id, doc_b_type,
+               description, details, conflict_type, fingerprint)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            ON CONFLICT DO NOTHING
+          `, [server, project, ...values, finding.conflictType, finding.fingerprint]);
+          counts.opened += inserted.rowCount;
+        } else if (row.status !== 'dismissed') {
+          await client.query(`
+            UPDATE pdev_conflicts
+            SET doc_a_id = $2, doc_a_type = $3, doc_b_id = $4, doc_b_type = $5,
+                description = $6, details = $7, detected_at = NOW(),
+                status = 'open', resolution = NULL, resolved_by = NULL, resolved_at = NULL
+            WHERE id = $1
+          `, [row.id, ...values]);
+          if (row.status === 'resolved') counts.reopened++;
+        }
+      }
+
+      const gone = [...byFingerprint.values()].filter(row => row.status === 'open').map(row => row.id);
+      if (gone.length > 0) {
+        await client.query(`
+          UPDATE pdev_conflicts
+          SET status = 'resolved', resolution = 'No longer detected', resolved_by = 'analyzer', resolved_at = NOW()
+          WHERE id = ANY($1)
+        `, [gone]);
+        counts.autoResolved = gone.length;
+      }
+      return counts;
+    });
+
+    if (summary.opened || summary.reopened || summary.autoResolved) {
+      console.log(`[Consistency] ${server}/${project}: ${summary.opened} new, ${summary.reopened} reopened, ${summary.autoResolved} resolved`);
     }
-    
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: "Manifest not found" });
-    }
-    res.json(result.rows[0]);
+    return summary;
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    if (err.code === '42P01') {
+      if (!conflictsTableWarned) {
+        console.warn('[Consistency] pdev_conflicts table missing - run migration 022');
+        conflictsTableWarned = true;
+      }
+      return null;
+    }
+    throw err;
   }
-});
-app.put("/manifests/:server/:project", async (req, res) => {
+}
+
+function formatConflict(row) {
+  return {
+    id: row.id,
+    conflictType: row.conflict_type,
+    description: row.description,
+    details: row.details,
+    status: row.status,
+    docA: row.doc_a_type ? { id: row.doc_a_id, type: row.doc_a_type } : null,
+    docB: row.doc_b_type ? { id: row.doc_b_id, type: row.doc_b_type } : null,
+    resolution: row.resolution,
+    resolvedBy: row.resolved_by,
+    resolvedAt: row.resolved_at,
+    detectedAt: row.detected_at,
+    createdAt: row.created_at
+  };
+}
+
+// List a project's conflicts (?status=open|resolved|dismissed|all, default open) with counts per status
+app.get('/projects/:server/:project/conflicts', async (req, res) => {
   try {
     const { server, project } = req.params;
-    const { docsPath, docs } = req.body;
-
-    if (!VALID_SERVERS.includes(server)) {
-      return res.status(400).json({ error: "Invalid server: " + server });
+    const validation = validateProjectParams(server, project);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    const status = req.query.status || 'open';
+    if (status !== 'all' && !CONFLICT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be all or one of: ${CONFLICT_STATUSES.join(', ')}` });
     }
 
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+
     const result = await pool.query(`
-      INSERT INTO project_manifests (server_origin, project_name, docs_path, docs)
-      VALUES ($1, $2, $3, $4)
-      ON CONFLICT (server_origin, project_name)
-      DO UPDATE SET docs_path = COALESCE($3, project_manifests.docs_path),
-                    docs = COALESCE($4, project_manifests.docs) || project_manifests.docs
-      RETURNING *
-    `, [server, project, docsPath, docs ? JSON.stringify(docs) : null]);
+      SELECT *, COUNT(*) OVER (PARTITION BY status) AS status_count
+      FROM pdev_conflicts
+      WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)
+      ORDER BY detected_at DESC, id DESC
+    `, [server, project]);
 
-    console.log("[Manifest] Updated " + server + "/" + project);
-    res.json(result.rows[0]);
+    const counts = { open: 0, resolved: 0, dismissed: 0 };
+    result.rows.forEach(row => { counts[row.status] = Number(row.status_count); });
+    const conflicts = result.rows.filter(row => status === 'all' || row.status === status).map(formatConflict);
+    res.json({ conflicts, count: conflicts.length, counts });
   } catch (err) {
-    console.error("[Manifest] Error:", err);
-    res.status(500).json({ error: err.message });
+    console.error('[Consistency] List error:', err.message);
+    res.status(500).json({ error: 'Failed to load conflicts' });
   }
 });
 
-// Update single doc in manifest
-app.patch("/manifests/:server/:project/doc", async (req, res) => {
+// Re-run the checks now (they also run on every document push)
+app.post('/projects/:server/:project/conflicts/analyze', async (req, res) => {
   try {
     const { server, project } = req.params;
-    const { docType, fileName } = req.body;
-
-    if (!docType || !fileName) {
-      return res.status(400).json({ error: "docType and fileName required" });
+    const validation = validateProjectParams(server, project);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
     }
-
-    // Upsert: create manifest if not exists, update doc entry
-    const result = await pool.query(`
-      INSERT INTO project_manifests (server_origin, project_name, docs)
-      VALUES ($1, $2, $3::jsonb)
-      ON CONFLICT (server_origin, project_name)
-      DO UPDATE SET docs = project_manifests.docs || $3::jsonb
-      RETURNING *
-    `, [server, project, JSON.stringify({ [docType]: fileName })]);
-
-    console.log("[Manifest] Set " + server + "/" + project + " doc " + docType + " = " + fileName);
-    res.json(result.rows[0]);
+    const summary = await analyzeProjectConsistency(server, project);
+    if (!summary) {
+      return res.status(503).json({ error: 'Consistency checks are unavailable until migration 022 is applied' });
+    }
+    res.json({ success: true, ...summary });
   } catch (err) {
-    console.error("[Manifest] Doc update error:", err);
-    res.status(500).json({ error: err.message });
+    console.error('[Consistency] Analyze error:', err.message);
+    res.status(500).json({ error: 'Failed to analyze project' });
   }
 });
 
-// Get all manifests (for dashboard)
-app.get("/manifests", async (req, res) => {
+// Resolve, dismiss or reopen a conflict: { status, resolution? }
+app.patch('/projects/:server/:project/conflicts/:id', async (req, res) => {
   try {
-    const { server } = req.query;
-    let query = "SELECT * FROM project_manifests";
-    const params = [];
-    if (server) {
-      params.push(server);
-      query += " WHERE server_origin = $1";
+    const { server, project, id } = req.params;
+    const validation = validateProjectParams(server, project);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
     }
-    query += " ORDER BY updated_at DESC";
-    const result = await pool.query(query, params);
-    res.json({ manifests: result.rows, count: result.rows.length });
+    if (!/^\d{1,10}$/.test(id)) {
+      return res.status(400).json({ error: 'Invalid conflict ID' });
+    }
+    const { status, resolution } = req.body || {};
+    if (!CONFLICT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${CONFLICT_STATUSES.join(', ')}` });
+    }
+    if (resolution !== undefined && resolution !== null && (typeof resolution !== 'string' || resolution.length > 1000)) {
+      return res.status(400).json({ error: 'resolution must be a string of at most 1000 characters' });
+    }
+
+    const closing = status !== 'open';
+    const result = await pool.query(`
+      UPDATE pdev_conflicts
+      SET status = $4,
+          resolution = CASE WHEN $5::boolean THEN $6 ELSE NULL END,
+          resolved_by = CASE WHEN $5::boolean THEN $7 ELSE NULL END,
+          resolved_at = CASE WHEN $5::boolean THEN NOW() ELSE NULL END
+      WHERE id = $1 AND server_origin = $2 AND LOWER(project_name) = LOWER($3)
+      RETURNING *
+    `, [parseInt(id, 10), server, project, status, closing, resolution || null, auditActor(req).actor]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Conflict not found' });
+    }
+
+    const action = status === 'open' ? 'reopen' : status === 'resolved' ? 'resolve' : 'dismiss';
+    recordAudit(req, `conflict.${action}`, {
+      targetType: 'project',
+      target: `${server}/${project}`,
+      details: { conflictId: result.rows[0].id, conflictType: result.rows[0].conflict_type }
+    });
+    res.json({ success: true, conflict: formatConflict(result.rows[0]) });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    console.error('[Consistency] Update error:', err.message);
+    res.status(500).json({ error: 'Failed to update conflict' });
   }
 });
 
-// Server info
-app.get('/servers', (req, res) => {
-  res.json({
-    servers: VALID_SERVERS,
-    commands: PDEV_COMMANDS
-  });
-});
-
 // =============================================================================
-// WEBSSH INSTALLER ENDPOINT
+// PROJECT STATS
 // =============================================================================
 
-const wss = new WebSocket.Server({ noServer: true });
-const INSTALL_SCRIPT_URL = 'https://vyxenai.com/pdev/install.sh';
-const INSTALL_SCRIPT_SHA256 = process.env.PDEV_INSTALL_SCRIPT_SHA256 || '';
-
-// Session storage for WebSocket authentication
-const installerTokens = new Map(); // Map<token, { ip, createdAt, used }>
-const wsRateLimiter = new Map(); // Map<ip, { count, resetAt }>
-
-let activeWSConnections = 0;
-const MAX_CONCURRENT_WS = 10;
-
-// Cleanup rate limiter every 5 minutes
-setInterval(() => {
-  const now = Date.now();
-  for (const [ip, limit] of wsRateLimiter.entries()) {
-    if (now > limit.resetAt + 60000) {
-      wsRateLimiter.delete(ip);
-    }
-  }
-}, 5 * 60 * 1000);
-
-// Shell escaping for command parameters
-function escapeShellArg(arg) {
-  if (typeof arg !== 'string') return '';
-  return "'" + arg.replace(/'/g, "'\\''") + "'";
-}
-
-// Validate FQDN for domain input
-function isValidFQDN(domain) {
-  if (!domain || typeof domain !== 'string') return false;
-  return validator.isFQDN(domain, { require_tld: true, allow_underscores: false });
-}
-
-// Validate source URL (must be HTTPS)
-function isValidSourceURL(url) {
-  if (!url || typeof url !== 'string') return false;
-  if (!url.startsWith('https://')) return false;
+// Totals across projects (optionally one server); conflicts count 0 until migration 022
+async function collectProjectStats(server) {
+  const params = server ? [server] : [];
+  const where = server ? 'AND server_origin = $1' : '';
+  const [projects, documents, sessions] = await Promise.all([
+    pool.query(`
+      SELECT COUNT(*) AS count FROM (
+        SELECT server_origin, LOWER(project_name) FROM pdev_sessions WHERE deleted_at IS NULL ${where}
+        UNION
+        SELECT server_origin, LOWER(project_name) FROM pdev_project_documents WHERE TRUE ${where}
+      ) p
+    `, params),
+    pool.query(`SELECT COUNT(*) AS count FROM pdev_project_documents WHERE TRUE ${where}`, params),
+    pool.query(`
+      SELECT COUNT(*) AS count FROM pdev_sessions
+      WHERE session_status = 'active' AND deleted_at IS NULL ${where}
+    `, params)
+  ]);
+  let openConflicts = 0;
   try {
-    const parsed = new URL(url);
-    return isValidFQDN(parsed.hostname);
-  } catch (e) {
-    return false;
+    const conflicts = await pool.query(`SELECT COUNT(*) AS count FROM pdev_conflicts WHERE status = 'open' ${where}`, params);
+    openConflicts = parseInt(conflicts.rows[0].count, 10);
+  } catch (err) {
+    if (err.code !== '42P01') throw err;
   }
+  return {
+    projects: parseInt(projects.rows[0].count, 10),
+    documents: parseInt(documents.rows[0].count, 10),
+    activeSessions: parseInt(sessions.rows[0].count, 10),
+    openConflicts
+  };
 }
 
-// Check WebSocket rate limit (5 connections per 60 seconds per IP)
-function checkWSRateLimit(ip) {
-  const now = Date.now();
-  const limit = wsRateLimiter.get(ip);
-
-  if (!limit || now > limit.resetAt) {
-    wsRateLimiter.set(ip, { count: 1, resetAt: now + 60000 });
-    return true;
-  }
-
-  if (limit.count >= 5) {
-    return false;
+app.get('/stats', async (req, res) => {
+  try {
+    const { server } = req.query;
+    if (server !== undefined && (typeof server !== 'string' || !/^[a-zA-Z0-9_-]{1,50}$/.test(server))) {
+      return res.status(400).json({ error: 'Invalid server parameter' });
+    }
+    res.json({ ...(await collectProjectStats(server)), timestamp: new Date().toISOString() });
+  } catch (err) {
+    console.error('[Stats] Error:', err.message);
+    res.status(500).json({ error: 'Failed to load stats' });
   }
+});
 
-  limit.count++;
-  return true;
-}
-
-// Generate auth token for WebSocket upgrade
-function generateWSAuthToken() {
-  return require('crypto').randomBytes(32).toString('hex');
-}
-
-// Validate auth message
-function validateAuthMessage(data) {
-  const errors = [];
+// =============================================================================
+// LEGACY PDEV API (/api/v1/pdev)
+// =============================================================================
+// The standalone PDev API service (api/server.js) kept projects, documents and pipeline
+// stages in tables of its own (pdev_projects, pdev_documents, pdev_pipeline_status) that
+// nothing else wrote to. Its read routes are served here from the real schema in the shapes
+// its callers expect; use /api/v1 for anything new.
+// - A project is identified by "server/project" instead of a numeric id
+// - Session status is session_status; command is command_type
+// - Writes to projects, documents, sessions and pipeline stages answer 410 Gone - those
+//   records are created by pushes (POST /sessions, POST /sessions/:id/steps)
+// Every response carries a Deprecation header and a Link to its /api/v1 successor.
+
+// "server/project" -> { server, project }, or null when malformed
+function parseLegacyProjectId(projectId) {
+  if (typeof projectId !== 'string') return null;
+  const slash = projectId.indexOf('/');
+  if (slash < 1) return null;
+  const server = projectId.slice(0, slash);
+  const project = projectId.slice(slash + 1);
+  return validateProjectParams(server, project).valid ? { server, project } : null;
+}
 
-  if (!data.host || typeof data.host !== 'string' || data.host.length > 253) {
-    errors.push('Invalid host');
+// Validates ?project_id / :project_id; sends 400 and returns null when malformed
+function legacyProject(req, res, projectId) {
+  const parsed = parseLegacyProjectId(projectId);
+  if (!parsed) {
+    res.status(400).json({ error: 'project_id must be "server/project"' });
   }
+  return parsed;
+}
 
-  if (data.port && (typeof data.port !== 'number' || data.port < 1 || data.port > 65535)) {
-    errors.push('Invalid port');
-  }
+function legacySuccessor(res, path) {
+  res.setHeader('Link', `<${API_V1_PREFIX}${path}>; rel="successor-version"`);
+}
 
-  if (!data.username || typeof data.username !== 'string' || data.username.length > 32) {
-    errors.push('Invalid username');
-  }
+app.use(LEGACY_API_PREFIX, (req, res, next) => {
+  res.setHeader('Deprecation', 'true');
+  next();
+});
 
-  if (!['password', 'key', 'privateKey'].includes(data.authMethod)) {
-    errors.push('Invalid authMethod');
-  }
+app.get(`${LEGACY_API_PREFIX}/health`, (req, res) => {
+  legacySuccessor(res, '/health');
+  res.json({ status: 'ok', version: 'v1', timestamp: new Date().toISOString() });
+});
 
-  if (!['source', 'project'].includes(data.mode)) {
-    errors.push('Invalid mode');
+async function legacyProjectRows(server, project) {
+  const params = [];
+  const conditions = ['s.deleted_at IS NULL'];
+  if (server) {
+    params.push(server);
+    conditions.push(`s.server_origin = $${params.length}`);
   }
-
-  if (data.mode === 'source' && (!data.domain || typeof data.domain !== 'string' || data.domain.length > 253)) {
-    errors.push('Invalid domain');
+  if (project) {
+    params.push(project);
+    conditions.push(`LOWER(s.project_name) = LOWER($${params.length})`);
   }
+  const result = await pool.query(`
+    SELECT s.server_origin,
+           (ARRAY_AGG(s.project_name ORDER BY s.started_at DESC))[1] AS project_name,
+           (ARRAY_AGG(s.project_path ORDER BY s.started_at DESC))[1] AS path,
+           MIN(s.started_at) AS created_at,
+           MAX(s.started_at) AS updated_at
+    FROM pdev_sessions s
+    WHERE ${conditions.join(' AND ')}
+    GROUP BY s.server_origin, LOWER(s.project_name)
+    ORDER BY updated_at DESC
+  `, params);
+  return result.rows.map(row => ({
+    id: `${row.server_origin}/${row.project_name}`,
+    name: row.project_name,
+    path: row.path,
+    server: row.server_origin,
+    industry: null,
+    description: null,
+    is_archived: false,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  }));
+}
 
-  if (data.mode === 'project' && (!data.sourceUrl || typeof data.sourceUrl !== 'string' || data.sourceUrl.length > 2048)) {
-    errors.push('Invalid sourceUrl');
+// ?server= and ?archived= (nothing is archived, so archived=true is always empty)
+app.get(`${LEGACY_API_PREFIX}/projects`, async (req, res) => {
+  try {
+    const { server, archived } = req.query;
+    if (server !== undefined && (typeof server !== 'string' || !/^[a-zA-Z0-9_-]{1,50}$/.test(server))) {
+      return res.status(400).json({ error: 'Invalid server parameter' });
+    }
+    legacySuccessor(res, '/projects');
+    const projects = archived === 'true' ? [] : await legacyProjectRows(server);
+    res.json({ projects, total: projects.length });
+  } catch (err) {
+    console.error('[LegacyAPI] Projects error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
   }
+});
 
-  if (data.authMethod === 'password' && !data.password) {
-    errors.push('Password required');
+app.get(`${LEGACY_API_PREFIX}/projects/:id(*)`, async (req, res) => {
+  try {
+    const parsed = legacyProject(req, res, req.params.id);
+    if (!parsed) return;
+    legacySuccessor(res, `/projects/${parsed.server}/${parsed.project}/pipeline`);
+    const [project] = await legacyProjectRows(parsed.server, parsed.project);
+    if (!project) return res.status(404).json({ error: 'Project not found' });
+    res.json(project);
+  } catch (err) {
+    console.error('[LegacyAPI] Project error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
   }
+});
 
-  if ((data.authMethod === 'key' || data.authMethod === 'privateKey') && !data.privateKey) {
-    errors.push('Private key required');
-  } else if (data.authMethod === 'key' || data.authMethod === 'privateKey') {
-    // Validate private key format
-    const keyPattern = /^-----BEGIN (RSA|OPENSSH|EC|DSA) PRIVATE KEY-----[\s\S]+-----END (RSA|OPENSSH|EC|DSA) PRIVATE KEY-----$/;
-    if (!keyPattern.test(data.privateKey.trim())) {
-      errors.push('Invalid private key format');
-    }
-    if (data.privateKey.length > 16384) {
-      errors.push('Private key exceeds maximum size (16KB)');
+// ?project_id=, ?doc_type= (canonical type), ?status= (current | stale)
+app.get(`${LEGACY_API_PREFIX}/documents`, async (req, res) => {
+  try {
+    const { project_id, doc_type, status } = req.query;
+    const params = [];
+    let where = '';
+    if (project_id !== undefined) {
+      const parsed = legacyProject(req, res, project_id);
+      if (!parsed) return;
+      params.push(parsed.server, parsed.project);
+      where = 'WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)';
     }
+    legacySuccessor(res, '/documents');
+
+    const result = await pool.query(`
+      SELECT id, server_origin, project_name, document_name, version, updated_at, file_modified_at, created_at
+      FROM pdev_project_documents
+      ${where}
+      ORDER BY COALESCE(file_modified_at, updated_at) DESC
+    `, params);
+
+    // Stale is the pipeline's notion: an upstream doc changed after this one
+    const byProject = new Map();
+    result.rows.forEach(row => {
+      const key = `${row.server_origin}/${row.project_name.toLowerCase()}`;
+      if (!byProject.has(key)) byProject.set(key, []);
+      byProject.get(key).push(row);
+    });
+    const documents = [];
+    byProject.forEach(rows => {
+      const contract = resolveDocContract(rows[0].server_origin, rows[0].project_name);
+      const stale = new Set(buildPipeline(rows, contract).phases.filter(phase => phase.stale).map(phase => phase.type));
+      rows.forEach(row => {
+        const type = normalizeDocType(row.document_name.replace(/[\r\n]/g, '').trim(), contract);
+        documents.push({
+          id: row.id,
+          project_id: `${row.server_origin}/${row.project_name}`,
+          doc_type: type,
+          file_path: row.document_name,
+          version: row.version,
+          status: stale.has(type) ? 'stale' : 'current',
+          created_at: row.created_at,
+          modified_at: row.file_modified_at || row.updated_at
+        });
+      });
+    });
+    const filtered = documents.filter(doc =>
+      (!doc_type || doc.doc_type === String(doc_type).toUpperCase()) && (!status || doc.status === status));
+    res.json({ documents: filtered, total: filtered.length });
+  } catch (err) {
+    console.error('[LegacyAPI] Documents error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
   }
+});
 
-  return errors;
+function formatLegacySession(row) {
+  return {
+    id: row.id,
+    project_id: `${row.server_origin}/${row.project_name}`,
+    command: row.command_type,
+    status: row.session_status,
+    started_at: row.started_at,
+    ended_at: row.completed_at
+  };
 }
 
-// Create WebSocket session endpoint (REST API)
-app.post('/pdev/installer/token', (req, res) => {
-  const clientIP = req.ip; // Get real client IP from X-Forwarded-For (trust proxy enabled)
+// ?project_id=, ?command= (command_type), ?status= (session_status); newest 500
+app.get(`${LEGACY_API_PREFIX}/sessions`, async (req, res) => {
+  try {
+    const { project_id, command, status } = req.query;
+    const params = [];
+    const conditions = ['deleted_at IS NULL'];
+    if (project_id !== undefined) {
+      const parsed = legacyProject(req, res, project_id);
+      if (!parsed) return;
+      params.push(parsed.server, parsed.project);
+      conditions.push('server_origin = $1 AND LOWER(project_name) = LOWER($2)');
+    }
+    if (command) {
+      params.push(String(command));
+      conditions.push(`command_type = $${params.length}`);
+    }
+    if (status) {
+      params.push(String(status));
+      conditions.push(`session_status = $${params.length}`);
+    }
+    legacySuccessor(res, '/sessions/history');
+    const result = await pool.query(`
+      SELECT id, server_origin, project_name, command_type, session_status, started_at, completed_at
+      FROM pdev_sessions
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY started_at DESC
+      LIMIT 500
+    `, params);
+    const sessions = result.rows.map(formatLegacySession);
+    res.json({ sessions, total: sessions.length });
+  } catch (err) {
+    console.error('[LegacyAPI] Sessions error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-  // Rate limit check
-  if (!checkWSRateLimit(clientIP)) {
-    return res.status(429).json({ error: 'Too many connection attempts. Try again in 1 minute.' });
+app.get(`${LEGACY_API_PREFIX}/sessions/:id`, async (req, res) => {
+  try {
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    legacySuccessor(res, `/sessions/${req.params.id}`);
+    const result = await pool.query(`
+      SELECT id, server_origin, project_name, command_type, session_status, started_at, completed_at
+      FROM pdev_sessions
+      WHERE id = $1 AND deleted_at IS NULL
+    `, [req.params.id]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Session not found' });
+    res.json(formatLegacySession(result.rows[0]));
+  } catch (err) {
+    console.error('[LegacyAPI] Session error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
   }
+});
 
-  // Generate session token
-  const token = generateWSAuthToken();
-  installerTokens.set(token, {
-    ip: clientIP,
-    createdAt: Date.now(),
-    used: false
-  });
+// One stage per contract phase; health_score and issues come from the doc's frontmatter
+app.get(`${LEGACY_API_PREFIX}/pipeline/:project_id(*)`, async (req, res) => {
+  try {
+    const parsed = legacyProject(req, res, req.params.project_id);
+    if (!parsed) return;
+    const { server, project } = parsed;
+    legacySuccessor(res, `/projects/${server}/${project}/pipeline`);
 
-  // Expire token after 15 minutes
-  setTimeout(() => {
-    installerTokens.delete(token);
-  }, 15 * 60 * 1000);
+    const result = await pool.query(`
+      SELECT document_name, version, updated_at, file_modified_at, metadata
+      FROM pdev_project_documents
+      WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)
+    `, [server, project]);
+    const contract = resolveDocContract(server, project);
+    const metadata = {};
+    result.rows.forEach(row => {
+      const type = normalizeDocType(row.document_name.replace(/[\r\n]/g, '').trim(), contract);
+      if (!metadata[type] || new Date(row.updated_at) > new Date(metadata[type].updated_at)) {
+        metadata[type] = { updated_at: row.updated_at, values: row.metadata || {} };
+      }
+    });
 
-  res.json({ token });
+    const stages = buildPipeline(result.rows, contract).phases.map(phase => {
+      const values = metadata[phase.type] ? metadata[phase.type].values : {};
+      const issues = {};
+      ['critical', 'high', 'medium', 'low'].forEach(level => {
+        const count = trendNumber(values[`gaps_${level}`]);
+        if (count !== null) issues[level] = count;
+      });
+      return {
+        project_id: `${server}/${project}`,
+        stage: phase.phase,
+        doc_type: phase.type,
+        status: phase.stale ? 'stale' : phase.status,
+        health_score: trendNumber(values.health_score),
+        issues: Object.keys(issues).length > 0 ? issues : null,
+        last_validated: phase.modified
+      };
+    });
+    res.json({ stages, project_id: `${server}/${project}` });
+  } catch (err) {
+    console.error('[LegacyAPI] Pipeline error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// WebSocket upgrade handler
-server.on('upgrade', (request, socket, head) => {
-  const url = new URL(request.url, `http://${request.headers.host}`);
+function formatLegacyConflict(row) {
+  return {
+    id: row.id,
+    project_id: `${row.server_origin}/${row.project_name}`,
+    doc_a_id: row.doc_a_id,
+    doc_b_id: row.doc_b_id,
+    conflict_type: row.conflict_type,
+    description: row.description,
+    resolution: row.resolution,
+    resolved_at: row.resolved_at,
+    created_at: row.created_at
+  };
+}
 
-  if (url.pathname === '/pdev/webssh') {
-    // Enforce WSS in production
-    if (process.env.NODE_ENV === 'production' && !request.headers['x-forwarded-proto']?.includes('https')) {
-      socket.write('HTTP/1.1 426 Upgrade Required\r\n\r\n');
-      socket.destroy();
-      return;
+// ?project_id=, ?resolved=true|false (dismissed conflicts count as resolved)
+app.get(`${LEGACY_API_PREFIX}/conflicts`, async (req, res) => {
+  try {
+    const { project_id, resolved } = req.query;
+    const params = [];
+    const conditions = ['TRUE'];
+    if (project_id !== undefined) {
+      const parsed = legacyProject(req, res, project_id);
+      if (!parsed) return;
+      params.push(parsed.server, parsed.project);
+      conditions.push('server_origin = $1 AND LOWER(project_name) = LOWER($2)');
+      legacySuccessor(res, `/projects/${parsed.server}/${parsed.project}/conflicts`);
     }
+    if (resolved === 'false') conditions.push("status = 'open'");
+    if (resolved === 'true') conditions.push("status <> 'open'");
+    const result = await pool.query(`
+      SELECT * FROM pdev_conflicts
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at DESC
+    `, params);
+    const conflicts = result.rows.map(formatLegacyConflict);
+    res.json({ conflicts, total: conflicts.length });
+  } catch (err) {
+    console.error('[LegacyAPI] Conflicts error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Extract client IP from X-Forwarded-For (nginx sets this) or fallback to socket address
-    // nginx uses $proxy_add_x_forwarded_for which puts real client IP first
-    const xForwardedFor = request.headers['x-forwarded-for'];
-    let clientIP = xForwardedFor
-      ? xForwardedFor.split(',')[0].trim()
-      : request.socket.remoteAddress;
-    // Normalize IPv4-mapped IPv6 to match Express req.ip (::ffff:1.2.3.4 → 1.2.3.4)
-    if (clientIP && clientIP.startsWith('::ffff:')) {
-      clientIP = clientIP.substring(7);
+// Manually recorded conflict: { project_id, doc_a_id?, doc_b_id?, conflict_type?, description? }
+app.post(`${LEGACY_API_PREFIX}/conflicts`, mutationLimiter, requireTokenScope('docs:write', req => {
+  const parsed = parseLegacyProjectId((req.body || {}).project_id);
+  return parsed ? parsed.server : undefined;
+}), async (req, res) => {
+  try {
+    const { project_id, doc_a_id, doc_b_id, conflict_type, description } = req.body || {};
+    if (!project_id) return res.status(400).json({ error: 'project_id required' });
+    const parsed = legacyProject(req, res, project_id);
+    if (!parsed) return;
+    const docIds = [doc_a_id, doc_b_id].filter(id => id !== undefined && id !== null);
+    if (docIds.some(id => !Number.isInteger(id))) {
+      return res.status(400).json({ error: 'doc_a_id and doc_b_id must be document ids' });
     }
-    const token = url.searchParams.get('token');
-
-    // Validate token
-    const session = installerTokens.get(token);
-    if (!session) {
-      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
-      socket.destroy();
-      return;
+    if (conflict_type !== undefined && conflict_type !== null && (typeof conflict_type !== 'string' || conflict_type.length > 50)) {
+      return res.status(400).json({ error: 'conflict_type must be a string of at most 50 characters' });
     }
-
-    // Validate IP matches
-    if (session.ip !== clientIP) {
-      socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
-      socket.destroy();
-      installerTokens.delete(token);
-      return;
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      return res.status(400).json({ error: 'description must be a string' });
     }
-
-    // Token can only be used once
-    if (session.used) {
-      socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
-      socket.destroy();
-      return;
+    legacySuccessor(res, `/projects/${parsed.server}/${parsed.project}/conflicts`);
+
+    // Documents have to belong to the project; their types are recorded alongside
+    const docs = await pool.query(`
+      SELECT id, document_name FROM pdev_project_documents
+      WHERE id = ANY($1::int[]) AND server_origin = $2 AND LOWER(project_name) = LOWER($3)
+    `, [docIds, parsed.server, parsed.project]);
+    const docType = id => {
+      if (id === undefined || id === null) return null;
+      const doc = docs.rows.find(row => row.id === id);
+      return doc ? normalizeDocType(doc.document_name.replace(/[\r\n]/g, '').trim(), resolveDocContract(parsed.server, parsed.project)) : undefined;
+    };
+    if (docType(doc_a_id) === undefined || docType(doc_b_id) === undefined) {
+      return res.status(400).json({ error: 'Document not found in this project' });
     }
 
-    session.used = true;
+    const result = await pool.query(`
+      INSERT INTO pdev_conflicts
+        (server_origin, project_name, doc_a_id, doc_a_type, doc_b_id, doc_b_type, conflict_type, fingerprint, description)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      parsed.server, parsed.project,
+      doc_a_id ?? null, docType(doc_a_id), doc_b_id ?? null, docType(doc_b_id),
+      conflict_type || 'manual', conflictFingerprint('manual', crypto.randomUUID()), description || ''
+    ]);
+    recordAudit(req, 'conflict.create', {
+      targetType: 'project',
+      target: `${parsed.server}/${parsed.project}`,
+      details: { conflictId: result.rows[0].id, conflictType: result.rows[0].conflict_type }
+    });
+    res.status(201).json(formatLegacyConflict(result.rows[0]));
+  } catch (err) {
+    console.error('[LegacyAPI] Create conflict error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    wss.handleUpgrade(request, socket, head, (ws) => {
-      wss.emit('connection', ws, request, token);
+// { resolution } resolves the conflict
+app.put(`${LEGACY_API_PREFIX}/conflicts/:id`, mutationLimiter, requireTokenScope('docs:write', async req => {
+  if (!/^\d{1,10}$/.test(req.params.id)) return null;
+  const result = await pool.query('SELECT server_origin FROM pdev_conflicts WHERE id = $1', [parseInt(req.params.id, 10)]);
+  return result.rows.length > 0 ? result.rows[0].server_origin : null;
+}, 'Conflict not found'), async (req, res) => {
+  try {
+    if (!/^\d{1,10}$/.test(req.params.id)) {
+      return res.status(404).json({ error: 'Conflict not found' });
+    }
+    const { resolution } = req.body || {};
+    if (resolution !== undefined && resolution !== null && (typeof resolution !== 'string' || resolution.length > 1000)) {
+      return res.status(400).json({ error: 'resolution must be a string of at most 1000 characters' });
+    }
+    const result = await pool.query(`
+      UPDATE pdev_conflicts
+      SET status = 'resolved', resolution = $2, resolved_by = $3, resolved_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [parseInt(req.params.id, 10), resolution || null, auditActor(req).actor]);
+    if (result.rows.length === 0) return res.status(404).json({ error: 'Conflict not found' });
+    const row = result.rows[0];
+    legacySuccessor(res, `/projects/${row.server_origin}/${row.project_name}/conflicts/${row.id}`);
+    recordAudit(req, 'conflict.resolve', {
+      targetType: 'project',
+      target: `${row.server_origin}/${row.project_name}`,
+      details: { conflictId: row.id, conflictType: row.conflict_type }
     });
-  } else {
-    socket.destroy();
+    res.json(formatLegacyConflict(row));
+  } catch (err) {
+    console.error('[LegacyAPI] Resolve conflict error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// WebSocket connection handler
-wss.on('connection', (ws, request, token) => {
-  console.log('[WebSSH] Client connected');
+app.get(`${LEGACY_API_PREFIX}/stats`, async (req, res) => {
+  try {
+    legacySuccessor(res, '/stats');
+    const stats = await collectProjectStats();
+    res.json({
+      projects: stats.projects,
+      documents: stats.documents,
+      active_sessions: stats.activeSessions,
+      unresolved_conflicts: stats.openConflicts
+    });
+  } catch (err) {
+    console.error('[LegacyAPI] Stats error:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-  // Check max concurrent connections
-  if (activeWSConnections >= MAX_CONCURRENT_WS) {
-    ws.send(JSON.stringify({ type: 'error', message: 'Server capacity reached. Try again later.' }));
-    ws.close(1008, 'Too many connections');
-    return;
+// Writes against the retired tables
+const LEGACY_RETIRED_WRITES = [
+  { pattern: /^\/projects(\/.*)?$/, replacement: 'Projects are created by their first session (POST /sessions)' },
+  { pattern: /^\/documents(\/.*)?$/, replacement: 'Documents are pushed as session steps (POST /sessions/:id/steps)' },
+  { pattern: /^\/sessions(\/.*)?$/, replacement: 'Use POST /sessions, POST /sessions/:id/steps and POST /sessions/:id/complete' },
+  { pattern: /^\/pipeline\/.+$/, replacement: 'Pipeline stages follow the pushed documents (GET /api/v1/projects/:server/:project/pipeline)' }
+];
+
+app.use(LEGACY_API_PREFIX, (req, res) => {
+  const retired = !READ_ONLY_METHODS.has(req.method) && LEGACY_RETIRED_WRITES.find(route => route.pattern.test(req.path));
+  if (retired) {
+    return res.status(410).json({ error: 'This PDev API write is no longer supported', replacement: retired.replacement });
   }
+  res.status(404).json({ error: 'Not found', path: req.originalUrl, method: req.method });
+});
 
-  activeWSConnections++;
+// =============================================================================
+// DOCUMENT REVISION HISTORY
+// =============================================================================
+// Every document push is kept in pdev_document_revisions (migration 009).
+// Revision numbers are assigned by push order, oldest = 1.
 
-  let sshConn = null;
-  let sshStream = null;
-  let installTimeout = null;
+const DOC_TYPE_PATTERN = /^[a-zA-Z0-9_\-\.]{1,100}$/;
 
-  // Message rate limiting per connection (10 messages per second)
-  const messageTimestamps = [];
-  const MESSAGE_RATE_LIMIT = 10;
-  const MESSAGE_RATE_WINDOW = 1000; // 1 second
+function formatRevision(row) {
+  return {
+    id: row.id,
+    revision: Number(row.revision),
+    name: row.document_name.replace(/[\r\n]/g, '').trim(),
+    version: row.version,
+    size: Number(row.size),
+    createdAt: row.created_at,
+    fileCreatedAt: row.file_created_at,
+    fileModifiedAt: row.file_modified_at,
+    phase: row.phase_number,
+    phaseName: row.phase_name ? row.phase_name.replace(/[\r\n]/g, '').trim() : null,
+    sessionId: row.session_id,
+    latest: Number(row.revision) === Number(row.total)
+  };
+}
 
-  ws.on('message', async (message) => {
-    // Rate limit check
-    const now = Date.now();
-    messageTimestamps.push(now);
-    // Remove timestamps older than 1 second
-    while (messageTimestamps.length > 0 && messageTimestamps[0] < now - MESSAGE_RATE_WINDOW) {
-      messageTimestamps.shift();
+// Revision metadata for a project document, newest first. revisionId narrows the list to
+// that revision (still numbered within the whole history); withContent adds the content
+async function fetchDocRevisions(server, project, docType, { revisionId = null, withContent = false } = {}) {
+  const result = await pool.query(`
+    SELECT * FROM (
+      SELECT id, document_name, ${withContent ? 'content, ' : ''}version, file_created_at, file_modified_at,
+             phase_number, phase_name, session_id, created_at,
+             LENGTH(content) AS size,
+             ROW_NUMBER() OVER (ORDER BY created_at, id) AS revision,
+             COUNT(*) OVER () AS total
+      FROM pdev_document_revisions
+      WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2) AND doc_type = ANY($3)
+    ) revisions
+    WHERE $4::bigint IS NULL OR id = $4
+    ORDER BY created_at DESC, id DESC
+  `, [server, project, docTypeVariants(docType, resolveDocContract(server, project)), revisionId]);
+  return result.rows;
+}
+
+// List revisions of a project document (newest first, metadata only)
+app.get('/projects/:server/:project/docs/:docType/history', async (req, res) => {
+  try {
+    const { server, project, docType } = req.params;
+    const validation = validateProjectParams(server, project);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
     }
-    if (messageTimestamps.length > MESSAGE_RATE_LIMIT) {
-      ws.send(JSON.stringify({ type: 'error', message: 'Message rate limit exceeded' }));
-      ws.close(1008, 'Rate limit');
+    if (!DOC_TYPE_PATTERN.test(docType)) {
+      return res.status(400).json({ error: 'Invalid document type' });
+    }
+
+    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+
+    const revisions = await fetchDocRevisions(server, project, docType);
+    if (revisions.length === 0) {
+      return res.status(404).json({ error: 'No revisions found' });
+    }
+
+    res.json({
+      docType: normalizeDocType(docType, resolveDocContract(server, project)),
+      revisions: revisions.map(formatRevision),
+      count: revisions.length
+    });
+  } catch (err) {
+    console.error('[Projects] Doc history error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch document history' });
+  }
+});
+
+// Get a single document revision with content
+app.get('/projects/:server/:project/docs/:docType/revisions/:revisionId', async (req, res) => {
+  try {
+    const { server, project, docType, revisionId } = req.params;
+    const validation = validateProjectParams(server, project);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    if (!DOC_TYPE_PATTERN.test(docType)) {
+      return res.status(400).json({ error: 'Invalid document type' });
+    }
+    if (!/^\d{1,10}$/.test(revisionId)) {
+      return res.status(400).json({ error: 'Invalid revision ID' });
+    }
+
+    const [row] = await fetchDocRevisions(server, project, docType, {
+      revisionId: parseInt(revisionId, 10),
+      withContent: true
+    });
+    if (!row) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({ ...formatRevision(row), content: row.content, modified: row.created_at });
+  } catch (err) {
+    console.error('[Projects] Doc revision error:', err.message);
+    res.status(500).json({ error: 'Failed to fetch document revision' });
+  }
+});
+
+// Markdown headings with the body text under each (keyed by heading text)
+function extractSections(markdown) {
+  const sections = new Map();
+  let current = '';
+  let inFence = false;
+  sections.set(current, []);
+  (markdown || '').split('\n').forEach(line => {
+    if (/^(```|~~~)/.test(line.trim())) inFence = !inFence;
+    const heading = !inFence && line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+    if (heading) {
+      current = heading[2].trim();
+      if (!sections.has(current)) sections.set(current, []);
       return;
     }
+    sections.get(current).push(line);
+  });
+  return sections;
+}
 
-    // Message size limit (64KB)
-    if (message.length > 65536) {
-      ws.send(JSON.stringify({ type: 'error', message: 'Message too large' }));
-      ws.close(1009, 'Message too large');
-      return;
+// Which headings were added, removed or had their section body changed
+function summarizeHeadingChanges(oldContent, newContent) {
+  const oldSections = extractSections(oldContent);
+  const newSections = extractSections(newContent);
+  const summary = { added: [], removed: [], modified: [] };
+
+  newSections.forEach((lines, heading) => {
+    if (!heading) return;
+    if (!oldSections.has(heading)) {
+      summary.added.push(heading);
+    } else if (oldSections.get(heading).join('\n').trim() !== lines.join('\n').trim()) {
+      summary.modified.push(heading);
     }
-    let data;
-    try {
-      data = JSON.parse(message);
-    } catch (e) {
-      ws.send(JSON.stringify({ type: 'error', message: 'Invalid message format' }));
-      ws.close(1008, 'Invalid JSON');
-      return;
+  });
+  oldSections.forEach((lines, heading) => {
+    if (heading && !newSections.has(heading)) summary.removed.push(heading);
+  });
+  return summary;
+}
+
+// Line-level diff; adjacent removed+added runs are paired into 'modified'
+// blocks carrying a word-level diff
+function buildDocDiff(oldContent, newContent) {
+  const parts = Diff.diffLines(oldContent || '', newContent || '');
+  const changes = [];
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  let oldLine = 1;
+  let newLine = 1;
+
+  const toLines = (value) => value.replace(/\n$/, '').split('\n');
+
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i];
+    const next = parts[i + 1];
+
+    if (part.removed && next && next.added) {
+      const oldLines = toLines(part.value);
+      const newLines = toLines(next.value);
+      changes.push({
+        type: 'modified',
+        oldStart: oldLine,
+        newStart: newLine,
+        oldLines,
+        newLines,
+        words: Diff.diffWordsWithSpace(part.value, next.value).map(w => ({
+          type: w.added ? 'added' : w.removed ? 'removed' : 'unchanged',
+          value: w.value
+        }))
+      });
+      stats.removed += oldLines.length;
+      stats.added += newLines.length;
+      oldLine += oldLines.length;
+      newLine += newLines.length;
+      i++;
+      continue;
     }
 
-    if (data.type === 'auth') {
-      // Validate all inputs
-      const validationErrors = validateAuthMessage(data);
-      if (validationErrors.length > 0) {
-        ws.send(JSON.stringify({ type: 'error', message: validationErrors.join(', ') }));
-        ws.close(1008, 'Validation failed');
-        return;
-      }
+    const lines = toLines(part.value);
+    if (part.added) {
+      changes.push({ type: 'added', newStart: newLine, lines });
+      stats.added += lines.length;
+      newLine += lines.length;
+    } else if (part.removed) {
+      changes.push({ type: 'removed', oldStart: oldLine, lines });
+      stats.removed += lines.length;
+      oldLine += lines.length;
+    } else {
+      changes.push({ type: 'unchanged', oldStart: oldLine, newStart: newLine, lines });
+      stats.unchanged += lines.length;
+      oldLine += lines.length;
+      newLine += lines.length;
+    }
+  }
 
-      const { host, port, username, authMethod, password, privateKey, mode, domain, sourceUrl } = data;
+  return { changes, stats };
+}
 
-      // Validate mode-specific parameters
-      if (mode === 'source' && !isValidFQDN(domain)) {
-        ws.send(JSON.stringify({ type: 'error', message: 'Invalid domain format' }));
-        ws.close(1008, 'Invalid domain');
-        return;
+// Diff two revisions of a project document
+// Query: from, to (revision IDs; to defaults to latest, from to the revision before it)
+//        or session (compare the doc pushed in that session against the latest)
+app.get('/projects/:server/:project/docs/:docType/diff', async (req, res) => {
+  try {
+    const { server, project, docType } = req.params;
+    const { from, to, session: sessionId } = req.query;
+    const validation = validateProjectParams(server, project);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    if (!DOC_TYPE_PATTERN.test(docType)) {
+      return res.status(400).json({ error: 'Invalid document type' });
+    }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value !== undefined && (typeof value !== 'string' || !/^\d{1,10}$/.test(value))) {
+        return res.status(400).json({ error: `Invalid ${name} revision ID` });
       }
+    }
+    if (sessionId !== undefined && (typeof sessionId !== 'string' || !validator.isUUID(sessionId))) {
+      return res.status(400).json({ error: 'Invalid session ID' });
+    }
 
-      if (mode === 'project' && !isValidSourceURL(sourceUrl)) {
-        ws.send(JSON.stringify({ type: 'error', message: 'Invalid source URL (must be HTTPS)' }));
-        ws.close(1008, 'Invalid source URL');
-        return;
-      }
+    const revisions = await fetchDocRevisions(server, project, docType);
+    if (revisions.length === 0) {
+      return res.status(404).json({ error: 'No revisions found' });
+    }
 
-      // Build install command with --non-interactive and --force flags
-      // --non-interactive: No prompts (web wizard provides all input)
-      // --force: Overwrite existing installation if detected
-      let installCmd = `curl -fsSL ${INSTALL_SCRIPT_URL} | sudo bash -s -- --non-interactive --force`;
-      if (mode === 'source') {
-        installCmd += ` --domain ${escapeShellArg(domain)}`;
-      } else {
-        installCmd += ` --source-url ${escapeShellArg(sourceUrl)}`;
+    const byId = (id) => revisions.find(r => r.id === parseInt(id, 10));
+    const toRev = to ? byId(to) : revisions[0];
+    if (!toRev) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    let fromRev;
+    if (sessionId) {
+      // Latest revision pushed from that session
+      fromRev = revisions.find(r => r.session_id === sessionId);
+      if (!fromRev) {
+        return res.status(404).json({ error: 'Session has no revision of this document' });
+      }
+    } else if (from) {
+      fromRev = byId(from);
+      if (!fromRev) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+    } else {
+      fromRev = revisions.find(r => Number(r.revision) === Number(toRev.revision) - 1);
+      if (!fromRev) {
+        return res.status(404).json({ error: 'No earlier revision to compare against' });
       }
+    }
 
-      // Create SSH connection
-      sshConn = new Client();
+    const contentResult = await pool.query(
+      'SELECT id, content FROM pdev_document_revisions WHERE id = ANY($1)',
+      [[fromRev.id, toRev.id]]
+    );
+    const contentById = new Map(contentResult.rows.map(r => [r.id, r.content]));
+    const oldContent = contentById.get(fromRev.id) || '';
+    const newContent = contentById.get(toRev.id) || '';
 
-      sshConn.on('ready', () => {
-        ws.send(JSON.stringify({ type: 'output', data: '\r\n\x1b[32m✅ SSH connected\x1b[0m\r\n' }));
-        ws.send(JSON.stringify({ type: 'output', data: '\x1b[33mStarting installation...\x1b[0m\r\n\r\n' }));
+    const { changes, stats } = buildDocDiff(oldContent, newContent);
 
-        // Execute install command
-        sshConn.exec(installCmd, { pty: true }, (err, stream) => {
-          if (err) {
-            ws.send(JSON.stringify({ type: 'error', message: `Failed to execute command: ${err.message}` }));
-            sshConn.end();
-            ws.close(1011, 'Exec error');
-            return;
+    res.json({
+      docType: normalizeDocType(docType, resolveDocContract(server, project)),
+      from: formatRevision(fromRev),
+      to: formatRevision(toRev),
+      identical: oldContent === newContent,
+      stats,
+      headings: summarizeHeadingChanges(oldContent, newContent),
+      changes
+    });
+  } catch (err) {
+    console.error('[Projects] Doc diff error:', err.message);
+    res.status(500).json({ error: 'Failed to diff document revisions' });
+  }
+});
+
+// =============================================================================
+// SESSION ARCHIVES (EXPORT / IMPORT)
+// =============================================================================
+// Moves sessions and projects between PDev Live instances, or keeps them before
+// DELETE /sessions?olderThanDays=. An archive is a gzipped tar (pdev-archive, version 1):
+//   pdev-archive.json           scope, source instance, counts and the sha256 of every other file
+//   sessions/<id>.json          a session and its steps; content is in the .md files next to it
+//   sessions/<id>/...           summary.md and one file per step
+//   documents.json, documents/  latest project documents (project exports)
+//   revisions.json, revisions/  document revisions
+// Only markdown travels: content_html, frontmatter metadata and doc types are derived again on
+// import. Imported sessions get new ids and keep the original in metadata.import.originId, so
+// importing an archive twice (or an export of an import) into a project skips the sessions it
+// already has. Documents only replace older content; revisions are matched by type, content
+// and push time.
+
+const ARCHIVE_FORMAT = 'pdev-archive';
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_MANIFEST = 'pdev-archive.json';
+const ARCHIVE_MAX_BYTES = 50 * 1024 * 1024;
+const ARCHIVE_MAX_UNPACKED_BYTES = 200 * 1024 * 1024;
+const ARCHIVE_MAX_FILES = 20000;
+const ARCHIVE_PATH_PATTERN = /^[a-zA-Z0-9_\-][a-zA-Z0-9_\-\.\/]{0,99}$/;
+
+const archiveTimestamp = { type: ['string', 'null'], maxLength: 40 };
+const archiveText = (maxLength) => ({ type: ['string', 'null'], maxLength });
+const archiveFileRef = { type: ['string', 'null'], pattern: ARCHIVE_PATH_PATTERN.source };
+const ARCHIVE_SCHEMAS = {
+  manifest: {
+    type: 'object',
+    required: ['format', 'version', 'scope', 'server', 'project', 'files'],
+    properties: {
+      format: { const: ARCHIVE_FORMAT },
+      version: { const: ARCHIVE_VERSION },
+      scope: { enum: ['session', 'project'] },
+      server: { type: 'string', minLength: 1, maxLength: 100 },
+      project: { type: 'string', minLength: 1, maxLength: 255 },
+      files: {
+        type: 'object',
+        maxProperties: ARCHIVE_MAX_FILES,
+        additionalProperties: { type: 'string', pattern: '^[0-9a-f]{64}$' }
+      }
+    }
+  },
+  session: {
+    type: 'object',
+    required: ['originId', 'commandType', 'steps'],
+    properties: {
+      originId: { type: 'string', pattern: '^[0-9a-fA-F-]{36}$' },
+      commandType: { type: 'string', minLength: 1, maxLength: 100 },
+      status: { enum: ['active', 'paused', 'completed', 'archived', 'error', null] },
+      startedAt: archiveTimestamp,
+      completedAt: archiveTimestamp,
+      summaryFile: archiveFileRef,
+      metadata: { type: ['object', 'null'] },
+      steps: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['ref', 'stepNumber', 'type'],
+          properties: {
+            ref: { type: 'integer' },
+            stepNumber: { type: 'integer', minimum: 0 },
+            type: { type: 'string', minLength: 1, maxLength: 50 },
+            phaseNumber: { type: ['integer', 'null'] },
+            exitCode: { type: ['integer', 'null'] },
+            documentName: archiveText(255),
+            createdAt: archiveTimestamp,
+            contentFile: archiveFileRef
           }
+        }
+      }
+    }
+  },
+  documents: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['name', 'contentFile'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 255 },
+        phaseNumber: { type: ['integer', 'null'] },
+        updatedAt: archiveTimestamp,
+        contentFile: { type: 'string', pattern: ARCHIVE_PATH_PATTERN.source }
+      }
+    }
+  },
+  revisions: {
+    type: 'array',
+    items: {
+      type: 'object',
+      required: ['name', 'createdAt', 'contentFile'],
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 255 },
+        phaseNumber: { type: ['integer', 'null'] },
+        createdAt: { type: 'string', maxLength: 40 },
+        sessionId: { type: ['string', 'null'] },
+        stepRef: { type: ['integer', 'null'] },
+        contentFile: { type: 'string', pattern: ARCHIVE_PATH_PATTERN.source }
+      }
+    }
+  }
+};
+const archiveAjv = new Ajv({ allErrors: true, strict: false });
+const validateArchivePart = Object.fromEntries(
+  Object.entries(ARCHIVE_SCHEMAS).map(([part, schema]) => [part, archiveAjv.compile(schema)])
+);
 
-          sshStream = stream;
+function isArchivePath(name) {
+  return ARCHIVE_PATH_PATTERN.test(name) && !name.split('/').some(part => part === '' || part === '.' || part === '..');
+}
 
-          // Set installation timeout (2 minutes)
-          installTimeout = setTimeout(() => {
-            if (sshConn) {
-              sshConn.end();
-              ws.send(JSON.stringify({
-                type: 'error',
-                message: 'Installation timeout (2 minutes). Please check server logs.'
-              }));
-              ws.close(1011, 'Timeout');
-            }
-          }, 2 * 60 * 1000);
+function sha256Hex(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex');
+}
 
-          stream.on('data', (data) => {
-            ws.send(JSON.stringify({ type: 'output', data: data.toString() }));
-          });
+// 512-byte ustar header for a regular file
+function tarHeader(name, size, mtime) {
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100, 'utf8');
+  header.write('0000644\0', 100, 8, 'ascii');
+  header.write('0000000\0', 108, 8, 'ascii');
+  header.write('0000000\0', 116, 8, 'ascii');
+  header.write(size.toString(8).padStart(11, '0') + '\0', 124, 12, 'ascii');
+  header.write(Math.floor(mtime / 1000).toString(8).padStart(11, '0') + '\0', 136, 12, 'ascii');
+  header.fill(' ', 148, 156);
+  header.write('0', 156, 1, 'ascii');
+  header.write('ustar\u000000', 257, 8, 'ascii');
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8, 'ascii');
+  return header;
+}
 
-          stream.stderr.on('data', (data) => {
-            ws.send(JSON.stringify({ type: 'output', data: data.toString() }));
-          });
+// [{ name, content }] -> .tar.gz
+function packArchive(files) {
+  const mtime = Date.now();
+  const chunks = [];
+  files.forEach(({ name, content }) => {
+    chunks.push(tarHeader(name, content.length, mtime), content, Buffer.alloc((512 - (content.length % 512)) % 512));
+  });
+  chunks.push(Buffer.alloc(1024));
+  return zlib.gzipSync(Buffer.concat(chunks));
+}
 
-          stream.on('close', (code) => {
-            if (installTimeout) clearTimeout(installTimeout);
+// .tar.gz -> { files: Map<name, Buffer> } or { error }. Directories and pax headers (from
+// re-packing with tar) are skipped; links and devices are refused.
+function unpackArchive(data) {
+  let tar;
+  try {
+    tar = zlib.gunzipSync(data, { maxOutputLength: ARCHIVE_MAX_UNPACKED_BYTES });
+  } catch (err) {
+    return { error: err.code === 'ERR_BUFFER_TOO_LARGE' ? 'Archive unpacks to more than 200mb' : 'Archive is not gzip data' };
+  }
 
-            if (code === 0) {
-              ws.send(JSON.stringify({ type: 'success', message: 'Installation completed successfully!' }));
-              console.log('[WebSSH] Installation succeeded:', { mode, domain, sourceUrl });
-            } else {
-              ws.send(JSON.stringify({ type: 'error', message: `Installation failed with exit code ${code}` }));
-              console.error('[WebSSH] Installation failed:', { code, mode, domain, sourceUrl });
-            }
-            sshConn.end();
-          });
-        });
-      });
+  const files = new Map();
+  let offset = 0;
+  while (offset + 512 <= tar.length) {
+    const header = tar.subarray(offset, offset + 512);
+    if (header.every(byte => byte === 0)) break;
 
-      sshConn.on('error', (err) => {
-        ws.send(JSON.stringify({ type: 'error', message: `SSH connection failed: ${err.message}` }));
-        ws.close(1011, 'SSH error');
-        console.error('[WebSSH] SSH error:', err.message);
-      });
+    const field = (start, length) => header.toString('utf8', start, start + length).split('\0')[0];
+    const size = parseInt(field(124, 12).trim(), 8);
+    const checksum = header.reduce((sum, byte, i) => sum + (i >= 148 && i < 156 ? 32 : byte), 0);
+    if (isNaN(size) || checksum !== parseInt(field(148, 8).trim(), 8)) {
+      return { error: 'Archive is not a valid tar file' };
+    }
+    const prefix = field(345, 155);
+    const name = ((prefix ? prefix + '/' : '') + field(0, 100)).replace(/^\.\//, '');
+    const type = field(156, 1) || '0';
+    offset += 512;
+    if (offset + size > tar.length) {
+      return { error: 'Archive is truncated' };
+    }
 
-      sshConn.on('timeout', () => {
-        ws.send(JSON.stringify({ type: 'error', message: 'SSH connection timeout' }));
-        sshConn.end();
-        ws.close(1011, 'Timeout');
-        console.error('[WebSSH] SSH timeout');
-      });
+    if (type === '0') {
+      if (!isArchivePath(name)) return { error: `Unexpected file name in archive: ${name.slice(0, 120)}` };
+      if (files.has(name)) return { error: `Duplicate file in archive: ${name}` };
+      if (files.size >= ARCHIVE_MAX_FILES) return { error: `Archive has more than ${ARCHIVE_MAX_FILES} files` };
+      files.set(name, tar.subarray(offset, offset + size));
+    } else if (!['5', 'x', 'g'].includes(type)) {
+      return { error: `Unsupported entry in archive: ${name.slice(0, 120)}` };
+    }
+    offset += Math.ceil(size / 512) * 512;
+  }
+  return { files };
+}
 
-      // Connect to SSH server
-      const connConfig = {
-        host,
-        port: port || 22,
-        username,
-        readyTimeout: 10000
+// The id a session is known by across instances (its first instance's id)
+function archiveOriginId(session) {
+  const imported = session.metadata && session.metadata.import;
+  return (imported && imported.originId) || session.id;
+}
+
+function archiveDocFile(dir, index, name) {
+  const slug = name.replace(/[\r\n]/g, '').trim().replace(/\.md$/i, '').replace(/[^a-zA-Z0-9_\-]+/g, '_').slice(0, 60);
+  return `${dir}/${String(index + 1).padStart(4, '0')}-${slug || 'document'}.md`;
+}
+
+// Sessions (rows of pdev_sessions), project documents and revisions -> .tar.gz
+async function buildArchive({ scope, server, project, sessions, documents, revisions }) {
+  const files = [];
+  const addFile = (name, content) => {
+    files.push({ name, content: Buffer.from(content, 'utf8') });
+    return name;
+  };
+  const originIds = new Map(sessions.map(session => [session.id, archiveOriginId(session)]));
+  let stepCount = 0;
+
+  for (const session of sessions) {
+    const originId = originIds.get(session.id);
+    const dir = `sessions/${originId}`;
+    const stepsResult = await pool.query(
+      'SELECT * FROM pdev_session_steps WHERE session_id = $1 ORDER BY step_number, id',
+      [session.id]
+    );
+    stepCount += stepsResult.rows.length;
+    const { import: previousImport, ...metadata } = session.metadata || {};
+
+    addFile(`${dir}.json`, JSON.stringify({
+      originId,
+      server: session.server_origin,
+      project: session.project_name,
+      hostname: session.server_hostname || session.hostname || null,
+      projectPath: session.project_path,
+      cwd: session.working_directory || session.cwd || null,
+      commandType: session.command_type,
+      commandArgs: session.command_args,
+      user: session.user_identifier || session.user_name || null,
+      gitBranch: session.git_branch,
+      gitCommit: session.git_commit_sha || session.git_commit || null,
+      status: session.session_status,
+      startedAt: session.started_at,
+      completedAt: session.completed_at,
+      metadata,
+      summaryFile: session.summary_markdown ? addFile(`${dir}/summary.md`, session.summary_markdown) : null,
+      steps: stepsResult.rows.map(step => {
+        const content = step.content_markdown !== null && step.content_markdown !== undefined ? step.content_markdown : step.content;
+        return {
+          ref: step.id,
+          stepNumber: step.step_number,
+          type: step.step_type,
+          phaseName: step.phase_name,
+          phaseNumber: step.phase_number,
+          subPhase: step.sub_phase,
+          commandText: step.command_text,
+          exitCode: step.exit_code,
+          documentName: step.document_name,
+          createdAt: step.created_at,
+          fileCreatedAt: step.file_created_at,
+          fileModifiedAt: step.file_modified_at,
+          contentFile: content ? addFile(`${dir}/${String(step.step_number).padStart(4, '0')}-${step.id}.md`, content) : null
+        };
+      })
+    }, null, 2));
+  }
+
+  if (documents.length > 0) {
+    addFile('documents.json', JSON.stringify(documents.map((doc, index) => ({
+      name: doc.document_name,
+      version: doc.version,
+      phaseNumber: doc.phase_number,
+      phaseName: doc.phase_name,
+      fileCreatedAt: doc.file_created_at,
+      fileModifiedAt: doc.file_modified_at,
+      createdAt: doc.created_at,
+      updatedAt: doc.updated_at,
+      contentFile: addFile(archiveDocFile('documents', index, doc.document_name), doc.content || '')
+    })), null, 2));
+  }
+
+  if (revisions.length > 0) {
+    addFile('revisions.json', JSON.stringify(revisions.map((revision, index) => {
+      const inArchive = originIds.has(revision.session_id);
+      return {
+        name: revision.document_name,
+        docType: revision.doc_type,
+        version: revision.version,
+        phaseNumber: revision.phase_number,
+        phaseName: revision.phase_name,
+        fileCreatedAt: revision.file_created_at,
+        fileModifiedAt: revision.file_modified_at,
+        createdAt: revision.created_at,
+        sessionId: inArchive ? originIds.get(revision.session_id) : null,
+        stepRef: inArchive ? revision.step_id : null,
+        contentFile: addFile(archiveDocFile('revisions', index, revision.document_name), revision.content)
       };
+    }), null, 2));
+  }
+
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    scope,
+    server,
+    project,
+    exportedAt: new Date().toISOString(),
+    source: { instance: PDEV_BASE_URL, version: PDEV_VERSION.version },
+    counts: { sessions: sessions.length, steps: stepCount, documents: documents.length, revisions: revisions.length },
+    files: Object.fromEntries(files.map(file => [file.name, sha256Hex(file.content)]))
+  };
+  return packArchive([{ name: ARCHIVE_MANIFEST, content: Buffer.from(JSON.stringify(manifest, null, 2), 'utf8') }, ...files]);
+}
 
-      if (authMethod === 'password') {
-        connConfig.password = password;
-      } else {
-        // Normalize key: remove leading/trailing whitespace from each line
-        // Users often paste keys with extra indentation from code blocks or emails
-        let normalizedKey = privateKey;
-        if (privateKey) {
-          normalizedKey = privateKey
-            .split('\n')
-            .map(line => line.trim())
-            .join('\n')
-            .trim();
-        }
-        // Debug: Log key format info (first 50 chars only, no sensitive data)
-        const keyPreview = normalizedKey ? normalizedKey.substring(0, 50) : 'EMPTY';
-        const keyLength = normalizedKey ? normalizedKey.length : 0;
-        console.log('[WebSSH] Key debug:', { keyLength, keyPreview: keyPreview + '...', hasNewlines: normalizedKey?.includes('\n') });
-        connConfig.privateKey = normalizedKey;
-      }
+function sendArchive(res, filename, archive) {
+  res.set('Content-Type', 'application/gzip');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.set('Cache-Control', 'no-store');
+  res.send(archive);
+}
 
-      // CRITICAL: Wrap connect() in try-catch to handle synchronous errors
-      // ssh2 throws synchronous errors for invalid key formats BEFORE 'error' event fires
-      // Without this, malformed keys cause unhandled exceptions that crash the WebSocket
-      // handler without sending any error message to the client
-      try {
-        sshConn.connect(connConfig);
-      } catch (err) {
-        console.error('[WebSSH] SSH connect error:', err.message);
-        ws.send(JSON.stringify({ type: 'error', message: `SSH connection failed: ${err.message}` }));
-        sshConn.end();  // Cleanup SSH client object
-        ws.close(1011, 'SSH connect error');
-        return;
-      }
+// pdev-<parts>-<date>.<extension>, safe for Content-Disposition
+function downloadFileName(extension, ...parts) {
+  return ['pdev', ...parts, new Date().toISOString().slice(0, 10)]
+    .map(part => String(part).replace(/[^a-zA-Z0-9_\-\.]+/g, '_'))
+    .join('-') + '.' + extension;
+}
+
+// Export one session (its steps and the document revisions it pushed)
+app.get('/sessions/:sessionId/export', async (req, res) => {
+  try {
+    const sessionResult = await pool.query(
+      'SELECT * FROM pdev_sessions WHERE id::text = $1 AND deleted_at IS NULL',
+      [req.params.sessionId]
+    );
+    if (sessionResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
     }
-  });
+    const session = sessionResult.rows[0];
+    const revisions = await pool.query(
+      'SELECT * FROM pdev_document_revisions WHERE session_id = $1 ORDER BY created_at, id',
+      [session.id]
+    );
 
-  ws.on('close', () => {
-    console.log('[WebSSH] Client disconnected');
-    if (installTimeout) clearTimeout(installTimeout);
-    if (sshStream) sshStream.end();
-    if (sshConn) sshConn.end();
-    installerTokens.delete(token);
-    activeWSConnections--;
-  });
+    const archive = await buildArchive({
+      scope: 'session',
+      server: session.server_origin,
+      project: session.project_name,
+      sessions: [session],
+      documents: [],
+      revisions: revisions.rows
+    });
+    recordAudit(req, 'session.export', { targetType: 'session', target: session.id, details: { bytes: archive.length } });
+    sendArchive(res, downloadFileName('tar.gz', 'session', session.project_name, session.id.slice(0, 8)), archive);
+  } catch (err) {
+    console.error('[Archive] Session export error:', err.message);
+    res.status(500).json({ error: 'Failed to export session' });
+  }
+});
 
-  ws.on('error', (err) => {
-    console.error('[WebSSH] WebSocket error:', err);
-    if (installTimeout) clearTimeout(installTimeout);
-    if (sshStream) sshStream.end();
-    if (sshConn) sshConn.end();
-    activeWSConnections--;
+// Export a project: its sessions, latest documents and every revision
+app.get('/projects/:server/:project/export', async (req, res) => {
+  try {
+    const { server, project } = req.params;
+    const validation = validateProjectParams(server, project);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const [sessions, documents, revisions] = await Promise.all([
+      pool.query(`
+        SELECT * FROM pdev_sessions
+        WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2) AND deleted_at IS NULL
+        ORDER BY started_at, id
+      `, [server, project]),
+      pool.query(`
+        SELECT * FROM pdev_project_documents
+        WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)
+        ORDER BY phase_number NULLS LAST, document_name
+      `, [server, project]),
+      pool.query(`
+        SELECT * FROM pdev_document_revisions
+        WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)
+        ORDER BY created_at, id
+      `, [server, project])
+    ]);
+    if (sessions.rows.length === 0 && documents.rows.length === 0) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+
+    const archive = await buildArchive({
+      scope: 'project',
+      server,
+      project,
+      sessions: sessions.rows,
+      documents: documents.rows,
+      revisions: revisions.rows
+    });
+    recordAudit(req, 'project.export', {
+      targetType: 'project',
+      target: `${server}/${project}`,
+      details: { sessions: sessions.rows.length, documents: documents.rows.length, bytes: archive.length }
+    });
+    sendArchive(res, downloadFileName('tar.gz', server, project), archive);
+  } catch (err) {
+    console.error('[Archive] Project export error:', err.message);
+    res.status(500).json({ error: 'Failed to export project' });
+  }
+});
+
+// Unpack, verify checksums and parse an uploaded archive; returns { archive } or { errors }
+function readArchive(data) {
+  const unpacked = unpackArchive(data);
+  if (unpacked.error) return { errors: [unpacked.error] };
+  const { files } = unpacked;
+
+  const parseJson = (name) => {
+    try {
+      return JSON.parse(files.get(name).toString('utf8'));
+    } catch (err) {
+      return undefined;
+    }
+  };
+  const schemaErrors = (part, name, value) => validateArchivePart[part](value)
+    ? []
+    : validateArchivePart[part].errors.slice(0, 5).map(err => `${name}${err.instancePath} ${err.message}`);
+
+  if (!files.has(ARCHIVE_MANIFEST)) return { errors: [`${ARCHIVE_MANIFEST} is missing - not a PDev Live archive`] };
+  const manifest = parseJson(ARCHIVE_MANIFEST);
+  const manifestErrors = schemaErrors('manifest', ARCHIVE_MANIFEST, manifest);
+  if (manifestErrors.length > 0) return { errors: manifestErrors };
+
+  const errors = [];
+  Object.entries(manifest.files).forEach(([name, checksum]) => {
+    if (!files.has(name)) {
+      errors.push(`${name} is listed in the manifest but missing`);
+    } else if (sha256Hex(files.get(name)) !== checksum) {
+      errors.push(`${name} does not match its checksum`);
+    }
   });
-});
+  [...files.keys()].filter(name => name !== ARCHIVE_MANIFEST && !manifest.files[name])
+    .forEach(name => errors.push(`${name} is not listed in the manifest`));
+  if (errors.length > 0) return { errors: errors.slice(0, 20) };
+
+  const text = (name) => (name ? files.get(name).toString('utf8') : null);
+  const content = (name) => {
+    if (name && !files.has(name)) errors.push(`${name} is referenced but not in the archive`);
+    return name && files.has(name) ? text(name) : null;
+  };
 
-// =============================================================================
-// SCHEMA VALIDATION
-// =============================================================================
+  const sessions = [...files.keys()].filter(name => /^sessions\/[^/]+\.json$/.test(name)).map(name => {
+    const session = parseJson(name);
+    errors.push(...schemaErrors('session', name, session));
+    return { name, session };
+  });
+  const documents = files.has('documents.json') ? parseJson('documents.json') : [];
+  const revisions = files.has('revisions.json') ? parseJson('revisions.json') : [];
+  errors.push(...schemaErrors('documents', 'documents.json', documents));
+  errors.push(...schemaErrors('revisions', 'revisions.json', revisions));
+  if (errors.length > 0) return { errors: errors.slice(0, 20) };
+
+  const archive = {
+    manifest,
+    sessions: sessions.map(({ session }) => ({
+      ...session,
+      summary: content(session.summaryFile),
+      steps: session.steps.map(step => ({ ...step, content: content(step.contentFile) }))
+    })),
+    documents: documents.map(doc => ({ ...doc, content: content(doc.contentFile) })),
+    revisions: revisions.map(revision => ({ ...revision, content: content(revision.contentFile) }))
+  };
+  return errors.length > 0 ? { errors: errors.slice(0, 20) } : { archive };
+}
 
-/**
- * Validate database schema before starting server
- * Prevents runtime failures from missing tables
- */
-async function validateDatabaseSchema() {
-  const requiredTables = [
-    'pdev_sessions',
-    'pdev_session_steps',
-    'pdev_migrations',
-    'project_manifests'
-  ];
+// Archive timestamps back to Date (null when missing or unparseable)
+function archiveDate(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+}
 
-  const requiredViews = [
-    'pdev_steps',           // View alias
-    'v_active_sessions',
-    'v_session_history'
-  ];
+// Upsert a project document unless the stored one is at least as new; returns inserted|updated|skipped
+async function importProjectDocument(client, server, project, doc) {
+  const versionMatch = doc.content.match(/pdev_version:\s*([0-9.]+)/);
+  const metadata = parseDocFrontmatter(doc.content);
+  const updatedAt = archiveDate(doc.updatedAt) || new Date();
+  const result = await client.query(`
+    INSERT INTO pdev_project_documents
+      (server_origin, project_name, document_name, content, content_html, version,
+       file_created_at, file_modified_at, phase_number, phase_name, metadata, created_at, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    ON CONFLICT (server_origin, project_name, document_name)
+    DO UPDATE SET
+      content = EXCLUDED.content,
+      content_html = EXCLUDED.content_html,
+      version = EXCLUDED.version,
+      metadata = EXCLUDED.metadata,
+      file_created_at = EXCLUDED.file_created_at,
+      file_modified_at = EXCLUDED.file_modified_at,
+      phase_number = EXCLUDED.phase_number,
+      phase_name = EXCLUDED.phase_name,
+      updated_at = EXCLUDED.updated_at
+    WHERE pdev_project_documents.updated_at < EXCLUDED.updated_at
+      AND pdev_project_documents.content IS DISTINCT FROM EXCLUDED.content
+    RETURNING (xmax = 0) AS inserted
+  `, [
+    server, project, doc.name, doc.content, renderMarkdownHtml(doc.content), versionMatch ? versionMatch[1] : null,
+    archiveDate(doc.fileCreatedAt), archiveDate(doc.fileModifiedAt), doc.phaseNumber || null, doc.phaseName || null,
+    metadata && JSON.stringify(metadata), archiveDate(doc.createdAt) || updatedAt, updatedAt
+  ]);
+  if (result.rows.length === 0) return 'skipped';
+  return result.rows[0].inserted ? 'inserted' : 'updated';
+}
 
-  try {
-    // Check tables exist
-    for (const table of requiredTables) {
-      const result = await pool.query(
-        `SELECT to_regclass('public.${table}') as exists`
+async function importArchive(archive, { server, project, source }) {
+  const summary = {
+    sessions: { imported: 0, skipped: 0 },
+    steps: 0,
+    documents: { inserted: 0, updated: 0, skipped: 0 },
+    revisions: { imported: 0, skipped: 0 },
+    sessionIds: {}
+  };
+  const contract = resolveDocContract(server, project);
+
+  await withTransaction(async (client) => {
+    // Session origin id -> { id, steps: Map<archive step ref, new step id> } for the revision links
+    const sessionMap = new Map();
+
+    for (const session of archive.sessions) {
+      const existing = await client.query(
+        `SELECT id FROM pdev_sessions
+         WHERE (id::text = $1 OR metadata->'import'->>'originId' = $1)
+           AND server_origin = $2 AND LOWER(project_name) = LOWER($3)
+         LIMIT 1`,
+        [session.originId, server, project]
       );
-      if (!result.rows[0].exists) {
-        throw new Error(`Missing required table: ${table}`);
+      if (existing.rows.length > 0) {
+        summary.sessions.skipped++;
+        summary.sessionIds[session.originId] = existing.rows[0].id;
+        continue;
+      }
+
+      const metadata = {
+        ...(session.metadata || {}),
+        import: { originId: session.originId, source, importedAt: new Date().toISOString() }
+      };
+      const inserted = await client.query(`
+        INSERT INTO pdev_sessions (
+          server_origin, server_hostname, project_name, project_path, working_directory,
+          command_type, command_args, user_identifier, git_branch, git_commit_sha,
+          session_status, started_at, completed_at, summary_markdown, summary_html, metadata
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        RETURNING id
+      `, [
+        server, session.hostname || null, project, session.projectPath || null, session.cwd || null,
+        session.commandType, session.commandArgs || null, session.user || null, session.gitBranch || null,
+        session.gitCommit || null, session.status || 'completed', archiveDate(session.startedAt) || new Date(),
+        archiveDate(session.completedAt), session.summary, renderMarkdownHtml(session.summary), JSON.stringify(metadata)
+      ]);
+      const sessionId = inserted.rows[0].id;
+      const steps = new Map();
+
+      for (const step of session.steps) {
+        const content = step.content;
+        const stepResult = await client.query(`
+          INSERT INTO pdev_session_steps (
+            session_id, step_number, step_type, phase_name, phase_number,
+            sub_phase, content_markdown, content_html, content_plain,
+            command_text, exit_code, output_byte_size, document_name,
+            file_created_at, file_modified_at, created_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+          RETURNING id
+        `, [
+          sessionId, step.stepNumber, step.type, step.phaseName || null, step.phaseNumber || null,
+          step.subPhase || null, content, renderMarkdownHtml(content),
+          content ? content.replace(/[#*_`]/g, '').substring(0, 500) : null,
+          step.commandText || null, step.exitCode === undefined ? null : step.exitCode, content ? content.length : 0,
+          step.documentName || null, archiveDate(step.fileCreatedAt), archiveDate(step.fileModifiedAt),
+          archiveDate(step.createdAt) || new Date()
+        ]);
+        steps.set(step.ref, stepResult.rows[0].id);
       }
+
+      sessionMap.set(session.originId, { id: sessionId, steps });
+      summary.sessions.imported++;
+      summary.steps += session.steps.length;
+      summary.sessionIds[session.originId] = sessionId;
     }
 
-    // Check views exist
-    for (const view of requiredViews) {
-      const result = await pool.query(
-        `SELECT to_regclass('public.${view}') as exists`
-      );
-      if (!result.rows[0].exists) {
-        console.warn(`[Schema] Missing view: ${view} (may need migration)`);
+    // Newest imported revision per document, for documents the archive has no latest copy of
+    const newestRevision = new Map();
+    for (const revision of archive.revisions) {
+      const createdAt = archiveDate(revision.createdAt) || new Date();
+      const docType = normalizeDocType(revision.name.replace(/[\r\n]/g, '').trim(), contract);
+      const duplicate = await client.query(`
+        SELECT 1 FROM pdev_document_revisions
+        WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2) AND doc_type = $3
+          AND date_trunc('milliseconds', created_at) = $4 AND md5(content) = md5($5)
+        LIMIT 1
+      `, [server, project, docType, createdAt, revision.content]);
+      if (duplicate.rows.length > 0) {
+        summary.revisions.skipped++;
+        continue;
+      }
+
+      const linked = revision.sessionId ? sessionMap.get(revision.sessionId) : null;
+      const metadata = parseDocFrontmatter(revision.content);
+      const versionMatch = revision.content.match(/pdev_version:\s*([0-9.]+)/);
+      await client.query(`
+        INSERT INTO pdev_document_revisions
+          (server_origin, project_name, doc_type, document_name, content, content_html, version,
+           file_created_at, file_modified_at, phase_number, phase_name, session_id, step_id, metadata, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      `, [
+        server, project, docType, revision.name, revision.content, renderMarkdownHtml(revision.content),
+        versionMatch ? versionMatch[1] : null, archiveDate(revision.fileCreatedAt), archiveDate(revision.fileModifiedAt),
+        revision.phaseNumber || null, revision.phaseName || null, linked ? linked.id : null,
+        linked && revision.stepRef !== null ? linked.steps.get(revision.stepRef) || null : null,
+        metadata && JSON.stringify(metadata), createdAt
+      ]);
+      summary.revisions.imported++;
+
+      const previous = newestRevision.get(revision.name);
+      if (!previous || archiveDate(previous.createdAt) <= createdAt) {
+        newestRevision.set(revision.name, revision);
       }
     }
 
-    // Check migrations applied
-    const migResult = await pool.query(
-      `SELECT migration_name FROM pdev_migrations ORDER BY applied_at`
-    );
-    const appliedMigrations = migResult.rows.map(r => r.migration_name);
-    console.log('[Schema] Applied migrations:', appliedMigrations.join(', '));
+    const latestDocuments = [...archive.documents];
+    newestRevision.forEach((revision, name) => {
+      if (!archive.documents.some(doc => doc.name === name)) {
+        latestDocuments.push({ ...revision, updatedAt: revision.createdAt });
+      }
+    });
+    for (const doc of latestDocuments) {
+      summary.documents[await importProjectDocument(client, server, project, doc)]++;
+    }
+  });
 
-    console.log('[Schema] ✅ Database schema validated');
-    return true;
+  return summary;
+}
+
+// Import an archive from GET .../export (body: the .tar.gz). ?server= and ?project= move it
+// to another server or project name; by default it lands where it was exported from.
+app.post('/import', requireAdmin, express.raw({ type: () => true, limit: ARCHIVE_MAX_BYTES }), async (req, res) => {
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'Request body must be an archive (.tar.gz)' });
+  }
+
+  const { archive, errors } = readArchive(req.body);
+  if (errors) {
+    recordAudit(req, 'archive.import', { outcome: 'failure', details: { errors: errors.slice(0, 3) } });
+    return res.status(400).json({ error: 'Invalid archive', details: errors });
+  }
+
+  const server = req.query.server || archive.manifest.server;
+  const project = req.query.project || archive.manifest.project;
+  if (!VALID_SERVERS.includes(server)) {
+    return res.status(400).json({ error: `Invalid server: ${server} (import with ?server= to move the archive)` });
+  }
+  const validation = validateProjectParams(server, project);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
+  }
+
+  try {
+    const source = archive.manifest.source || {};
+    const summary = await importArchive(archive, {
+      server,
+      project,
+      source: { instance: source.instance || null, server: archive.manifest.server, project: archive.manifest.project }
+    });
+    console.log(`[Archive] Imported ${archive.manifest.scope} archive into ${server}/${project}: ` +
+      `${summary.sessions.imported} sessions, ${summary.revisions.imported} revisions`);
+    recordAudit(req, 'archive.import', {
+      targetType: 'project',
+      target: `${server}/${project}`,
+      details: {
+        scope: archive.manifest.scope,
+        source: source.instance || null,
+        sessions: summary.sessions,
+        documents: summary.documents,
+        revisions: summary.revisions
+      }
+    });
+
+    if (summary.revisions.imported > 0 || summary.documents.inserted + summary.documents.updated > 0) {
+      analyzeProjectConsistency(server, project).catch(err => {
+        console.error(`[Consistency] Analysis failed for ${server}/${project}:`, err.message);
+      });
+    }
+    if (summary.sessions.imported > 0) {
+      broadcastGlobal({ type: 'sessions_imported', server, project, count: summary.sessions.imported });
+    }
+    res.json({ success: true, server, project, scope: archive.manifest.scope, ...summary });
   } catch (err) {
-    console.error('[Schema] ❌ Database schema validation failed:', err.message);
-    console.error('[Schema] Run migrations: psql -U pdev_app -d pdev_live -f installer/migrations/*.sql');
-    return false;
+    console.error('[Archive] Import error:', err.message);
+    res.status(500).json({ error: 'Failed to import archive' });
   }
-}
+});
 
 // =============================================================================
-// START SERVER
+// PDF RENDERING
 // =============================================================================
+// PDFs are printed from the same self-contained HTML the browser would get, by a headless
+// Chromium driven through playwright-core. One browser is started on first use and shared;
+// renders run one at a time (each in a fresh context) to keep memory flat.
+//   PDEV_CHROMIUM_PATH   browser binary (unset: Playwright's, `npx playwright-core install chromium`)
+//   PDEV_CHROMIUM_ARGS   extra launch flags, comma separated (e.g. --no-sandbox when running as root)
+
+const PDF_CONFIG = {
+  executablePath: process.env.PDEV_CHROMIUM_PATH || undefined,
+  args: splitEnvList(process.env.PDEV_CHROMIUM_ARGS),
+  timeoutMs: 60000
+};
 
-// Validate schema before starting server
-(async () => {
-  const schemaValid = await validateDatabaseSchema();
-  if (!schemaValid) {
-    console.error('FATAL: Database schema validation failed. Server not started.');
-    process.exit(1);
-  }
-
-  // Load server tokens from database
-  await loadServerTokens();
+let pdfBrowser = null;
+let pdfQueue = Promise.resolve();
 
-  server.listen(PORT, () => {
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log('🚀 PDev Live Mirror Server v2');
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-    console.log('Environment:', process.env.NODE_ENV || 'development');
-    console.log('Port:', PORT);
-    console.log('Base URL:', PDEV_BASE_URL);
-    console.log('CORS Origins:', ALLOWED_ORIGINS.length, 'configured');
-    console.log('Database: pdev_live @', process.env.PDEV_DB_HOST || 'localhost');
-    console.log('Valid servers:', VALID_SERVERS.join(', '));
-    console.log('WebSSH: /pdev/webssh (installer endpoint)');
-    console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
+async function getPdfBrowser() {
+  if (pdfBrowser && pdfBrowser.isConnected()) return pdfBrowser;
+  const { chromium } = require('playwright-core');
+  pdfBrowser = await chromium.launch({
+    executablePath: PDF_CONFIG.executablePath,
+    args: PDF_CONFIG.args,
+    timeout: PDF_CONFIG.timeoutMs
   });
-})();
+  pdfBrowser.on('disconnected', () => { pdfBrowser = null; });
+  return pdfBrowser;
+}
+
+function closePdfBrowser() {
+  if (pdfBrowser) pdfBrowser.close().catch(() => {});
+}
+process.on('SIGTERM', closePdfBrowser);
+process.on('SIGINT', closePdfBrowser);
+
+// HTML document -> PDF Buffer. Throws with code PDF_UNAVAILABLE when no browser can be started.
+function renderPdf(html, { title } = {}) {
+  const render = async () => {
+    let browser;
+    try {
+      browser = await getPdfBrowser();
+    } catch (err) {
+      console.error('[PDF] Chromium unavailable:', err.message.split('\n')[0]);
+      const unavailable = new Error('PDF rendering is not available on this server (headless Chromium not found)');
+      unavailable.code = 'PDF_UNAVAILABLE';
+      throw unavailable;
+    }
+    const context = await browser.newContext({ javaScriptEnabled: false });
+    try {
+      const page = await context.newPage();
+      // Everything is inlined; nothing may be fetched while printing
+      await page.route('**/*', route => route.abort());
+      await page.setContent(html, { waitUntil: 'load', timeout: PDF_CONFIG.timeoutMs });
+      return await page.pdf({
+        format: 'A4',
+        printBackground: true,
+        margin: { top: '18mm', bottom: '18mm', left: '15mm', right: '15mm' },
+        displayHeaderFooter: true,
+        headerTemplate: '<span></span>',
+        footerTemplate: `<div style="font-size:8px;width:100%;text-align:center;color:#888;">
+          ${escapeHtml(title || '')} &middot; <span class="pageNumber"></span>/<span class="totalPages"></span></div>`
+      });
+    } finally {
+      await context.close().catch(() => {});
+    }
+  };
+  const result = pdfQueue.then(render, render);
+  pdfQueue = result.catch(() => {});
+  return result;
+}
 
 // =============================================================================
-// PROJECT-CENTRIC ENDPOINTS
+// SESSION TRANSCRIPTS
 // =============================================================================
+// GET /sessions/:id/transcript?format=html|md|pdf renders a whole session: its steps in order
+// under a heading per phase, with commands, exit codes and pushed documents inline.
+// html is a single file (CSS and the highlight.js theme inlined, no scripts); pdf is that
+// HTML printed by renderPdf(); md is one Markdown file with the original step markdown.
 
-// Input validation helper
-function validateProjectParams(server, project) {
-  if (!server || typeof server !== 'string' || server.length > 50) {
-    return { valid: false, error: 'Invalid server parameter' };
+const TRANSCRIPT_FORMATS = ['html', 'md', 'pdf'];
+const HIGHLIGHT_CSS = (() => {
+  try {
+    return fs.readFileSync(require.resolve('highlight.js/styles/github.css'), 'utf8');
+  } catch (err) {
+    console.warn('[Transcript] highlight.js theme not found - code blocks will be unstyled');
+    return '';
   }
-  const projectPattern = /^[a-zA-Z0-9_\-\.]{1,100}$/;
-  if (!project || !projectPattern.test(project)) {
-    return { valid: false, error: 'Invalid project name format' };
+})();
+
+const TRANSCRIPT_CSS = `
+  :root { color-scheme: light; }
+  body { font: 14px/1.55 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; color: #1f2328; max-width: 960px; margin: 0 auto; padding: 32px 24px; }
+  header.doc-header { border-bottom: 2px solid #d0d7de; margin-bottom: 24px; padding-bottom: 12px; }
+  header.doc-header h1 { margin: 0 0 4px; font-size: 24px; }
+  .subtitle { color: #57606a; margin: 0 0 12px; }
+  dl.meta { display: grid; grid-template-columns: max-content 1fr; gap: 2px 16px; margin: 0; font-size: 13px; }
+  dl.meta dt { color: #57606a; }
+  dl.meta dd { margin: 0; word-break: break-all; }
+  h2.phase { font-size: 18px; margin: 32px 0 12px; padding: 6px 10px; background: #f6f8fa; border-left: 4px solid #0969da; break-after: avoid; }
+  h2.section { font-size: 18px; margin: 32px 0 12px; border-bottom: 1px solid #d0d7de; padding-bottom: 4px; }
+  section.step { margin: 0 0 18px; }
+  .step-meta { font-size: 12px; color: #57606a; margin-bottom: 6px; }
+  .step-meta .type { text-transform: uppercase; letter-spacing: .04em; font-weight: 600; }
+  pre.command { background: #24292f; color: #f6f8fa; padding: 8px 12px; border-radius: 6px; margin: 0 0 6px; white-space: pre-wrap; word-break: break-all; }
+  .exit { display: inline-block; font-size: 12px; padding: 1px 8px; border-radius: 10px; background: #dafbe1; color: #116329; }
+  .exit.failed { background: #ffebe9; color: #a40e26; }
+  article.document { border: 1px solid #d0d7de; border-radius: 6px; padding: 0 16px 8px; margin: 8px 0; }
+  article.document > .document-name { margin: 0 -16px 8px; padding: 6px 16px; background: #f6f8fa; border-bottom: 1px solid #d0d7de; font-weight: 600; }
+  .content pre, article.document pre { background: #f6f8fa; padding: 10px 12px; border-radius: 6px; overflow-x: auto; white-space: pre-wrap; word-break: break-word; }
+  code { font: 12px/1.45 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+  pre code.hljs { background: transparent; padding: 0; }
+  table { border-collapse: collapse; margin: 8px 0; }
+  th, td { border: 1px solid #d0d7de; padding: 4px 8px; text-align: left; vertical-align: top; }
+  blockquote { margin: 0; padding: 0 12px; color: #57606a; border-left: 3px solid #d0d7de; }
+  footer { margin-top: 40px; border-top: 1px solid #d0d7de; padding-top: 8px; font-size: 12px; color: #57606a; }
+  @media print { body { padding: 0; max-width: none; } section.step, article.document { break-inside: avoid-page; } }
+`;
+
+function escapeHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatTranscriptTime(value) {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date.toISOString().replace('T', ' ').slice(0, 19) + ' UTC' : '';
+}
+
+function formatDuration(from, to) {
+  const seconds = Math.round((new Date(to) - new Date(from)) / 1000);
+  if (!from || !to || isNaN(seconds) || seconds < 0) return '';
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  return [h && `${h}h`, (h || m) && `${m}m`, `${s}s`].filter(Boolean).join(' ');
+}
+
+// Server-side highlight.js for fenced code (marked 12 ignores the highlight option)
+function highlightCodeBlocks(html) {
+  const container = window.document.createElement('div');
+  container.innerHTML = html;
+  container.querySelectorAll('pre code').forEach(block => {
+    const language = ((block.className || '').match(/language-([\w+#-]+)/) || [])[1];
+    const code = block.textContent;
+    try {
+      if (language && hljs.getLanguage(language)) {
+        block.innerHTML = hljs.highlight(code, { language, ignoreIllegals: true }).value;
+      } else if (code.length <= 20000) {
+        block.innerHTML = hljs.highlightAuto(code).value;
+      }
+      block.classList.add('hljs');
+    } catch (err) {
+      // leave the block as plain text
+    }
+  });
+  return container.innerHTML;
+}
+
+function stepMarkdown(step) {
+  const content = step.content_markdown !== null && step.content_markdown !== undefined ? step.content_markdown : step.content;
+  return content || '';
+}
+
+function phaseLabel(step) {
+  const name = step.phase_name ? step.phase_name.replace(/[\r\n]/g, ' ').trim() : '';
+  if (step.phase_number !== null && step.phase_number !== undefined) {
+    return name ? `Phase ${step.phase_number}: ${name}` : `Phase ${step.phase_number}`;
   }
-  return { valid: true };
+  return name;
 }
 
-// SQL LIKE escape helper
-function escapeLikePattern(str) {
-  if (typeof str !== 'string') return '';
-  return str.replace(/[%_\\]/g, '\\$&');
+// Steps split at each phase change: [{ label, steps }]
+function groupStepsByPhase(steps) {
+  const groups = [];
+  steps.forEach(step => {
+    const label = phaseLabel(step);
+    const current = groups[groups.length - 1];
+    if (!current || (label && label !== current.label)) {
+      groups.push({ label, steps: [step] });
+    } else {
+      current.steps.push(step);
+    }
+  });
+  return groups;
 }
 
-// Get all projects (grouped by project name)
-app.get('/projects', async (req, res) => {
-  try {
-    const { server } = req.query;
-    const params = [];
-    let serverFilter = '';
-    
-    if (server) {
-      if (typeof server !== 'string' || server.length > 50) {
-        return res.status(400).json({ error: 'Invalid server parameter' });
+function transcriptTitle(session) {
+  return `${session.project_name} - /${session.command_type} transcript`;
+}
+
+function transcriptMeta(session) {
+  return [
+    ['Server', session.server_origin],
+    ['Host', session.server_hostname || session.hostname],
+    ['Directory', session.working_directory || session.cwd || session.project_path],
+    ['Command', `/${session.command_type}${session.command_args ? ' ' + session.command_args : ''}`],
+    ['Status', session.session_status],
+    ['Started', formatTranscriptTime(session.started_at)],
+    ['Completed', formatTranscriptTime(session.completed_at)],
+    ['Duration', formatDuration(session.started_at, session.completed_at)],
+    ['Git', [session.git_branch, (session.git_commit_sha || session.git_commit || '').slice(0, 12)].filter(Boolean).join(' @ ')],
+    ['Session', session.id]
+  ].filter(([, value]) => value);
+}
+
+function renderTranscriptHtml(session) {
+  const stepsHtml = groupStepsByPhase(session.steps).map(group => {
+    const heading = group.label ? `<h2 class="phase">${escapeHtml(group.label)}</h2>\n` : '';
+    return heading + group.steps.map(step => {
+      const markdown = stepMarkdown(step);
+      if (!markdown && !step.command_text && step.exit_code === null) return '';
+      const type = step.step_type || 'output';
+      const parts = [
+        `<div class="step-meta">#${step.step_number} &middot; <span class="type">${escapeHtml(type)}</span>` +
+          (step.created_at ? ` &middot; ${escapeHtml(formatTranscriptTime(step.created_at))}` : '') + '</div>'
+      ];
+      if (step.command_text) {
+        parts.push(`<pre class="command"><code>$ ${escapeHtml(step.command_text)}</code></pre>`);
       }
-      params.push(server);
-      serverFilter = 'AND ps.server_origin = $1';
+      if (step.exit_code !== null && step.exit_code !== undefined) {
+        parts.push(`<span class="exit${step.exit_code === 0 ? '' : ' failed'}">exit ${escapeHtml(step.exit_code)}</span>`);
+      }
+      if (markdown) {
+        const body = renderMarkdownHtml(markdown);
+        parts.push(type === 'document' && step.document_name
+          ? `<article class="document"><div class="document-name">📄 ${escapeHtml(step.document_name.trim())}</div>${body}</article>`
+          : `<div class="content">${body}</div>`);
+      }
+      return `<section class="step step-${escapeHtml(type)}">\n${parts.join('\n')}\n</section>`;
+    }).join('\n');
+  }).join('\n');
+
+  const summary = session.summary_markdown
+    ? `<h2 class="section">Summary</h2>\n<div class="content">${renderMarkdownHtml(session.summary_markdown)}</div>`
+    : '';
+  const meta = transcriptMeta(session)
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(transcriptTitle(session))}</title>
+<style>${TRANSCRIPT_CSS}
+${HIGHLIGHT_CSS}</style>
+</head>
+<body>
+<header class="doc-header">
+<h1>${escapeHtml(session.project_name)}</h1>
+<p class="subtitle">/${escapeHtml(session.command_type)} session transcript &middot; ${session.steps.length} steps</p>
+<dl class="meta">${meta}</dl>
+</header>
+<main>
+${highlightCodeBlocks(stepsHtml + summary)}
+</main>
+<footer>Exported from PDev Live ${escapeHtml(PDEV_VERSION.version)} on ${escapeHtml(formatTranscriptTime(new Date()))}</footer>
+</body>
+</html>
+`;
+}
+
+function renderTranscriptMarkdown(session) {
+  const lines = [`# ${transcriptTitle(session)}`, ''];
+  transcriptMeta(session).forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+
+  groupStepsByPhase(session.steps).forEach(group => {
+    if (group.label) lines.push('', `## ${group.label}`);
+    group.steps.forEach(step => {
+      const markdown = stepMarkdown(step);
+      if (!markdown && !step.command_text && step.exit_code === null) return;
+      const type = step.step_type || 'output';
+      const documentName = type === 'document' && step.document_name ? ` - ${step.document_name.trim()}` : '';
+      lines.push('', `### #${step.step_number} ${type}${documentName}` +
+        (step.created_at ? ` (${formatTranscriptTime(step.created_at)})` : ''));
+      if (step.command_text) {
+        // A fence longer than any backtick run inside the command
+        const fence = '`'.repeat(Math.max(3, ...(step.command_text.match(/`+/g) || []).map(run => run.length + 1)));
+        lines.push('', `${fence}bash`, `$ ${step.command_text}`, fence);
+      }
+      if (step.exit_code !== null && step.exit_code !== undefined) {
+        lines.push('', `Exit code: ${step.exit_code}`);
+      }
+      if (markdown) {
+        lines.push('', markdown.replace(/\s+$/, ''));
+      }
+    });
+  });
+
+  if (session.summary_markdown) {
+    lines.push('', '## Summary', '', session.summary_markdown.replace(/\s+$/, ''));
+  }
+  lines.push('', '---', `Exported from PDev Live ${PDEV_VERSION.version} on ${formatTranscriptTime(new Date())}`, '');
+  return lines.join('\n');
+}
+
+app.get('/sessions/:sessionId/transcript', async (req, res) => {
+  const format = req.query.format || 'html';
+  if (!TRANSCRIPT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${TRANSCRIPT_FORMATS.join(', ')}` });
+  }
+
+  try {
+    const session = await getSessionWithSteps(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
     }
-    
-    const query = `
-      SELECT 
-        ps.project_name,
-        ps.server_origin,
-        COUNT(DISTINCT ps.id) as session_count,
-        MAX(ps.started_at) as last_activity,
-        COALESCE(step_counts.total_steps, 0) as total_steps
-      FROM pdev_sessions ps
-      LEFT JOIN (
-        SELECT s.project_name, s.server_origin, COUNT(st.id) as total_steps
-        FROM pdev_sessions s
-        JOIN pdev_steps st ON st.session_id = s.id
-        WHERE s.deleted_at IS NULL
-        GROUP BY s.project_name, s.server_origin
-      ) step_counts ON step_counts.project_name = ps.project_name 
-        AND step_counts.server_origin = ps.server_origin
-      WHERE ps.deleted_at IS NULL ${serverFilter}
-      GROUP BY ps.project_name, ps.server_origin, step_counts.total_steps
-      ORDER BY last_activity DESC
-    `;
-    
-    const result = await pool.query(query, params);
-    res.json({ projects: result.rows, count: result.rows.length });
+
+    const filename = downloadFileName(format, 'transcript', session.project_name, session.id.slice(0, 8));
+    res.set('Cache-Control', 'no-store');
+    if (format === 'md') {
+      res.set('Content-Type', 'text/markdown; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(renderTranscriptMarkdown(session));
+    }
+
+    const html = renderTranscriptHtml(session);
+    if (format === 'html') {
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      res.set('Content-Disposition', `inline; filename="${filename}"`);
+      return res.send(html);
+    }
+
+    const pdf = await renderPdf(html, { title: transcriptTitle(session) });
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(pdf);
   } catch (err) {
-    console.error('[Projects] Error:', err.message);
-    res.status(500).json({ error: 'Failed to fetch projects' });
+    if (err.code === 'PDF_UNAVAILABLE') {
+      return res.status(503).json({ error: err.message });
+    }
+    console.error('[Transcript] Error:', err.message);
+    res.status(500).json({ error: 'Failed to render transcript' });
   }
 });
 
-// Get project documents (latest from sessions)
-app.get('/projects/:server/:project/docs', async (req, res) => {
-  try {
-    const { server, project } = req.params;
-    const validation = validateProjectParams(server, project);
-    if (!validation.valid) {
-      return res.status(400).json({ error: validation.error });
-    }
+// =============================================================================
+// PROJECT REPORTS
+// =============================================================================
+// GET /projects/:server/:project/report?format=pdf|html|docx|zip bundles a project's latest
+// documents into one deliverable: a cover page, a table of contents in contract phase order,
+// each document with the meta card project.html shows for its frontmatter, documents outside
+// the contract after the pipeline ones, and an appendix listing the phases still missing.
+// html is self-contained like the transcripts and pdf is that HTML printed by renderPdf();
+// docx is built from the same markdown; zip holds report.html and every original .md file.
+
+const REPORT_FORMATS = ['pdf', 'html', 'docx', 'zip'];
+const REPORT_CONTENT_TYPES = {
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  zip: 'application/zip'
+};
+// Same thresholds and gap levels as the meta card in project.html
+const REPORT_HEALTH_THRESHOLDS = { good: 80, warning: 60 };
+const REPORT_GAP_LEVELS = ['critical', 'high', 'medium', 'low'];
+
+const REPORT_CSS = `
+  .cover { min-height: 70vh; display: flex; flex-direction: column; justify-content: center; break-after: page; }
+  .cover h1 { font-size: 36px; margin: 0 0 6px; }
+  .cover .subtitle { font-size: 16px; margin-bottom: 24px; }
+  nav.toc { break-after: page; }
+  nav.toc h2 { font-size: 20px; }
+  nav.toc ol { padding-left: 22px; }
+  nav.toc li { margin: 4px 0; }
+  nav.toc a { color: #0969da; text-decoration: none; }
+  nav.toc .toc-phase { color: #57606a; font-size: 12px; margin-left: 6px; }
+  section.report-doc { break-before: page; margin-top: 48px; }
+  section.report-doc > h2 { font-size: 22px; margin: 0 0 4px; padding-bottom: 6px; border-bottom: 2px solid #d0d7de; }
+  .doc-details { color: #57606a; font-size: 12px; margin: 4px 0 12px; }
+  .stale-note { color: #9a6700; font-size: 12px; margin: 0 0 12px; }
+  aside.meta-card { border: 1px solid #d0d7de; border-radius: 6px; background: #f6f8fa; padding: 8px 12px; margin: 0 0 16px; break-inside: avoid; }
+  aside.meta-card .meta-title { font-weight: 600; font-size: 12px; text-transform: uppercase; letter-spacing: .04em; color: #57606a; margin-bottom: 4px; }
+  .health-good { color: #116329; font-weight: 600; }
+  .health-warning { color: #9a6700; font-weight: 600; }
+  .health-critical { color: #a40e26; font-weight: 600; }
+  .report-doc .content h1 { font-size: 20px; }
+  .report-doc .content h2 { font-size: 17px; }
+  .report-doc .content h3 { font-size: 15px; }
+  section.appendix { break-before: page; margin-top: 48px; }
+  table.missing-phases { width: 100%; }
+`;
+
+async function loadProjectReport(server, project) {
+  const result = await pool.query(`
+    SELECT project_name, document_name, content, metadata, version, updated_at, file_modified_at
+    FROM pdev_project_documents
+    WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)
+  `, [server, project]);
+  if (result.rows.length === 0) return null;
+
+  const contract = resolveDocContract(server, project);
+  const latest = latestDocsByType(result.rows, contract);
+  const pipeline = buildPipeline(result.rows, contract);
+  const documents = pipeline.phases
+    .filter(phase => phase.status === 'present')
+    .map(phase => ({ type: phase.type, phase: phase.phase, staleAgainst: phase.staleAgainst.map(item => item.type) }));
+  Object.keys(latest).sort()
+    .filter(type => !contract.PIPELINE_DOCS.some(doc => doc.type === type))
+    .forEach(type => documents.push({ type, phase: null, staleAgainst: [] }));
+
+  documents.forEach((doc, index) => {
+    const row = latest[doc.type];
+    doc.row = row;
+    doc.anchor = `doc_${index + 1}`;
+    doc.title = doc.type.replace(/_/g, ' ');
+    doc.meta = row.metadata || parseDocFrontmatter(row.content) || {};
+    doc.markdown = stripDocFrontmatter(row.content);
+  });
+
+  return {
+    server,
+    project: latest[documents[0].type].project_name,
+    contractSource: contract.source,
+    summary: pipeline.summary,
+    documents,
+    missing: pipeline.phases.filter(phase => phase.status === 'missing'),
+    generatedAt: new Date()
+  };
+}
+
+function reportTitle(report) {
+  return `${report.project} - project report`;
+}
+
+function reportDocHeading(doc) {
+  return doc.phase !== null ? `Phase ${doc.phase}: ${doc.title}` : doc.title;
+}
+
+function reportDocDetails(doc) {
+  return [
+    doc.row.document_name.trim(),
+    `updated ${formatTranscriptTime(doc.row.file_modified_at || doc.row.updated_at)}`
+  ].join(' · ');
+}
+
+function reportStaleNote(doc) {
+  return doc.staleAgainst.length > 0 ? `Older than upstream changes to ${doc.staleAgainst.join(', ')}` : '';
+}
+
+function reportCoverMeta(report) {
+  const { summary } = report;
+  const next = summary.nextPhase;
+  return [
+    ['Server', report.server],
+    ['Pipeline', `${summary.present} of ${summary.total} phases (${summary.percent}%)`],
+    ['Out of date', summary.stale > 0 ? `${summary.stale} document${summary.stale === 1 ? '' : 's'}` : ''],
+    ['Next phase', next ? [next.type, next.cmd].filter(Boolean).join(' - ') : ''],
+    ['Documents', String(report.documents.length)],
+    ['Contract', report.contractSource],
+    ['Generated', formatTranscriptTime(report.generatedAt)]
+  ].filter(([, value]) => value);
+}
+
+// Rows of the meta card project.html renders for a document's frontmatter: [label, value, className]
+function reportMetaItems(meta) {
+  const items = [];
+  if (!meta || typeof meta !== 'object') return items;
+  if (meta.pdev_version) items.push(['Version', `v${meta.pdev_version}`]);
+  if (meta.pipeline_stage) items.push(['Stage', String(meta.pipeline_stage).replace(/_/g, ' ')]);
+  const health = parseInt(meta.health_score, 10);
+  if (!isNaN(health)) {
+    const level = health >= REPORT_HEALTH_THRESHOLDS.good ? 'good'
+      : health >= REPORT_HEALTH_THRESHOLDS.warning ? 'warning' : 'critical';
+    items.push(['Health', `${health}% (${level})`, `health-${level}`]);
+  }
+  if (meta.remediation_status) items.push(['Remediation', String(meta.remediation_status)]);
+  const gaps = REPORT_GAP_LEVELS
+    .filter(level => meta[`gaps_${level}`] !== undefined && meta[`gaps_${level}`] !== null && meta[`gaps_${level}`] !== '')
+    .map(level => `${meta[`gaps_${level}`]} ${level}`);
+  if (gaps.length > 0) items.push(['Gaps', gaps.join(', ')]);
+  const dates = [meta.created && `Created: ${meta.created}`, meta.modified && `Modified: ${meta.modified}`].filter(Boolean);
+  if (dates.length > 0) items.push(['Dates', dates.join(' | ')]);
+  if (Array.isArray(meta.dependencies) && meta.dependencies.length > 0) {
+    items.push(['Dependencies', meta.dependencies.join(', ')]);
+  }
+  return items;
+}
+
+function renderReportMetaCard(meta) {
+  const items = reportMetaItems(meta);
+  if (items.length === 0) return '';
+  const rows = items.map(([label, value, className]) =>
+    `<dt>${escapeHtml(label)}</dt><dd${className ? ` class="${className}"` : ''}>${escapeHtml(value)}</dd>`).join('');
+  return `<aside class="meta-card"><div class="meta-title">Document Info</div><dl class="meta">${rows}</dl></aside>`;
+}
 
-    // Prevent browser caching of API response
-    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
-    res.setHeader('Pragma', 'no-cache');
-    res.setHeader('Expires', '0');
+function renderReportHtml(report) {
+  const cover = reportCoverMeta(report)
+    .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('');
+  const toc = report.documents.map(doc =>
+    `<li><a href="#${doc.anchor}">${escapeHtml(doc.title)}</a>` +
+    `<span class="toc-phase">${doc.phase !== null ? `phase ${doc.phase}` : 'additional'}</span></li>`).join('\n');
+
+  const documents = report.documents.map(doc => {
+    const stale = reportStaleNote(doc);
+    return `<section class="report-doc" id="${doc.anchor}">
+<h2>${escapeHtml(reportDocHeading(doc))}</h2>
+<p class="doc-details">${escapeHtml(reportDocDetails(doc))}</p>
+${stale ? `<p class="stale-note">${escapeHtml(stale)}</p>\n` : ''}${renderReportMetaCard(doc.meta)}
+<div class="content">${renderMarkdownHtml(doc.markdown) || ''}</div>
+</section>`;
+  }).join('\n');
+
+  const missing = report.missing.length > 0
+    ? `<table class="missing-phases"><thead><tr><th>Phase</th><th>Document</th><th>Produced by</th></tr></thead><tbody>
+${report.missing.map(phase => `<tr><td>${escapeHtml(phase.phase)}</td><td>${escapeHtml(phase.name || phase.type)}</td><td>${escapeHtml(phase.cmd || '')}</td></tr>`).join('\n')}
+</tbody></table>`
+    : '<p>Every phase of the pipeline has a document.</p>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(reportTitle(report))}</title>
+<style>${TRANSCRIPT_CSS}
+${REPORT_CSS}
+${HIGHLIGHT_CSS}</style>
+</head>
+<body>
+<header class="doc-header cover">
+<h1>${escapeHtml(report.project)}</h1>
+<p class="subtitle">Project report</p>
+<dl class="meta">${cover}</dl>
+</header>
+<nav class="toc">
+<h2>Contents</h2>
+<ol>
+${toc}
+<li><a href="#appendix">Appendix: missing phases</a></li>
+</ol>
+</nav>
+<main>
+${highlightCodeBlocks(documents)}
+<section class="appendix" id="appendix">
+<h2 class="section">Appendix: missing phases</h2>
+${missing}
+</section>
+</main>
+<footer>Exported from PDev Live ${escapeHtml(PDEV_VERSION.version)} on ${escapeHtml(formatTranscriptTime(report.generatedAt))}</footer>
+</body>
+</html>
+`;
+}
 
-    // Query project-scoped documents (survives session deletion)
-    const result = await pool.query(`
-      SELECT
-        id as step_id,
-        UPPER(REGEXP_REPLACE(TRIM(BOTH E'\\n\\r\\t ' FROM document_name), '\\.md$', '', 'i')) as document_name,
-        document_name as original_name,
-        content,
-        updated_at as modified,
-        file_created_at,
-        file_modified_at,
-        phase_number,
-        phase_name
-      FROM pdev_project_documents
-      WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2)
-      ORDER BY phase_number NULLS LAST, document_name
-    `, [server, project]);
-    
-    const docs = {};
-    let lastModified = null;
+// marked escapes inline text for HTML; Word wants it back as written
+function unescapeHtml(text) {
+  const entities = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'" };
+  return String(text).replace(/&(amp|lt|gt|quot|#39);/g, (_, entity) => entities[entity]);
+}
 
-    result.rows.forEach(row => {
-      const rawDocType = row.document_name.replace(/[\r\n]/g, '').trim().replace(/\.md$/i, '').toUpperCase();
-      const docType = normalizeDocType(rawDocType); // Normalize to canonical form
-      let version = null;
+const DOCX_HEADINGS = [
+  docx.HeadingLevel.HEADING_2, docx.HeadingLevel.HEADING_3, docx.HeadingLevel.HEADING_4,
+  docx.HeadingLevel.HEADING_5, docx.HeadingLevel.HEADING_6, docx.HeadingLevel.HEADING_6
+];
+const DOCX_MONO = 'Consolas';
+const DOCX_BORDER = { style: docx.BorderStyle.SINGLE, size: 6, color: 'D0D7DE', space: 4 };
+
+// marked inline tokens -> docx runs
+function docxRuns(tokens, style = {}) {
+  const runs = [];
+  (tokens || []).forEach(token => {
+    switch (token.type) {
+      case 'strong':
+        runs.push(...docxRuns(token.tokens, { ...style, bold: true }));
+        break;
+      case 'em':
+        runs.push(...docxRuns(token.tokens, { ...style, italics: true }));
+        break;
+      case 'del':
+        runs.push(...docxRuns(token.tokens, { ...style, strike: true }));
+        break;
+      case 'codespan':
+        runs.push(new docx.TextRun({ ...style, text: unescapeHtml(token.text), font: DOCX_MONO }));
+        break;
+      case 'br':
+        runs.push(new docx.TextRun({ break: 1 }));
+        break;
+      case 'link':
+        if (/^(https?:|mailto:)/i.test(token.href)) {
+          runs.push(new docx.ExternalHyperlink({
+            link: token.href,
+            children: docxRuns(token.tokens, { ...style, style: 'Hyperlink' })
+          }));
+        } else {
+          runs.push(...docxRuns(token.tokens, style));
+        }
+        break;
+      case 'image':
+        runs.push(new docx.TextRun({ ...style, text: `[${unescapeHtml(token.text || 'image')}]`, italics: true }));
+        break;
+      case 'html':
+        // Inline tags are dropped; their text arrives as separate tokens
+        break;
+      default:
+        if (token.tokens) {
+          runs.push(...docxRuns(token.tokens, style));
+        } else if (token.text) {
+          runs.push(new docx.TextRun({ ...style, text: unescapeHtml(token.text) }));
+        }
+    }
+  });
+  return runs;
+}
 
-      if (row.content) {
-        const versionMatch = row.content.match(/pdev_version:\s*([0-9.]+)/);
-        if (versionMatch) version = versionMatch[1];
+// header: cells of the bold first row, or null for none
+function docxTable(header, rows, cellRuns) {
+  const toRow = (cells, isHeader) => new docx.TableRow({
+    tableHeader: isHeader,
+    children: cells.map(cell => new docx.TableCell({
+      ...(isHeader ? { shading: { type: docx.ShadingType.CLEAR, fill: 'F6F8FA', color: 'auto' } } : {}),
+      children: [new docx.Paragraph({ children: cellRuns(cell, isHeader) })]
+    }))
+  });
+  return new docx.Table({
+    width: { size: 100, type: docx.WidthType.PERCENTAGE },
+    rows: [...(header ? [toRow(header, true)] : []), ...rows.map(row => toRow(row, false))]
+  });
+}
+
+// marked block tokens -> docx paragraphs and tables
+// context: { list: { level, ordered, instance } | null, quote: boolean, numbering: { next } }
+function docxBlocks(tokens, context) {
+  const blocks = [];
+  const indent = context.quote ? { left: 720 } : undefined;
+  const border = context.quote ? { left: DOCX_BORDER } : undefined;
+  const runStyle = context.quote ? { italics: true } : {};
+
+  (tokens || []).forEach(token => {
+    switch (token.type) {
+      case 'heading':
+        blocks.push(new docx.Paragraph({ heading: DOCX_HEADINGS[token.depth - 1], children: docxRuns(token.tokens) }));
+        break;
+      case 'paragraph':
+      case 'text':
+        blocks.push(new docx.Paragraph({ indent, border, children: docxRuns(token.tokens || [token], runStyle) }));
+        break;
+      case 'code':
+        blocks.push(new docx.Paragraph({
+          shading: { type: docx.ShadingType.CLEAR, fill: 'F6F8FA', color: 'auto' },
+          indent,
+          children: token.text.split('\n').map((line, index) =>
+            new docx.TextRun({ text: line, font: DOCX_MONO, size: 18, break: index > 0 ? 1 : 0 }))
+        }));
+        break;
+      case 'blockquote':
+        blocks.push(...docxBlocks(token.tokens, { ...context, quote: true }));
+        break;
+      case 'list': {
+        const level = context.list ? context.list.level + 1 : 0;
+        const instance = context.numbering.next++;
+        token.items.forEach(item => {
+          const [first, ...rest] = item.tokens;
+          const checkbox = item.task ? new docx.TextRun(item.checked ? '☑ ' : '☐ ') : null;
+          const marker = token.ordered
+            ? { numbering: { reference: 'report-ordered', level: Math.min(level, 4), instance } }
+            : { bullet: { level: Math.min(level, 4) } };
+          const leading = first && (first.type === 'text' || first.type === 'paragraph')
+            ? docxRuns(first.tokens || [first]) : [];
+          blocks.push(new docx.Paragraph({ ...marker, children: checkbox ? [checkbox, ...leading] : leading }));
+          const remaining = first && (first.type === 'text' || first.type === 'paragraph') ? rest : item.tokens;
+          blocks.push(...docxBlocks(remaining, { ...context, list: { level } }));
+        });
+        break;
+      }
+      case 'table':
+        blocks.push(docxTable(token.header, token.rows, (cell, isHeader) => docxRuns(cell.tokens, isHeader ? { bold: true } : {})));
+        blocks.push(new docx.Paragraph({ children: [] }));
+        break;
+      case 'hr':
+        blocks.push(new docx.Paragraph({ border: { bottom: DOCX_BORDER }, children: [] }));
+        break;
+      case 'html': {
+        const text = token.text.replace(/<(script|style)[\s\S]*?<\/\1>/gi, '').replace(/<[^>]*>/g, '').trim();
+        if (text) blocks.push(new docx.Paragraph({ indent, children: [new docx.TextRun({ text: unescapeHtml(text), ...runStyle })] }));
+        break;
       }
+      default:
+        // space, def: nothing to print
+        break;
+    }
+  });
+  return blocks;
+}
 
-      // Use database created_at timestamp (when doc was pushed) - includes time
-      const docModified = row.modified; // This is created_at from SQL
+function docxMarkdown(markdown, numbering) {
+  return docxBlocks(marked.lexer(markdown || ''), { list: null, quote: false, numbering });
+}
 
-      // Only store if not already present (prefer first/latest occurrence)
-      if (!docs[docType]) {
-        docs[docType] = {
-          id: row.step_id,
-          name: row.document_name.replace(/[\r\n]/g, '').trim(),
-          version: version,
-          modified: docModified,
-          fileCreatedAt: row.file_created_at,
-          fileModifiedAt: row.file_modified_at,
-          phase: row.phase_number,
-          phaseName: row.phase_name ? row.phase_name.replace(/[\r\n]/g, '').trim() : null,
-          hasContent: !!row.content
-        };
-      }
+// Label/value rows (cover details, meta cards)
+function docxLabelTable(items) {
+  return docxTable(
+    null,
+    items.map(([label, value]) => [{ text: label, bold: true }, { text: value }]),
+    column => [new docx.TextRun({ text: column.text, bold: column.bold })]
+  );
+}
 
-      if (!lastModified || new Date(docModified) > new Date(lastModified)) {
-        lastModified = docModified;
-      }
-    });
-    
-    res.json({ ...docs, lastModified });
-  } catch (err) {
-    console.error('[Projects] Docs error:', err.message);
-    res.status(500).json({ error: 'Failed to fetch project documents' });
+function buildReportDocx(report) {
+  const numbering = { next: 1 };
+  const children = [
+    new docx.Paragraph({ heading: docx.HeadingLevel.TITLE, children: [new docx.TextRun(report.project)] }),
+    new docx.Paragraph({ children: [new docx.TextRun({ text: 'Project report', color: '57606A', size: 28 })] }),
+    docxLabelTable(reportCoverMeta(report)),
+    new docx.Paragraph({ children: [new docx.PageBreak()] }),
+    new docx.Paragraph({ heading: docx.HeadingLevel.HEADING_1, children: [new docx.TextRun('Contents')] }),
+    ...report.documents.map(doc => new docx.Paragraph({
+      numbering: { reference: 'report-ordered', level: 0, instance: 0 },
+      children: [
+        new docx.InternalHyperlink({ anchor: doc.anchor, children: [new docx.TextRun({ text: doc.title, style: 'Hyperlink' })] }),
+        new docx.TextRun({ text: `  ${doc.phase !== null ? `phase ${doc.phase}` : 'additional'}`, color: '57606A', size: 18 })
+      ]
+    })),
+    new docx.Paragraph({
+      numbering: { reference: 'report-ordered', level: 0, instance: 0 },
+      children: [new docx.InternalHyperlink({ anchor: 'appendix', children: [new docx.TextRun({ text: 'Appendix: missing phases', style: 'Hyperlink' })] })]
+    })
+  ];
+
+  report.documents.forEach(doc => {
+    children.push(new docx.Paragraph({
+      heading: docx.HeadingLevel.HEADING_1,
+      pageBreakBefore: true,
+      children: [new docx.Bookmark({ id: doc.anchor, children: [new docx.TextRun(reportDocHeading(doc))] })]
+    }));
+    children.push(new docx.Paragraph({ children: [new docx.TextRun({ text: reportDocDetails(doc), color: '57606A', size: 18 })] }));
+    const stale = reportStaleNote(doc);
+    if (stale) children.push(new docx.Paragraph({ children: [new docx.TextRun({ text: stale, color: '9A6700', size: 18 })] }));
+    const meta = reportMetaItems(doc.meta);
+    if (meta.length > 0) {
+      children.push(docxLabelTable(meta));
+      children.push(new docx.Paragraph({ children: [] }));
+    }
+    children.push(...docxMarkdown(doc.markdown, numbering));
+  });
+
+  children.push(new docx.Paragraph({
+    heading: docx.HeadingLevel.HEADING_1,
+    pageBreakBefore: true,
+    children: [new docx.Bookmark({ id: 'appendix', children: [new docx.TextRun('Appendix: missing phases')] })]
+  }));
+  if (report.missing.length > 0) {
+    const cell = text => ({ text: String(text) });
+    children.push(docxTable(
+      [cell('Phase'), cell('Document'), cell('Produced by')],
+      report.missing.map(phase => [cell(phase.phase), cell(phase.name || phase.type), cell(phase.cmd || '')]),
+      (column, isHeader) => [new docx.TextRun({ text: column.text, bold: isHeader })]
+    ));
+  } else {
+    children.push(new docx.Paragraph('Every phase of the pipeline has a document.'));
+  }
+
+  const document = new docx.Document({
+    creator: `PDev Live ${PDEV_VERSION.version}`,
+    title: reportTitle(report),
+    numbering: {
+      config: [{
+        reference: 'report-ordered',
+        levels: [0, 1, 2, 3, 4].map(level => ({
+          level,
+          format: docx.LevelFormat.DECIMAL,
+          text: `%${level + 1}.`,
+          alignment: docx.AlignmentType.START,
+          style: { paragraph: { indent: { left: 720 * (level + 1), hanging: 360 } } }
+        }))
+      }]
+    },
+    sections: [{
+      footers: {
+        default: new docx.Footer({
+          children: [new docx.Paragraph({
+            alignment: docx.AlignmentType.CENTER,
+            children: [new docx.TextRun({
+              size: 16,
+              color: '888888',
+              children: [`${reportTitle(report)} · `, docx.PageNumber.CURRENT, '/', docx.PageNumber.TOTAL_PAGES]
+            })]
+          })]
+        })
+      },
+      children
+    }]
+  });
+  return docx.Packer.toBuffer(document);
+}
+
+// report.html plus each document's original markdown, numbered in report order
+function buildReportZip(report, html) {
+  const zip = new JSZip();
+  zip.file('report.html', html);
+  report.documents.forEach((doc, index) => {
+    const name = doc.row.document_name.trim().replace(/[^a-zA-Z0-9_.-]+/g, '_').replace(/(\.md)?$/i, '.md');
+    zip.file(`documents/${String(index + 1).padStart(2, '0')}-${name}`, doc.row.content || '');
+  });
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+app.get('/projects/:server/:project/report', async (req, res) => {
+  const format = req.query.format || 'html';
+  if (!REPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${REPORT_FORMATS.join(', ')}` });
+  }
+  const { server, project } = req.params;
+  const validation = validateProjectParams(server, project);
+  if (!validation.valid) {
+    return res.status(400).json({ error: validation.error });
   }
-});
 
-// Get specific document content
-app.get('/projects/:server/:project/docs/:docType', async (req, res) => {
   try {
-    const { server, project, docType } = req.params;
-    const validation = validateProjectParams(server, project);
-    if (!validation.valid) {
-      return res.status(400).json({ error: validation.error });
+    const report = await loadProjectReport(server, project);
+    if (!report) {
+      return res.status(404).json({ error: 'Project not found' });
     }
 
-    if (!docType || typeof docType !== 'string' || docType.length > 50) {
-      return res.status(400).json({ error: 'Invalid document type' });
+    const filename = downloadFileName(format, 'report', server, report.project);
+    res.set('Cache-Control', 'no-store');
+    if (format === 'docx') {
+      const document = await buildReportDocx(report);
+      res.set('Content-Type', REPORT_CONTENT_TYPES.docx);
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(document);
     }
 
-    // Prevent browser caching of API response
-    res.setHeader('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
-    res.setHeader('Pragma', 'no-cache');
-    res.setHeader('Expires', '0');
+    const html = renderReportHtml(report);
+    if (format === 'html') {
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      res.set('Content-Disposition', `inline; filename="${filename}"`);
+      return res.send(html);
+    }
+    if (format === 'zip') {
+      const bundle = await buildReportZip(report, html);
+      res.set('Content-Type', REPORT_CONTENT_TYPES.zip);
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(bundle);
+    }
 
-    const safeDocType = escapeLikePattern(docType.toUpperCase());
+    const pdf = await renderPdf(html, { title: reportTitle(report) });
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(pdf);
+  } catch (err) {
+    if (err.code === 'PDF_UNAVAILABLE') {
+      return res.status(503).json({ error: err.message });
+    }
+    console.error('[Report] Error:', err.message);
+    res.status(500).json({ error: 'Failed to build project report' });
+  }
+});
 
-    // Query both explicit documents AND output steps with PDev doc headers
-    // Normalize document_name: UPPER, TRIM whitespace/newlines, remove .md suffix
-    const result = await pool.query(`
-      WITH doc_steps AS (
-        -- Explicit document steps
-        SELECT
-          id as step_id,
-          UPPER(REGEXP_REPLACE(TRIM(BOTH E'\\n\\r\\t ' FROM document_name), '\\.md$', '', 'i')) as normalized_name,
-          document_name as original_name,
-          content_markdown as content,
-          created_at as modified,
-          file_created_at,
-          file_modified_at,
-          phase_number,
-          phase_name
-        FROM pdev_session_steps
-        WHERE session_id IN (
-          SELECT id FROM pdev_sessions
-          WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2) AND deleted_at IS NULL
-        )
-        AND step_type = 'document'
-        AND document_name IS NOT NULL
+// =============================================================================
+// FULL-TEXT SEARCH
+// =============================================================================
+// Backed by generated tsvector columns (migration 008_add_full_text_search)
+
+const SEARCH_SCOPES = ['steps', 'documents', 'projects'];
+// Sentinels survive ts_headline untouched so snippets can be HTML-escaped before highlighting
+const SEARCH_MARK_START = '⟦';
+const SEARCH_MARK_END = '⟧';
+
+function escapeSearchSnippet(text) {
+  if (!text) return '';
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .split(SEARCH_MARK_START).join('<mark>')
+    .split(SEARCH_MARK_END).join('</mark>');
+}
 
-        UNION ALL
+// Find the markdown heading closest above the first highlighted term
+function findSearchSection(body, headline) {
+  if (!body || !headline) return null;
+  const start = headline.indexOf(SEARCH_MARK_START);
+  const end = headline.indexOf(SEARCH_MARK_END, start);
+  if (start === -1 || end === -1) return null;
 
-        -- Output steps with matching PDev document header
-        SELECT
-          id as step_id,
-          UPPER(TRIM(SUBSTRING(content_markdown FROM 'document:\\s*([A-Z_]+)'))) as normalized_name,
-          UPPER(TRIM(SUBSTRING(content_markdown FROM 'document:\\s*([A-Z_]+)'))) as original_name,
-          content_markdown as content,
-          created_at as modified,
-          file_created_at,
-          file_modified_at,
-          phase_number,
-          phase_name
-        FROM pdev_session_steps
-        WHERE session_id IN (
-          SELECT id FROM pdev_sessions
-          WHERE server_origin = $1 AND LOWER(project_name) = LOWER($2) AND deleted_at IS NULL
-        )
-        AND step_type = 'output'
-        AND content_markdown ~ '^---\\s*\\npdev_version:'
-        AND content_markdown ~ 'document:\\s*[A-Z_]+'
-      )
-      SELECT step_id, normalized_name as document_name, original_name, content, modified, file_created_at, file_modified_at, phase_number, phase_name
-      FROM doc_steps
-      WHERE normalized_name IS NOT NULL AND normalized_name LIKE $3
-      ORDER BY modified DESC
-      LIMIT 1
-    `, [server, project, '%' + safeDocType + '%']);
+  const term = headline.substring(start + 1, end).toLowerCase();
+  const pos = body.toLowerCase().indexOf(term);
+  if (pos === -1) return null;
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Document not found' });
+  const headingPattern = /^#{1,6}\s+(.+?)\s*#*\s*$/gm;
+  let section = null;
+  let match;
+  while ((match = headingPattern.exec(body)) !== null && match.index <= pos) {
+    section = match[1].replace(/[*_`]/g, '').trim();
+  }
+  return section;
+}
+
+// Search step content, documents, command text and project names
+// Query: q (websearch syntax), server, project, from, to, type (step type),
+//        scope (comma list of steps,documents,projects), limit, offset
+app.get('/search', async (req, res) => {
+  try {
+    const { q, server, project, from, to, type, scope } = req.query;
+
+    if (!q || typeof q !== 'string' || !q.trim()) {
+      return res.status(400).json({ error: 'Search query (q) is required' });
+    }
+    if (q.length > 200) {
+      return res.status(400).json({ error: 'Search query too long (max 200 characters)' });
+    }
+    if (server && (typeof server !== 'string' || server.length > 50)) {
+      return res.status(400).json({ error: 'Invalid server parameter' });
+    }
+    if (project && (typeof project !== 'string' || !/^[a-zA-Z0-9_\-\.]{1,100}$/.test(project))) {
+      return res.status(400).json({ error: 'Invalid project name format' });
+    }
+    if (type && (typeof type !== 'string' || !/^[a-z_]{1,50}$/.test(type))) {
+      return res.status(400).json({ error: 'Invalid type parameter' });
+    }
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && (typeof value !== 'string' || isNaN(Date.parse(value)))) {
+        return res.status(400).json({ error: `Invalid ${name} date` });
+      }
     }
-    
-    const row = result.rows[0];
-    let version = null;
 
-    if (row.content) {
-      const versionMatch = row.content.match(/pdev_version:\s*([0-9.]+)/);
-      if (versionMatch) version = versionMatch[1];
+    let scopes = SEARCH_SCOPES;
+    if (scope) {
+      scopes = String(scope).split(',').map(s => s.trim()).filter(Boolean);
+      if (scopes.length === 0 || scopes.some(s => !SEARCH_SCOPES.includes(s))) {
+        return res.status(400).json({ error: `Invalid scope. Allowed: ${SEARCH_SCOPES.join(', ')}` });
+      }
+    }
+    // Step type filter only applies to steps (documents are always type 'document')
+    if (type) {
+      scopes = scopes.filter(s => s === 'steps' || (s === 'documents' && type === 'document'));
     }
 
-    // Use database created_at timestamp (when doc was pushed) - includes time
-    res.json({
-      id: row.step_id,
-      name: row.document_name.replace(/[\r\n]/g, '').trim(),
-      content: row.content,
-      version: version,
-      modified: row.modified,
-      fileCreatedAt: row.file_created_at,
-      fileModifiedAt: row.file_modified_at,
-      phase: row.phase_number,
-      phaseName: row.phase_name ? row.phase_name.replace(/[\r\n]/g, '').trim() : null
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const params = [q.trim()];
+    const addParam = (value) => { params.push(value); return '$' + params.length; };
+
+    const serverParam = server ? addParam(server) : null;
+    const projectParam = project ? addParam(project) : null;
+    const fromParam = from ? addParam(new Date(from).toISOString()) : null;
+    const toParam = to ? addParam(new Date(to).toISOString()) : null;
+    const typeParam = type ? addParam(type) : null;
+
+    const filters = (serverCol, projectCol, dateCol) => {
+      const clauses = [];
+      if (serverParam) clauses.push(`${serverCol} = ${serverParam}`);
+      if (projectParam) clauses.push(`LOWER(${projectCol}) = LOWER(${projectParam})`);
+      if (fromParam) clauses.push(`${dateCol} >= ${fromParam}`);
+      if (toParam) clauses.push(`${dateCol} <= ${toParam}`);
+      return clauses.length ? 'AND ' + clauses.join(' AND ') : '';
+    };
+
+    const branches = [];
+    if (scopes.includes('steps')) {
+      branches.push(`
+        SELECT 'step' AS kind, st.id, ts_rank_cd(st.search_vector, query) AS rank,
+               s.server_origin, s.project_name, s.id AS session_id, s.command_type,
+               st.step_number, st.step_type, st.document_name, st.created_at
+        FROM pdev_session_steps st
+        JOIN pdev_sessions s ON s.id = st.session_id, search_query
+        WHERE st.search_vector @@ query
+          AND s.deleted_at IS NULL
+          ${typeParam ? `AND st.step_type = ${typeParam}` : ''}
+          ${filters('s.server_origin', 's.project_name', 'st.created_at')}`);
+    }
+    if (scopes.includes('documents')) {
+      branches.push(`
+        SELECT 'document' AS kind, d.id, ts_rank_cd(d.search_vector, query) AS rank,
+               d.server_origin, d.project_name, NULL::uuid AS session_id, NULL AS command_type,
+               NULL::int AS step_number, 'document' AS step_type, d.document_name, d.updated_at AS created_at
+        FROM pdev_project_documents d, search_query
+        WHERE d.search_vector @@ query
+          ${filters('d.server_origin', 'd.project_name', 'd.updated_at')}`);
+    }
+    if (scopes.includes('projects')) {
+      branches.push(`
+        SELECT 'project' AS kind, NULL::int AS id,
+               MAX(ts_rank_cd(to_tsvector('simple', s.project_name), project_query)) AS rank,
+               s.server_origin, s.project_name, NULL::uuid AS session_id, NULL AS command_type,
+               NULL::int AS step_number, NULL AS step_type, NULL AS document_name, MAX(s.started_at) AS created_at
+        FROM pdev_sessions s, search_query
+        WHERE to_tsvector('simple', s.project_name) @@ project_query
+          AND s.deleted_at IS NULL
+          ${filters('s.server_origin', 's.project_name', 's.started_at')}
+        GROUP BY s.server_origin, s.project_name`);
+    }
+
+    if (branches.length === 0) {
+      return res.json({ query: q.trim(), results: [], count: 0, limit, offset });
+    }
+
+    const limitParam = addParam(limit + 1);
+    const offsetParam = addParam(offset);
+    const headlineParam = addParam(
+      `StartSel=${SEARCH_MARK_START}, StopSel=${SEARCH_MARK_END}, ` +
+      'MaxWords=35, MinWords=12, MaxFragments=2, FragmentDelimiter=" … "'
+    );
+
+    // Rank and paginate first, then build headlines only for the returned page
+    const result = await pool.query(`
+      WITH search_query AS (
+        SELECT websearch_to_tsquery('english', $1) AS query,
+               websearch_to_tsquery('simple', $1) AS project_query
+      ),
+      hits AS (
+        SELECT * FROM (${branches.join('\n        UNION ALL')}
+        ) ranked
+        ORDER BY rank DESC, created_at DESC
+        LIMIT ${limitParam} OFFSET ${offsetParam}
+      )
+      SELECT hits.*,
+        CASE hits.kind
+          WHEN 'step' THEN LEFT(COALESCE(st.content_markdown, st.content), 100000)
+          WHEN 'document' THEN LEFT(d.content, 100000)
+        END AS body,
+        CASE hits.kind
+          WHEN 'step' THEN ts_headline('english',
+            CONCAT_WS(E'\\n', st.command_text, LEFT(COALESCE(st.content_markdown, st.content), 100000)),
+            search_query.query, ${headlineParam})
+          WHEN 'document' THEN ts_headline('english', LEFT(d.content, 100000),
+            search_query.query, ${headlineParam})
+        END AS headline
+      FROM hits
+      CROSS JOIN search_query
+      LEFT JOIN pdev_session_steps st ON hits.kind = 'step' AND st.id = hits.id
+      LEFT JOIN pdev_project_documents d ON hits.kind = 'document' AND d.id = hits.id
+      ORDER BY hits.rank DESC, hits.created_at DESC
+    `, params);
+
+    const hasMore = result.rows.length > limit;
+    const results = result.rows.slice(0, limit).map(row => {
+      const documentName = row.document_name ? row.document_name.replace(/[\r\n]/g, '').trim() : null;
+      return {
+        kind: row.kind,
+        rank: Number(row.rank),
+        server: row.server_origin,
+        project: row.project_name,
+        sessionId: row.session_id,
+        commandType: row.command_type,
+        stepNumber: row.step_number,
+        stepType: row.step_type,
+        documentName: documentName,
+        docType: documentName ? normalizeDocType(documentName, resolveDocContract(row.server_origin, row.project_name)) : null,
+        section: row.kind === 'project' ? null : findSearchSection(row.body, row.headline),
+        snippet: escapeSearchSnippet(row.kind === 'project' ? row.project_name : row.headline),
+        createdAt: row.created_at
+      };
     });
+
+    res.json({ query: q.trim(), results, count: results.length, hasMore, limit, offset });
   } catch (err) {
-    console.error('[Projects] Doc content error:', err.message);
-    res.status(500).json({ error: 'Failed to fetch document' });
+    console.error('[Search] Error:', err.message);
+    res.status(500).json({ error: 'Search failed' });
   }
 });
 
-// Get project sessions
-app.get('/projects/:server/:project/sessions', async (req, res) => {
-  try {
-    const { server, project } = req.params;
-    const validation = validateProjectParams(server, project);
-    if (!validation.valid) {
-      return res.status(400).json({ error: validation.error });
-    }
-    
-    const result = await pool.query(`
-      SELECT
-        ps.id,
-        ps.command_type,
-        ps.session_status as status,
-        ps.started_at as created_at,
-        ps.completed_at as ended_at,
-        COUNT(st.id) as step_count
-      FROM pdev_sessions ps
-      LEFT JOIN pdev_steps st ON st.session_id = ps.id
-      WHERE ps.server_origin = $1 AND LOWER(ps.project_name) = LOWER($2) AND ps.deleted_at IS NULL
-      GROUP BY ps.id, ps.command_type, ps.session_status, ps.started_at, ps.completed_at
-      ORDER BY ps.started_at DESC
-      LIMIT 20
-    `, [server, project]);
-    
-    res.json({ sessions: result.rows, count: result.rows.length });
-  } catch (err) {
-    console.error('[Projects] Sessions error:', err.message);
-    res.status(500).json({ error: 'Failed to fetch sessions' });
+// =============================================================================
+// FALLBACK HANDLERS (keep last)
+// =============================================================================
+
+// Unknown /api/v1 routes get the JSON envelope rather than Express's HTML page
+app.use((req, res, next) => {
+  if (!req.apiVersion) {
+    return next();
+  }
+  res.status(404).json({ error: `No route for ${req.method} ${API_V1_PREFIX}${req.path}` });
+});
+
+// Bodies express.json() could not take
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Malformed JSON body', code: 'INVALID_JSON' });
+  }
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: `Request body too large (max ${Math.round(err.limit / (1024 * 1024))}mb)` });
   }
+  next(err);
 });
@@ -0,0 +1,785 @@
+#!/usr/bin/env node
+/**
+ * PDev Live - API Contract Tests
+ * Checks server.js against server/openapi.yaml using a local PostgreSQL database:
+ *
+ *   1. Coverage - every route registered in server.js is in the spec, and every operation in
+ *      the spec is a route (static scan, no database needed).
+ *   2. Responses - starts server.js, seeds its own server token, session and documents, calls the
+ *      operations under /api/v1 and validates each response against the spec for its status.
+ *   3. Errors - invalid requests are rejected with the 400 envelope generated from the spec,
+ *      unversioned routes keep the string error, unknown routes and bad JSON get JSON errors.
+ *
+ * Everything the run creates (server "contract-test", project "contract-<pid>") is removed again.
+ * The database must be at the latest migration (installer/migrations); the run stops otherwise.
+ *
+ * Usage (from the repo root, after `npm install` in server/):
+ *   PDEV_DB_PASSWORD=... node tests/contract-api.js
+ *   npm --prefix server run test:contract
+ *
+ * Environment:
+ *   PDEV_DB_HOST, PDEV_DB_PORT, PDEV_DB_NAME, PDEV_DB_USER, PDEV_DB_PASSWORD
+ *                       Database (same variables and defaults as server.js)
+ *   CONTRACT_PORT       Port for the server under test (default 39017)
+ *   CONTRACT_VERBOSE=1  Print the server log
+ */
+
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const zlib = require('zlib');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const SERVER_DIR = path.join(ROOT_DIR, 'server');
+const requireServerModule = name => require(require.resolve(name, { paths: [SERVER_DIR] }));
+const Ajv = requireServerModule('ajv');
+const bcrypt = requireServerModule('bcryptjs');
+const yaml = requireServerModule('js-yaml');
+const { Client } = requireServerModule('pg');
+
+const PORT = parseInt(process.env.CONTRACT_PORT || '39017', 10);
+const BASE = `http://127.0.0.1:${PORT}`;
+const ADMIN_KEY = crypto.randomBytes(24).toString('hex');
+const TOKEN = 'contract-' + crypto.randomBytes(24).toString('hex');
+const SERVER_NAME = 'contract-test';
+const PROJECT = `contract-${process.pid}`;
+const VIEWER = { username: `contract_viewer_${process.pid}`, password: crypto.randomBytes(12).toString('hex') };
+const RUN_TIMEOUT_MS = 180000;
+
+const DB = {
+  host: process.env.PDEV_DB_HOST || 'localhost',
+  port: parseInt(process.env.PDEV_DB_PORT || '5432', 10),
+  database: process.env.PDEV_DB_NAME || 'pdev_live',
+  user: process.env.PDEV_DB_USER || 'pdev_app',
+  password: process.env.PDEV_DB_PASSWORD
+};
+
+const COLORS = { red: '\x1b[0;31m', green: '\x1b[0;32m', blue: '\x1b[0;34m', none: '\x1b[0m' };
+let passCount = 0;
+let blockCount = 0;
+
+function pass(message) {
+  console.log(`${COLORS.green}[PASS]${COLORS.none} ${message}`);
+  passCount++;
+}
+
+function block(message, detail) {
+  console.log(`${COLORS.red}[BLOCK]${COLORS.none} ${message}`);
+  if (detail) console.log('    ' + String(detail).slice(0, 500).replace(/\n/g, '\n    '));
+  blockCount++;
+}
+
+function info(message) {
+  console.log(`${COLORS.blue}[INFO]${COLORS.none} ${message}`);
+}
+
+function check(description, ok, detail) {
+  if (ok) {
+    pass(description);
+  } else {
+    block(description, detail);
+  }
+  return ok;
+}
+
+// =============================================================================
+// SPEC
+// =============================================================================
+
+const spec = yaml.load(fs.readFileSync(path.join(SERVER_DIR, 'openapi.yaml'), 'utf8'));
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Same OpenAPI 3.0 -> JSON Schema conversion as server.js (nullable, component refs)
+function toJsonSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  const converted = {};
+  Object.entries(schema).forEach(([key, value]) => {
+    if (key === '$ref' && typeof value === 'string' && value.startsWith('#/')) {
+      converted.$ref = 'spec' + value;
+    } else if (key !== 'nullable' && key !== 'example' && key !== 'deprecated' && !key.startsWith('x-')) {
+      converted[key] = toJsonSchema(value);
+    }
+  });
+  if (schema.nullable === true && typeof schema.type === 'string') {
+    converted.type = [schema.type, 'null'];
+    if (Array.isArray(converted.enum)) converted.enum = [...converted.enum, null];
+  }
+  return converted;
+}
+
+const ajv = new Ajv({ strict: false, allErrors: true, validateFormats: false });
+ajv.addSchema({ $id: 'spec', ...toJsonSchema({ components: spec.components }) });
+
+function resolveRef(item) {
+  if (!item || !item.$ref) return item;
+  return item.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], spec);
+}
+
+const responseValidators = new Map();
+function responseValidator(template, method, status) {
+  const key = `${method} ${template} ${status}`;
+  if (!responseValidators.has(key)) {
+    const operation = spec.paths[template] && spec.paths[template][method];
+    const response = operation && resolveRef(operation.responses[String(status)]);
+    const schema = response && response.content && response.content['application/json'] &&
+      response.content['application/json'].schema;
+    responseValidators.set(key, response ? (schema ? ajv.compile(toJsonSchema(schema)) : () => true) : null);
+  }
+  return responseValidators.get(key);
+}
+
+// =============================================================================
+// 1. COVERAGE (server.js routes <-> spec operations)
+// =============================================================================
+
+// "GET /projects/{}/{}/docs" - parameter names differ between Express and the spec, positions don't
+function routeKey(method, routePath) {
+  return `${method.toUpperCase()} ${routePath.replace(/\{[^}]+\}/g, '{}')}`;
+}
+
+function serverRoutes() {
+  const source = fs.readFileSync(path.join(SERVER_DIR, 'server.js'), 'utf8');
+  const legacyPrefix = source.match(/const LEGACY_API_PREFIX = '([^']+)'/)[1];
+  const keys = new Set();
+  const routePattern = /\bapp\.(get|post|put|patch|delete)\(\s*(['"`])([^'"`]+)\2/g;
+  let match;
+  while ((match = routePattern.exec(source)) !== null) {
+    const method = match[1];
+    // The legacy layer lives under /api/v1, which is the spec's base path
+    let expressPath = match[3].replace('${LEGACY_API_PREFIX}', legacyPrefix.replace(/^\/api\/v1/, ''));
+    const optional = expressPath.match(/\/:(\w+)\?$/);
+    const variants = optional ? [expressPath.replace(/\/:\w+\?$/, ''), expressPath.replace(/\?$/, '')] : [expressPath];
+    variants.forEach(variant => {
+      keys.add(routeKey(method, variant.replace(/:(\w+)(\(\*\))?/g, '{$1}')));
+    });
+  }
+  return keys;
+}
+
+function specOperations() {
+  const keys = new Set();
+  Object.entries(spec.paths).forEach(([template, pathItem]) => {
+    METHODS.filter(method => pathItem[method]).forEach(method => keys.add(routeKey(method, template)));
+  });
+  return keys;
+}
+
+function checkCoverage() {
+  info('=== Coverage: server.js routes vs openapi.yaml ===');
+  const routes = serverRoutes();
+  const operations = specOperations();
+  const undocumented = [...routes].filter(key => !operations.has(key));
+  const stale = [...operations].filter(key => !routes.has(key));
+  check(`All ${routes.size} routes are documented`, undocumented.length === 0, undocumented.join('\n'));
+  check(`All ${operations.size} documented operations exist`, stale.length === 0, stale.join('\n'));
+
+  const missingIds = [];
+  Object.entries(spec.paths).forEach(([template, pathItem]) => {
+    METHODS.filter(method => pathItem[method]).forEach(method => {
+      const operation = pathItem[method];
+      if (!operation.operationId || !operation.responses || Object.keys(operation.responses).length === 0) {
+        missingIds.push(`${method.toUpperCase()} ${template}`);
+      }
+      Object.keys(operation.responses || {}).forEach(status => responseValidator(template, method, status));
+    });
+  });
+  check('Every operation has an operationId, responses and compilable schemas', missingIds.length === 0, missingIds.join('\n'));
+}
+
+// =============================================================================
+// HTTP
+// =============================================================================
+
+const exercised = new Set();
+
+function buildPath(template, params = {}) {
+  return template.replace(/\{([^}]+)\}/g, (_, name) => encodeURIComponent(params[name]));
+}
+
+// Calls an operation under its base path and validates the response against the spec
+async function call(method, template, { params, query, body, auth = 'admin', headers = {}, expect = 200, raw } = {}) {
+  const pathItem = spec.paths[template];
+  const base = pathItem && pathItem.servers ? pathItem.servers[0].url.replace(/\/$/, '') : '/api/v1';
+  const url = new URL(BASE + (raw || base + buildPath(template, params)));
+  Object.entries(query || {}).forEach(([key, value]) => {
+    [].concat(value).forEach(item => url.searchParams.append(key, item));
+  });
+
+  const requestHeaders = { Accept: 'application/json', ...headers };
+  if (auth === 'admin') requestHeaders['X-Admin-Key'] = ADMIN_KEY;
+  if (auth === 'token') requestHeaders['X-Pdev-Token'] = TOKEN;
+  let payload;
+  if (Buffer.isBuffer(body)) {
+    requestHeaders['Content-Type'] = 'application/gzip';
+    payload = body;
+  } else if (body !== undefined) {
+    requestHeaders['Content-Type'] = 'application/json';
+    payload = typeof body === 'string' ? body : JSON.stringify(body);
+  }
+
+  const res = await fetch(url, { method: method.toUpperCase(), headers: requestHeaders, body: payload, redirect: 'manual' });
+  // Archives and other downloads come back as a Buffer
+  const buffer = Buffer.from(await res.arrayBuffer());
+  const text = buffer.toString('utf8');
+  let data = null;
+  if (/json/.test(res.headers.get('content-type') || '')) {
+    data = text ? JSON.parse(text) : null;
+  } else {
+    data = /gzip|zip|pdf|officedocument/.test(res.headers.get('content-type') || '') ? buffer : text;
+  }
+
+  const label = `${method.toUpperCase()} ${template}`;
+  if (res.status !== expect) {
+    block(`${label} → expected ${expect}, got ${res.status}`, text);
+    return { status: res.status, data, headers: res.headers };
+  }
+  if (!raw) {
+    const validate = responseValidator(template, method, res.status);
+    exercised.add(routeKey(method, template));
+    if (!validate) {
+      block(`${label} → ${res.status} is not documented`);
+    } else if (!validate(data)) {
+      block(`${label} → ${res.status} does not match the spec`, ajv.errorsText(validate.errors));
+    } else {
+      pass(`${label} → ${res.status} matches the spec`);
+    }
+  }
+  return { status: res.status, data, headers: res.headers };
+}
+
+// Error envelope of /api/v1
+function checkEnvelope(description, response, code, field) {
+  const error = response.data && response.data.error;
+  const ok = error && typeof error === 'object' && error.code === code && typeof error.message === 'string' &&
+    (!field || (Array.isArray(error.details) && error.details.some(detail => detail.field === field)));
+  return check(description, ok, JSON.stringify(response.data));
+}
+
+// =============================================================================
+// DATABASE
+// =============================================================================
+
+async function checkMigrations(db) {
+  const files = fs.readdirSync(path.join(ROOT_DIR, 'installer', 'migrations'))
+    .filter(file => /^\d{3}_.+\.sql$/.test(file))
+    .map(file => file.replace(/\.sql$/, ''));
+  const applied = new Set((await db.query('SELECT migration_name FROM pdev_migrations')).rows.map(row => row.migration_name));
+  return files.filter(name => !applied.has(name));
+}
+
+async function cleanup(db) {
+  const statements = [
+    ['DELETE FROM pdev_conflicts WHERE server_origin = $1', [SERVER_NAME]],
+    ['DELETE FROM pdev_document_revisions WHERE server_origin = $1', [SERVER_NAME]],
+    ['DELETE FROM pdev_project_documents WHERE server_origin = $1', [SERVER_NAME]],
+    ['DELETE FROM pdev_session_steps WHERE session_id IN (SELECT id FROM pdev_sessions WHERE server_origin = $1)', [SERVER_NAME]],
+    ['DELETE FROM pdev_sessions WHERE server_origin = $1', [SERVER_NAME]],
+    ['DELETE FROM project_manifests WHERE server_origin = $1', [SERVER_NAME]],
+    ['DELETE FROM doc_contract_overrides WHERE server_origin = $1', [SERVER_NAME]],
+    ['DELETE FROM guest_tokens WHERE server_name = $1 OR session_id IN (SELECT id FROM pdev_sessions WHERE server_origin = $1)', [SERVER_NAME]],
+    ["DELETE FROM webhooks WHERE name LIKE 'contract-test %'", []],
+    ['DELETE FROM retention_rules WHERE server_origin = $1', [SERVER_NAME]],
+    ['DELETE FROM server_tokens WHERE server_name = $1', [SERVER_NAME]],
+    ["DELETE FROM pdev_users WHERE username LIKE 'contract\\_viewer\\_%'", []]
+  ];
+  for (const [sql, params] of statements) {
+    try {
+      await db.query(sql, params);
+    } catch (err) {
+      console.warn(`[WARN] Cleanup: ${err.message} (${sql.slice(0, 60)}...)`);
+    }
+  }
+}
+
+// =============================================================================
+// SERVER UNDER TEST
+// =============================================================================
+
+function startServer() {
+  const validServers = (process.env.PDEV_VALID_SERVERS || 'acme,ittz,cfree,djm,wdress,rmlve,dolovdev') + ',' + SERVER_NAME;
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: SERVER_DIR,
+    env: {
+      ...process.env,
+      PORT: String(PORT),
+      NODE_ENV: 'test',
+      PDEV_BASE_URL: BASE,
+      PDEV_ADMIN_KEY: ADMIN_KEY,
+      PDEV_SESSION_SECRET: crypto.randomBytes(32).toString('hex'),
+      PDEV_VALID_SERVERS: validServers,
+      PDEV_OIDC_ISSUER: '',
+      // The whole run takes well over 100 requests a minute
+      PDEV_RATE_LIMIT: '1000',
+      // Never apply the database's own retention rules from a test run
+      PDEV_RETENTION_INTERVAL_HOURS: '0'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  let log = '';
+  const collect = chunk => {
+    log += chunk;
+    if (process.env.CONTRACT_VERBOSE) process.stdout.write(chunk);
+  };
+  child.stdout.on('data', collect);
+  child.stderr.on('data', collect);
+  child.log = () => log;
+  return child;
+}
+
+async function waitForServer(child) {
+  for (let i = 0; i < 60; i++) {
+    if (child.exitCode !== null) break;
+    try {
+      const res = await fetch(`${BASE}/version`);
+      if (res.ok) return true;
+    } catch (err) {
+      // not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 250));
+  }
+  return false;
+}
+
+// =============================================================================
+// 2 + 3. RESPONSES AND ERRORS
+// =============================================================================
+
+const CAPABILITIES_DOC = `---
+pdev_version: 1.0.0
+document: CAPABILITIES
+---
+# Capabilities
+
+## Export to spreadsheet
+Users can export reports.
+`;
+
+const PRODUCT_SPEC_DOC = `---
+pdev_version: 1.0.0
+document: PRODUCT_SPEC
+---
+# Product Spec
+
+## Dashboard
+Shows sessions.
+`;
+
+function evaluationDoc(healthScore) {
+  return `---
+pdev_version: 1.0.0
+document: EVALUATION
+health_score: ${healthScore}
+gaps_high: 2
+---
+# Evaluation
+
+Score ${healthScore}.
+`;
+}
+
+async function exerciseApi() {
+  const project = { server: SERVER_NAME, project: PROJECT };
+
+  info('');
+  info('=== Public ===');
+  await call('get', '/version', { auth: null });
+  await call('get', '/health', { auth: null });
+  await call('get', '/contract', { auth: null });
+  await call('get', '/contract', { auth: null, query: project });
+  await call('get', '/contract/schema', { auth: null });
+  await call('get', '/openapi.json', { auth: null });
+  await call('get', '/auth/providers', { auth: null });
+  await call('get', '/auth/check', { auth: null });
+  const login = await call('post', '/auth/login', { auth: null, body: { username: 'nobody', password: 'wrong-password' }, expect: 401 });
+  checkEnvelope('Failed login uses the error envelope', login, 'UNAUTHENTICATED');
+
+  info('');
+  info('=== Sessions (server token) ===');
+  const created = await call('post', '/sessions', {
+    auth: 'token',
+    body: { server: SERVER_NAME, project: PROJECT, commandType: 'eval', hostname: 'localhost', cwd: '/tmp' }
+  });
+  const sessionId = created.data && created.data.sessionId;
+  if (!check('Session created', typeof sessionId === 'string')) return;
+  const session = { sessionId };
+  await call('post', '/sessions/{sessionId}/steps', { auth: 'token', params: session, body: { type: 'output', content: 'hello' } });
+  await call('post', '/sessions/{sessionId}/steps', {
+    auth: 'token', params: session,
+    body: { type: 'document', documentName: 'CAPABILITIES.md', phaseName: 'Capabilities', content: CAPABILITIES_DOC }
+  });
+  await call('post', '/sessions/{sessionId}/steps', {
+    auth: 'token', params: session,
+    body: { type: 'document', documentName: 'PRODUCT_SPEC.md', phaseName: 'Spec', content: PRODUCT_SPEC_DOC }
+  });
+  for (const score of [70, 85]) {
+    await call('post', '/sessions/{sessionId}/steps', {
+      auth: 'token', params: session,
+      body: { type: 'document', documentName: 'EVALUATION.md', phaseName: 'Evaluation', content: evaluationDoc(score) }
+    });
+  }
+  await call('get', '/sessions/{sessionId}', { auth: 'token', params: session });
+  await call('get', '/sessions/{sessionId}/steps', { auth: 'token', params: session });
+  await call('get', '/sessions/find-active', { auth: 'token', query: project });
+  await call('post', '/sessions/{sessionId}/complete', { auth: 'token', params: session, body: { status: 'completed', summary: 'done' } });
+  await call('get', '/sessions/find-session', { auth: 'token', query: project });
+  await call('post', '/sessions/{sessionId}/reopen', { auth: 'token', params: session });
+  await call('post', '/sessions/{sessionId}/complete', { auth: 'token', params: session, body: {} });
+  await call('get', '/sessions/active');
+  await call('get', '/sessions/history', { query: { limit: 5 } });
+  await call('get', '/servers/{server}/sessions', { params: project });
+  await call('get', '/servers');
+
+  info('');
+  info('=== Manifests ===');
+  await call('put', '/manifests/{server}/{project}', { auth: 'token', params: project, body: { docsPath: '/tmp/docs', docs: {} } });
+  await call('patch', '/manifests/{server}/{project}/doc', { auth: 'token', params: project, body: { docType: 'EVALUATION', fileName: 'EVALUATION.md' } });
+  await call('get', '/manifests/{server}/{project}', { params: project });
+  await call('get', '/manifests', { query: { server: SERVER_NAME } });
+
+  info('');
+  info('=== Projects and documents ===');
+  const evaluation = { ...project, docType: 'EVALUATION' };
+  await call('get', '/projects', { query: { server: SERVER_NAME } });
+  await call('get', '/projects/{server}/{project}/docs', { params: project });
+  await call('get', '/projects/{server}/{project}/docs/{docType}', { params: evaluation });
+  const history = await call('get', '/projects/{server}/{project}/docs/{docType}/history', { params: evaluation });
+  const revisionId = history.data && history.data.revisions && history.data.revisions[0] && history.data.revisions[0].id;
+  if (revisionId) {
+    await call('get', '/projects/{server}/{project}/docs/{docType}/revisions/{revisionId}', { params: { ...evaluation, revisionId } });
+  }
+  await call('get', '/projects/{server}/{project}/docs/{docType}/diff', { params: evaluation });
+  await call('get', '/projects/{server}/{project}/sessions', { params: project });
+  await call('get', '/projects/{server}/{project}/pipeline', { params: project });
+  await call('get', '/projects/{server}/{project}/trends', { params: project });
+  await call('get', '/documents', { query: { server: SERVER_NAME, filter: ['health_score:gte:80', 'pdev_version:exists'] } });
+  await call('get', '/stats', { query: { server: SERVER_NAME } });
+  await call('get', '/search', { query: { q: 'spreadsheet', server: SERVER_NAME } });
+
+  info('');
+  info('=== Conflicts ===');
+  await call('post', '/projects/{server}/{project}/conflicts/analyze', { params: project });
+  const conflicts = await call('get', '/projects/{server}/{project}/conflicts', { params: project, query: { status: 'all' } });
+  const conflict = conflicts.data && conflicts.data.conflicts && conflicts.data.conflicts[0];
+  if (check('Consistency check found the capability missing from the spec', !!conflict)) {
+    await call('patch', '/projects/{server}/{project}/conflicts/{id}', {
+      params: { ...project, id: conflict.id }, body: { status: 'dismissed', resolution: 'Contract test' }
+    });
+  }
+
+  info('');
+  info('=== Guest links ===');
+  const link = await call('post', '/guest-links', { body: { sessionId, expiresInHours: 1 } });
+  await call('get', '/guest-links');
+  if (link.data && link.data.token) {
+    await call('get', '/guest/{token}', { auth: null, params: { token: link.data.token } });
+    await call('delete', '/guest-links/{token}', { params: { token: link.data.token } });
+  }
+  await call('post', '/project-share', { body: { ...project, expiresInHours: 1 } });
+
+  info('');
+  info('=== Archives ===');
+  const copy = { server: SERVER_NAME, project: `${PROJECT}-copy` };
+  const sessionArchive = await call('get', '/sessions/{sessionId}/export', { params: session });
+  const projectArchive = await call('get', '/projects/{server}/{project}/export', { params: project });
+  if (Buffer.isBuffer(sessionArchive.data) && Buffer.isBuffer(projectArchive.data)) {
+    const first = await call('post', '/import', { query: copy, body: sessionArchive.data });
+    check('Session import creates the session under a new id, with its revisions and documents',
+      first.data && first.data.sessions.imported === 1 && first.data.sessionIds[sessionId] !== sessionId &&
+      first.data.revisions.imported === 4 && first.data.documents.inserted === 3,
+      JSON.stringify(first.data));
+    const again = await call('post', '/import', { query: copy, body: projectArchive.data });
+    check('Project import skips the session, revisions and documents imported before',
+      again.data && again.data.sessions.skipped === 1 && again.data.sessions.imported === 0 &&
+      again.data.revisions.imported === 0 && again.data.documents.skipped === 3, JSON.stringify(again.data));
+    // Stored revisions keep microseconds, the archive only milliseconds - importing into the source project must still dedupe
+    const before = await call('get', '/projects/{server}/{project}/docs/{docType}/history', { params: evaluation });
+    const roundTrip = await call('post', '/import', { query: project, body: projectArchive.data });
+    const after = await call('get', '/projects/{server}/{project}/docs/{docType}/history', { params: evaluation });
+    check('Export → import into the same project adds no revisions',
+      roundTrip.data && roundTrip.data.revisions.imported === 0 && before.data && after.data && after.data.count === before.data.count,
+      JSON.stringify({ revisions: roundTrip.data && roundTrip.data.revisions, before: before.data && before.data.count, after: after.data && after.data.count }));
+    const pipeline = await call('get', '/projects/{server}/{project}/pipeline', { params: copy });
+    check('Imported documents show up in the pipeline',
+      pipeline.data && pipeline.data.summary && pipeline.data.summary.present >= 3, JSON.stringify(pipeline.data && pipeline.data.summary));
+
+    // Change one byte of a document inside the tar: the checksum no longer matches
+    const tar = zlib.gunzipSync(projectArchive.data);
+    const at = tar.indexOf('Users can export reports');
+    tar[at] = 'u'.charCodeAt(0);
+    const tampered = await call('post', '/import', { query: copy, body: zlib.gzipSync(tar), expect: 400 });
+    check('Tampered archive → 400 naming the file that fails its checksum',
+      tampered.data && tampered.data.error && Array.isArray(tampered.data.error.details) &&
+      tampered.data.error.details.some(detail => /does not match its checksum/.test(detail)),
+      JSON.stringify(tampered.data));
+  }
+
+  info('');
+  info('=== Transcripts ===');
+  const transcript = await call('get', '/sessions/{sessionId}/transcript', { params: session });
+  check('HTML transcript is sanitized and groups steps by phase',
+    typeof transcript.data === 'string' && /class="phase"/.test(transcript.data) && !/<script/i.test(transcript.data),
+    String(transcript.data).slice(0, 200));
+  const markdown = await call('get', '/sessions/{sessionId}/transcript', { params: session, query: { format: 'md' } });
+  check('Markdown transcript downloads as an attachment',
+    /attachment; filename="pdev-transcript-.*\.md"/.test(markdown.headers.get('content-disposition') || ''),
+    markdown.headers.get('content-disposition'));
+  // 503 when no Chromium is installed on this machine - both are documented
+  const pdfProbe = await fetch(`${BASE}/api/v1/sessions/${sessionId}/transcript?format=pdf`, { headers: { 'X-Admin-Key': ADMIN_KEY } });
+  await call('get', '/sessions/{sessionId}/transcript', { params: session, query: { format: 'pdf' }, expect: pdfProbe.status });
+
+  info('');
+  info('=== Reports ===');
+  const report = await call('get', '/projects/{server}/{project}/report', { params: project });
+  check('Report lists the documents in phase order and the missing phases',
+    typeof report.data === 'string' && report.data.indexOf('CAPABILITIES') < report.data.indexOf('PRODUCT SPEC') &&
+    report.data.indexOf('PRODUCT SPEC') < report.data.indexOf('EVALUATION') && /id="appendix"[\s\S]*IDEATION/.test(report.data),
+    String(report.data).slice(0, 200));
+  for (const format of ['docx', 'zip']) {
+    const bundle = await call('get', '/projects/{server}/{project}/report', { params: project, query: { format } });
+    check(`${format} report is a zip container`, Buffer.isBuffer(bundle.data) && bundle.data.slice(0, 2).toString() === 'PK');
+  }
+
+  info('');
+  info('=== Admin ===');
+  await call('get', '/admin/users');
+  await call('get', '/admin/audit', { query: { action: 'session', limit: 5 } });
+  await call('get', '/admin/tokens');
+  await call('get', '/settings');
+  await call('get', '/update-file/{filename}', { params: { filename: 'doc-contract.json' } });
+
+  const webhook = await call('post', '/admin/webhooks', {
+    body: { name: `contract-test ${PROJECT}`, url: 'http://127.0.0.1:9/hook', events: ['document_pushed'], projects: [PROJECT] },
+    expect: 201
+  });
+  const webhookId = webhook.data && webhook.data.webhook && webhook.data.webhook.id;
+  if (webhookId) {
+    const params = { id: webhookId };
+    await call('patch', '/admin/webhooks/{id}', { params, body: { enabled: false } });
+    await call('get', '/admin/webhooks');
+    await call('post', '/admin/webhooks/{id}/secret', { params });
+    await call('post', '/admin/webhooks/{id}/test', { params });
+    await call('get', '/admin/webhooks/{id}/deliveries', { params });
+    await call('delete', '/admin/webhooks/{id}', { params });
+  }
+
+  // Scoped to this project: the rules of the database under test stay untouched
+  const retention = await call('post', '/admin/retention', {
+    body: { server: SERVER_NAME, project: PROJECT, action: 'purge_steps', olderThanDays: 30, enabled: false },
+    expect: 201
+  });
+  const ruleId = retention.data && retention.data.rule && retention.data.rule.id;
+  if (ruleId) {
+    const params = { id: ruleId };
+    await call('post', '/admin/retention', {
+      body: { server: SERVER_NAME, project: PROJECT.toUpperCase(), action: 'purge_steps', olderThanDays: 5 },
+      expect: 409
+    });
+    await call('post', '/admin/retention', { body: { project: PROJECT, action: 'soft_delete', olderThanDays: 5 }, expect: 400 });
+    await call('get', '/admin/retention');
+    await call('patch', '/admin/retention/{id}', { params, body: { olderThanDays: 1, archive: false } });
+    const preview = await call('get', '/admin/retention/preview', { query: { ruleId } });
+    check('Retention preview is a dry run that leaves today\'s session alone',
+      preview.data && preview.data.dryRun === true && preview.data.rules.length === 1 && preview.data.rules[0].sessions === 0,
+      JSON.stringify(preview.data));
+    const run = await call('post', '/admin/retention/run', { query: { ruleId } });
+    check('Running a disabled rule by id records its result',
+      run.data && run.data.results.length === 1 && run.data.results[0].result.sessions === 0 &&
+      run.data.results[0].rule.lastRunAt !== null, JSON.stringify(run.data));
+    await call('delete', '/admin/retention/{id}', { params });
+    await call('post', '/admin/retention/run', { query: { ruleId }, expect: 404 });
+  }
+
+  const contract = (await call('get', '/contract', { auth: null })).data;
+  await call('get', '/admin/contracts');
+  await call('post', '/admin/contracts/validate', { body: { PIPELINE_DOCS: contract.PIPELINE_DOCS } });
+  await call('put', '/admin/contracts/{server}/{project}', { params: project, body: { PIPELINE_DOCS: contract.PIPELINE_DOCS } });
+  await call('delete', '/admin/contracts/{server}/{project}', { params: project });
+
+  info('');
+  info('=== Legacy PDev API ===');
+  const projectId = { projectId: `${SERVER_NAME}/${PROJECT}` };
+  await call('get', '/pdev/health', { auth: null });
+  await call('get', '/pdev/projects', { query: { server: SERVER_NAME } });
+  await call('get', '/pdev/projects/{projectId}', { params: projectId });
+  await call('get', '/pdev/documents', { query: { project_id: projectId.projectId } });
+  await call('get', '/pdev/sessions', { query: { project_id: projectId.projectId } });
+  await call('get', '/pdev/sessions/{id}', { params: { id: sessionId } });
+  await call('get', '/pdev/pipeline/{projectId}', { params: projectId });
+  // Satellites of the old service write conflicts with their server token
+  const manual = await call('post', '/pdev/conflicts', {
+    auth: 'token',
+    body: { project_id: projectId.projectId, conflict_type: 'manual', description: 'Recorded by the contract test' },
+    expect: 201
+  });
+  if (manual.data && manual.data.id) {
+    await call('put', '/pdev/conflicts/{id}', { auth: 'token', params: { id: manual.data.id }, body: { resolution: 'Done' } });
+  }
+  await call('post', '/pdev/conflicts', {
+    auth: 'token', body: { project_id: `other-server/${PROJECT}`, conflict_type: 'manual' }, expect: 403
+  });
+  const missingConflict = await call('put', '/pdev/conflicts/{id}', {
+    auth: 'token', params: { id: 2147483647 }, body: { resolution: 'Done' }, expect: 404
+  });
+  check('Server token resolving a missing legacy conflict → 404, not a server mismatch',
+    missingConflict.data && missingConflict.data.error === 'Conflict not found', JSON.stringify(missingConflict.data));
+  await call('get', '/pdev/conflicts', { query: { project_id: projectId.projectId } });
+  await call('get', '/pdev/stats');
+
+  info('');
+  info('=== Request validation and errors ===');
+  checkEnvelope('Query parameter out of range → 400 VALIDATION_FAILED',
+    await call('get', '/search', { query: { q: 'x', limit: 0 }, expect: 400 }), 'VALIDATION_FAILED', 'limit');
+  checkEnvelope('Required query parameter missing → 400 VALIDATION_FAILED',
+    await call('get', '/search', { expect: 400 }), 'VALIDATION_FAILED', 'q');
+  checkEnvelope('Path parameter not matching its pattern → 400 VALIDATION_FAILED',
+    await call('get', '/projects/{server}/{project}/pipeline', { params: { server: SERVER_NAME, project: 'bad name' }, expect: 400 }),
+    'VALIDATION_FAILED', 'project');
+  checkEnvelope('Body missing required fields → 400 VALIDATION_FAILED',
+    await call('post', '/sessions', { auth: 'token', body: { server: SERVER_NAME }, expect: 400 }), 'VALIDATION_FAILED', '/project');
+  checkEnvelope('Body value outside its enum → 400 VALIDATION_FAILED',
+    await call('patch', '/projects/{server}/{project}/conflicts/{id}', { params: { ...project, id: 1 }, body: { status: 'closed' }, expect: 400 }),
+    'VALIDATION_FAILED', '/status');
+  checkEnvelope('Handler-level 404 → NOT_FOUND envelope',
+    await call('get', '/sessions/{sessionId}', { params: { sessionId: crypto.randomUUID() }, expect: 404 }), 'NOT_FOUND');
+  checkEnvelope('Missing credentials → 401 UNAUTHENTICATED envelope',
+    await call('get', '/projects', { auth: null, expect: 401 }), 'UNAUTHENTICATED');
+  checkEnvelope('Wrong admin key → 401 INVALID_ADMIN_KEY, not a pass',
+    await call('post', '/projects/{server}/{project}/conflicts/analyze', {
+      auth: null, headers: { 'X-Admin-Key': 'x' }, params: project, expect: 401
+    }), 'INVALID_ADMIN_KEY');
+  const viewerLogin = await call('post', '/auth/login', { auth: null, body: VIEWER });
+  const viewerCookie = (viewerLogin.headers.get('set-cookie') || '').split(';')[0];
+  checkEnvelope('Viewer write → 403 FORBIDDEN_ROLE',
+    await call('post', '/projects/{server}/{project}/conflicts/analyze', {
+      auth: null, headers: { Cookie: viewerCookie }, params: project, expect: 403
+    }), 'FORBIDDEN_ROLE');
+  checkEnvelope('Credential update without a session → 401 before validation',
+    await call('post', '/auth/update-credentials', { auth: null, body: {}, expect: 401 }), 'UNAUTHENTICATED');
+  checkEnvelope('Signed-in credential update is checked against the spec → 400 VALIDATION_FAILED',
+    await call('post', '/auth/update-credentials', { auth: null, headers: { Cookie: viewerCookie }, body: {}, expect: 400 }),
+    'VALIDATION_FAILED', '/currentPassword');
+  checkEnvelope('Invalid request without credentials → 401 before validation',
+    await call('get', '/search', { auth: null, query: { q: 'x', limit: 0 }, expect: 401 }), 'UNAUTHENTICATED');
+  checkEnvelope('Unknown /api/v1 route → 404 NOT_FOUND envelope',
+    await call('get', '/nope', { raw: '/api/v1/no-such-route', expect: 404 }), 'NOT_FOUND');
+  checkEnvelope('Malformed JSON → 400 INVALID_JSON envelope',
+    await call('post', '/sessions', { auth: 'token', body: '{"server":', expect: 400 }), 'INVALID_JSON');
+
+  const unversioned = await call('get', '/search', { raw: '/search?q=x&limit=abc', expect: 400 });
+  check('Unversioned route keeps the string error and adds the code',
+    unversioned.data && typeof unversioned.data.error === 'string' && unversioned.data.code === 'VALIDATION_FAILED',
+    JSON.stringify(unversioned.data));
+  const legacyError = await call('get', '/pdev/projects/{projectId}', { raw: '/api/v1/pdev/projects/42', expect: 400 });
+  check('Legacy PDev API keeps its string error',
+    legacyError.data && typeof legacyError.data.error === 'string', JSON.stringify(legacyError.data));
+  const aliased = await call('get', '/projects', { raw: `/projects?server_origin=${SERVER_NAME}` });
+  check('Unversioned routes still accept server_origin',
+    aliased.data && Array.isArray(aliased.data.projects) && aliased.data.projects.some(p => p.project_name === PROJECT),
+    JSON.stringify(aliased.data).slice(0, 300));
+
+  await call('delete', '/sessions/{sessionId}', { params: session });
+
+  info('');
+  info('=== Trash ===');
+  const trash = await call('get', '/admin/trash', { query: project });
+  check('Deleted session is in the trash with who deleted it',
+    trash.data && trash.data.sessions.some(item => item.id === sessionId && item.deletedBy === 'admin-key' && item.steps > 0),
+    JSON.stringify(trash.data));
+  const restored = await call('post', '/admin/trash/restore', { body: { ids: [sessionId] } });
+  check('Restored session is back', restored.data && restored.data.restored === 1 && restored.data.notFound.length === 0 &&
+    (await call('get', '/sessions/{sessionId}', { params: session })).status === 200, JSON.stringify(restored.data));
+  await call('post', '/admin/trash/purge', { body: { ids: [crypto.randomUUID()] } });
+  await call('delete', '/sessions/{sessionId}', { params: session });
+  const purged = await call('post', '/admin/trash/purge', { body: { ids: [sessionId] } });
+  check('Purge removes the session and its steps', purged.data && purged.data.purged === 1 && purged.data.steps > 0,
+    JSON.stringify(purged.data));
+  const gone = await call('post', '/admin/trash/restore', { body: { ids: [sessionId] } });
+  check('A purged session can no longer be restored',
+    gone.data && gone.data.restored === 0 && gone.data.notFound[0] === sessionId, JSON.stringify(gone.data));
+  checkEnvelope('Restore without ids → 400 VALIDATION_FAILED',
+    await call('post', '/admin/trash/restore', { body: { ids: [] }, expect: 400 }), 'VALIDATION_FAILED', '/ids');
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+async function main() {
+  console.log('==========================================');
+  console.log('PDev Live - API Contract Tests');
+  console.log('==========================================');
+
+  checkCoverage();
+
+  if (!DB.password) {
+    console.log('\nPDEV_DB_PASSWORD is required for the response tests');
+    process.exit(1);
+  }
+
+  const db = new Client(DB);
+  await db.connect();
+  const pending = await checkMigrations(db);
+  if (pending.length > 0) {
+    console.log(`\nDatabase ${DB.database} is missing migrations: ${pending.join(', ')}`);
+    await db.end();
+    process.exit(1);
+  }
+
+  await cleanup(db);
+  // Inserted in plain text; the server hashes it when it loads its tokens
+  await db.query(
+    `INSERT INTO server_tokens (token, server_name, scopes) VALUES ($1, $2, ARRAY['sessions:write', 'docs:write', 'read'])`,
+    [TOKEN, SERVER_NAME]
+  );
+  await db.query(
+    `INSERT INTO pdev_users (username, password_hash, role) VALUES ($1, $2, 'viewer')`,
+    [VIEWER.username, bcrypt.hashSync(VIEWER.password, 4)]
+  );
+
+  const child = startServer();
+  const watchdog = setTimeout(() => {
+    block(`Run did not finish within ${RUN_TIMEOUT_MS / 1000}s`);
+    child.kill();
+    process.exit(1);
+  }, RUN_TIMEOUT_MS);
+
+  try {
+    info('');
+    info(`Server under test: ${BASE} (database ${DB.database} on ${DB.host}:${DB.port})`);
+    if (!(await waitForServer(child))) {
+      block('Server did not start', child.log().split('\n').slice(-20).join('\n'));
+    } else {
+      await exerciseApi();
+      const operations = specOperations();
+      info('');
+      info(`Exercised ${[...exercised].filter(key => operations.has(key)).length} of ${operations.size} operations`);
+    }
+  } catch (err) {
+    block('Contract run failed', err.stack);
+  } finally {
+    clearTimeout(watchdog);
+    child.kill();
+    await cleanup(db);
+    await db.end();
+  }
+
+  console.log('');
+  console.log('==========================================');
+  console.log('API Contract Results');
+  console.log('==========================================');
+  console.log(`${COLORS.green}PASS:${COLORS.none} ${passCount}`);
+  console.log(`${COLORS.red}BLOCK:${COLORS.none} ${blockCount}`);
+  console.log('');
+  if (blockCount > 0) {
+    console.log(`${COLORS.red}VERDICT: BLOCK${COLORS.none} - the API does not match openapi.yaml`);
+    process.exit(1);
+  }
+  console.log(`${COLORS.green}VERDICT: PASS${COLORS.none} - the API matches openapi.yaml`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
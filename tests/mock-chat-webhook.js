@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * PDev Live - Mock Chat Webhook Receiver
+ * Stands in for Slack, Microsoft Teams and Discord incoming webhooks (no dependencies)
+ *
+ * Each service path checks the payload shape the real service requires and answers
+ * the way it does (Slack: 200 "ok", Teams: 202, Discord: 204; malformed bodies get 400).
+ * Accepted messages are recorded for inspection.
+ *
+ * Usage:
+ *   node tests/mock-chat-webhook.js
+ *   Webhook URLs: http://127.0.0.1:39091/slack/<anything>, /teams/<anything>, /discord/<anything>
+ *
+ * Environment:
+ *   MOCK_CHAT_PORT  Port (default 39091)
+ *
+ * Test control:
+ *   GET    /mock/messages  Recorded messages [{ service, path, headers, body, receivedAt }]
+ *   DELETE /mock/messages  Forget recorded messages
+ */
+
+const http = require('http');
+
+const PORT = parseInt(process.env.MOCK_CHAT_PORT || '39091', 10);
+
+let messages = [];
+
+function send(res, status, body, contentType = 'text/plain') {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(body);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+// Each check returns an error string for a payload the service would refuse
+function checkSlack(body) {
+  if (!body.text && !Array.isArray(body.blocks)) return 'no_text';
+  if (body.blocks && !body.blocks.every(block => ['section', 'actions', 'context', 'header', 'divider'].includes(block.type))) {
+    return 'invalid_blocks';
+  }
+  if (body.blocks && body.blocks.some(block => block.fields && block.fields.length > 10)) return 'invalid_blocks';
+  return null;
+}
+
+function checkTeams(body) {
+  const attachment = Array.isArray(body.attachments) && body.attachments[0];
+  if (!attachment || attachment.contentType !== 'application/vnd.microsoft.card.adaptive') {
+    return 'Expected an Adaptive Card attachment';
+  }
+  if (!attachment.content || attachment.content.type !== 'AdaptiveCard' || !Array.isArray(attachment.content.body)) {
+    return 'Invalid Adaptive Card';
+  }
+  return null;
+}
+
+function checkDiscord(body) {
+  if (!body.content && !(Array.isArray(body.embeds) && body.embeds.length > 0)) {
+    return JSON.stringify({ message: 'Cannot send an empty message', code: 50006 });
+  }
+  for (const embed of body.embeds || []) {
+    if ((embed.title || '').length > 256 || (embed.description || '').length > 4096 || (embed.fields || []).length > 25) {
+      return JSON.stringify({ message: 'Invalid Form Body', code: 50035 });
+    }
+  }
+  return null;
+}
+
+const SERVICES = {
+  slack: { check: checkSlack, reply: res => send(res, 200, 'ok') },
+  teams: { check: checkTeams, reply: res => send(res, 202, '') },
+  discord: { check: checkDiscord, reply: res => { res.writeHead(204); res.end(); } }
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://127.0.0.1:${PORT}`);
+  try {
+    if (url.pathname === '/mock/messages') {
+      if (req.method === 'GET') return send(res, 200, JSON.stringify(messages), 'application/json');
+      if (req.method === 'DELETE') {
+        messages = [];
+        return send(res, 200, JSON.stringify({ success: true }), 'application/json');
+      }
+    }
+
+    const service = SERVICES[url.pathname.split('/')[1]];
+    if (req.method === 'POST' && service) {
+      let body;
+      try {
+        body = JSON.parse(await readBody(req));
+      } catch (err) {
+        return send(res, 400, 'invalid_payload');
+      }
+      const error = service.check(body);
+      if (error) {
+        console.warn(`[MockChat] Refused ${url.pathname}: ${error}`);
+        return send(res, 400, error);
+      }
+      messages.push({
+        service: url.pathname.split('/')[1],
+        path: url.pathname,
+        headers: req.headers,
+        body,
+        receivedAt: new Date().toISOString()
+      });
+      console.log(`[MockChat] ${url.pathname} (${req.headers['x-pdev-event'] || 'no event header'})`);
+      return service.reply(res);
+    }
+    send(res, 404, 'not_found');
+  } catch (err) {
+    console.error('[MockChat] Request failed:', err.message);
+    send(res, 500, 'server_error');
+  }
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`[MockChat] Listening on http://127.0.0.1:${PORT} (/slack, /teams, /discord)`);
+});
+
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
+process.on('SIGINT', () => server.close(() => process.exit(0)));
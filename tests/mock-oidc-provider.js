@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * PDev Live - Mock OpenID Connect Provider
+ * Minimal OIDC provider for testing SSO locally (no dependencies)
+ *
+ * Supports: discovery, JWKS, authorization code + PKCE (S256), RS256 ID tokens, userinfo.
+ * /authorize signs in the configured user immediately (no login form).
+ *
+ * Usage:
+ *   node tests/mock-oidc-provider.js
+ *   PDEV_OIDC_ISSUER=http://127.0.0.1:39090 PDEV_OIDC_CLIENT_ID=pdev-live \
+ *   PDEV_OIDC_ADMIN_VALUES=pdev-admins node server/server.js
+ *
+ * Environment:
+ *   MOCK_OIDC_PORT       Port (default 39090)
+ *   MOCK_OIDC_CLIENT_ID  Expected client_id (default pdev-live)
+ *   MOCK_OIDC_SUB        Subject of the signed-in user (default mock-user-1)
+ *   MOCK_OIDC_USERNAME   preferred_username claim (default sso_tester)
+ *   MOCK_OIDC_EMAIL      email claim (default sso_tester@example.com)
+ *   MOCK_OIDC_GROUPS     Comma-separated groups claim (default pdev-admins)
+ *
+ * Test control:
+ *   POST /mock/user  {"sub", "preferred_username", "email", "groups"} - change the signed-in user
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT || '39090', 10);
+const ISSUER = `http://127.0.0.1:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'pdev-live';
+const KEY_ID = 'mock-key-1';
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const publicJwk = { ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, alg: 'RS256', use: 'sig' };
+
+let currentUser = {
+  sub: process.env.MOCK_OIDC_SUB || 'mock-user-1',
+  preferred_username: process.env.MOCK_OIDC_USERNAME || 'sso_tester',
+  email: process.env.MOCK_OIDC_EMAIL || 'sso_tester@example.com',
+  groups: (process.env.MOCK_OIDC_GROUPS || 'pdev-admins').split(',').map(g => g.trim()).filter(Boolean)
+};
+
+const codes = new Map();        // code -> { redirectUri, codeChallenge, nonce, user, expiresAt }
+const accessTokens = new Map(); // token -> user
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function signJwt(payload) {
+  const header = base64url(JSON.stringify({ alg: 'RS256', typ: 'JWT', kid: KEY_ID }));
+  const body = base64url(JSON.stringify(payload));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${body}`), privateKey).toString('base64url');
+  return `${header}.${body}.${signature}`;
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+// client_secret_basic or client_secret_post or public client (PKCE only)
+function getClientId(req, params) {
+  const auth = req.headers.authorization;
+  if (auth && auth.startsWith('Basic ')) {
+    return decodeURIComponent(Buffer.from(auth.slice(6), 'base64').toString('utf8').split(':')[0]);
+  }
+  return params.get('client_id');
+}
+
+function handleAuthorize(url, res) {
+  const params = url.searchParams;
+  const redirectUri = params.get('redirect_uri');
+  if (params.get('client_id') !== CLIENT_ID || !redirectUri) {
+    return sendJson(res, 400, { error: 'invalid_request', error_description: 'unknown client_id or missing redirect_uri' });
+  }
+
+  const redirect = new URL(redirectUri);
+  if (params.get('state')) {
+    redirect.searchParams.set('state', params.get('state'));
+  }
+  if (params.get('response_type') !== 'code' || params.get('code_challenge_method') !== 'S256' ||
+      !params.get('code_challenge')) {
+    redirect.searchParams.set('error', 'invalid_request');
+    redirect.searchParams.set('error_description', 'code flow with S256 PKCE required');
+  } else {
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      redirectUri,
+      codeChallenge: params.get('code_challenge'),
+      nonce: params.get('nonce'),
+      user: { ...currentUser },
+      expiresAt: Date.now() + 60 * 1000
+    });
+    redirect.searchParams.set('code', code);
+  }
+
+  res.writeHead(302, { Location: redirect.toString() });
+  res.end();
+}
+
+async function handleToken(req, res) {
+  const params = new URLSearchParams(await readBody(req));
+  const grant = codes.get(params.get('code'));
+  codes.delete(params.get('code')); // one-time use
+
+  if (params.get('grant_type') !== 'authorization_code' || !grant || grant.expiresAt < Date.now()) {
+    return sendJson(res, 400, { error: 'invalid_grant' });
+  }
+  if (getClientId(req, params) !== CLIENT_ID || params.get('redirect_uri') !== grant.redirectUri) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'client or redirect_uri mismatch' });
+  }
+  const verifier = params.get('code_verifier') || '';
+  const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+  if (challenge !== grant.codeChallenge) {
+    return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const accessToken = crypto.randomBytes(16).toString('hex');
+  accessTokens.set(accessToken, grant.user);
+
+  sendJson(res, 200, {
+    access_token: accessToken,
+    token_type: 'Bearer',
+    expires_in: 300,
+    id_token: signJwt({
+      iss: ISSUER,
+      aud: CLIENT_ID,
+      iat: now,
+      exp: now + 300,
+      nonce: grant.nonce || undefined,
+      ...grant.user
+    })
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, ISSUER);
+  try {
+    if (req.method === 'GET' && url.pathname === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        userinfo_endpoint: `${ISSUER}/userinfo`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+        scopes_supported: ['openid', 'profile', 'email']
+      });
+    }
+    if (req.method === 'GET' && url.pathname === '/jwks') {
+      return sendJson(res, 200, { keys: [publicJwk] });
+    }
+    if (req.method === 'GET' && url.pathname === '/authorize') {
+      return handleAuthorize(url, res);
+    }
+    if (req.method === 'POST' && url.pathname === '/token') {
+      return await handleToken(req, res);
+    }
+    if (req.method === 'GET' && url.pathname === '/userinfo') {
+      const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+      const user = accessTokens.get(token);
+      return user ? sendJson(res, 200, user) : sendJson(res, 401, { error: 'invalid_token' });
+    }
+    if (req.method === 'POST' && url.pathname === '/mock/user') {
+      currentUser = { ...currentUser, ...JSON.parse(await readBody(req) || '{}') };
+      console.log('[MockOIDC] Signed-in user is now:', JSON.stringify(currentUser));
+      return sendJson(res, 200, currentUser);
+    }
+    sendJson(res, 404, { error: 'not_found' });
+  } catch (err) {
+    console.error('[MockOIDC] Request failed:', err.message);
+    sendJson(res, 500, { error: 'server_error' });
+  }
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`[MockOIDC] Issuer ${ISSUER} (client_id: ${CLIENT_ID})`);
+  console.log('[MockOIDC] Signed-in user:', JSON.stringify(currentUser));
+});
+
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
+process.on('SIGINT', () => server.close(() => process.exit(0)));
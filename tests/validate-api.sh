@@ -59,7 +59,7 @@ test_endpoint() {
     local curl_cmd="curl -s -w '\n%{http_code}\n%{time_total}' -X $method"
 
     # Add auth if not a public endpoint
-    if [[ "$endpoint" != "/version" && "$endpoint" != "/contract" ]]; then
+    if [[ "$endpoint" != "/version" && "$endpoint" != /contract* && "$endpoint" != "/openapi.json" ]]; then
         curl_cmd="$curl_cmd -u '$AUTH_USER:$AUTH_PASS'"
     fi
 
@@ -69,7 +69,7 @@ test_endpoint() {
     fi
 
     # Add admin key header if testing admin endpoint
-    if [[ -n "$ADMIN_KEY" && "$endpoint" =~ (delete|reset|settings) ]]; then
+    if [[ -n "$ADMIN_KEY" && "$endpoint" =~ (delete|reset|settings|admin) ]]; then
         curl_cmd="$curl_cmd -H 'X-Admin-Key: $ADMIN_KEY'"
     fi
 
@@ -233,10 +233,23 @@ test_error_scenarios() {
     # Invalid session ID (should return 404)
     test_endpoint "GET" "/sessions/00000000-0000-0000-0000-000000000000" 404 "Invalid session ID"
 
+    # Search without query (should return 400)
+    test_endpoint "GET" "/search" 400 "Search without query"
+
+    # Out-of-range query parameter, rejected against openapi.yaml with the /api/v1 error envelope
+    local invalid_response=$(curl -s -u "$AUTH_USER:$AUTH_PASS" "$API_BASE/api/v1/search?q=test&limit=0" 2>&1)
+    if echo "$invalid_response" | jq -e '.error.code == "VALIDATION_FAILED" and .error.details[0].field == "limit"' >/dev/null 2>&1; then
+        pass "Invalid query parameter → 400 VALIDATION_FAILED"
+    else
+        block "Invalid query parameter → Expected VALIDATION_FAILED envelope, got: $invalid_response"
+    fi
+
     # Missing admin key for protected endpoint
     local old_admin_key="$ADMIN_KEY"
     ADMIN_KEY=""
     test_endpoint "DELETE" "/sessions/test-session" 401 "Delete session without admin key"
+    test_endpoint "GET" "/admin/users" 401 "List users without admin key"
+    test_endpoint "GET" "/admin/audit" 401 "Audit log without admin key"
     ADMIN_KEY="$old_admin_key"
 
     # Malformed JSON body (requires actual POST with bad JSON)
@@ -275,6 +288,9 @@ main() {
     info "=== Testing Public Endpoints ==="
     test_endpoint "GET" "/version" 200 "GET /version"
     test_endpoint "GET" "/contract" 200 "GET /contract"
+    test_endpoint "GET" "/contract?server=dolovdev&project=pdev-live" 200 "GET /contract (resolved for a project)"
+    test_endpoint "GET" "/contract/schema" 200 "GET /contract/schema"
+    test_endpoint "GET" "/openapi.json" 200 "GET /openapi.json"
 
     info ""
     info "=== Testing Authenticated Endpoints ==="
@@ -283,7 +299,24 @@ main() {
     test_endpoint "GET" "/sessions/history" 200 "GET /sessions/history"
     test_endpoint "GET" "/servers" 200 "GET /servers"
     test_endpoint "GET" "/projects" 200 "GET /projects"
+    test_endpoint "GET" "/projects/dolovdev/pdev-live/pipeline" 200 "GET /projects/:server/:project/pipeline"
+    test_endpoint "GET" "/projects/dolovdev/pdev-live/trends" 200 "GET /projects/:server/:project/trends"
+    test_endpoint "GET" "/projects/dolovdev/pdev-live/conflicts?status=all" 200 "GET /projects/:server/:project/conflicts"
+    test_endpoint "GET" "/projects/dolovdev/pdev-live/conflicts?status=pending" 400 "GET /projects/:server/:project/conflicts rejects an unknown status"
+    test_endpoint "GET" "/stats" 200 "GET /stats"
+    test_endpoint "GET" "/api/v1/projects" 200 "GET /api/v1/projects"
+    test_endpoint "GET" "/api/v1/projects/dolovdev/pdev-live/pipeline" 200 "GET /api/v1/projects/:server/:project/pipeline"
+    test_endpoint "GET" "/api/v1/pdev/stats" 200 "GET /api/v1/pdev/stats (legacy API)"
+    test_endpoint "GET" "/api/v1/pdev/pipeline/dolovdev/pdev-live" 200 "GET /api/v1/pdev/pipeline/:project_id (legacy API)"
+    test_endpoint "GET" "/api/v1/pdev/projects/42" 400 "GET /api/v1/pdev/projects/:id rejects numeric ids"
+    test_endpoint "GET" "/documents?docType=EVALUATION&filter=health_score:lt:70" 200 "GET /documents (frontmatter filter)"
+    test_endpoint "GET" "/documents?filter=health_score:lt:high" 400 "GET /documents rejects a non-numeric comparison"
     test_endpoint "GET" "/manifests" 200 "GET /manifests"
+    test_endpoint "GET" "/search?q=pdev" 200 "GET /search"
+    test_endpoint "GET" "/admin/users" 200 "GET /admin/users"
+    test_endpoint "GET" "/admin/audit?limit=5" 200 "GET /admin/audit"
+    test_endpoint "GET" "/admin/tokens" 200 "GET /admin/tokens"
+    test_endpoint "GET" "/admin/webhooks" 200 "GET /admin/webhooks"
 
     info ""
     info "=== Testing Session Endpoints ==="
@@ -309,6 +342,19 @@ main() {
             test_endpoint "GET" "/sessions/$session_id/steps" 200 "GET /sessions/:id/steps"
             test_endpoint "POST" "/sessions/$session_id/complete" 200 "POST /sessions/:id/complete"
 
+            # Server tokens only write for their own server (PDEV_TOKEN belongs to dolovdev)
+            local other_server_status=$(curl -s -o /dev/null -w '%{http_code}' -X PUT \
+                -u "$AUTH_USER:$AUTH_PASS" \
+                -H "X-Pdev-Token: $PDEV_TOKEN" \
+                -H "Content-Type: application/json" \
+                -d '{"docs":{}}' \
+                "$API_BASE/manifests/not-this-server/test-api-validation" 2>&1)
+            if [[ "$other_server_status" == "403" ]]; then
+                pass "Token for another server → 403"
+            else
+                block "Token for another server → Expected 403, got $other_server_status"
+            fi
+
             # Test SSE
             test_sse "$session_id"
 
@@ -0,0 +1,199 @@
+#!/bin/bash
+# PDev Live - Chat Notification Validation
+# Registers Slack, Teams and Discord webhooks pointed at tests/mock-chat-webhook.js,
+# pushes an EVALUATION.md with frontmatter and checks the message each service receives.
+#
+# The server has to reach the mock, so run both on the same host:
+#   node server/server.js
+#   PDEV_API_BASE=http://localhost:3016 PDEV_ADMIN_KEY=... PDEV_TOKEN=... PDEV_SERVER=dolovdev \
+#   ./tests/validate-chat-webhooks.sh
+# PDEV_SERVER is the server the token was issued for.
+
+set -e
+
+# Configuration
+API_BASE="${PDEV_API_BASE:-http://localhost:3016}"
+AUTH_USER="${PDEV_AUTH_USER:-pdev}"
+AUTH_PASS="${PDEV_AUTH_PASS:-PdevLive0987@@}"
+ADMIN_KEY="${PDEV_ADMIN_KEY}"
+PDEV_TOKEN="${PDEV_TOKEN}"
+SERVER_NAME="${PDEV_SERVER:-dolovdev}"
+MOCK_PORT="${MOCK_CHAT_PORT:-39091}"
+MOCK_BASE="http://127.0.0.1:$MOCK_PORT"
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+PROJECT="chat-notify-test-$$"
+
+# Colors
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+BLUE='\033[0;34m'
+NC='\033[0m' # No Color
+
+# Counters
+PASS=0
+BLOCK=0
+
+pass() {
+    echo -e "${GREEN}[PASS]${NC} $1"
+    PASS=$((PASS + 1))
+}
+
+block() {
+    echo -e "${RED}[BLOCK]${NC} $1"
+    BLOCK=$((BLOCK + 1))
+}
+
+info() {
+    echo -e "${BLUE}[INFO]${NC} $1"
+}
+
+check() {
+    local description="$1"
+    shift
+    if "$@"; then
+        pass "$description"
+    else
+        block "$description"
+    fi
+}
+
+if [[ -z "$ADMIN_KEY" || -z "$PDEV_TOKEN" ]]; then
+    echo "PDEV_ADMIN_KEY and PDEV_TOKEN are required"
+    exit 1
+fi
+
+WORK_DIR=$(mktemp -d)
+MOCK_PID=""
+WEBHOOK_IDS=()
+SESSION_ID=""
+cleanup() {
+    for id in "${WEBHOOK_IDS[@]}"; do
+        admin_api DELETE "/admin/webhooks/$id" > /dev/null || true
+    done
+    [[ -n "$SESSION_ID" ]] && admin_api DELETE "/sessions/$SESSION_ID" > /dev/null
+    [[ -n "$MOCK_PID" ]] && kill "$MOCK_PID" 2>/dev/null
+    rm -rf "$WORK_DIR"
+}
+trap cleanup EXIT
+
+admin_api() {
+    curl -s -X "$1" -u "$AUTH_USER:$AUTH_PASS" -H "X-Admin-Key: $ADMIN_KEY" \
+        -H 'Content-Type: application/json' ${3:+-d "$3"} "$API_BASE$2"
+}
+
+token_api() {
+    curl -s -X "$1" -u "$AUTH_USER:$AUTH_PASS" -H "X-Pdev-Token: $PDEV_TOKEN" \
+        -H 'Content-Type: application/json' ${3:+-d "$3"} "$API_BASE$2"
+}
+
+json_field() {
+    node -e "let d='';process.stdin.on('data',c=>d+=c).on('end',()=>{const v=JSON.parse(d);console.log(eval('v.'+process.argv[1]))})" "$1"
+}
+
+# Succeeds when the JS expression (over the parsed JSON file as v) is truthy
+json_true() {
+    node -e "const v=JSON.parse(require('fs').readFileSync(process.argv[1],'utf8'));process.exit(eval(process.argv[2])?0:1)" "$1" "$2"
+}
+
+# Sets WEBHOOK_ID (and remembers it for cleanup)
+add_webhook() {
+    WEBHOOK_ID=$(admin_api POST /admin/webhooks "$1" | json_field 'webhook.id')
+    WEBHOOK_IDS+=("$WEBHOOK_ID")
+}
+
+# Start the mock receiver unless one is already running
+if ! curl -s -o /dev/null "$MOCK_BASE/mock/messages"; then
+    MOCK_CHAT_PORT="$MOCK_PORT" node "$SCRIPT_DIR/mock-chat-webhook.js" > "$WORK_DIR/mock.log" 2>&1 &
+    MOCK_PID=$!
+    for i in $(seq 1 20); do
+        curl -s -o /dev/null "$MOCK_BASE/mock/messages" && break
+        sleep 0.25
+    done
+fi
+curl -s -o /dev/null -X DELETE "$MOCK_BASE/mock/messages"
+
+main() {
+    info "API: $API_BASE"
+    info "Mock chat receiver: $MOCK_BASE"
+    info "Project: $PROJECT (server $SERVER_NAME)"
+
+    info ""
+    info "=== Register Chat Webhooks ==="
+    local events='["document_pushed","session_completed"]'
+    add_webhook "{\"name\":\"Chat test Slack\",\"url\":\"$MOCK_BASE/slack/T000/B000\",\"format\":\"slack\",\"projects\":[\"$PROJECT\"],\"events\":$events}"
+    local slack_id="$WEBHOOK_ID"
+    add_webhook "{\"name\":\"Chat test Teams\",\"url\":\"$MOCK_BASE/teams/workflow\",\"format\":\"teams\",\"projects\":[\"$PROJECT\"],\"events\":$events}"
+    add_webhook "{\"name\":\"Chat test Discord\",\"url\":\"$MOCK_BASE/discord/1/abc\",\"format\":\"discord\",\"projects\":[\"$PROJECT\"],\"events\":$events}"
+    add_webhook "{\"name\":\"Chat test other project\",\"url\":\"$MOCK_BASE/discord/2/other\",\"format\":\"discord\",\"projects\":[\"$PROJECT-other\"],\"events\":$events}"
+    check "Four webhooks registered" test "$(printf '%s\n' "${WEBHOOK_IDS[@]}" | grep -c '^[0-9][0-9]*$')" = "4"
+    admin_api GET /admin/webhooks > "$WORK_DIR/webhooks.json"
+    check "Slack webhook stored with format and project" \
+        json_true "$WORK_DIR/webhooks.json" "v.webhooks.some(w => w.id === $slack_id && w.format === 'slack' && w.projects[0] === '$PROJECT')"
+    check "Unknown format is rejected (400)" test "$(curl -s -o /dev/null -w '%{http_code}' -X POST \
+        -u "$AUTH_USER:$AUTH_PASS" -H "X-Admin-Key: $ADMIN_KEY" -H 'Content-Type: application/json' \
+        -d '{"name":"bad","url":"http://127.0.0.1/x","format":"irc","events":["document_pushed"]}' \
+        "$API_BASE/admin/webhooks")" = "400"
+
+    info ""
+    info "=== Push EVALUATION.md ==="
+    SESSION_ID=$(token_api POST /sessions "{\"server\":\"$SERVER_NAME\",\"project\":\"$PROJECT\",\"commandType\":\"eval\",\"hostname\":\"localhost\",\"projectPath\":\"/tmp\",\"cwd\":\"/tmp\"}" | json_field 'sessionId')
+    check "Session created" test -n "$SESSION_ID" -a "$SESSION_ID" != "undefined"
+    local content='---\npdev_version: 1.0.0\nhealth_score: 86\nremediation_status: in_progress\n---\n# Evaluation\n\nAll good.'
+    token_api POST "/sessions/$SESSION_ID/steps" \
+        "{\"type\":\"document\",\"documentName\":\"EVALUATION.md\",\"phaseName\":\"Evaluation\",\"content\":\"$content\"}" > /dev/null
+
+    for i in $(seq 1 40); do
+        curl -s "$MOCK_BASE/mock/messages" > "$WORK_DIR/messages.json"
+        json_true "$WORK_DIR/messages.json" 'v.length >= 3' && break
+        sleep 0.25
+    done
+    check "Slack, Teams and Discord each received one message" \
+        json_true "$WORK_DIR/messages.json" "['slack','teams','discord'].every(s => v.filter(m => m.service === s).length === 1)"
+    check "Webhook limited to another project received nothing" \
+        json_true "$WORK_DIR/messages.json" "!v.some(m => m.path === '/discord/2/other')"
+
+    local slack='v.find(m => m.service === "slack").body'
+    check "Slack: fallback text carries the contract icon" \
+        json_true "$WORK_DIR/messages.json" "$slack.text.startsWith('✅ EVALUATION.md')"
+    check "Slack: fields show project, server, phase and health score" \
+        json_true "$WORK_DIR/messages.json" "(t => ['$PROJECT', '$SERVER_NAME', '9/9 EVALUATION', '86%'].every(s => t.includes(s)))(JSON.stringify($slack.blocks[1].fields))"
+    check "Slack: button opens a guest link" \
+        json_true "$WORK_DIR/messages.json" "/session\\.html\\?guest=/.test($slack.blocks[2].elements[0].url)"
+
+    local teams='v.find(m => m.service === "teams").body.attachments[0].content'
+    check "Teams: Adaptive Card with a Good health title" \
+        json_true "$WORK_DIR/messages.json" "$teams.body[0].color === 'Good' && $teams.body[0].text.includes('EVALUATION.md')"
+    check "Teams: facts include the health score" \
+        json_true "$WORK_DIR/messages.json" "$teams.body.find(b => b.type === 'FactSet').facts.some(f => f.title === 'Health score' && f.value === '86%')"
+    check "Teams: Open URL action uses the guest link" \
+        json_true "$WORK_DIR/messages.json" "/guest=/.test($teams.actions[0].url)"
+
+    local discord='v.find(m => m.service === "discord").body.embeds[0]'
+    check "Discord: embed is green for a healthy score" \
+        json_true "$WORK_DIR/messages.json" "$discord.color === 0x22c55e"
+    check "Discord: embed title links to the guest link" \
+        json_true "$WORK_DIR/messages.json" "$discord.title.includes('$PROJECT') && /guest=/.test($discord.url)"
+    check "Messages still carry the PDev signature headers" \
+        json_true "$WORK_DIR/messages.json" "v.every(m => m.headers['x-pdev-event'] === 'document_pushed' && /^sha256=/.test(m.headers['x-pdev-signature']))"
+
+    info ""
+    info "=== Send Test ==="
+    admin_api POST "/admin/webhooks/$slack_id/test" > "$WORK_DIR/test.json"
+    check "Test message accepted by the Slack stub" json_true "$WORK_DIR/test.json" "v.success === true && v.delivery.responseStatus === 200"
+
+    echo ""
+    echo "=========================================="
+    echo "Chat Notification Validation Results"
+    echo "=========================================="
+    echo -e "${GREEN}PASS:${NC} $PASS"
+    echo -e "${RED}BLOCK:${NC} $BLOCK"
+    echo ""
+
+    if [[ $BLOCK -gt 0 ]]; then
+        echo -e "${RED}VERDICT: BLOCK${NC} - chat notifications failed"
+        exit 1
+    fi
+    echo -e "${GREEN}VERDICT: PASS${NC} - chat notifications validated"
+}
+
+main "$@"
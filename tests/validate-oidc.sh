@@ -0,0 +1,162 @@
+#!/bin/bash
+# PDev Live - OIDC Single Sign-On Validation
+# Walks the authorization code + PKCE flow against tests/mock-oidc-provider.js
+#
+# Start the server pointed at the mock provider (discovery is lazy, so order doesn't matter):
+#   PDEV_OIDC_ISSUER=http://127.0.0.1:39090 PDEV_OIDC_CLIENT_ID=pdev-live \
+#   PDEV_OIDC_ADMIN_VALUES=pdev-admins PDEV_OIDC_VIEWER_VALUES=pdev-viewers \
+#   PDEV_OIDC_REDIRECT_URI=http://localhost:3016/auth/oidc/callback node server/server.js
+# Then:
+#   PDEV_API_BASE=http://localhost:3016 ./tests/validate-oidc.sh
+
+set -e
+
+# Configuration
+API_BASE="${PDEV_API_BASE:-http://localhost:3016}"
+MOCK_PORT="${MOCK_OIDC_PORT:-39090}"
+MOCK_BASE="http://127.0.0.1:$MOCK_PORT"
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+
+# Colors
+RED='\033[0;31m'
+GREEN='\033[0;32m'
+BLUE='\033[0;34m'
+NC='\033[0m' # No Color
+
+# Counters
+PASS=0
+BLOCK=0
+
+pass() {
+    echo -e "${GREEN}[PASS]${NC} $1"
+    PASS=$((PASS + 1))
+}
+
+block() {
+    echo -e "${RED}[BLOCK]${NC} $1"
+    BLOCK=$((BLOCK + 1))
+}
+
+info() {
+    echo -e "${BLUE}[INFO]${NC} $1"
+}
+
+check() {
+    local description="$1"
+    shift
+    if "$@"; then
+        pass "$description"
+    else
+        block "$description"
+    fi
+}
+
+WORK_DIR=$(mktemp -d)
+MOCK_PID=""
+cleanup() {
+    [[ -n "$MOCK_PID" ]] && kill "$MOCK_PID" 2>/dev/null
+    rm -rf "$WORK_DIR"
+}
+trap cleanup EXIT
+
+# Start the mock provider unless one is already running
+if ! curl -s -o /dev/null "$MOCK_BASE/.well-known/openid-configuration"; then
+    MOCK_OIDC_PORT="$MOCK_PORT" node "$SCRIPT_DIR/mock-oidc-provider.js" > "$WORK_DIR/mock.log" 2>&1 &
+    MOCK_PID=$!
+    for i in $(seq 1 20); do
+        curl -s -o /dev/null "$MOCK_BASE/.well-known/openid-configuration" && break
+        sleep 0.25
+    done
+fi
+
+# Switch the user the mock provider signs in
+set_mock_user() {
+    curl -s -o /dev/null -X POST -H 'Content-Type: application/json' -d "$1" "$MOCK_BASE/mock/user"
+}
+
+# Run one SSO login with a fresh cookie jar
+# Sets: AUTHORIZE_URL, CALLBACK_URL, CALLBACK_STATUS, CALLBACK_REDIRECT, CALLBACK_BODY, JAR
+sso_login() {
+    local redirect="${1:-/pdev/live/projects.html}"
+    JAR="$WORK_DIR/jar-$RANDOM"
+    AUTHORIZE_URL=$(curl -s -o /dev/null -w '%{redirect_url}' -c "$JAR" -b "$JAR" \
+        "$API_BASE/auth/oidc/login?redirect=$redirect")
+    CALLBACK_URL=$(curl -s -o /dev/null -w '%{redirect_url}' "$AUTHORIZE_URL")
+    local result=$(curl -s -o "$JAR.body" -w '%{http_code} %{redirect_url}' -c "$JAR" -b "$JAR" "$CALLBACK_URL")
+    CALLBACK_STATUS="${result%% *}"
+    CALLBACK_REDIRECT="${result#* }"
+    CALLBACK_BODY=$(cat "$JAR.body")
+}
+
+auth_check() {
+    curl -s -b "$JAR" "$API_BASE/auth/check"
+}
+
+json_field() {
+    node -e "let d='';process.stdin.on('data',c=>d+=c).on('end',()=>{const v=JSON.parse(d);console.log(eval('v.'+process.argv[1]))})" "$1"
+}
+
+main() {
+    info "API: $API_BASE"
+    info "Mock OIDC provider: $MOCK_BASE"
+
+    info ""
+    info "=== Provider Discovery ==="
+    local providers=$(curl -s "$API_BASE/auth/providers")
+    check "GET /auth/providers reports SSO enabled" test "$(echo "$providers" | json_field 'oidc.enabled')" = "true"
+
+    info ""
+    info "=== Admin Sign-In (groups: pdev-admins) ==="
+    set_mock_user '{"sub":"mock-user-1","preferred_username":"sso_tester","groups":["pdev-admins"]}'
+    sso_login
+    check "Login redirects to the mock authorize endpoint" test "${AUTHORIZE_URL#$MOCK_BASE/authorize}" != "$AUTHORIZE_URL"
+    check "Authorization request uses PKCE S256" grep -q 'code_challenge_method=S256' <<< "$AUTHORIZE_URL"
+    check "Authorization request carries state and nonce" grep -q 'state=.*nonce=\|nonce=.*state=' <<< "$AUTHORIZE_URL"
+    check "Callback signs in (200 + same-origin hop)" test "$CALLBACK_STATUS" = "200"
+    check "Callback continues to the requested page" grep -q 'url=/pdev/live/projects.html' <<< "$CALLBACK_BODY"
+    local check_json=$(auth_check)
+    check "Session user is sso_tester" test "$(echo "$check_json" | json_field 'user.username')" = "sso_tester"
+    check "Session role is admin" test "$(echo "$check_json" | json_field 'user.role')" = "admin"
+    local first_id=$(echo "$check_json" | json_field 'user.id')
+    check "Admin can list users" test "$(curl -s -o /dev/null -w '%{http_code}' -b "$JAR" "$API_BASE/admin/users")" = "200"
+
+    info ""
+    info "=== Role Re-Mapping (groups: pdev-viewers) ==="
+    set_mock_user '{"groups":["pdev-viewers"]}'
+    sso_login
+    check_json=$(auth_check)
+    check "Same identity maps to the same user" test "$(echo "$check_json" | json_field 'user.id')" = "$first_id"
+    check "Session role is viewer" test "$(echo "$check_json" | json_field 'user.role')" = "viewer"
+    check "Viewer cannot make changes (403)" test "$(curl -s -o /dev/null -w '%{http_code}' -X POST -b "$JAR" "$API_BASE/share-token")" = "403"
+
+    info ""
+    info "=== Refused Sign-Ins ==="
+    set_mock_user '{"sub":"mock-user-2","preferred_username":"outsider","groups":["unrelated"]}'
+    sso_login
+    check "Unmapped groups are refused (sso_denied)" grep -q 'error=sso_denied' <<< "$CALLBACK_REDIRECT"
+    check "Refused user has no session" test "$(auth_check | json_field 'authenticated')" = "false"
+
+    set_mock_user '{"sub":"mock-user-1","preferred_username":"sso_tester","groups":["pdev-admins"]}'
+    sso_login
+    local replay=$(curl -s -o /dev/null -w '%{redirect_url}' "$CALLBACK_URL")
+    check "Callback without the login transaction cookie is refused (sso_expired)" grep -q 'error=sso_expired' <<< "$replay"
+
+    sso_login '//evil.example/steal'
+    check "Off-site redirect targets fall back to /pdev/live/" grep -q 'url=/pdev/live/"' <<< "$CALLBACK_BODY"
+
+    echo ""
+    echo "=========================================="
+    echo "OIDC Validation Results"
+    echo "=========================================="
+    echo -e "${GREEN}PASS:${NC} $PASS"
+    echo -e "${RED}BLOCK:${NC} $BLOCK"
+    echo ""
+
+    if [[ $BLOCK -gt 0 ]]; then
+        echo -e "${RED}VERDICT: BLOCK${NC} - SSO flow failed"
+        exit 1
+    fi
+    echo -e "${GREEN}VERDICT: PASS${NC} - SSO flow validated"
+}
+
+main "$@"